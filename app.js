@@ -7,15 +7,52 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const bodyParser = require('body-parser');
+const config = require('./config');
 const cleanJsonResponse = require('./middlewares/json-response');
+const requestId = require('./middlewares/request-id');
+const recordRequestMetrics = require('./middlewares/request-metrics');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('app');
 
 // Initialize express app
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.port;
+
+// Environment details (without sensitive values)
+log.info('Environment configuration', {
+  profile: config.profile,
+  nodeEnv: config.nodeEnv,
+  vercel: config.isVercel,
+  vercelEnv: config.vercelEnv,
+  vercelUrl: config.vercelUrl,
+  storageBackend: config.storage.backend,
+  mailTransport: config.mail.transport
+});
+
+// Outside production, what going live would still need
+if (config.unsetForProduction.length > 0) {
+  log.warn('Settings production requires are not set', { unset: config.unsetForProduction });
+}
+
+// Client IPs (for rate limits and audit logs) come from X-Forwarded-For behind a proxy
+app.set('trust proxy', config.trustProxy);
 
 // Middlewares
+// Request IDs come first so everything after it logs with the request's ID
+app.use(requestId);
+if (config.features.metrics) {
+  app.use(recordRequestMetrics);
+}
 app.use(cors());
-app.use(bodyParser.json());
+// The Stripe webhook verifies its signature against the raw body, so it parses its own
+const jsonParser = bodyParser.json();
+app.use((req, res, next) => {
+  if (req.path === '/stripe-webhook') {
+    return next();
+  }
+  jsonParser(req, res, next);
+});
 app.use(bodyParser.urlencoded({ extended: false }));
 app.use(cleanJsonResponse);
 
@@ -28,12 +65,26 @@ const donationRoutes = require('./routes/donations');
 const contactRoutes = require('./routes/contact');
 const adminRoutes = require('./routes/admin');
 const roshHashanaRoutes = require('./routes/rosh-hashana');
+const eventRoutes = require('./routes/events');
+const cronRoutes = require('./routes/cron');
+const manageGiftRoutes = require('./routes/manage-gift');
+const myRegistrationRoutes = require('./routes/my-registration');
+const calendarRoutes = require('./routes/calendar');
+const spamCheckRoutes = require('./routes/spam-check');
+const monitoringRoutes = require('./routes/monitoring');
 
 // Register routes
 app.use(donationRoutes);
 app.use(contactRoutes);
 app.use(adminRoutes);
 app.use(roshHashanaRoutes);
+app.use(eventRoutes);
+app.use(cronRoutes);
+app.use(manageGiftRoutes);
+app.use(myRegistrationRoutes);
+app.use(calendarRoutes);
+app.use(spamCheckRoutes);
+app.use(monitoringRoutes);
 
 // Serve main HTML pages
 app.get('/', (req, res) => {
@@ -55,6 +106,11 @@ app.get('/admin/dashboard', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'admin', 'dashboard.html'));
 });
 
+// Add route for the door check-in page (scanned tickets open it with ?code=)
+app.get('/admin/check-in', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'admin', 'check-in.html'));
+});
+
 // Add routes for other HTML pages
 const htmlPages = [
   'about-us',
@@ -63,7 +119,9 @@ const htmlPages = [
   'donate',
   'simple-donate',
   'simple-shabbat',
-  'donation-success'
+  'donation-success',
+  'manage-gift',
+  'my-registration'
 ];
 
 htmlPages.forEach(page => {
@@ -74,7 +132,7 @@ htmlPages.forEach(page => {
 
 // 404 handler
 app.use((req, res, next) => {
-  console.log(`404 Not Found: ${req.method} ${req.url}`);
+  log.info('Not found', { method: req.method, path: req.path });
   res.status(404).json({
     success: false,
     message: 'The requested resource was not found'
@@ -83,7 +141,7 @@ app.use((req, res, next) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  log.error('Unhandled error', err);
   res.status(500).json({
     success: false,
     message: 'An unexpected error occurred'
@@ -93,8 +151,7 @@ app.use((err, req, res, next) => {
 // Start server
 if (require.main === module) {
   app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-    console.log(`http://localhost:${port}`);
+    log.info(`Server running on port ${port}`, { url: `http://localhost:${port}` });
   });
 }
 
@@ -1,27 +1,24 @@
-// Configuration settings for the application
+/**
+ * Configuration settings for the application
+ * Settings are read once, from environment variables, and checked against the
+ * schema in schema.js for the active profile (see profiles.js). Anything missing
+ * or malformed stops startup with a list of every problem, rather than failing
+ * later on the first request that needs it.
+ */
 require('dotenv').config();
+const schema = require('./schema');
+const { PROFILES, selectProfile } = require('./profiles');
+const { loadConfig } = require('./loader');
 
-// Environment variables
-const config = {
-  port: process.env.PORT || 3000,
-  nodeEnv: process.env.NODE_ENV || 'development',
-  isVercel: process.env.VERCEL === '1',
-  vercelEnv: process.env.VERCEL_ENV,
-  vercelUrl: process.env.VERCEL_URL,
-  
-  // Stripe settings
-  stripe: {
-    secretKey: process.env.STRIPE_SECRET_KEY || 'sk_test_default_key_for_development_only',
-    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
-  },
-};
+const profile = selectProfile(process.env);
 
-// Log available environment variables (without sensitive values)
-console.log('Environment configuration:', {
-  NODE_ENV: config.nodeEnv,
-  VERCEL: config.isVercel,
-  VERCEL_ENV: config.vercelEnv,
-  VERCEL_URL: config.vercelUrl,
-});
+if (!PROFILES[profile]) {
+  throw new Error(`Unknown configuration profile "${profile}". Expected one of: ${Object.keys(PROFILES).join(', ')}`);
+}
 
-module.exports = config; 
\ No newline at end of file
+const { config, unsetForProduction } = loadConfig(schema, process.env, profile, PROFILES);
+
+// Settings production would refuse to start without, logged at startup outside production
+config.unsetForProduction = unsetForProduction;
+
+module.exports = config;
@@ -0,0 +1,262 @@
+/**
+ * Builds the config object from environment variables and a settings schema
+ * Every problem is collected before anything is thrown, so a bad deployment
+ * reports all of its missing or malformed settings at once.
+ */
+
+/**
+ * Parsers for each setting type; they throw a description of what is wrong
+ */
+const TYPES = {
+  string: raw => raw,
+
+  integer: raw => {
+    if (!/^-?\d+$/.test(raw.trim())) {
+      throw new Error('must be a whole number');
+    }
+    return parseInt(raw, 10);
+  },
+
+  number: raw => {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) {
+      throw new Error('must be a number');
+    }
+    return value;
+  },
+
+  boolean: raw => {
+    const value = raw.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(value)) {
+      return false;
+    }
+    throw new Error('must be true or false');
+  },
+
+  url: raw => {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      throw new Error('must be a URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('must be an http or https URL');
+    }
+    return raw.replace(/\/+$/, '');
+  },
+
+  list: raw => raw.split(',').map(item => item.trim()).filter(Boolean)
+};
+
+/**
+ * Declare a setting
+ * @param {string} type - One of the TYPES
+ * @param {string|Array<string>} env - Environment variable(s) it is read from; the first one set wins
+ * @param {Object} [options] - Options
+ * @param {*|Function} [options.default] - Value when unset, or (env) => value
+ * @param {boolean|Array<string>|Function} [options.required] - Always, in the named profiles, or (config) => boolean
+ * @param {Array} [options.oneOf] - Allowed values
+ * @param {number} [options.min] - Smallest allowed number
+ * @param {string} [options.description] - What the setting is, for error messages
+ * @returns {Object} - Setting definition
+ */
+function setting(type, env, options = {}) {
+  return { type, env: [].concat(env), ...options, isSetting: true };
+}
+
+/**
+ * Require a setting in the named profiles only
+ * @param {...string} profiles - Profile names
+ * @returns {Array<string>} - Profile names
+ */
+function inProfiles(...profiles) {
+  return profiles;
+}
+
+/**
+ * Read the first of a setting's environment variables that is set
+ * @param {Object} definition - Setting definition
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - { name, raw }, or null when none is set
+ */
+function readEnv(definition, env) {
+  const name = definition.env.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+  return name ? { name, raw: env[name] } : null;
+}
+
+/**
+ * Check a parsed value against a setting's constraints
+ * @param {Object} definition - Setting definition
+ * @param {*} value - Parsed value
+ * @returns {string|null} - What is wrong, or null
+ */
+function checkConstraints(definition, value) {
+  if (definition.oneOf && !definition.oneOf.includes(value)) {
+    return `must be one of: ${definition.oneOf.join(', ')}`;
+  }
+
+  if (definition.min !== undefined && value < definition.min) {
+    return `must be at least ${definition.min}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a setting is required once the rest of the config is known
+ * @param {Object} definition - Setting definition
+ * @param {Object} config - Built config, including its profile
+ * @returns {boolean}
+ */
+function isRequired(definition, config) {
+  const { required } = definition;
+
+  if (typeof required === 'function') {
+    return required(config);
+  }
+
+  if (Array.isArray(required)) {
+    return required.includes(config.profile);
+  }
+
+  return Boolean(required);
+}
+
+/**
+ * Describe a setting for messages, e.g. "STRIPE_SECRET_KEY (Stripe secret API key)"
+ * @param {Object} definition - Setting definition
+ * @returns {string} - Description
+ */
+function describe(definition) {
+  return definition.description
+    ? `${definition.env[0]} (${definition.description})`
+    : definition.env[0];
+}
+
+/**
+ * Walk a schema, calling fn for every setting with its dotted path
+ * @param {Object} schema - Settings schema
+ * @param {Function} fn - (definition, path) => void
+ * @param {string} [prefix] - Path of the schema being walked
+ */
+function walk(schema, fn, prefix = '') {
+  Object.keys(schema).forEach(key => {
+    const node = schema[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (node && node.isSetting) {
+      fn(node, path);
+    } else {
+      walk(node, fn, path);
+    }
+  });
+}
+
+/**
+ * Set a value at a dotted path, creating objects on the way
+ * @param {Object} target - Object to set on
+ * @param {string} path - Dotted path
+ * @param {*} value - Value
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Create the error thrown when the environment does not make a valid config
+ * @param {string} profile - Profile that was loaded
+ * @param {Array<string>} problems - Everything that is wrong
+ * @returns {Error} - Error with .problems
+ */
+function createConfigError(profile, problems) {
+  const error = new Error(
+    `Invalid configuration for the "${profile}" profile:\n${problems.map(problem => `  - ${problem}`).join('\n')}`
+  );
+  error.name = 'ConfigError';
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Build and validate the config
+ * Each setting comes from its environment variable, else the profile's default,
+ * else the schema's default
+ * @param {Object} schema - Settings schema
+ * @param {Object} env - Environment variables
+ * @param {string} profile - Profile name
+ * @param {Object} profiles - Every profile's defaults, by dotted path
+ * @returns {Object} - { config, unsetForProduction }
+ * @throws {Error} - ConfigError listing every missing or invalid setting
+ */
+function loadConfig(schema, env, profile, profiles) {
+  const profileDefaults = profiles[profile];
+  const config = { profile };
+  const problems = [];
+  const invalid = new Set();
+  const unset = [];
+
+  walk(schema, (definition, path) => {
+    const found = readEnv(definition, env);
+    let value;
+
+    if (found) {
+      try {
+        value = TYPES[definition.type](found.raw);
+      } catch (error) {
+        problems.push(`${found.name} ${error.message}, got "${found.raw}"`);
+        invalid.add(path);
+        return;
+      }
+
+      const problem = checkConstraints(definition, value);
+      if (problem) {
+        problems.push(`${found.name} ${problem}, got "${found.raw}"`);
+        invalid.add(path);
+        return;
+      }
+    } else {
+      const fallback = path in profileDefaults ? profileDefaults[path] : definition.default;
+      value = typeof fallback === 'function' ? fallback(env) : fallback;
+    }
+
+    setPath(config, path, value === undefined ? null : value);
+  });
+
+  // Requirements can depend on other settings, so they are checked once everything is read
+  walk(schema, (definition, path) => {
+    const value = path.split('.').reduce((node, key) => (node ? node[key] : undefined), config);
+
+    if (invalid.has(path) || (value !== null && value !== undefined)) {
+      return;
+    }
+
+    if (isRequired(definition, config)) {
+      problems.push(`${describe(definition)} is required`);
+    } else if (!(path in profiles.production) && isRequired(definition, { ...config, profile: 'production' })) {
+      // Noted so non-production deployments can show what going live still needs
+      unset.push(definition.env[0]);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw createConfigError(profile, problems);
+  }
+
+  return { config, unsetForProduction: unset };
+}
+
+module.exports = {
+  setting,
+  inProfiles,
+  loadConfig
+};
@@ -0,0 +1,64 @@
+/**
+ * Environment profiles
+ * A profile supplies defaults for the environment the site runs in; anything set
+ * in the environment still wins. Settings are named by their path in the config
+ * object. Which settings each profile requires is declared in schema.js.
+ */
+
+const PROFILES = {
+  // A laptop: SQLite (unless Supabase credentials are set), mail written to
+  // data/outbox, readable logs, and Stripe keys only needed to try checkout
+  development: {
+    'logging.format': 'pretty'
+  },
+
+  // Automated tests: a throwaway database and no proof-of-work to solve
+  test: {
+    'storage.sqlitePath': ':memory:',
+    'spamCheck.difficulty': 0,
+    'logging.level': 'warn',
+    'logging.format': 'pretty'
+  },
+
+  // Vercel preview deployments: production settings, but links point at the preview
+  preview: {
+    'site.url': env => (env.VERCEL_URL ? `https://${env.VERCEL_URL}` : undefined),
+    'storage.backend': 'supabase',
+    'logging.format': 'json'
+  },
+
+  // The live site: Supabase, SMTP, and every secret set
+  production: {
+    'site.url': 'https://rejewvenatebychb.com',
+    'storage.backend': 'supabase',
+    'mail.transport': 'smtp',
+    'logging.format': 'json'
+  }
+};
+
+/**
+ * Work out which profile to use
+ * APP_ENV picks one explicitly; otherwise Vercel's environment, then NODE_ENV, decide
+ * @param {Object} env - Environment variables
+ * @returns {string} - Profile name
+ */
+function selectProfile(env) {
+  if (env.APP_ENV) {
+    return env.APP_ENV;
+  }
+
+  if (env.VERCEL_ENV) {
+    return env.VERCEL_ENV;
+  }
+
+  if (env.NODE_ENV === 'production' || env.NODE_ENV === 'test') {
+    return env.NODE_ENV;
+  }
+
+  return 'development';
+}
+
+module.exports = {
+  PROFILES,
+  selectProfile
+};
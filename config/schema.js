@@ -0,0 +1,178 @@
+/**
+ * Every setting the site reads, where it comes from and what it must look like
+ * The shape of this object is the shape of the config object modules import.
+ */
+const path = require('path');
+const { setting, inProfiles } = require('./loader');
+
+// Settings a deployed site cannot work without: payments, and secrets that must
+// be the same on every serverless instance
+const DEPLOYED = inProfiles('production', 'preview');
+
+const schema = {
+  port: setting('integer', 'PORT', { default: 3000, min: 1 }),
+  nodeEnv: setting('string', 'NODE_ENV', { default: 'development' }),
+  isVercel: setting('boolean', 'VERCEL', { default: false }),
+  vercelEnv: setting('string', 'VERCEL_ENV'),
+  vercelUrl: setting('string', 'VERCEL_URL'),
+  // Proxy hops to trust for the client IP (X-Forwarded-For); Vercel puts one proxy in front
+  trustProxy: setting('integer', 'TRUST_PROXY', {
+    default: env => (env.VERCEL === '1' ? 1 : 0),
+    min: 0
+  }),
+
+  // Public address of the site, used for links in emails and payment redirects
+  site: {
+    url: setting('url', 'SITE_URL', {
+      required: DEPLOYED,
+      description: 'public address of the site, e.g. https://rejewvenatebychb.com'
+    })
+  },
+
+  // Stripe settings
+  stripe: {
+    secretKey: setting('string', 'STRIPE_SECRET_KEY', { required: DEPLOYED, description: 'Stripe secret API key' }),
+    webhookSecret: setting('string', 'STRIPE_WEBHOOK_SECRET', {
+      required: DEPLOYED,
+      description: 'signing secret of the Stripe webhook endpoint'
+    })
+  },
+
+  // Storage settings ('supabase' or 'sqlite')
+  storage: {
+    backend: setting('string', 'STORAGE_BACKEND', {
+      default: env => (env.SUPABASE_SERVICE_ROLE ? 'supabase' : 'sqlite'),
+      oneOf: ['supabase', 'sqlite']
+    }),
+    sqlitePath: setting('string', 'SQLITE_PATH', { default: path.join(__dirname, '..', 'data', 'rejewvenate.db') })
+  },
+
+  // Supabase settings
+  supabase: {
+    url: setting('url', 'SUPABASE_URL', {
+      required: config => config.storage.backend === 'supabase',
+      description: 'Supabase project URL'
+    }),
+    serviceRoleKey: setting('string', 'SUPABASE_SERVICE_ROLE', {
+      required: config => config.storage.backend === 'supabase',
+      description: 'Supabase service role key'
+    })
+  },
+
+  // Admin dashboard authentication
+  admin: {
+    // Legacy shared password, only accepted until the first admin user is created
+    password: setting('string', 'ADMIN_PASSWORD'),
+    sessionSecret: setting('string', 'ADMIN_SESSION_SECRET', { required: DEPLOYED, description: 'signs admin sessions' }),
+    sessionTtlHours: setting('number', 'ADMIN_SESSION_TTL_HOURS', { default: 12, min: 0 })
+  },
+
+  // "Manage my monthly gift" links emailed to donors
+  donorPortal: {
+    linkSecret: setting('string', 'DONOR_LINK_SECRET', { required: DEPLOYED, description: 'signs manage-gift links' }),
+    linkTtlHours: setting('number', 'DONOR_LINK_TTL_HOURS', { default: 24, min: 0 })
+  },
+
+  // Event registrations
+  registrations: {
+    // Days a deleted registration can be restored before it is purged for good
+    deletedRetentionDays: setting('integer', 'DELETED_REGISTRATION_RETENTION_DAYS', { default: 30, min: 1 }),
+    // Signs the links registrants use to view, change or cancel their registration
+    linkSecret: setting('string', 'REGISTRATION_LINK_SECRET', {
+      required: DEPLOYED,
+      description: 'signs manage-registration links'
+    }),
+    linkTtlDays: setting('integer', 'REGISTRATION_LINK_TTL_DAYS', { default: 90, min: 1 })
+  },
+
+  // Hebrew calendar and the place candle-lighting times are calculated for
+  calendar: {
+    latitude: setting('number', 'CALENDAR_LATITUDE', { default: 40.7128 }),
+    longitude: setting('number', 'CALENDAR_LONGITUDE', { default: -74.006 }),
+    timeZone: setting('string', 'CALENDAR_TIME_ZONE', { default: 'America/New_York' }),
+    // Israel keeps one day of each festival; everywhere else keeps two
+    israel: setting('boolean', 'CALENDAR_ISRAEL', { default: false }),
+    candleLightingMinutes: setting('integer', 'CANDLE_LIGHTING_MINUTES', { default: 18, min: 0 }),
+    // Havdalah a fixed number of minutes after sunset; unset uses nightfall (sun 8.5° down)
+    havdalahMinutes: setting('integer', 'HAVDALAH_MINUTES', { min: 1 }),
+    // Weeks of Shabbat occurrences scheduled ahead of time
+    shabbatWeeksAhead: setting('integer', 'SHABBAT_WEEKS_AHEAD', { default: 4, min: 1 })
+  },
+
+  // Abuse protection for public forms and admin login
+  rateLimit: {
+    // Where hit counts are kept ('memory')
+    store: setting('string', 'RATE_LIMIT_STORE', { default: 'memory', oneOf: ['memory'] }),
+    // Failed admin logins allowed per username before it is locked out
+    loginMaxFailures: setting('integer', 'ADMIN_LOGIN_MAX_FAILURES', { default: 5, min: 1 }),
+    loginLockoutMinutes: setting('integer', 'ADMIN_LOGIN_LOCKOUT_MINUTES', { default: 15, min: 1 })
+  },
+  spamCheck: {
+    // Signs proof-of-work challenges so any instance can check them
+    secret: setting('string', 'SPAM_CHECK_SECRET', { required: DEPLOYED, description: 'signs spam-check challenges' }),
+    // Leading zero bits the proof-of-work hash needs; 0 leaves only the honeypot check
+    difficulty: setting('integer', 'SPAM_CHECK_DIFFICULTY', { default: 14, min: 0 }),
+    challengeTtlMinutes: setting('integer', 'SPAM_CHECK_TTL_MINUTES', { default: 30, min: 1 })
+  },
+
+  // Log output
+  logging: {
+    level: setting('string', 'LOG_LEVEL', { default: 'info', oneOf: ['debug', 'info', 'warn', 'error'] }),
+    format: setting('string', 'LOG_FORMAT', { default: 'pretty', oneOf: ['json', 'pretty'] })
+  },
+
+  // Health checks and Prometheus metrics
+  monitoring: {
+    // Bearer token the metrics scraper sends; /metrics is refused while it is unset
+    metricsToken: setting('string', 'METRICS_TOKEN'),
+    // How long /readyz waits for the database before reporting it unreachable
+    readinessTimeoutMs: setting('integer', 'READINESS_TIMEOUT_MS', { default: 5000, min: 1 })
+  },
+
+  // Scheduled jobs (Vercel Cron sends this as a bearer token; it only runs them in production)
+  cron: {
+    secret: setting('string', 'CRON_SECRET', {
+      required: inProfiles('production'),
+      description: 'token Vercel Cron sends to scheduled jobs'
+    })
+  },
+
+  // Parts of the site that can be switched off
+  features: {
+    // Serve Prometheus metrics at /metrics
+    metrics: setting('boolean', 'FEATURE_METRICS', { default: true }),
+    // Require the honeypot and proof-of-work on public forms
+    spamCheck: setting('boolean', 'FEATURE_SPAM_CHECK', { default: true })
+  },
+
+  // Organization details used in emails and donation receipts
+  organization: {
+    name: setting('string', 'ORG_NAME', { default: 'Rejewvenate' }),
+    legalName: setting('string', ['ORG_LEGAL_NAME', 'ORG_NAME'], { default: 'Rejewvenate' }),
+    taxId: setting('string', 'ORG_TAX_ID'),
+    address: setting('string', 'ORG_ADDRESS')
+  },
+
+  // Mail settings ('smtp' or 'outbox')
+  mail: {
+    transport: setting('string', 'MAIL_TRANSPORT', {
+      default: env => (env.SMTP_HOST ? 'smtp' : 'outbox'),
+      oneOf: ['smtp', 'outbox']
+    }),
+    from: setting('string', 'MAIL_FROM', { default: 'Rejewvenate <no-reply@rejewvenatebychb.com>' }),
+    staffRecipients: setting('list', 'CONTACT_EMAIL_TO', { default: ['info@rejewvenatebychb.com'] }),
+    outboxPath: setting('string', 'MAIL_OUTBOX_PATH', { default: path.join(__dirname, '..', 'data', 'outbox') }),
+    smtp: {
+      host: setting('string', 'SMTP_HOST', {
+        required: config => config.mail.transport === 'smtp',
+        description: 'SMTP server to send mail through'
+      }),
+      port: setting('integer', 'SMTP_PORT', { default: 587, min: 1 }),
+      secure: setting('boolean', 'SMTP_SECURE', { default: false }),
+      user: setting('string', 'SMTP_USER'),
+      pass: setting('string', 'SMTP_PASS')
+    }
+  }
+};
+
+module.exports = schema;
@@ -0,0 +1,75 @@
+/**
+ * Admin authentication middleware
+ * Shared by every router that exposes /admin endpoints
+ */
+const adminAuth = require('../services/admin-auth');
+
+/**
+ * Extract the bearer token from a request
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Token, or null if none was sent
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.substring(7); // Remove 'Bearer ' prefix
+}
+
+/**
+ * Middleware to verify admin token
+ * Sets req.admin to the signed-in admin ({ id, username, role, expiresAt })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function verifyAdminToken(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'No authorization token provided'
+    });
+  }
+
+  const session = adminAuth.verifySessionToken(token);
+
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+
+  req.admin = session;
+  next();
+}
+
+/**
+ * Middleware factory to require an admin role
+ * Must run after verifyAdminToken
+ * @param {string} role - Required role ('editor')
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.admin || req.admin.role !== role) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${role} role`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  getBearerToken,
+  verifyAdminToken,
+  requireRole
+};
@@ -0,0 +1,43 @@
+/**
+ * Scheduled job authentication middleware
+ * Vercel Cron calls job endpoints with "Authorization: Bearer <CRON_SECRET>"
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { getBearerToken } = require('./admin-auth');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('middlewares/cron-auth');
+
+/**
+ * Middleware to verify the cron secret
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function verifyCronSecret(req, res, next) {
+  if (!config.cron.secret) {
+    log.error('CRON_SECRET is not set; refusing to run scheduled job');
+    return res.status(503).json({
+      success: false,
+      message: 'Scheduled jobs are not configured'
+    });
+  }
+
+  const token = getBearerToken(req) || '';
+  const expected = crypto.createHash('sha256').update(config.cron.secret).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyCronSecret
+};
@@ -0,0 +1,32 @@
+/**
+ * Donor authentication middleware
+ * The "manage my monthly gift" page sends the token from its emailed link as a bearer token
+ */
+const subscriptions = require('../services/subscriptions');
+const { getBearerToken } = require('./admin-auth');
+
+/**
+ * Middleware to verify a manage-gift link token
+ * Sets req.donor to the signed-in donor ({ email, expiresAt })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function verifyDonorToken(req, res, next) {
+  const token = getBearerToken(req);
+  const donor = token ? subscriptions.verifyManageToken(token) : null;
+
+  if (!donor) {
+    return res.status(401).json({
+      success: false,
+      message: 'This link is invalid or has expired. Please request a new one.'
+    });
+  }
+
+  req.donor = donor;
+  next();
+}
+
+module.exports = {
+  verifyDonorToken
+};
@@ -0,0 +1,39 @@
+/**
+ * Metrics scraper authentication middleware
+ * Prometheus scrapes /metrics with "Authorization: Bearer <METRICS_TOKEN>"
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { getBearerToken } = require('./admin-auth');
+
+/**
+ * Middleware to verify the metrics token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function verifyMetricsToken(req, res, next) {
+  if (!config.monitoring.metricsToken) {
+    return res.status(503).json({
+      success: false,
+      message: 'Metrics are not configured'
+    });
+  }
+
+  const token = getBearerToken(req) || '';
+  const expected = crypto.createHash('sha256').update(config.monitoring.metricsToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid metrics token'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyMetricsToken
+};
@@ -0,0 +1,64 @@
+/**
+ * Rate limiting middleware for public forms
+ * Routes declare limits per client IP and per email address; a request over
+ * either limit gets a 429 with a Retry-After header
+ */
+const rateLimiter = require('../services/rate-limit');
+const { createTooManyRequestsError, sendError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('middlewares/rate-limit');
+
+/**
+ * What each limit is keyed by
+ */
+const KEY_GETTERS = {
+  ip: req => req.ip,
+  email: req => (req.body && typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '')
+};
+
+/**
+ * Create middleware that limits how often a form can be submitted
+ * If the store fails, requests are let through rather than turning everyone away
+ * @param {string} name - Name of the form, used to namespace its counts
+ * @param {Object} limits - Rules by key: { ip: { limit, windowMinutes }, email: { limit, windowMinutes } }
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(name, limits) {
+  return async (req, res, next) => {
+    let result = null;
+    let limitedBy = null;
+
+    try {
+      for (const keyName of Object.keys(limits)) {
+        const key = KEY_GETTERS[keyName](req);
+        if (!key) {
+          continue;
+        }
+
+        result = await rateLimiter.hit(`${name}:${keyName}`, key, limits[keyName]);
+        if (!result.allowed) {
+          limitedBy = keyName;
+          break;
+        }
+      }
+    } catch (error) {
+      log.error(`Rate limit check failed for ${req.method} ${req.path}; allowing the request`, error);
+      return next();
+    }
+
+    if (limitedBy) {
+      log.warn(`Rate limited ${req.method} ${req.path} by ${limitedBy}`);
+      return sendError(res, createTooManyRequestsError(
+        `Too many requests. Please try again in ${rateLimiter.formatRetryAfter(result.retryAfterSeconds)}.`,
+        result.retryAfterSeconds
+      ), 'Too many requests');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit
+};
@@ -0,0 +1,33 @@
+/**
+ * Registrant authentication middleware
+ * The "my registration" page sends the token from its link as a bearer token;
+ * plain links, like calendar downloads, can pass it as ?token= instead
+ */
+const registrationLinks = require('../services/registration-links');
+const { getBearerToken } = require('./admin-auth');
+
+/**
+ * Middleware to verify a registration link token
+ * Sets req.registrationLink to the registration it is for ({ registrationId, eventId })
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function verifyRegistrationToken(req, res, next) {
+  const token = getBearerToken(req) || req.query.token;
+  const link = token ? registrationLinks.verifyToken(token) : null;
+
+  if (!link) {
+    return res.status(401).json({
+      success: false,
+      message: 'This link is invalid or has expired.'
+    });
+  }
+
+  req.registrationLink = link;
+  next();
+}
+
+module.exports = {
+  verifyRegistrationToken
+};
@@ -0,0 +1,50 @@
+/**
+ * Middleware that gives every request an ID and logs it when it finishes
+ * The ID is taken from an inbound X-Request-Id header (e.g. from a proxy) when it
+ * looks safe, is sent back in the response, and is attached to every log line,
+ * Stripe call and Supabase call made while the request is handled.
+ */
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { runWithContext } = require('../utils/request-context');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('middlewares/request-id');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const INBOUND_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * Request ID middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requestId(req, res, next) {
+  const inbound = req.get(REQUEST_ID_HEADER);
+  const id = inbound && INBOUND_ID_PATTERN.test(inbound) ? inbound : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = id;
+  res.setHeader(REQUEST_ID_HEADER, id);
+
+  runWithContext({ requestId: id }, () => {
+    // 'finish' fires from socket callbacks, so the listener is bound to this request's context
+    res.on('finish', AsyncResource.bind(() => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+
+      // The path only: query strings can carry tokens and email addresses
+      log[level]('Request completed', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs)
+      });
+    }));
+
+    next();
+  });
+}
+
+module.exports = requestId;
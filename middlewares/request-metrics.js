@@ -0,0 +1,43 @@
+/**
+ * Middleware that counts requests and times them for /metrics
+ * Requests are labelled by route pattern (/events/:slug/register), not by URL,
+ * so the number of series stays small.
+ */
+const metrics = require('../services/metrics');
+
+/**
+ * Label for the route a request was handled by
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string} - Route pattern, 'static' for files from /public, or 'unmatched'
+ */
+function getRouteLabel(req, res) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+
+  return res.statusCode < 400 ? 'static' : 'unmatched';
+}
+
+/**
+ * Request metrics middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function recordRequestMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    metrics.recordHttpRequest({
+      method: req.method,
+      route: getRouteLabel(req, res),
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+    });
+  });
+
+  next();
+}
+
+module.exports = recordRequestMetrics;
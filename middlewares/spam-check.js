@@ -0,0 +1,30 @@
+/**
+ * Spam check middleware for public forms
+ * Must run before validateBody, which drops the honeypot and proof-of-work fields
+ */
+const spamCheck = require('../services/spam-check');
+const { sendError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('middlewares/spam-check');
+
+/**
+ * Middleware to reject form submissions that fail the honeypot or proof-of-work check
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function requireSpamCheck(req, res, next) {
+  try {
+    await spamCheck.verifySubmission(req.body);
+  } catch (error) {
+    log.warn(`Rejected ${req.method} ${req.path} as likely spam`);
+    return sendError(res, error, 'Spam check failed');
+  }
+
+  next();
+}
+
+module.exports = {
+  requireSpamCheck
+};
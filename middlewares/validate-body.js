@@ -0,0 +1,33 @@
+/**
+ * Request body validation middleware
+ * Routes declare a schema (see utils/validation) and handlers only ever see
+ * the normalized values; invalid bodies get a 400 listing every bad field
+ */
+const { validate } = require('../utils/validation');
+const { sendError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('middlewares/validate-body');
+
+/**
+ * Create middleware that validates req.body against a schema
+ * Replaces req.body with the normalized values
+ * @param {Object} schema - Field name to rule
+ * @returns {Function} - Express middleware
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    try {
+      req.body = validate(schema, req.body);
+    } catch (error) {
+      log.info(`Rejected ${req.method} ${req.path}: ${error.message}`);
+      return sendError(res, error, 'Invalid request');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validateBody
+};
@@ -3,130 +3,285 @@
  */
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 
-const supabaseService = require('../services/supabase');
+const storage = require('../services/storage');
+const eventsService = require('../services/events');
+const contactService = require('../services/contact');
+const audit = require('../services/audit');
+const paymentsService = require('../services/payments');
+const webhookEvents = require('../services/webhook-events');
+const subscriptions = require('../services/subscriptions');
+const peopleService = require('../services/people');
+const checkInService = require('../services/check-in');
+const exportsService = require('../services/exports');
+const { sendError } = require('../utils/http-error');
+const adminAuth = require('../services/admin-auth');
+const { verifyAdminToken, requireRole } = require('../middlewares/admin-auth');
+const { validateBody } = require('../middlewares/validate-body');
+const { createLogger } = require('../utils/logger');
 
-// Simple in-memory token storage (in production, use Redis or database)
-const validTokens = new Set();
+const log = createLogger('routes/admin');
 
-/**
- * Generate a simple auth token
- */
-function generateToken() {
-  return crypto.randomBytes(32).toString('hex');
-}
+const CONTACT_MESSAGE_STATUS_SCHEMA = {
+  read: { type: 'boolean', label: 'Read' },
+  replied: { type: 'boolean', label: 'Replied' },
+  archived: { type: 'boolean', label: 'Archived' }
+};
 
 /**
  * Admin login route
  */
 router.post('/admin/login', async (req, res) => {
   try {
-    const { password } = req.body;
-    
-    if (!password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Password is required' 
-      });
-    }
-    
-    const adminPassword = process.env.ADMIN_PASSWORD;
+    const { username, password } = req.body;
     
-    if (!adminPassword) {
-      console.error('ADMIN_PASSWORD environment variable not set');
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Admin access not configured' 
-      });
-    }
+    const result = await adminAuth.login(
+      { username, password },
+      { ip: req.ip, userAgent: req.headers['user-agent'] }
+    );
     
-    if (password === adminPassword) {
-      const token = generateToken();
-      validTokens.add(token);
-      
-      // Remove token after 24 hours
-      setTimeout(() => {
-        validTokens.delete(token);
-      }, 24 * 60 * 60 * 1000);
-      
-      console.log('Admin login successful');
-      res.json({ 
-        success: true, 
-        token: token,
-        message: 'Login successful' 
-      });
+    log.info(`Admin login successful: ${result.user.username} (${result.user.role})`);
+    res.json({ 
+      success: true, 
+      token: result.token,
+      expiresAt: result.expiresAt,
+      user: result.user,
+      message: 'Login successful' 
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      log.warn('Admin login failed - invalid credentials');
+    } else if (error.statusCode === 429) {
+      log.warn('Admin login refused - locked out after repeated failures');
     } else {
-      console.log('Admin login failed - invalid password');
-      res.status(401).json({ 
-        success: false, 
-        message: 'Invalid password' 
-      });
+      log.failure('Error during admin login', error);
     }
+    sendError(res, error, 'Login failed');
+  }
+});
+
+/**
+ * Get the signed-in admin (admin only)
+ */
+router.get('/admin/me', verifyAdminToken, (req, res) => {
+  res.json({ success: true, user: req.admin });
+});
+
+/**
+ * Recent admin login attempts (editors only)
+ */
+router.get('/admin/login-events', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const result = await storage.listAdminLoginEvents();
+    res.json(result);
   } catch (error) {
-    console.error('Error during admin login:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Login failed: ' + error.message 
+    log.failure('Error fetching admin login events', error);
+    sendError(res, error, 'Failed to fetch login events');
+  }
+});
+
+/**
+ * Who is making an admin change, for the audit log
+ * @param {Object} req - Express request object (after verifyAdminToken)
+ * @returns {Object} - Audit actor
+ */
+function auditActor(req) {
+  return { id: req.admin.id, username: req.admin.username, ip: req.ip };
+}
+
+/**
+ * Set the event slug for legacy per-holiday admin routes
+ * @param {string} slug - Event slug
+ * @returns {Function} - Express middleware
+ */
+function forEvent(slug) {
+  return (req, res, next) => {
+    req.params.slug = slug;
+    next();
+  };
+}
+
+/**
+ * Get all events with registration counts (admin only)
+ */
+router.get('/admin/events', verifyAdminToken, async (req, res) => {
+  try {
+    const events = await eventsService.listEvents();
+    res.json({ success: true, data: events });
+  } catch (error) {
+    log.failure('Error fetching admin events', error);
+    sendError(res, error, 'Failed to fetch events');
+  }
+});
+
+/**
+ * Create a new event (admin only)
+ */
+router.post('/admin/events', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const event = await eventsService.createEvent(req.body || {});
+    log.info(`Admin created event: ${event.slug}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event.create',
+      entityType: 'event',
+      entityId: event.id,
+      after: event
     });
+    
+    res.status(201).json({ success: true, data: event });
+  } catch (error) {
+    log.failure('Error creating event', error);
+    sendError(res, error, 'Failed to create event');
   }
 });
 
 /**
- * Middleware to verify admin token
+ * Update an event (admin only)
  */
-function verifyAdminToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'No authorization token provided' 
+router.patch('/admin/events/:slug', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const before = await eventsService.getEvent(req.params.slug);
+    const event = await eventsService.updateEvent(req.params.slug, req.body || {});
+    log.info(`Admin updated event: ${event.slug}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event.update',
+      entityType: 'event',
+      entityId: event.id,
+      before,
+      after: event
     });
+    
+    res.json({ success: true, data: event });
+  } catch (error) {
+    log.failure('Error updating event', error);
+    sendError(res, error, 'Failed to update event');
   }
-  
-  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-  
-  if (!validTokens.has(token)) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Invalid or expired token' 
+});
+
+/**
+ * List a weekly event's scheduled dates with registration counts (admin only)
+ */
+router.get('/admin/events/:slug/occurrences', verifyAdminToken, async (req, res) => {
+  try {
+    const { occurrences } = await eventsService.listOccurrences(req.params.slug, { from: req.query.from });
+    res.json({ success: true, data: occurrences });
+  } catch (error) {
+    log.failure('Error fetching event occurrences', error);
+    sendError(res, error, 'Failed to fetch dates');
+  }
+});
+
+/**
+ * Schedule a date for a weekly event (admin only)
+ */
+router.post('/admin/events/:slug/occurrences', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const { event, occurrence } = await eventsService.createOccurrence(req.params.slug, req.body || {});
+    log.info(`Admin scheduled ${event.slug} for ${occurrence.occurs_on}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_occurrence.create',
+      entityType: 'event_occurrence',
+      entityId: occurrence.id,
+      after: { ...occurrence, event_slug: event.slug }
     });
+    
+    res.status(201).json({ success: true, data: occurrence });
+  } catch (error) {
+    log.failure('Error creating event occurrence', error);
+    sendError(res, error, 'Failed to schedule date');
   }
-  
-  next();
-}
+});
 
 /**
- * Get all Shabbat registrations (admin only)
+ * Update a scheduled date's location, host, capacity or deadline (admin only)
  */
-router.get('/admin/registrations', verifyAdminToken, async (req, res) => {
+router.patch('/admin/events/:slug/occurrences/:id', verifyAdminToken, requireRole('editor'), async (req, res) => {
   try {
-    console.log('Admin requesting all registrations');
+    const { event, before, occurrence, promoted } = await eventsService.updateOccurrence(
+      req.params.slug,
+      req.params.id,
+      req.body || {}
+    );
+    log.info(`Admin updated ${event.slug} on ${occurrence.occurs_on}`);
     
-    const result = await supabaseService.getAllShabbatRegistrations();
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_occurrence.update',
+      entityType: 'event_occurrence',
+      entityId: occurrence.id,
+      before: { ...before, event_slug: event.slug },
+      after: { ...occurrence, event_slug: event.slug }
+    });
     
-    if (result.success) {
-      console.log(`Retrieved ${result.data.length} registrations for admin`);
-      res.json(result);
-    } else {
-      throw new Error('Failed to fetch registrations');
+    for (const promotedRegistration of promoted) {
+      await audit.recordAdminAction(auditActor(req), {
+        action: 'event_registration.promote',
+        entityType: 'event_registration',
+        entityId: promotedRegistration.id,
+        before: { status: 'waitlisted', event_slug: event.slug },
+        after: { ...promotedRegistration, event_slug: event.slug }
+      });
     }
+    
+    res.json({ success: true, data: occurrence, promoted });
   } catch (error) {
-    console.error('Error fetching admin registrations:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch registrations: ' + error.message 
+    log.failure('Error updating event occurrence', error);
+    sendError(res, error, 'Failed to update date');
+  }
+});
+
+/**
+ * Cancel a scheduled date and email its registrants (admin only)
+ */
+router.post('/admin/events/:slug/occurrences/:id/cancel', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const { event, before, occurrence, notified } = await eventsService.cancelOccurrence(req.params.slug, req.params.id);
+    log.info(`Admin cancelled ${event.slug} on ${occurrence.occurs_on}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_occurrence.cancel',
+      entityType: 'event_occurrence',
+      entityId: occurrence.id,
+      before: { ...before, event_slug: event.slug },
+      after: { ...occurrence, event_slug: event.slug }
     });
+    
+    res.json({ success: true, data: occurrence, notified });
+  } catch (error) {
+    log.failure('Error cancelling event occurrence', error);
+    sendError(res, error, 'Failed to cancel date');
   }
 });
 
 /**
- * Delete a specific registration (admin only)
+ * Get all registrations for an event (admin only)
  */
-router.delete('/admin/registrations/:id', verifyAdminToken, async (req, res) => {
+async function listEventRegistrations(req, res) {
   try {
-    const { id } = req.params;
+    const { slug } = req.params;
+    log.info(`Admin requesting all ${slug} registrations`);
+    
+    // Weekly events say which Shabbat each registration is for, and which is current
+    const { registrations, occurrences, currentDate } = await eventsService.listRegistrations(slug);
+    
+    log.info(`Retrieved ${registrations.length} ${slug} registrations for admin`);
+    res.json({ success: true, data: registrations, occurrences, currentDate });
+  } catch (error) {
+    log.failure('Error fetching admin registrations', error);
+    sendError(res, error, 'Failed to fetch registrations');
+  }
+}
+
+/**
+ * Delete a specific event registration (admin only)
+ * Registrations are soft-deleted and can be restored until the retention window passes.
+ * A freed seat goes to the next person on the waitlist.
+ */
+async function deleteEventRegistration(req, res) {
+  try {
+    const { slug, id } = req.params;
     
     if (!id) {
       return res.status(400).json({ 
@@ -135,90 +290,479 @@ router.delete('/admin/registrations/:id', verifyAdminToken, async (req, res) =>
       });
     }
     
-    console.log(`Admin requesting deletion of registration ID: ${id}`);
+    log.info(`Admin requesting deletion of ${slug} registration ID: ${id}`);
     
-    const result = await supabaseService.deleteShabbatRegistration(id);
+    const { registration, promoted } = await eventsService.deleteRegistration(slug, id);
     
-    if (result.success) {
-      console.log(`Successfully deleted registration ID: ${id}`);
-      res.json(result);
-    } else {
-      throw new Error('Failed to delete registration');
+    log.info(`Successfully deleted ${slug} registration ID: ${id}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_registration.delete',
+      entityType: 'event_registration',
+      entityId: id,
+      before: { ...registration, event_slug: slug }
+    });
+    
+    for (const promotedRegistration of promoted) {
+      await audit.recordAdminAction(auditActor(req), {
+        action: 'event_registration.promote',
+        entityType: 'event_registration',
+        entityId: promotedRegistration.id,
+        before: { status: 'waitlisted', event_slug: slug },
+        after: { ...promotedRegistration, event_slug: slug }
+      });
     }
+    
+    res.json({ success: true, data: [registration], promoted });
+  } catch (error) {
+    log.failure('Error deleting registration', error);
+    sendError(res, error, 'Failed to delete registration');
+  }
+}
+
+/**
+ * Restore a deleted event registration (admin only)
+ */
+async function restoreEventRegistration(req, res) {
+  try {
+    const { slug, id } = req.params;
+    
+    const { before, registration } = await eventsService.restoreRegistration(slug, id);
+    
+    log.info(`Restored ${slug} registration ID: ${id}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_registration.restore',
+      entityType: 'event_registration',
+      entityId: id,
+      before: { ...before, event_slug: slug },
+      after: { ...registration, event_slug: slug }
+    });
+    
+    res.json({ success: true, data: registration });
+  } catch (error) {
+    log.failure('Error restoring registration', error);
+    sendError(res, error, 'Failed to restore registration');
+  }
+}
+
+router.get('/admin/events/:slug/registrations', verifyAdminToken, listEventRegistrations);
+router.delete('/admin/events/:slug/registrations/:id', verifyAdminToken, requireRole('editor'), deleteEventRegistration);
+router.post('/admin/events/:slug/registrations/:id/restore', verifyAdminToken, requireRole('editor'), restoreEventRegistration);
+
+// Legacy per-holiday routes, kept for existing bookmarks and scripts
+router.get('/admin/registrations', verifyAdminToken, forEvent('shabbat'), listEventRegistrations);
+router.delete('/admin/registrations/:id', verifyAdminToken, requireRole('editor'), forEvent('shabbat'), deleteEventRegistration);
+router.get('/admin/rosh-hashana-registrations', verifyAdminToken, forEvent('rosh-hashana'), listEventRegistrations);
+router.delete('/admin/rosh-hashana-registrations/:id', verifyAdminToken, requireRole('editor'), forEvent('rosh-hashana'), deleteEventRegistration);
+
+/**
+ * Attendee list for the check-in page, searchable by name (admin only)
+ * Weekly events list this Shabbat's registrations unless ?date= picks another
+ */
+router.get('/admin/events/:slug/check-in', verifyAdminToken, async (req, res) => {
+  try {
+    const { date, attendees, stats } = await checkInService.listAttendees(req.params.slug, {
+      search: req.query.q,
+      date: req.query.date
+    });
+    res.json({ success: true, data: attendees, date, stats });
+  } catch (error) {
+    log.failure('Error fetching attendees', error);
+    sendError(res, error, 'Failed to fetch attendees');
+  }
+});
+
+/**
+ * Record a check-in and respond with the attendee
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of a check-in service call
+ */
+async function sendCheckIn(req, res, result) {
+  const { event, before, registration, attendee, alreadyCheckedIn, warnings } = result;
+    
+  if (!alreadyCheckedIn) {
+    log.info(`${req.admin.username} checked in ${event.slug} registration ID: ${registration.id}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_registration.check_in',
+      entityType: 'event_registration',
+      entityId: registration.id,
+      before: { checked_in_at: before.checked_in_at, event_slug: event.slug },
+      after: { checked_in_at: registration.checked_in_at, checked_in_by: registration.checked_in_by, event_slug: event.slug }
+    });
+  }
+    
+  res.json({ success: true, data: attendee, alreadyCheckedIn, warnings });
+}
+
+/**
+ * Check in whoever a scanned ticket belongs to (editors only)
+ */
+router.post('/admin/check-in', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    await sendCheckIn(req, res, await checkInService.checkInByCode(req.body.code, auditActor(req)));
+  } catch (error) {
+    log.failure('Error checking in ticket', error);
+    sendError(res, error, 'Failed to check in');
+  }
+});
+
+/**
+ * Check in a registration found by name (editors only)
+ */
+router.post('/admin/events/:slug/registrations/:id/check-in', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const { slug, id } = req.params;
+    await sendCheckIn(req, res, await checkInService.checkInRegistration(slug, id, auditActor(req)));
   } catch (error) {
-    console.error('Error deleting registration:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to delete registration: ' + error.message 
+    log.failure('Error checking in registration', error);
+    sendError(res, error, 'Failed to check in');
+  }
+});
+
+/**
+ * Undo a check-in made by mistake (editors only)
+ */
+router.delete('/admin/events/:slug/registrations/:id/check-in', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const { slug, id } = req.params;
+    const { before, registration } = await checkInService.undoCheckIn(slug, id);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'event_registration.undo_check_in',
+      entityType: 'event_registration',
+      entityId: id,
+      before: { checked_in_at: before.checked_in_at, checked_in_by: before.checked_in_by, event_slug: slug },
+      after: { checked_in_at: null, event_slug: slug }
     });
+    
+    res.json({ success: true, data: registration });
+  } catch (error) {
+    log.failure('Error undoing check-in', error);
+    sendError(res, error, 'Failed to undo check-in');
   }
 });
 
 /**
- * Get all Rosh Hashana registrations (admin only)
+ * Registrations deleted within the retention window (admin only)
+ * Query: event=slug to limit to one event
  */
-router.get('/admin/rosh-hashana-registrations', verifyAdminToken, async (req, res) => {
+router.get('/admin/deleted-registrations', verifyAdminToken, async (req, res) => {
   try {
-    console.log('Admin requesting all Rosh Hashana registrations');
+    const registrations = await eventsService.listDeletedRegistrations({ slug: req.query.event });
     
-    const result = await supabaseService.getAllRoshHashanaRegistrations();
+    log.info(`Retrieved ${registrations.length} deleted registrations for admin`);
+    res.json({ success: true, data: registrations });
+  } catch (error) {
+    log.failure('Error fetching deleted registrations', error);
+    sendError(res, error, 'Failed to fetch deleted registrations');
+  }
+});
+
+/**
+ * List contact messages (admin only)
+ * Query: folder=inbox|unread|archived|all, q=search text
+ */
+router.get('/admin/contact-messages', verifyAdminToken, async (req, res) => {
+  try {
+    const { folder, q } = req.query;
+    const result = await contactService.listMessages({ folder, search: q });
     
-    if (result.success) {
-      console.log(`Retrieved ${result.data.length} Rosh Hashana registrations for admin`);
-      res.json(result);
-    } else {
-      throw new Error('Failed to fetch Rosh Hashana registrations');
+    log.info(`Retrieved ${result.data.length} contact messages for admin`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log.failure('Error fetching contact messages', error);
+    sendError(res, error, 'Failed to fetch contact messages');
+  }
+});
+
+/**
+ * Mark a contact message as read/unread, replied or archived (editors only)
+ * Body: any of { read, replied, archived } as booleans
+ */
+router.patch('/admin/contact-messages/:id', verifyAdminToken, requireRole('editor'), validateBody(CONTACT_MESSAGE_STATUS_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { read, replied, archived } = req.body;
+    
+    const before = await storage.getContactMessage(id);
+    const message = await contactService.updateMessageStatus(id, { read, replied, archived });
+    
+    log.info(`Admin updated contact message ID: ${id}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'contact_message.update',
+      entityType: 'contact_message',
+      entityId: id,
+      before: before.data,
+      after: message
+    });
+    
+    res.json({ success: true, data: message });
+  } catch (error) {
+    log.failure('Error updating contact message', error);
+    sendError(res, error, 'Failed to update contact message');
+  }
+});
+
+/**
+ * Payments ledger (admin only)
+ * Query: status, kind, email
+ */
+router.get('/admin/payments', verifyAdminToken, async (req, res) => {
+  try {
+    const { status, kind, email } = req.query;
+    const payments = await paymentsService.listPayments({ status, kind, email });
+    
+    log.info(`Retrieved ${payments.length} payments for admin`);
+    res.json({ success: true, data: payments });
+  } catch (error) {
+    log.failure('Error fetching payments', error);
+    sendError(res, error, 'Failed to fetch payments');
+  }
+});
+
+/**
+ * Download registrations, donations or contacts (admin only)
+ * Query: format (csv or xlsx), from, to (YYYY-MM-DD), event (slug), status (new or returning), hebrewYear
+ */
+router.get('/admin/export/:dataset', verifyAdminToken, async (req, res) => {
+  try {
+    const { dataset } = req.params;
+    const result = await exportsService.getExport(dataset, req.query);
+    
+    log.info(`${req.admin.username} exported ${result.rows.length} ${dataset} rows as ${result.format}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'export.download',
+      entityType: 'export',
+      entityId: dataset,
+      after: { ...result.filters, rows: result.rows.length }
+    });
+    
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    
+    if (result.format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      return res.send(exportsService.toXlsx(result));
+    }
+    
+    // Written line by line; the byte order mark tells Excel the file is UTF-8
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.write('\uFEFF');
+    for (const line of exportsService.toCsvLines(result)) {
+      res.write(line);
     }
+    res.end();
+  } catch (error) {
+    log.failure('Error exporting data', error);
+    sendError(res, error, 'Failed to export data');
+  }
+});
+
+/**
+ * People with attendance and lifetime giving totals (admin only)
+ * Query: search (name or email)
+ */
+router.get('/admin/people', verifyAdminToken, async (req, res) => {
+  try {
+    const people = await peopleService.listPeople({ search: req.query.search });
+    
+    log.info(`Retrieved ${people.length} people for admin`);
+    res.json({ success: true, data: people });
   } catch (error) {
-    console.error('Error fetching admin Rosh Hashana registrations:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch Rosh Hashana registrations: ' + error.message 
+    log.failure('Error fetching people', error);
+    sendError(res, error, 'Failed to fetch people');
+  }
+});
+
+/**
+ * Pairs of people who might be the same person, most likely first (admin only)
+ */
+router.get('/admin/people/duplicates', verifyAdminToken, async (req, res) => {
+  try {
+    const duplicates = await peopleService.findDuplicates();
+    
+    log.info(`Found ${duplicates.length} possible duplicate people`);
+    res.json({ success: true, data: duplicates });
+  } catch (error) {
+    log.failure('Error finding duplicate people', error);
+    sendError(res, error, 'Failed to find duplicate people');
+  }
+});
+
+/**
+ * Merge a duplicate person into this one (editors only)
+ * Body: duplicateId
+ */
+router.post('/admin/people/:id/merge', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  const { id } = req.params;
+  const { duplicateId } = req.body;
+    
+  try {
+    const { before, person, moved, flagsChanged } = await peopleService.mergePeople(id, duplicateId);
+    
+    log.info(`Admin ${req.admin.username} merged person ${before.source.id} into ${before.target.id}`);
+    
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'person.merge',
+      entityType: 'person',
+      entityId: before.target.id,
+      before,
+      after: { person, moved, flagsChanged }
     });
+    
+    res.json({ success: true, data: person, moved, flagsChanged });
+  } catch (error) {
+    log.failure(`Error merging person ${duplicateId} into ${id}`, error);
+    sendError(res, error, 'Failed to merge people');
   }
 });
 
 /**
- * Delete a specific Rosh Hashana registration (admin only)
+ * A person's profile: attendance history, payments, monthly gifts and possible duplicates (admin only)
  */
-router.delete('/admin/rosh-hashana-registrations/:id', verifyAdminToken, async (req, res) => {
+router.get('/admin/people/:id', verifyAdminToken, async (req, res) => {
   try {
+    const profile = await peopleService.getProfile(req.params.id);
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    log.failure(`Error fetching person ${req.params.id}`, error);
+    sendError(res, error, 'Failed to fetch person');
+  }
+});
+
+/**
+ * Monthly donations with active count and monthly recurring revenue (admin only)
+ * Query: status
+ */
+router.get('/admin/subscriptions', verifyAdminToken, async (req, res) => {
+  try {
+    const { subscriptions: rows, summary } = await subscriptions.listWithSummary({ status: req.query.status });
+    
+    log.info(`Retrieved ${rows.length} monthly donations for admin`);
+    res.json({ success: true, data: rows, summary });
+  } catch (error) {
+    log.failure('Error fetching monthly donations', error);
+    sendError(res, error, 'Failed to fetch monthly donations');
+  }
+});
+
+/**
+ * Handler for an admin change to a monthly donation
+ * @param {string} action - 'pause', 'resume', 'cancel' or 'amount'
+ * @returns {Function} - Express route handler
+ */
+function changeSubscription(action) {
+  return async (req, res) => {
     const { id } = req.params;
     
-    if (!id) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Registration ID is required' 
+    try {
+      const { before, subscription } = action === 'amount'
+        ? await subscriptions.changeAmount(id, req.body.amount)
+        : await subscriptions[action](id);
+      
+      log.info(`Admin ${req.admin.username} changed monthly donation ${id} (${action})`);
+      
+      await audit.recordAdminAction(auditActor(req), {
+        action: `subscription.${action}`,
+        entityType: 'subscription',
+        entityId: id,
+        before: { status: before.status, amount: before.amount },
+        after: { status: subscription.status, amount: subscription.amount }
       });
+      
+      res.json({ success: true, data: subscription });
+    } catch (error) {
+      log.failure(`Error changing monthly donation ${id} (${action})`, error);
+      sendError(res, error, 'Failed to update monthly donation');
     }
+  };
+}
+
+router.post('/admin/subscriptions/:id/pause', verifyAdminToken, requireRole('editor'), changeSubscription('pause'));
+router.post('/admin/subscriptions/:id/resume', verifyAdminToken, requireRole('editor'), changeSubscription('resume'));
+router.post('/admin/subscriptions/:id/cancel', verifyAdminToken, requireRole('editor'), changeSubscription('cancel'));
+router.post('/admin/subscriptions/:id/amount', verifyAdminToken, requireRole('editor'), changeSubscription('amount'));
+
+/**
+ * Stored Stripe webhook events (editors only)
+ * Query: status=failed|processed|ignored|processing
+ */
+router.get('/admin/webhook-events', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const events = await webhookEvents.listEvents({ status: req.query.status });
     
-    console.log(`Admin requesting deletion of Rosh Hashana registration ID: ${id}`);
+    log.info(`Retrieved ${events.length} webhook events for admin`);
+    res.json({ success: true, data: events });
+  } catch (error) {
+    log.failure('Error fetching webhook events', error);
+    sendError(res, error, 'Failed to fetch webhook events');
+  }
+});
+
+/**
+ * Replay a failed Stripe webhook event through the webhook handler (editors only)
+ */
+router.post('/admin/webhook-events/:id/replay', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const { before, stored } = await webhookEvents.replayEvent(id);
     
-    const result = await supabaseService.deleteRoshHashanaRegistration(id);
+    log.info(`Admin replayed webhook event ${id}: ${stored.status}`);
     
-    if (result.success) {
-      console.log(`Successfully deleted Rosh Hashana registration ID: ${id}`);
-      res.json(result);
-    } else {
-      throw new Error('Failed to delete Rosh Hashana registration');
+    await audit.recordAdminAction(auditActor(req), {
+      action: 'webhook_event.replay',
+      entityType: 'webhook_event',
+      entityId: id,
+      before: { status: before.status, attempts: before.attempts, last_error: before.last_error },
+      after: { status: stored.status, attempts: stored.attempts, last_error: stored.last_error }
+    });
+    
+    res.json({ success: true, data: stored });
+  } catch (error) {
+    log.failure(`Error replaying webhook event ${id}`, error);
+    
+    if (!error.statusCode) {
+      await audit.recordAdminAction(auditActor(req), {
+        action: 'webhook_event.replay',
+        entityType: 'webhook_event',
+        entityId: id,
+        after: { status: 'failed', last_error: error.message }
+      });
     }
+    
+    sendError(res, error, 'Replay failed');
+  }
+});
+
+/**
+ * Audit log of admin changes (editors only)
+ * Query: entityType, entityId, admin (username), limit
+ */
+router.get('/admin/audit-log', verifyAdminToken, requireRole('editor'), async (req, res) => {
+  try {
+    const { entityType, entityId, admin, limit } = req.query;
+    const entries = await audit.listEntries({ entityType, entityId, adminUsername: admin, limit });
+    
+    log.info(`Retrieved ${entries.length} audit log entries for admin`);
+    res.json({ success: true, data: entries });
   } catch (error) {
-    console.error('Error deleting Rosh Hashana registration:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to delete Rosh Hashana registration: ' + error.message 
-    });
+    log.failure('Error fetching audit log', error);
+    sendError(res, error, 'Failed to fetch audit log');
   }
 });
 
 /**
- * Admin logout (optional - removes token from valid tokens)
+ * Admin logout
+ * Sessions are stateless signed tokens, so logging out means the dashboard discards its token
  */
 router.post('/admin/logout', verifyAdminToken, (req, res) => {
-  const authHeader = req.headers.authorization;
-  const token = authHeader.substring(7);
-  
-  validTokens.delete(token);
+  log.info(`Admin logged out: ${req.admin.username}`);
   
   res.json({ 
     success: true, 
@@ -0,0 +1,69 @@
+/**
+ * Public Hebrew calendar routes
+ * Holidays, Hebrew dates, and candle-lighting and havdalah times as JSON or an iCal feed
+ */
+const express = require('express');
+const router = express.Router();
+
+const calendarService = require('../services/calendar');
+const { sendError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/calendar');
+
+/**
+ * Calendar entries for a date range (?start=&end=&category=), a month from today by default
+ */
+router.get('/calendar', (req, res) => {
+  try {
+    const { start, end, category } = req.query;
+    res.json({ success: true, data: calendarService.getCalendar({ start, end, category }) });
+  } catch (error) {
+    log.failure('Error building calendar', error);
+    sendError(res, error, 'Failed to build calendar');
+  }
+});
+
+/**
+ * The same entries as an iCal feed calendar apps can subscribe to
+ */
+router.get('/calendar.ics', (req, res) => {
+  try {
+    const { start, end, category } = req.query;
+    const ics = calendarService.getCalendarIcs({ start, end, category });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.send(ics);
+  } catch (error) {
+    log.failure('Error building calendar feed', error);
+    sendError(res, error, 'Failed to build calendar');
+  }
+});
+
+/**
+ * Hebrew date, holidays and times for a Gregorian date
+ */
+router.get('/calendar/date/:date', (req, res) => {
+  try {
+    res.json({ success: true, data: calendarService.getDay(req.params.date) });
+  } catch (error) {
+    log.failure('Error converting date', error);
+    sendError(res, error, 'Failed to convert date');
+  }
+});
+
+/**
+ * Gregorian date of a Hebrew date, e.g. /calendar/hebrew/5786/Tishrei/1
+ */
+router.get('/calendar/hebrew/:year/:month/:day', (req, res) => {
+  try {
+    const { year, month, day } = req.params;
+    res.json({ success: true, data: calendarService.fromHebrew(year, month, day) });
+  } catch (error) {
+    log.failure('Error converting Hebrew date', error);
+    sendError(res, error, 'Failed to convert date');
+  }
+});
+
+module.exports = router;
@@ -4,40 +4,47 @@
 const express = require('express');
 const router = express.Router();
 
-// Import a mail service if available
-// const mailService = require('../services/mail');
+const contactService = require('../services/contact');
+const { validateBody } = require('../middlewares/validate-body');
+const { rateLimit } = require('../middlewares/rate-limit');
+const { requireSpamCheck } = require('../middlewares/spam-check');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/contact');
+
+const CONTACT_SCHEMA = {
+  name: { type: 'text', required: true, maxLength: 100, label: 'Name' },
+  email: { type: 'email', required: true, label: 'Email' },
+  subject: { type: 'text', maxLength: 200, label: 'Subject' },
+  message: { type: 'text', required: true, multiline: true, maxLength: 5000, label: 'Message' }
+};
+
+// Messages from one place or one address, per hour
+const CONTACT_LIMITS = {
+  ip: { limit: 10, windowMinutes: 60 },
+  email: { limit: 5, windowMinutes: 60 }
+};
 
 /**
  * Handle contact form submissions
  */
-router.post('/send-contact-form', async (req, res) => {
+router.post('/send-contact-form', rateLimit('contact', CONTACT_LIMITS), requireSpamCheck, validateBody(CONTACT_SCHEMA), async (req, res) => {
   try {
     // Extract contact form data
     const { name, email, subject, message } = req.body;
     
-    console.log('Received contact form submission:', { name, email, subject });
-    
-    // Validate required fields
-    if (!name || !email || !message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields'
-      });
-    }
     
-    // TODO: Implement actual email sending functionality
-    // Example with a mail service:
-    // await mailService.sendContactEmail({ name, email, subject, message });
+    // Store the message and forward it to staff
+    const result = await contactService.submitContactMessage({ name, email, subject, message });
     
-    // For now, just log the contact form data and return success
-    console.log('Contact form data:', { name, email, subject, message });
+    log.info('Contact form submission processed', { messageId: result.id, stored: result.stored, delivered: result.delivered });
     
     res.json({
       success: true,
       message: 'Your message has been received. We will get back to you soon.'
     });
   } catch (error) {
-    console.error('Error processing contact form:', error);
+    log.error('Error processing contact form', error);
     
     res.status(500).json({
       success: false,
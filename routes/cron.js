@@ -0,0 +1,43 @@
+/**
+ * Scheduled job routes, triggered by Vercel Cron (see vercel.json)
+ */
+const express = require('express');
+const router = express.Router();
+
+const eventsService = require('../services/events');
+const { sendError } = require('../utils/http-error');
+const { verifyCronSecret } = require('../middlewares/cron-auth');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/cron');
+
+/**
+ * Permanently remove registrations deleted longer ago than the retention window
+ */
+router.get('/cron/purge-deleted-registrations', verifyCronSecret, async (req, res) => {
+  try {
+    const purged = await eventsService.purgeExpiredRegistrations();
+    res.json({ success: true, purged: purged.length });
+  } catch (error) {
+    log.failure('Error purging deleted registrations', error);
+    sendError(res, error, 'Failed to purge deleted registrations');
+  }
+});
+
+/**
+ * Schedule every weekly event for the coming Shabbatot
+ */
+router.get('/cron/schedule-occurrences', verifyCronSecret, async (req, res) => {
+  try {
+    const scheduled = await eventsService.scheduleUpcomingOccurrences();
+    res.json({
+      success: true,
+      scheduled: scheduled.map(occurrence => ({ event: occurrence.event_slug, date: occurrence.occurs_on }))
+    });
+  } catch (error) {
+    log.failure('Error scheduling occurrences', error);
+    sendError(res, error, 'Failed to schedule occurrences');
+  }
+});
+
+module.exports = router;
@@ -6,37 +6,55 @@ const router = express.Router();
 const bodyParser = require('body-parser');
 
 const stripeService = require('../services/stripe');
-const supabaseService = require('../services/supabase');
+const eventsService = require('../services/events');
+const webhookEvents = require('../services/webhook-events');
+const metrics = require('../services/metrics');
+const { sendError } = require('../utils/http-error');
+const { getSiteOrigin } = require('../utils/origin-utils');
+const { DONATION_LIMITS, PERSON_FIELDS } = require('../utils/validation');
+const { validateBody } = require('../middlewares/validate-body');
+const { rateLimit } = require('../middlewares/rate-limit');
+const { requireSpamCheck } = require('../middlewares/spam-check');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/donations');
+
+const DONATION_SCHEMA = {
+  ...PERSON_FIELDS,
+  donationAmount: { type: 'amount', required: true, ...DONATION_LIMITS, label: 'Donation amount' },
+  donationType: { type: 'enum', values: stripeService.DONATION_TYPES, label: 'Donation type' }
+};
+
+// Registering is free; a donation, if any, is within the usual bounds
+const SHABBAT_REGISTRATION_SCHEMA = {
+  ...PERSON_FIELDS,
+  donationAmount: { type: 'amount', ...DONATION_LIMITS, allowZero: true, label: 'Donation amount' },
+  donationType: { type: 'text', maxLength: 40, label: 'Donation type' },
+  occurrenceId: { type: 'id', label: 'Shabbat' }
+};
+
+// Checkout sessions from one place or one address, per hour
+const CHECKOUT_LIMITS = {
+  ip: { limit: 10, windowMinutes: 60 },
+  email: { limit: 5, windowMinutes: 60 }
+};
+
+// Registrations from one place or one address, per hour; counted across every registration form
+const REGISTRATION_LIMITS = {
+  ip: { limit: 20, windowMinutes: 60 },
+  email: { limit: 5, windowMinutes: 60 }
+};
 
 /**
  * Create a standard donation checkout session
  */
-router.post('/create-checkout-session', async (req, res) => {
+router.post('/create-checkout-session', rateLimit('checkout', CHECKOUT_LIMITS), requireSpamCheck, validateBody(DONATION_SCHEMA), async (req, res) => {
   try {
-    const { donationAmount, donationType, firstName, lastName, email } = req.body;
+    const { donationAmount, donationType = 'one-time', firstName, lastName, email } = req.body;
     
-    if (!donationAmount || !firstName || !lastName || !email) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields for checkout session' 
-      });
-    }
-    
-    // Fix URL construction to prevent protocol duplication
-    let origin = req.headers.origin || req.headers.host;
+    const origin = getSiteOrigin(req);
     
-    // If origin doesn't already include the protocol, add it
-    if (origin && !origin.startsWith('http')) {
-      origin = `${req.protocol}://${origin}`;
-    }
-    
-    // For production, use the custom domain instead of Vercel URL
-    if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
-      origin = 'https://rejewvenatebychb.com';
-    }
-    
-    // Log the constructed origin for debugging
-    console.log('Checkout session origin:', origin);
+    log.debug('Checkout session origin', { origin });
     
     const session = await stripeService.createDonationCheckoutSession(
       { donationAmount, donationType, firstName, lastName, email },
@@ -45,94 +63,47 @@ router.post('/create-checkout-session', async (req, res) => {
     
     res.json(session);
   } catch (error) {
-    console.error('Error creating donation checkout session:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to create checkout session: ' + error.message 
-    });
+    log.failure('Error creating donation checkout session', error);
+    sendError(res, error, 'Failed to create checkout session');
   }
 });
 
 /**
  * Create a Shabbat registration session (handles $0 donations)
  */
-router.post('/create-shabbat-session', async (req, res) => {
+router.post('/create-shabbat-session', rateLimit('registration', REGISTRATION_LIMITS), requireSpamCheck, validateBody(SHABBAT_REGISTRATION_SCHEMA), async (req, res) => {
   try {
-    const { donationAmount, donationType, firstName, lastName, email } = req.body;
-    
-    if (!firstName || !lastName || !email) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields for Shabbat registration' 
-      });
-    }
-    
-    const amount = parseFloat(donationAmount) || 0;
+    const { donationAmount, donationType, firstName, lastName, email, occurrenceId } = req.body;
     
-    // Check if person with same first and last name already exists
-    const nameAlreadyExists = await supabaseService.nameExists(firstName, lastName);
-    const isNewRegistration = !nameAlreadyExists;
-    
-    // Add registration to database regardless of donation amount
-    try {
-      const dbResult = await supabaseService.addShabbatRegistration({
-        firstName,
-        lastName,
-        email,
-        donationAmount: amount,
-        isNew: isNewRegistration
-      });
-      console.log('Database insertion successful:', dbResult);
-    } catch (dbError) {
-      console.error('Database error during Shabbat registration:', dbError);
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to save registration to database: ' + dbError.message 
-      });
-    }
+    const { event, registration, session, waitlistPosition, manageToken } = await eventsService.registerForEvent(
+      'shabbat',
+      { donationAmount, donationType, firstName, lastName, email, occurrenceId },
+      { origin: getSiteOrigin(req) }
+    );
     
-    // If donation is $0, redirect directly to external signup
-    if (amount === 0) {
-      console.log(`Free Shabbat registration for ${firstName} ${lastName} (${email})`);
+    // If donation is $0, redirect directly to the confirmation page
+    if (!session) {
+      log.info('Free registration', { eventSlug: event.slug, registrationId: registration.data[0].id });
       
-      // For free registrations, redirect to confirmation page
       return res.json({
         success: true,
-        redirectUrl: '/yp/shabbat/confirmation' // Updated redirect URL
+        redirectUrl: eventsService.getConfirmationPath(event, { waitlistPosition, manageToken }),
+        waitlistPosition
       });
     }
     
-    // For paid registrations, use Stripe
-    let origin = req.headers.origin || req.headers.host;
-    
-    if (origin && !origin.startsWith('http')) {
-      origin = `${req.protocol}://${origin}`;
-    }
-    
-    // For production, use the custom domain instead of Vercel URL
-    if (process.env.NODE_ENV === 'production' || process.env.VERCEL) {
-      origin = 'https://rejewvenatebychb.com';
-    }
-    
-    console.log('Shabbat registration origin:', origin);
-    
-    const session = await stripeService.createShabbatRegistrationSession(
-      { donationAmount: amount, donationType, firstName, lastName, email },
-      origin
-    );
-    
+    // For paid registrations, send the Stripe checkout session
     res.json(session);
   } catch (error) {
-    console.error('Error creating Shabbat registration session:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to create registration session: ' + error.message 
-    });
+    log.failure('Error creating Shabbat registration session', error);
+    sendError(res, error, 'Failed to create registration session');
   }
 });
 
 /**
  * Stripe webhook handler
+ * Needs the raw request body to verify the signature, so app.js skips JSON parsing for this path.
+ * Events are stored by id first, so Stripe's retries of an event already processed are skipped.
  */
 router.post('/stripe-webhook', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
   const signature = req.headers['stripe-signature'];
@@ -141,50 +112,27 @@ router.post('/stripe-webhook', bodyParser.raw({ type: 'application/json' }), asy
   try {
     // Construct and verify the event
     event = stripeService.constructWebhookEvent(req.body.toString(), signature);
-    
-    console.log('Received webhook event:', event.type);
-    
-    // Handle the event based on its type
-    if (event.type === 'checkout.session.completed') {
-      const session = event.data.object;
-      console.log('Checkout session completed:', session.id);
-      
-      // Get metadata from the session
-      const { firstName, lastName, email, donationAmount } = session.metadata;
-      
-      // If this is a Rosh Hashana registration (has firstName, lastName, email in metadata)
-      if (firstName && lastName && email) {
-        console.log('Processing Rosh Hashana registration from Stripe webhook');
-        
-        try {
-          // Check if person exists in YP_Shabbos
-          const nameAlreadyExists = await supabaseService.nameExists(firstName, lastName);
-          const isNewRegistration = !nameAlreadyExists;
-          
-          // Add to YP_RoshHashana table
-          await supabaseService.addRoshHashanaRegistration({
-            firstName,
-            lastName,
-            email,
-            donationAmount: parseFloat(donationAmount),
-            isNew: isNewRegistration
-          });
-          
-          console.log('Rosh Hashana registration saved successfully from webhook');
-        } catch (error) {
-          console.error('Error saving Rosh Hashana registration from webhook:', error);
-        }
-      } else {
-        // For standard donations, just log the successful completion
-        const amountTotal = session.amount_total / 100; // Convert from cents
-        console.log(`Donation completed: $${amountTotal.toFixed(2)}`);
-      }
+  } catch (error) {
+    log.warn('Webhook signature verification failed', error);
+    metrics.recordWebhookEvent('unknown', 'invalid_signature');
+    return res.status(400).send(`Webhook Error: ${error.message}`);
+  }
+  
+  log.info('Received webhook event', { type: event.type, stripeEventId: event.id });
+  
+  try {
+    const { duplicate } = await webhookEvents.receiveEvent(event);
+    res.json({ received: true, duplicate });
+  } catch (error) {
+    // Any non-2xx response makes Stripe retry the event later
+    if (error.statusCode === 409) {
+      log.info(`Webhook event ${event.id} is already being processed`);
+      metrics.recordWebhookEvent(event.type, 'in_progress');
+      return res.status(409).json({ received: false, message: error.message });
     }
     
-    res.json({ received: true });
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(400).send(`Webhook Error: ${error.message}`);
+    log.error(`Error processing webhook event ${event.id}`, error);
+    res.status(500).json({ received: false, message: 'Failed to process event' });
   }
 });
 
@@ -0,0 +1,209 @@
+/**
+ * Generic event registration routes
+ */
+const express = require('express');
+const router = express.Router();
+
+const eventsService = require('../services/events');
+const calendarService = require('../services/calendar');
+const eventCalendar = require('../services/event-calendar');
+const { sendError } = require('../utils/http-error');
+const { getSiteOrigin } = require('../utils/origin-utils');
+const { DONATION_LIMITS, PERSON_FIELDS } = require('../utils/validation');
+const { validateBody } = require('../middlewares/validate-body');
+const { rateLimit } = require('../middlewares/rate-limit');
+const { requireSpamCheck } = require('../middlewares/spam-check');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/events');
+
+const REGISTRATION_SCHEMA = {
+  ...PERSON_FIELDS,
+  donationAmount: { type: 'amount', ...DONATION_LIMITS, allowZero: true, label: 'Donation amount' },
+  donationType: { type: 'text', maxLength: 40, label: 'Donation type' },
+  occurrenceId: { type: 'id', label: 'Date' }
+};
+
+// Registrations from one place or one address, per hour; counted across every registration form
+const REGISTRATION_LIMITS = {
+  ip: { limit: 20, windowMinutes: 60 },
+  email: { limit: 5, windowMinutes: 60 }
+};
+
+/**
+ * Pick the fields of an occurrence that are safe to show publicly, with that Shabbat's times
+ * @param {Object|null} occurrence - Occurrence, with availability if known
+ * @returns {Object|null} - Public occurrence details
+ */
+function toPublicOccurrence(occurrence) {
+  if (!occurrence) {
+    return null;
+  }
+
+  const shabbat = calendarService.getShabbat(occurrence.occurs_on);
+
+  return {
+    id: occurrence.id,
+    date: occurrence.occurs_on,
+    candleLighting: shabbat.candleLighting,
+    havdalah: shabbat.havdalah,
+    holidays: shabbat.holidays.map(holiday => holiday.title),
+    startsAt: occurrence.starts_at,
+    location: occurrence.location,
+    host: occurrence.host,
+    registrationDeadline: occurrence.registration_deadline,
+    seatsRemaining: occurrence.seats_remaining,
+    waitlistCount: occurrence.waitlist_count
+  };
+}
+
+/**
+ * Pick the fields of an event that are safe to show publicly
+ * @param {Object} event - Event with availability
+ * @returns {Object} - Public event details
+ */
+function toPublicEvent(event) {
+  return {
+    slug: event.slug,
+    title: event.title,
+    description: event.description,
+    eventDate: event.event_date,
+    hebrewYear: event.hebrew_year,
+    suggestedDonation: event.suggested_donation,
+    registrationOpensAt: event.registration_opens_at,
+    registrationClosesAt: event.registration_closes_at,
+    registrationOpen: event.registration_open,
+    seatsRemaining: event.seats_remaining,
+    waitlistCount: event.waitlist_count,
+    occurrence: toPublicOccurrence(event.occurrence)
+  };
+}
+
+/**
+ * Send an iCalendar file
+ * @param {Object} res - Express response object
+ * @param {string} ics - iCalendar text
+ * @param {string} [filename] - Download as this file; otherwise shown inline for subscriptions
+ */
+function sendIcs(res, ics, filename) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', filename ? `attachment; filename="${filename}"` : 'inline; filename="events.ics"');
+  res.send(ics);
+}
+
+/**
+ * Feed of upcoming events and Shabbat dates for calendar apps to subscribe to
+ */
+router.get('/events.ics', async (req, res) => {
+  try {
+    sendIcs(res, await eventCalendar.getFeedIcs());
+  } catch (error) {
+    log.failure('Error building events feed', error);
+    sendError(res, error, 'Failed to build events feed');
+  }
+});
+
+/**
+ * List events
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const events = await eventsService.listEvents();
+    res.json({ success: true, data: events.map(toPublicEvent) });
+  } catch (error) {
+    log.failure('Error listing events', error);
+    sendError(res, error, 'Failed to list events');
+  }
+});
+
+/**
+ * Get a single event
+ */
+router.get('/events/:slug', async (req, res) => {
+  try {
+    const event = await eventsService.getEvent(req.params.slug);
+    const withAvailability = await eventsService.withAvailability(event);
+    res.json({ success: true, data: toPublicEvent(withAvailability) });
+  } catch (error) {
+    log.failure('Error fetching event', error);
+    sendError(res, error, 'Failed to fetch event');
+  }
+});
+
+/**
+ * Upcoming dates of a weekly event that are open for registration
+ */
+router.get('/events/:slug/occurrences', async (req, res) => {
+  try {
+    const occurrences = await eventsService.listOpenOccurrences(req.params.slug);
+    res.json({ success: true, data: occurrences.map(toPublicOccurrence) });
+  } catch (error) {
+    log.failure('Error listing event occurrences', error);
+    sendError(res, error, 'Failed to list dates');
+  }
+});
+
+/**
+ * Feed of one event: the upcoming dates of a weekly event, or the event itself
+ */
+router.get('/events/:slug/calendar.ics', async (req, res) => {
+  try {
+    sendIcs(res, await eventCalendar.getFeedIcs({ slug: req.params.slug }));
+  } catch (error) {
+    log.failure('Error building event feed', error);
+    sendError(res, error, 'Failed to build event feed');
+  }
+});
+
+/**
+ * Calendar file for one date of a weekly event
+ */
+router.get('/events/:slug/occurrences/:id/calendar.ics', async (req, res) => {
+  try {
+    const { filename, ics } = await eventCalendar.getOccurrenceIcs(req.params.slug, req.params.id);
+    sendIcs(res, ics, filename);
+  } catch (error) {
+    log.failure('Error building occurrence calendar file', error);
+    sendError(res, error, 'Failed to build calendar file');
+  }
+});
+
+/**
+ * Register for an event
+ * Free registrations get a redirect URL; donations get a Stripe checkout session.
+ * Once the event is full, registrants join the waitlist and are told their position;
+ * they get a redirect URL too, and are asked for their donation if they are promoted.
+ */
+router.post('/events/:slug/register', rateLimit('registration', REGISTRATION_LIMITS), requireSpamCheck, validateBody(REGISTRATION_SCHEMA), async (req, res) => {
+  try {
+    const { donationAmount, donationType, firstName, lastName, email, occurrenceId } = req.body;
+    
+    const { event, occurrence, registration, session, waitlistPosition, manageToken } = await eventsService.registerForEvent(
+      req.params.slug,
+      { donationAmount, donationType, firstName, lastName, email, occurrenceId },
+      { origin: getSiteOrigin(req) }
+    );
+    
+    if (session) {
+      return res.json(session);
+    }
+    
+    log.info('Free registration', { eventSlug: event.slug, registrationId: registration.data[0].id });
+    
+    res.json({
+      success: true,
+      message: waitlistPosition
+        ? `${event.title} is full; you are number ${waitlistPosition} on the waitlist`
+        : 'Registration completed successfully',
+      redirectUrl: eventsService.getConfirmationPath(event, { waitlistPosition, manageToken }),
+      waitlistPosition,
+      occurrence: toPublicOccurrence(occurrence),
+      data: registration
+    });
+  } catch (error) {
+    log.failure('Error creating event registration', error);
+    sendError(res, error, 'Failed to create registration');
+  }
+});
+
+module.exports = router;
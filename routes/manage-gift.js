@@ -0,0 +1,95 @@
+/**
+ * "Manage my monthly gift" routes for donors
+ * Donors request a link by email, then use its token to change, pause or cancel their gifts
+ */
+const express = require('express');
+const router = express.Router();
+
+const subscriptions = require('../services/subscriptions');
+const { sendError } = require('../utils/http-error');
+const { getSiteOrigin } = require('../utils/origin-utils');
+const { DONATION_LIMITS, PERSON_FIELDS } = require('../utils/validation');
+const { verifyDonorToken } = require('../middlewares/donor-auth');
+const { validateBody } = require('../middlewares/validate-body');
+const { rateLimit } = require('../middlewares/rate-limit');
+const { requireSpamCheck } = require('../middlewares/spam-check');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/manage-gift');
+
+const REQUEST_LINK_SCHEMA = {
+  email: PERSON_FIELDS.email
+};
+
+// Each link request sends an email, so they are limited per place and per address, per hour
+const REQUEST_LINK_LIMITS = {
+  ip: { limit: 10, windowMinutes: 60 },
+  email: { limit: 3, windowMinutes: 60 }
+};
+
+const AMOUNT_SCHEMA = {
+  amount: { type: 'amount', required: true, ...DONATION_LIMITS, label: 'Amount' }
+};
+
+/**
+ * Email a manage-gift link
+ * Responds the same whether or not the address has monthly donations
+ */
+router.post('/manage-gift/request-link', rateLimit('manage-gift-link', REQUEST_LINK_LIMITS), requireSpamCheck, validateBody(REQUEST_LINK_SCHEMA), async (req, res) => {
+  try {
+    await subscriptions.sendManageLink(req.body.email, getSiteOrigin(req));
+    
+    res.json({
+      success: true,
+      message: 'If that address has a monthly gift with us, a link to manage it is on its way.'
+    });
+  } catch (error) {
+    log.failure('Error sending manage-gift link', error);
+    sendError(res, error, 'Failed to send link');
+  }
+});
+
+/**
+ * The signed-in donor's monthly donations
+ */
+router.get('/manage-gift/subscriptions', verifyDonorToken, async (req, res) => {
+  try {
+    const data = await subscriptions.listForDonor(req.donor.email);
+    res.json({ success: true, email: req.donor.email, data });
+  } catch (error) {
+    log.failure('Error fetching donor monthly donations', error);
+    sendError(res, error, 'Failed to fetch your monthly gifts');
+  }
+});
+
+/**
+ * Handler for a donor change to one of their monthly donations
+ * @param {string} action - 'pause', 'resume', 'cancel' or 'amount'
+ * @returns {Function} - Express route handler
+ */
+function changeSubscription(action) {
+  return async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+      await subscriptions.getForDonor(req.donor.email, id);
+      
+      const { subscription } = action === 'amount'
+        ? await subscriptions.changeAmount(id, req.body.amount)
+        : await subscriptions[action](id);
+      
+      log.info(`Donor changed monthly donation ${id} (${action})`);
+      res.json({ success: true, data: subscription });
+    } catch (error) {
+      log.failure(`Error changing monthly donation ${id} (${action})`, error);
+      sendError(res, error, 'Failed to update your monthly gift');
+    }
+  };
+}
+
+router.post('/manage-gift/subscriptions/:id/pause', verifyDonorToken, changeSubscription('pause'));
+router.post('/manage-gift/subscriptions/:id/resume', verifyDonorToken, changeSubscription('resume'));
+router.post('/manage-gift/subscriptions/:id/cancel', verifyDonorToken, changeSubscription('cancel'));
+router.post('/manage-gift/subscriptions/:id/amount', verifyDonorToken, validateBody(AMOUNT_SCHEMA), changeSubscription('amount'));
+
+module.exports = router;
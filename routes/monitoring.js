@@ -0,0 +1,72 @@
+/**
+ * Monitoring routes
+ * Liveness and readiness probes for the host or an uptime checker, and
+ * Prometheus metrics for a scraper
+ */
+const express = require('express');
+const router = express.Router();
+
+const config = require('../config');
+const health = require('../services/health');
+const metrics = require('../services/metrics');
+const { verifyMetricsToken } = require('../middlewares/metrics-auth');
+const { sendError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/monitoring');
+
+/**
+ * Liveness: the process is up and answering
+ */
+router.get('/healthz', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+/**
+ * Readiness: the database answers and Stripe accepts the secret key
+ */
+router.get('/readyz', async (req, res) => {
+  try {
+    const { ready, checks } = await health.checkReadiness();
+
+    if (!ready) {
+      log.warn('Readiness check failed', {
+        storage: checks.storage.ok ? 'ok' : 'failed',
+        stripe: checks.stripe.ok ? 'ok' : 'failed'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+      success: ready,
+      status: ready ? 'ready' : 'not_ready',
+      checks
+    });
+  } catch (error) {
+    log.failure('Error checking readiness', error);
+    sendError(res, error, 'Failed to check readiness');
+  }
+});
+
+/**
+ * Prometheus metrics, unless switched off with FEATURE_METRICS=false
+ */
+if (config.features.metrics) {
+  router.get('/metrics', verifyMetricsToken, (req, res) => {
+    try {
+      res.setHeader('Cache-Control', 'no-store');
+      res.type('text/plain; version=0.0.4; charset=utf-8');
+      res.send(metrics.render());
+    } catch (error) {
+      log.failure('Error rendering metrics', error);
+      sendError(res, error, 'Failed to render metrics');
+    }
+  });
+}
+
+module.exports = router;
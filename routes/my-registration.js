@@ -0,0 +1,143 @@
+/**
+ * "My registration" routes for registrants
+ * The link from a registrant's confirmation lets them view, correct or cancel that one registration
+ */
+const express = require('express');
+const router = express.Router();
+
+const eventsService = require('../services/events');
+const eventCalendar = require('../services/event-calendar');
+const checkInService = require('../services/check-in');
+const audit = require('../services/audit');
+const { sendError } = require('../utils/http-error');
+const { PERSON_FIELDS } = require('../utils/validation');
+const { verifyRegistrationToken } = require('../middlewares/registration-auth');
+const { validateBody } = require('../middlewares/validate-body');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/my-registration');
+
+// Any of the fields can be changed, but none can be cleared
+const UPDATE_SCHEMA = {
+  firstName: { ...PERSON_FIELDS.firstName, required: false, notBlank: true },
+  lastName: { ...PERSON_FIELDS.lastName, required: false, notBlank: true },
+  email: { ...PERSON_FIELDS.email, required: false, notBlank: true }
+};
+
+/**
+ * Audit actor for changes a registrant makes through their link
+ * @param {Object} req - Express request object
+ * @returns {Object} - Actor for audit.recordAdminAction
+ */
+function registrantActor(req) {
+  return { id: null, username: 'registrant', ip: req.ip };
+}
+
+/**
+ * The registration the link is for
+ */
+router.get('/my-registration/details', verifyRegistrationToken, async (req, res) => {
+  try {
+    const data = await eventsService.getRegistrationForRegistrant(req.registrationLink);
+    res.json({ success: true, data });
+  } catch (error) {
+    log.failure('Error fetching registration for registrant', error);
+    sendError(res, error, 'Failed to fetch your registration');
+  }
+});
+
+/**
+ * Calendar file for the event or Shabbat the registration is for
+ */
+router.get('/my-registration/calendar.ics', verifyRegistrationToken, async (req, res) => {
+  try {
+    const { filename, ics } = await eventCalendar.getRegistrationIcs(req.registrationLink);
+    
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(ics);
+  } catch (error) {
+    log.failure('Error building registration calendar file', error);
+    sendError(res, error, 'Failed to build calendar file');
+  }
+});
+
+/**
+ * QR ticket staff scan at the door, as SVG or PNG
+ */
+router.get('/my-registration/ticket.:format(svg|png)', verifyRegistrationToken, async (req, res) => {
+  try {
+    const { contentType, body } = await checkInService.getTicket(req.registrationLink, req.params.format);
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(body);
+  } catch (error) {
+    log.failure('Error building registration ticket', error);
+    sendError(res, error, 'Failed to build ticket');
+  }
+});
+
+/**
+ * Correct the name or email address on the registration
+ */
+router.patch('/my-registration', verifyRegistrationToken, validateBody(UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { firstName, lastName, email } = req.body;
+    
+    const { event, before, registration } = await eventsService.updateRegistrationForRegistrant(
+      req.registrationLink,
+      { firstName, lastName, email }
+    );
+    
+    log.info(`Registrant updated ${event.slug} registration ${registration.id}`);
+    
+    await audit.recordAdminAction(registrantActor(req), {
+      action: 'event_registration.update',
+      entityType: 'event_registration',
+      entityId: registration.id,
+      before: { ...before, event_slug: event.slug },
+      after: { ...registration, event_slug: event.slug }
+    });
+    
+    const data = await eventsService.getRegistrationForRegistrant(req.registrationLink);
+    res.json({ success: true, data });
+  } catch (error) {
+    log.failure('Error updating registration for registrant', error);
+    sendError(res, error, 'Failed to update your registration');
+  }
+});
+
+/**
+ * Cancel the registration, giving the seat to the next person on the waitlist
+ */
+router.post('/my-registration/cancel', verifyRegistrationToken, async (req, res) => {
+  try {
+    const { event, registration, promoted } = await eventsService.cancelRegistrationForRegistrant(req.registrationLink);
+    
+    await audit.recordAdminAction(registrantActor(req), {
+      action: 'event_registration.cancel',
+      entityType: 'event_registration',
+      entityId: registration.id,
+      before: { ...registration, event_slug: event.slug }
+    });
+    
+    for (const promotedRegistration of promoted) {
+      await audit.recordAdminAction(registrantActor(req), {
+        action: 'event_registration.promote',
+        entityType: 'event_registration',
+        entityId: promotedRegistration.id,
+        before: { status: 'waitlisted', event_slug: event.slug },
+        after: { ...promotedRegistration, event_slug: event.slug }
+      });
+    }
+    
+    const data = await eventsService.getRegistrationForRegistrant(req.registrationLink);
+    res.json({ success: true, data });
+  } catch (error) {
+    log.failure('Error cancelling registration for registrant', error);
+    sendError(res, error, 'Failed to cancel your registration');
+  }
+});
+
+module.exports = router;
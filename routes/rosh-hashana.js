@@ -3,60 +3,54 @@
  */
 const express = require('express');
 const router = express.Router();
-const bodyParser = require('body-parser');
 
-const supabaseService = require('../services/supabase');
+const eventsService = require('../services/events');
+const { sendError } = require('../utils/http-error');
+const { DONATION_LIMITS, PERSON_FIELDS } = require('../utils/validation');
+const { validateBody } = require('../middlewares/validate-body');
+const { rateLimit } = require('../middlewares/rate-limit');
+const { requireSpamCheck } = require('../middlewares/spam-check');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/rosh-hashana');
+
+// The amount someone pledges; it is recorded, not charged
+const REGISTRATION_SCHEMA = {
+  ...PERSON_FIELDS,
+  donationAmount: { type: 'amount', ...DONATION_LIMITS, allowZero: true, label: 'Donation amount' }
+};
+
+// Registrations from one place or one address, per hour; counted across every registration form
+const REGISTRATION_LIMITS = {
+  ip: { limit: 20, windowMinutes: 60 },
+  email: { limit: 5, windowMinutes: 60 }
+};
 
 /**
  * Create a Rosh Hashana registration
+ * Records the registration only; Rosh Hashana donations are collected separately.
  */
-router.post('/create-rosh-hashana-registration', async (req, res) => {
+router.post('/create-rosh-hashana-registration', rateLimit('registration', REGISTRATION_LIMITS), requireSpamCheck, validateBody(REGISTRATION_SCHEMA), async (req, res) => {
   try {
     const { firstName, lastName, email, donationAmount } = req.body;
     
-    if (!firstName || !lastName || !email) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required fields for registration' 
-      });
-    }
-    
-    const amount = parseFloat(donationAmount) || 0;
+    const { registration, manageToken } = await eventsService.registerForEvent(
+      'rosh-hashana',
+      { firstName, lastName, email, donationAmount },
+      { checkout: false }
+    );
+    log.info('Rosh Hashana registration successful', { registrationId: registration.data[0].id });
     
-    // Check if person with same first and last name already exists in YP_Shabbos
-    const nameAlreadyExists = await supabaseService.nameExists(firstName, lastName);
-    const isNewRegistration = !nameAlreadyExists;
-    
-    // Add registration to YP_RoshHashana database
-    try {
-      const dbResult = await supabaseService.addRoshHashanaRegistration({
-        firstName,
-        lastName,
-        email,
-        donationAmount: amount,
-        isNew: isNewRegistration
-      });
-      console.log('Rosh Hashana registration successful:', dbResult);
-      
-      res.json({
-        success: true,
-        message: 'Registration completed successfully',
-        data: dbResult
-      });
-    } catch (dbError) {
-      console.error('Database error during Rosh Hashana registration:', dbError);
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to save registration to database: ' + dbError.message 
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error creating Rosh Hashana registration:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to create registration: ' + error.message 
+    res.json({
+      success: true,
+      message: 'Registration completed successfully',
+      // Lets the success page link to the registration and its calendar entry
+      registrationToken: manageToken,
+      data: registration
     });
+  } catch (error) {
+    log.failure('Error creating Rosh Hashana registration', error);
+    sendError(res, error, 'Failed to create registration');
   }
 });
 
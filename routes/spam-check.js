@@ -0,0 +1,27 @@
+/**
+ * Spam check routes
+ * Public forms fetch a proof-of-work challenge and send back its answer with the form
+ */
+const express = require('express');
+const router = express.Router();
+
+const spamCheck = require('../services/spam-check');
+const { sendError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('routes/spam-check');
+
+/**
+ * Issue a proof-of-work challenge
+ */
+router.get('/spam-check/challenge', (req, res) => {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ success: true, ...spamCheck.createChallenge() });
+  } catch (error) {
+    log.failure('Error creating spam-check challenge', error);
+    sendError(res, error, 'Failed to create challenge');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Manage admin dashboard accounts
+ *
+ * Usage:
+ *   npm run admin-users -- list
+ *   npm run admin-users -- add <username> <viewer|editor>
+ *   npm run admin-users -- set-role <username> <viewer|editor>
+ *   npm run admin-users -- set-password <username>
+ *   npm run admin-users -- disable <username>
+ *   npm run admin-users -- enable <username>
+ *
+ * Passwords are read from the ADMIN_USER_PASSWORD environment variable
+ * or prompted for on the terminal, so they never end up in shell history.
+ */
+const os = require('os');
+const readline = require('readline');
+const storage = require('../services/storage');
+const adminAuth = require('../services/admin-auth');
+const audit = require('../services/audit');
+
+// Changes made here are attributed to the operating system user in the audit log
+const CLI_ACTOR = { id: null, username: `cli:${os.userInfo().username}` };
+
+const USAGE = `Usage: npm run admin-users -- <command> [args]
+
+Commands:
+  list                                List admin users
+  add <username> <viewer|editor>      Create an admin user
+  set-role <username> <viewer|editor> Change a user's role
+  set-password <username>             Reset a user's password
+  disable <username>                  Block a user from logging in
+  enable <username>                   Re-enable a disabled user`;
+
+/**
+ * Read a password from ADMIN_USER_PASSWORD or the terminal
+ * @returns {Promise<string>} - Password
+ */
+function readPassword() {
+  if (process.env.ADMIN_USER_PASSWORD) {
+    return Promise.resolve(process.env.ADMIN_USER_PASSWORD);
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('Password (min 12 characters): ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Print one admin user
+ * @param {Object} user - Admin user
+ */
+function printUser(user) {
+  const status = user.disabled_at ? 'disabled' : 'active';
+  const lastLogin = user.last_login_at || 'never';
+  console.log(`${user.username}\t${user.role}\t${status}\tlast login: ${lastLogin}`);
+}
+
+/**
+ * Apply a change to an existing admin user and record it in the audit log
+ * @param {string} username - Username
+ * @param {Object} changes - Changes for adminAuth.updateUser
+ * @returns {Promise<Object>} - Updated user
+ */
+async function updateUser(username, changes) {
+  const before = await storage.getAdminUserByUsername(username);
+  const user = await adminAuth.updateUser(username, changes);
+
+  await audit.recordAdminAction(CLI_ACTOR, {
+    action: 'admin_user.update',
+    entityType: 'admin_user',
+    entityId: user.id,
+    before: before.data,
+    after: user
+  });
+
+  return user;
+}
+
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+
+  if (command === 'list') {
+    const result = await storage.listAdminUsers();
+    if (result.data.length === 0) {
+      console.log('No admin users yet; the dashboard accepts ADMIN_PASSWORD as "admin" until one is added.');
+    }
+    result.data.forEach(printUser);
+    return;
+  }
+
+  if (!username || (command === 'set-role' && !role)) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  switch (command) {
+    case 'add': {
+      const user = await adminAuth.createUser({ username, password: await readPassword(), role: role || 'viewer' });
+      await audit.recordAdminAction(CLI_ACTOR, {
+        action: 'admin_user.create',
+        entityType: 'admin_user',
+        entityId: user.id,
+        after: user
+      });
+      printUser(user);
+      break;
+    }
+    case 'set-role':
+      printUser(await updateUser(username, { role }));
+      break;
+    case 'set-password':
+      printUser(await updateUser(username, { password: await readPassword() }));
+      break;
+    case 'disable':
+    case 'enable':
+      printUser(await updateUser(username, { disabled: command === 'disable' }));
+      break;
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
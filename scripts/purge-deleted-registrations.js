@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * Permanently remove registrations deleted longer ago than
+ * DELETED_REGISTRATION_RETENTION_DAYS. Production runs the same job through
+ * Vercel Cron (GET /cron/purge-deleted-registrations); use this for other hosts.
+ *
+ * Usage: npm run purge-deleted-registrations
+ */
+const eventsService = require('../services/events');
+
+eventsService.purgeExpiredRegistrations()
+  .then(purged => {
+    console.log(`Purged ${purged.length} deleted registrations`);
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
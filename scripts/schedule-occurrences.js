@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Schedule every weekly event for the next SHABBAT_WEEKS_AHEAD Shabbatot,
+ * skipping any Shabbat that falls on Yom Kippur. Production runs the same job
+ * through Vercel Cron (GET /cron/schedule-occurrences); use this for other hosts.
+ *
+ * Usage: npm run schedule-occurrences [-- <weeks>]
+ */
+const eventsService = require('../services/events');
+
+const weeks = process.argv[2] ? parseInt(process.argv[2], 10) : undefined;
+
+if (weeks !== undefined && !(weeks > 0)) {
+  console.error('Usage: npm run schedule-occurrences [-- <weeks>]');
+  process.exit(1);
+}
+
+eventsService.scheduleUpcomingOccurrences({ weeks })
+  .then(scheduled => {
+    scheduled.forEach(occurrence => console.log(`${occurrence.event_slug}: ${occurrence.occurs_on}`));
+    console.log(`Scheduled ${scheduled.length} occurrences`);
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
@@ -3,10 +3,12 @@
  * This file imports the Express app and starts the server
  */
 const app = require('./app');
+const config = require('./config');
+const { createLogger } = require('./utils/logger');
 
-const port = process.env.PORT || 3000;
+const log = createLogger('server');
+const port = config.port;
 
 app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-  console.log(`http://localhost:${port}`);
-}); 
\ No newline at end of file
+  log.info(`Server running on port ${port}`, { url: `http://localhost:${port}` });
+});
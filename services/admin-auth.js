@@ -0,0 +1,389 @@
+/**
+ * Admin authentication service
+ * Password hashing, signed session tokens and login auditing for admin users
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config');
+const storage = require('./storage');
+const rateLimiter = require('./rate-limit');
+const metrics = require('./metrics');
+const { createHttpError, createTooManyRequestsError } = require('../utils/http-error');
+const { createSignedToken, verifySignedToken } = require('../utils/signed-token');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/admin-auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'editor'];
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Username recorded for logins with the legacy shared password
+const LEGACY_USERNAME = 'admin';
+
+// Rate limit name for failed logins, counted per username and per IP address
+const LOGIN_FAILURES = 'admin-login-failures';
+
+// Failed logins are counted where other traffic cannot evict them (see services/rate-limit)
+const LOCKOUT_STORE = { store: 'lockouts' };
+
+// An IP address may fail this many times the per-username limit, so one
+// office sharing an address is not locked out by a single forgetful admin
+const IP_FAILURE_MULTIPLIER = 4;
+
+let sessionSecret = null;
+
+/**
+ * Get the secret used to sign session tokens
+ * @returns {Buffer} - Secret
+ */
+function getSessionSecret() {
+  if (sessionSecret) {
+    return sessionSecret;
+  }
+
+  if (config.admin.sessionSecret) {
+    sessionSecret = Buffer.from(config.admin.sessionSecret);
+  } else {
+    // Tokens signed with a random secret only work on this instance until it restarts
+    log.warn('ADMIN_SESSION_SECRET is not set; admin sessions will not survive a restart');
+    sessionSecret = crypto.randomBytes(32);
+  }
+
+  return sessionSecret;
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - Encoded hash: scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash
+ * @param {string} password - Plain-text password
+ * @param {string} encoded - Hash from hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, encoded) {
+  const [scheme, N, r, p, salt, expected] = String(encoded).split('$');
+
+  if (scheme !== 'scrypt' || !expected) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuffer.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether they are equal
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Create a signed session token
+ * @param {Object} user - Admin user ({ id, username, role })
+ * @returns {Object} - { token, expiresAt }
+ */
+function signSessionToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + Math.round(config.admin.sessionTtlHours * 60 * 60);
+  const token = createSignedToken({
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    iat: now,
+    exp
+  }, getSessionSecret());
+
+  return {
+    token,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Validate a session token's signature and expiry
+ * @param {string} token - Token from signSessionToken
+ * @returns {Object|null} - Session ({ id, username, role, expiresAt }) or null if invalid
+ */
+function verifySessionToken(token) {
+  const claims = verifySignedToken(token, getSessionSecret());
+
+  if (!claims || !ROLES.includes(claims.role)) {
+    return null;
+  }
+
+  return {
+    id: claims.sub,
+    username: claims.username,
+    role: claims.role,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Usernames are case-insensitive and stored lowercase
+ * @param {string} username - Username as typed
+ * @returns {string} - Normalized username
+ */
+function normalizeUsername(username) {
+  return String(username || '').toLowerCase().trim();
+}
+
+/**
+ * Record a login attempt; failures to record are logged but never block a login
+ * @param {Object} attempt - Login attempt details
+ * @returns {Promise<void>}
+ */
+async function recordLogin(attempt) {
+  try {
+    await storage.addAdminLoginEvent(attempt);
+  } catch (error) {
+    log.error('Failed to record admin login attempt', error);
+  }
+}
+
+/**
+ * Limits on failed logins per username and per IP address
+ * @returns {Object} - { username, ip }: { limit, windowMinutes }
+ */
+function getLoginFailureLimits() {
+  const { loginMaxFailures, loginLockoutMinutes } = config.rateLimit;
+
+  return {
+    username: { limit: loginMaxFailures, windowMinutes: loginLockoutMinutes },
+    ip: { limit: loginMaxFailures * IP_FAILURE_MULTIPLIER, windowMinutes: loginLockoutMinutes }
+  };
+}
+
+/**
+ * Refuse logins for a username or IP address with too many recent failures
+ * The lockout lifts once the window that the failures started has passed
+ * @param {Object} keys - { username, ip }
+ * @returns {Promise<void>}
+ * @throws {Error} - 429 error while locked out
+ */
+async function checkLoginLockout(keys) {
+  const limits = getLoginFailureLimits();
+
+  for (const keyName of Object.keys(limits)) {
+    if (!keys[keyName]) {
+      continue;
+    }
+
+    const result = await rateLimiter.peek(`${LOGIN_FAILURES}:${keyName}`, keys[keyName], limits[keyName], LOCKOUT_STORE);
+    if (!result.allowed) {
+      throw createTooManyRequestsError(
+        `Too many failed login attempts. Try again in ${rateLimiter.formatRetryAfter(result.retryAfterSeconds)}.`,
+        result.retryAfterSeconds
+      );
+    }
+  }
+}
+
+/**
+ * Count a failed login against the username and IP address
+ * @param {Object} keys - { username, ip }
+ * @returns {Promise<void>}
+ */
+async function countLoginFailure(keys) {
+  const limits = getLoginFailureLimits();
+
+  try {
+    await Promise.all(Object.keys(limits)
+      .filter(keyName => keys[keyName])
+      .map(keyName => rateLimiter.hit(`${LOGIN_FAILURES}:${keyName}`, keys[keyName], limits[keyName], LOCKOUT_STORE)));
+  } catch (error) {
+    log.error('Failed to count failed admin login', error);
+  }
+}
+
+/**
+ * Authenticate an admin and issue a session token
+ * Repeated failures lock out the username (and, past a higher limit, the IP address)
+ * @param {Object} credentials - Login credentials
+ * @param {string} [credentials.username] - Username (omit for the legacy shared password)
+ * @param {string} credentials.password - Password
+ * @param {Object} [context] - Request details for the audit trail
+ * @param {string} [context.ip] - Client IP address
+ * @param {string} [context.userAgent] - Client user agent
+ * @returns {Promise<Object>} - { token, expiresAt, user }
+ */
+async function login({ username, password }, { ip, userAgent } = {}) {
+  if (!password) {
+    throw createHttpError(400, 'Password is required');
+  }
+
+  const normalizedUsername = normalizeUsername(username || LEGACY_USERNAME);
+  const audit = { username: normalizedUsername, ip_address: ip || null, user_agent: userAgent || null };
+  const lockoutKeys = { username: normalizedUsername, ip };
+
+  try {
+    await checkLoginLockout(lockoutKeys);
+  } catch (error) {
+    if (error.statusCode === 429) {
+      metrics.recordAdminLoginFailure('locked_out');
+      await recordLogin({ ...audit, success: false, reason: 'Locked out after repeated failures' });
+    }
+    throw error;
+  }
+
+  const users = await storage.listAdminUsers();
+  let user = null;
+
+  if (users.data.length === 0) {
+    // No admin users yet: fall back to the shared ADMIN_PASSWORD so the first editor can get in
+    if (!config.admin.password) {
+      log.error('No admin users exist and ADMIN_PASSWORD is not set');
+      throw createHttpError(500, 'Admin access not configured');
+    }
+
+    if (normalizedUsername === LEGACY_USERNAME && safeEqual(password, config.admin.password)) {
+      user = { id: null, username: LEGACY_USERNAME, role: 'editor' };
+    }
+  } else {
+    const result = await storage.getAdminUserByUsername(normalizedUsername);
+    const candidate = result.data;
+
+    if (candidate && !candidate.disabled_at && await verifyPassword(password, candidate.password_hash)) {
+      user = { id: candidate.id, username: candidate.username, role: candidate.role };
+    } else if (candidate && candidate.disabled_at) {
+      audit.admin_user_id = candidate.id;
+      audit.reason = 'Account disabled';
+    }
+  }
+
+  if (!user) {
+    metrics.recordAdminLoginFailure(audit.reason ? 'account_disabled' : 'invalid_credentials');
+    await countLoginFailure(lockoutKeys);
+    await recordLogin({ ...audit, success: false, reason: audit.reason || 'Invalid username or password' });
+    throw createHttpError(401, 'Invalid username or password');
+  }
+
+  await recordLogin({ ...audit, admin_user_id: user.id, success: true });
+  await rateLimiter.reset(`${LOGIN_FAILURES}:username`, normalizedUsername, LOCKOUT_STORE);
+
+  if (user.id) {
+    try {
+      await storage.updateAdminUser(user.id, { last_login_at: new Date().toISOString() });
+    } catch (error) {
+      log.error('Failed to update admin last login time', error);
+    }
+  }
+
+  const { token, expiresAt } = signSessionToken(user);
+  return { token, expiresAt, user };
+}
+
+/**
+ * Create a new admin user
+ * @param {Object} userData - New user
+ * @param {string} userData.username - Username
+ * @param {string} userData.password - Password (at least 12 characters)
+ * @param {string} [userData.role='viewer'] - 'viewer' or 'editor'
+ * @returns {Promise<Object>} - Created user (without password hash)
+ */
+async function createUser({ username: rawUsername, password, role = 'viewer' }) {
+  const username = normalizeUsername(rawUsername);
+
+  if (!username || !/^[a-z0-9._-]{2,50}$/i.test(username)) {
+    throw createHttpError(400, 'Username must be 2-50 letters, numbers, dots, dashes or underscores');
+  }
+
+  if (!password || password.length < 12) {
+    throw createHttpError(400, 'Password must be at least 12 characters');
+  }
+
+  if (!ROLES.includes(role)) {
+    throw createHttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const existing = await storage.getAdminUserByUsername(username);
+  if (existing.data) {
+    throw createHttpError(409, `Admin user "${username}" already exists`);
+  }
+
+  const result = await storage.createAdminUser({
+    username,
+    password_hash: await hashPassword(password),
+    role
+  });
+
+  const { password_hash, ...user } = result.data[0];
+  return user;
+}
+
+/**
+ * Update an admin user's role, password or disabled state
+ * @param {string} username - Username
+ * @param {Object} changes - Any of { role, password, disabled }
+ * @returns {Promise<Object>} - Updated user (without password hash)
+ */
+async function updateUser(username, { role, password, disabled }) {
+  const existing = await storage.getAdminUserByUsername(normalizeUsername(username));
+
+  if (!existing.data) {
+    throw createHttpError(404, `Admin user "${username}" not found`);
+  }
+
+  const changes = {};
+
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw createHttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    changes.role = role;
+  }
+
+  if (password !== undefined) {
+    if (password.length < 12) {
+      throw createHttpError(400, 'Password must be at least 12 characters');
+    }
+    changes.password_hash = await hashPassword(password);
+  }
+
+  if (disabled !== undefined) {
+    changes.disabled_at = disabled ? new Date().toISOString() : null;
+  }
+
+  const result = await storage.updateAdminUser(existing.data.id, changes);
+  const { password_hash, ...user } = result.data[0];
+  return user;
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signSessionToken,
+  verifySessionToken,
+  login,
+  createUser,
+  updateUser
+};
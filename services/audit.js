@@ -0,0 +1,92 @@
+/**
+ * Admin audit log
+ * Records every admin change (who, when, which row, and the row before and after).
+ * Entries are written after the change succeeds, and a failure to write one is
+ * logged rather than undoing or failing the change.
+ */
+const storage = require('./storage');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/audit');
+
+// Columns never copied into audit snapshots
+const REDACTED_FIELDS = ['password_hash'];
+
+/**
+ * Strip secrets from a row snapshot
+ * @param {Object|null} snapshot - Row as stored
+ * @returns {Object|null} - Row safe to keep in the audit log
+ */
+function redact(snapshot) {
+  if (!snapshot) {
+    return null;
+  }
+
+  const copy = { ...snapshot };
+  REDACTED_FIELDS.forEach(field => {
+    if (field in copy) {
+      copy[field] = '[redacted]';
+    }
+  });
+  return copy;
+}
+
+/**
+ * Record an admin action
+ * @param {Object} actor - Who made the change
+ * @param {number|null} actor.id - Admin user ID (null for the legacy shared login or the CLI)
+ * @param {string} actor.username - Admin username
+ * @param {string} [actor.ip] - Client IP address
+ * @param {Object} entry - What changed
+ * @param {string} entry.action - Action name, e.g. 'event_registration.delete'
+ * @param {string} entry.entityType - Entity type, e.g. 'event_registration'
+ * @param {string|number} entry.entityId - ID or slug of the changed row
+ * @param {Object} [entry.before] - Row before the change (omit for creates)
+ * @param {Object} [entry.after] - Row after the change (omit for deletes)
+ * @returns {Promise<boolean>} - Whether the entry was recorded
+ */
+async function recordAdminAction(actor, { action, entityType, entityId, before = null, after = null }) {
+  try {
+    await storage.addAuditLogEntry({
+      admin_user_id: actor.id || null,
+      admin_username: actor.username,
+      action,
+      entity_type: entityType,
+      entity_id: entityId == null ? null : String(entityId),
+      before: redact(before),
+      after: redact(after),
+      ip_address: actor.ip || null
+    });
+    return true;
+  } catch (error) {
+    log.error(`Failed to record audit log entry for ${action} ${entityType} ${entityId}`, error);
+    return false;
+  }
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.entityType] - Only entries for this entity type
+ * @param {string|number} [filters.entityId] - Only entries for this entity ID
+ * @param {string} [filters.adminUsername] - Only entries by this admin
+ * @param {number|string} [filters.limit=200] - Maximum number of entries (up to 1000)
+ * @returns {Promise<Array>} - Audit log entries
+ */
+async function listEntries({ entityType, entityId, adminUsername, limit } = {}) {
+  const parsedLimit = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+
+  const result = await storage.listAuditLog({
+    entityType: entityType || undefined,
+    entityId: entityId || undefined,
+    adminUsername: adminUsername ? String(adminUsername).toLowerCase().trim() : undefined,
+    limit: parsedLimit
+  });
+
+  return result.data;
+}
+
+module.exports = {
+  recordAdminAction,
+  listEntries
+};
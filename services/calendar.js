@@ -0,0 +1,442 @@
+/**
+ * Hebrew calendar service
+ * Holidays, Hebrew dates, and candle-lighting and havdalah times for the
+ * location in config.calendar. Everything is calculated locally, so it works
+ * offline and for any year.
+ */
+const config = require('../config');
+const hebrewDate = require('../utils/hebrew-date');
+const { getSunset, getDusk } = require('../utils/sun-times');
+const { buildCalendar } = require('../utils/ical');
+const { createHttpError } = require('../utils/http-error');
+
+const {
+  NISAN, IYAR, SIVAN, TAMUZ, AV, ELUL, TISHREI, KISLEV, TEVET, SHVAT,
+  fixedFromHebrew, fixedFromGregorian, gregorianFromFixed, hebrewFromFixed, dayOfWeek
+} = hebrewDate;
+
+const CATEGORIES = ['major', 'minor', 'fast', 'modern', 'erev', 'candles', 'havdalah'];
+
+// Longest range a single calendar request can cover
+const MAX_RANGE_DAYS = 400;
+
+// Degrees the sun is below the horizon at nightfall
+const NIGHTFALL_DEGREES = 8.5;
+
+const MINUTE_MS = 60 * 1000;
+
+const holidayCache = new Map();
+
+/**
+ * Whether a value is a real calendar date
+ * @param {string} value - Value to check
+ * @returns {boolean} - Whether it is a YYYY-MM-DD date
+ */
+function isDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  // Date.parse rolls February 30 over into March, so check it comes back unchanged
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * Holidays of a Hebrew year (1 Tishrei to 29 Elul)
+ * Yom tov days are the ones candles are lit for and work is not done
+ * @param {number} year - Hebrew year
+ * @param {boolean} [israel=config.calendar.israel] - Use the Israeli festival days
+ * @returns {Array} - { date, title, category, yomTov } sorted by date
+ */
+function getHolidays(year, israel = config.calendar.israel) {
+  const key = `${year}:${israel}`;
+  if (holidayCache.has(key)) {
+    return holidayCache.get(key);
+  }
+
+  const adar = hebrewDate.lastMonth(year);
+  const holidays = [];
+  const day = (month, dayOfMonth) => fixedFromHebrew(year, month, dayOfMonth);
+  const add = (fixed, title, category, yomTov = false) => {
+    holidays.push({ fixed, title, category, yomTov });
+  };
+  // Fasts that would fall on Shabbat move a day later
+  const fastDay = (month, dayOfMonth) => {
+    const fixed = day(month, dayOfMonth);
+    return dayOfWeek(fixed) === 6 ? fixed + 1 : fixed;
+  };
+
+  add(day(TISHREI, 1), 'Rosh Hashana I', 'major', true);
+  add(day(TISHREI, 2), 'Rosh Hashana II', 'major', true);
+  add(fastDay(TISHREI, 3), 'Tzom Gedaliah', 'fast');
+  add(day(TISHREI, 9), 'Erev Yom Kippur', 'erev');
+  add(day(TISHREI, 10), 'Yom Kippur', 'major', true);
+  add(day(TISHREI, 14), 'Erev Sukkot', 'erev');
+  add(day(TISHREI, 15), 'Sukkot I', 'major', true);
+  add(day(TISHREI, 16), israel ? 'Sukkot II (Chol HaMoed)' : 'Sukkot II', israel ? 'minor' : 'major', !israel);
+  for (let d = 17; d <= 20; d++) {
+    add(day(TISHREI, d), `Sukkot ${['III', 'IV', 'V', 'VI'][d - 17]} (Chol HaMoed)`, 'minor');
+  }
+  add(day(TISHREI, 21), 'Hoshana Raba', 'minor');
+  if (israel) {
+    add(day(TISHREI, 22), 'Shemini Atzeret / Simchat Torah', 'major', true);
+  } else {
+    add(day(TISHREI, 22), 'Shemini Atzeret', 'major', true);
+    add(day(TISHREI, 23), 'Simchat Torah', 'major', true);
+  }
+
+  // Each night's candles are lit the evening before the day they are named for
+  for (let night = 1; night <= 8; night++) {
+    add(day(KISLEV, 24) + night - 1, `Chanukah: ${night} Candle${night === 1 ? '' : 's'}`, 'minor');
+  }
+  add(day(KISLEV, 24) + 8, 'Chanukah: 8th Day', 'minor');
+
+  add(day(TEVET, 10), 'Asara B\'Tevet', 'fast');
+  add(day(SHVAT, 15), 'Tu BiShvat', 'minor');
+
+  // Ta'anit Esther moves back to Thursday rather than forward into Purim
+  const esther = day(adar, 13);
+  add(dayOfWeek(esther) === 6 ? esther - 2 : esther, 'Ta\'anit Esther', 'fast');
+  add(day(adar, 14), 'Purim', 'minor');
+  add(day(adar, 15), 'Shushan Purim', 'minor');
+
+  add(day(NISAN, 14), 'Erev Pesach', 'erev');
+  add(day(NISAN, 15), 'Pesach I', 'major', true);
+  add(day(NISAN, 16), israel ? 'Pesach II (Chol HaMoed)' : 'Pesach II', israel ? 'minor' : 'major', !israel);
+  for (let d = 17; d <= 20; d++) {
+    add(day(NISAN, d), `Pesach ${['III', 'IV', 'V', 'VI'][d - 17]} (Chol HaMoed)`, 'minor');
+  }
+  add(day(NISAN, 21), 'Pesach VII', 'major', true);
+  if (!israel) {
+    add(day(NISAN, 22), 'Pesach VIII', 'major', true);
+  }
+
+  // Modern Israeli days move so they do not touch Shabbat
+  const shoah = day(NISAN, 27);
+  add(shoah + ({ 5: -1, 0: 1 }[dayOfWeek(shoah)] || 0), 'Yom HaShoah', 'modern');
+  const independence = day(IYAR, 5);
+  const independenceDay = independence + ({ 5: -1, 6: -2, 1: 1 }[dayOfWeek(independence)] || 0);
+  add(independenceDay - 1, 'Yom HaZikaron', 'modern');
+  add(independenceDay, 'Yom HaAtzma\'ut', 'modern');
+  add(day(IYAR, 18), 'Lag BaOmer', 'minor');
+  add(day(IYAR, 28), 'Yom Yerushalayim', 'modern');
+
+  add(day(SIVAN, 5), 'Erev Shavuot', 'erev');
+  add(day(SIVAN, 6), 'Shavuot I', 'major', true);
+  if (!israel) {
+    add(day(SIVAN, 7), 'Shavuot II', 'major', true);
+  }
+
+  add(fastDay(TAMUZ, 17), 'Tzom Tammuz', 'fast');
+  const tishaBav = fastDay(AV, 9);
+  add(tishaBav - 1, 'Erev Tish\'a B\'Av', 'erev');
+  add(tishaBav, 'Tish\'a B\'Av', 'fast');
+  add(day(AV, 15), 'Tu B\'Av', 'minor');
+  add(day(ELUL, 29), 'Erev Rosh Hashana', 'erev');
+
+  const sorted = holidays
+    .sort((a, b) => a.fixed - b.fixed)
+    .map(({ fixed, ...holiday }) => ({ date: gregorianFromFixed(fixed), ...holiday }));
+
+  holidayCache.set(key, sorted);
+  return sorted;
+}
+
+/**
+ * Holidays between two dates
+ * @param {string} start - First date (YYYY-MM-DD)
+ * @param {string} end - Last date (YYYY-MM-DD), inclusive
+ * @returns {Array} - Holidays sorted by date
+ */
+function getHolidaysBetween(start, end) {
+  const firstYear = hebrewFromFixed(fixedFromGregorian(start)).year;
+  const lastYear = hebrewFromFixed(fixedFromGregorian(end)).year;
+  const holidays = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    holidays.push(...getHolidays(year).filter(holiday => holiday.date >= start && holiday.date <= end));
+  }
+
+  return holidays;
+}
+
+/**
+ * Whether a date is a yom tov
+ * @param {number} fixed - Fixed day number
+ * @returns {boolean} - Whether candles are lit for it
+ */
+function isYomTov(fixed) {
+  const date = gregorianFromFixed(fixed);
+  const { year } = hebrewFromFixed(fixed);
+  return getHolidays(year).some(holiday => holiday.yomTov && holiday.date === date);
+}
+
+/**
+ * Candle-lighting time before sunset
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Date|null} - Candle lighting
+ */
+function candleLightingAt(date) {
+  const { latitude, longitude, candleLightingMinutes } = config.calendar;
+  const sunset = getSunset(date, latitude, longitude);
+  return sunset && new Date(sunset.getTime() - candleLightingMinutes * MINUTE_MS);
+}
+
+/**
+ * Nightfall, when Shabbat and yom tov end
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Date|null} - Nightfall
+ */
+function nightfallAt(date) {
+  const { latitude, longitude, havdalahMinutes } = config.calendar;
+
+  if (havdalahMinutes) {
+    const sunset = getSunset(date, latitude, longitude);
+    return sunset && new Date(sunset.getTime() + havdalahMinutes * MINUTE_MS);
+  }
+
+  return getDusk(date, latitude, longitude, NIGHTFALL_DEGREES);
+}
+
+/**
+ * Candle lighting and havdalah on a date
+ * Candles are lit before sunset for Shabbat and for a yom tov that starts on a
+ * weekday, and after nightfall when a yom tov follows Shabbat or another yom tov
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} - { candleLighting, havdalah } as Dates, or null when there are none
+ */
+function getTimes(date) {
+  const fixed = fixedFromGregorian(date);
+  const weekday = dayOfWeek(fixed);
+  const holyToday = weekday === 6 || isYomTov(fixed);
+  const holyTomorrow = weekday === 5 || isYomTov(fixed + 1);
+
+  let candleLighting = null;
+  if (holyTomorrow) {
+    candleLighting = holyToday && weekday !== 5 ? nightfallAt(date) : candleLightingAt(date);
+  }
+
+  return {
+    candleLighting,
+    havdalah: holyToday && !holyTomorrow ? nightfallAt(date) : null
+  };
+}
+
+/**
+ * Everything the calendar knows about one date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} - { date, hebrewDate, holidays, candleLighting, havdalah }
+ */
+function getDay(date) {
+  if (!isDate(date)) {
+    throw createHttpError(400, 'date must be a date (YYYY-MM-DD)');
+  }
+
+  const { candleLighting, havdalah } = getTimes(date);
+  const { year } = hebrewFromFixed(fixedFromGregorian(date));
+
+  return {
+    date,
+    hebrewDate: hebrewDate.toHebrew(date),
+    holidays: getHolidays(year).filter(holiday => holiday.date === date),
+    candleLighting: candleLighting && candleLighting.toISOString(),
+    havdalah: havdalah && havdalah.toISOString()
+  };
+}
+
+/**
+ * Gregorian date of a Hebrew date, with everything the calendar knows about it
+ * @param {number|string} year - Hebrew year
+ * @param {number|string} month - Month name ("Tishrei", "Adar II") or number (Nisan = 1)
+ * @param {number|string} day - Day of the month
+ * @returns {Object} - Same as getDay
+ */
+function fromHebrew(year, month, day) {
+  const hebrewYear = Number(year);
+  const hebrewMonth = /^\d+$/.test(String(month)) ? Number(month) : hebrewDate.parseMonth(month);
+  const hebrewDay = Number(day);
+
+  if (!Number.isInteger(hebrewYear) || hebrewYear < 3762 || hebrewYear > 6000) {
+    throw createHttpError(400, 'Hebrew year must be between 3762 and 6000');
+  }
+  if (!hebrewMonth || hebrewMonth < 1 || hebrewMonth > hebrewDate.lastMonth(hebrewYear)) {
+    throw createHttpError(400, `${month} is not a month of ${hebrewYear}`);
+  }
+  if (!Number.isInteger(hebrewDay) || hebrewDay < 1 || hebrewDay > hebrewDate.daysInMonth(hebrewMonth, hebrewYear)) {
+    throw createHttpError(400, `${hebrewDate.getMonthName(hebrewMonth, hebrewYear)} ${hebrewYear} has no day ${day}`);
+  }
+
+  return getDay(hebrewDate.toGregorian(hebrewYear, hebrewMonth, hebrewDay));
+}
+
+/**
+ * Candle lighting on a Friday and havdalah when that Shabbat ends
+ * @param {string} friday - Friday (YYYY-MM-DD)
+ * @returns {Object} - { candleLighting, havdalah, holidays } with ISO times
+ */
+function getShabbat(friday) {
+  const saturday = gregorianFromFixed(fixedFromGregorian(friday) + 1);
+  const { candleLighting } = getTimes(friday);
+
+  return {
+    candleLighting: candleLighting && candleLighting.toISOString(),
+    // When yom tov follows Shabbat there is no havdalah until it ends
+    havdalah: getDay(saturday).havdalah,
+    holidays: getHolidaysBetween(friday, saturday)
+  };
+}
+
+/**
+ * Whether a Shabbat falls on Yom Kippur, when there is no Shabbat meal
+ * @param {string} friday - Friday (YYYY-MM-DD)
+ * @returns {boolean} - Whether Saturday is a fast day that is not postponed
+ */
+function isFastShabbat(friday) {
+  return getShabbat(friday).holidays.some(holiday => holiday.title === 'Yom Kippur');
+}
+
+/**
+ * Today's date where the calendar is
+ * @param {Date} [now=new Date()] - Moment
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function getLocalDate(now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.calendar.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+/**
+ * The Hebrew year a date falls in
+ * @param {string|Date} date - Date (YYYY-MM-DD) or moment
+ * @returns {number} - Hebrew year
+ */
+function getHebrewYear(date) {
+  const day = date instanceof Date ? getLocalDate(date) : String(date).split('T')[0];
+  return hebrewFromFixed(fixedFromGregorian(day)).year;
+}
+
+/**
+ * The Hebrew year whose High Holidays a date leads up to: Tishrei belongs to
+ * that year's holidays, and anything after them to the next year's
+ * @param {string|Date} date - Date (YYYY-MM-DD) or moment
+ * @returns {number} - Hebrew year
+ */
+function getHighHolidayYear(date) {
+  const day = date instanceof Date ? getLocalDate(date) : String(date).split('T')[0];
+  const { year, month } = hebrewFromFixed(fixedFromGregorian(day));
+  return month === TISHREI ? year : year + 1;
+}
+
+/**
+ * Check a calendar range, defaulting to the coming month
+ * @param {Object} range - Query values
+ * @param {string} [range.start] - First date (YYYY-MM-DD)
+ * @param {string} [range.end] - Last date (YYYY-MM-DD), inclusive
+ * @returns {Object} - { start, end }
+ */
+function normalizeRange({ start, end } = {}) {
+  const from = start || getLocalDate();
+
+  if (!isDate(from) || (end && !isDate(end))) {
+    throw createHttpError(400, 'start and end must be dates (YYYY-MM-DD)');
+  }
+
+  const to = end || gregorianFromFixed(fixedFromGregorian(from) + 30);
+  const days = fixedFromGregorian(to) - fixedFromGregorian(from);
+
+  if (days < 0) {
+    throw createHttpError(400, 'end must not be before start');
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw createHttpError(400, `The calendar can cover at most ${MAX_RANGE_DAYS} days at a time`);
+  }
+
+  return { start: from, end: to };
+}
+
+/**
+ * Calendar entries between two dates: holidays, candle lighting and havdalah
+ * @param {Object} range - Query values
+ * @param {string} [range.start] - First date (YYYY-MM-DD), defaults to today
+ * @param {string} [range.end] - Last date (YYYY-MM-DD), defaults to a month on
+ * @param {string} [range.category] - Only entries in this category
+ * @returns {Object} - { start, end, location, items }; timed items have an ISO time
+ */
+function getCalendar({ start, end, category } = {}) {
+  if (category && !CATEGORIES.includes(category)) {
+    throw createHttpError(400, `category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+
+  const range = normalizeRange({ start, end });
+  const items = getHolidaysBetween(range.start, range.end).map(holiday => ({ ...holiday, time: null }));
+
+  for (let fixed = fixedFromGregorian(range.start); fixed <= fixedFromGregorian(range.end); fixed++) {
+    const date = gregorianFromFixed(fixed);
+    const { candleLighting, havdalah } = getTimes(date);
+
+    if (havdalah) {
+      items.push({ date, title: 'Havdalah', category: 'havdalah', yomTov: false, time: havdalah.toISOString() });
+    }
+    if (candleLighting) {
+      items.push({ date, title: 'Candle lighting', category: 'candles', yomTov: false, time: candleLighting.toISOString() });
+    }
+  }
+
+  // Holidays first on each day, then times in order
+  items.sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+
+  return {
+    ...range,
+    location: {
+      latitude: config.calendar.latitude,
+      longitude: config.calendar.longitude,
+      timeZone: config.calendar.timeZone,
+      israel: config.calendar.israel
+    },
+    items: items
+      .filter(item => !category || item.category === category)
+      .map(item => ({ ...item, hebrewDate: hebrewDate.toHebrew(item.date).formatted }))
+  };
+}
+
+/**
+ * The calendar as an iCalendar feed
+ * @param {Object} range - Same as getCalendar
+ * @returns {string} - iCalendar text
+ */
+function getCalendarIcs(range) {
+  const { items } = getCalendar(range);
+
+  return buildCalendar({
+    name: `${config.organization.name} Jewish Calendar`,
+    prodId: `-//${config.organization.name}//Jewish Calendar//EN`,
+    events: items.map(item => {
+      const slug = item.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const uid = `${item.date}-${slug}@calendar`;
+
+      return item.time
+        ? { uid, summary: item.title, start: item.time, description: item.hebrewDate }
+        : { uid, summary: item.title, date: item.date, description: item.hebrewDate };
+    })
+  });
+}
+
+module.exports = {
+  CATEGORIES,
+  isDate,
+  getHolidays,
+  getDay,
+  fromHebrew,
+  getShabbat,
+  isFastShabbat,
+  getLocalDate,
+  getHebrewYear,
+  getHighHolidayYear,
+  getCalendar,
+  getCalendarIcs
+};
@@ -0,0 +1,255 @@
+/**
+ * Attendee check-in
+ * Every registration has a QR ticket holding its check-in code; staff at the door
+ * scan it, or look the registrant up by name, to mark them as arrived
+ */
+const storage = require('./storage');
+const eventsService = require('./events');
+const { createQrCode, toSvg, toPng } = require('../utils/qr-code');
+const { createHttpError } = require('../utils/http-error');
+const { getShabbatWeek } = require('../utils/shabbat-week');
+const { getDefaultOrigin } = require('../utils/origin-utils');
+
+const CODE_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Link a ticket's QR code opens: the check-in page, with the code filled in
+ * @param {string} code - Check-in code
+ * @param {string} [origin] - Site origin (defaults to the configured one)
+ * @returns {string} - Check-in URL
+ */
+function getCheckInUrl(code, origin = getDefaultOrigin()) {
+  return `${origin}/admin/check-in?code=${code}`;
+}
+
+/**
+ * Pull the check-in code out of what a scanner read: a ticket URL or the bare code
+ * @param {string} input - Scanned or typed text
+ * @returns {string} - Check-in code
+ */
+function parseCode(input) {
+  let code = String(input || '').trim();
+
+  if (/^https?:\/\//i.test(code)) {
+    try {
+      code = new URL(code).searchParams.get('code') || '';
+    } catch (error) {
+      code = '';
+    }
+  }
+
+  code = code.toLowerCase();
+
+  if (!CODE_PATTERN.test(code)) {
+    throw createHttpError(400, 'This is not a check-in code');
+  }
+
+  return code;
+}
+
+/**
+ * QR ticket for the registration a link is for
+ * @param {Object} link - { registrationId, eventId } from the registration link token
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<Object>} - { contentType, body }
+ */
+async function getTicket(link, format) {
+  const { registration } = await eventsService.getLinkedRegistration(link);
+
+  if (registration.deleted_at) {
+    throw createHttpError(409, 'This registration has been cancelled');
+  }
+
+  if (!registration.check_in_code) {
+    throw createHttpError(404, 'This registration does not have a ticket');
+  }
+
+  const qr = createQrCode(getCheckInUrl(registration.check_in_code));
+
+  return format === 'png'
+    ? { contentType: 'image/png', body: toPng(qr) }
+    : { contentType: 'image/svg+xml', body: toSvg(qr) };
+}
+
+/**
+ * Who a registration is for and whether they have arrived, as shown to door staff
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {string|null} date - Date the registration is for (YYYY-MM-DD)
+ * @returns {Object} - Attendee
+ */
+function toAttendee(event, registration, date) {
+  return {
+    id: registration.id,
+    eventSlug: event.slug,
+    eventTitle: event.title,
+    firstName: registration.first_name,
+    lastName: registration.last_name,
+    email: registration.email,
+    date,
+    status: registration.status,
+    checkedInAt: registration.checked_in_at,
+    checkedInBy: registration.checked_in_by
+  };
+}
+
+/**
+ * Mark a registration as arrived, unless it already is
+ * Waitlisted registrants and those registered for another Shabbat can still be
+ * let in; the warnings let staff decide
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {Object} actor - Admin doing the check-in ({ username })
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object>} - { event, before, registration, attendee, alreadyCheckedIn, warnings }
+ */
+async function markCheckedIn(event, registration, actor, now = new Date()) {
+  if (registration.deleted_at) {
+    throw createHttpError(409, `${registration.first_name} ${registration.last_name}'s registration has been cancelled`);
+  }
+
+  const occurrence = registration.occurrence_id
+    ? (await storage.getEventOccurrence(event.id, registration.occurrence_id)).data
+    : null;
+  const date = eventsService.getRegistrationDate(event, registration, occurrence);
+
+  const warnings = [];
+  if (registration.status === 'waitlisted') {
+    warnings.push('On the waitlist');
+  }
+  if (registration.status === 'pending') {
+    warnings.push('Payment not completed');
+  }
+  if (date && date !== getShabbatWeek(now).friday) {
+    warnings.push(`Registered for ${date}`);
+  }
+
+  if (registration.checked_in_at) {
+    return {
+      event,
+      before: registration,
+      registration,
+      attendee: toAttendee(event, registration, date),
+      alreadyCheckedIn: true,
+      warnings
+    };
+  }
+
+  const result = await storage.updateEventRegistration(event.id, registration.id, {
+    checked_in_at: now.toISOString(),
+    checked_in_by: actor.username
+  });
+
+  return {
+    event,
+    before: registration,
+    registration: result.data[0],
+    attendee: toAttendee(event, result.data[0], date),
+    alreadyCheckedIn: false,
+    warnings
+  };
+}
+
+/**
+ * Check in whoever a scanned ticket belongs to
+ * @param {string} input - Scanned ticket URL or code
+ * @param {Object} actor - Admin doing the check-in ({ username })
+ * @returns {Promise<Object>} - See markCheckedIn
+ */
+async function checkInByCode(input, actor) {
+  const code = parseCode(input);
+  const [registration, events] = await Promise.all([
+    storage.getEventRegistrationByCheckInCode(code),
+    storage.listEvents()
+  ]);
+  const event = registration.data && events.data.find(e => e.id === registration.data.event_id);
+
+  if (!event) {
+    throw createHttpError(404, 'No registration matches this ticket');
+  }
+
+  return markCheckedIn(event, registration.data, actor);
+}
+
+/**
+ * Check in a registration staff found by name
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Registration ID
+ * @param {Object} actor - Admin doing the check-in ({ username })
+ * @returns {Promise<Object>} - See markCheckedIn
+ */
+async function checkInRegistration(slug, id, actor) {
+  const event = await eventsService.getEvent(slug);
+  const registration = await storage.getEventRegistration(event.id, id);
+
+  if (!registration.data) {
+    throw createHttpError(404, 'Registration not found');
+  }
+
+  return markCheckedIn(event, registration.data, actor);
+}
+
+/**
+ * Undo a check-in made by mistake
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Registration ID
+ * @returns {Promise<Object>} - { event, before, registration }
+ */
+async function undoCheckIn(slug, id) {
+  const event = await eventsService.getEvent(slug);
+  const before = await storage.getEventRegistration(event.id, id);
+
+  if (!before.data) {
+    throw createHttpError(404, 'Registration not found');
+  }
+
+  const result = await storage.updateEventRegistration(event.id, id, { checked_in_at: null, checked_in_by: null });
+
+  return { event, before: before.data, registration: result.data[0] };
+}
+
+/**
+ * Attendee list for the door: registrations for one date of a weekly event
+ * (this Shabbat by default) or the whole event, optionally filtered by name or email
+ * @param {string} slug - Event slug
+ * @param {Object} [options] - Options
+ * @param {string} [options.search] - Text to match against names and email addresses
+ * @param {string} [options.date] - Date of a weekly event (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { event, date, attendees, stats: { registered, checkedIn, waitlisted } }
+ */
+async function listAttendees(slug, { search, date } = {}) {
+  const { event, registrations, currentDate } = await eventsService.listRegistrations(slug);
+  const forDate = eventsService.isWeekly(event) ? (date || currentDate) : null;
+  const forEvent = registrations.filter(registration => !forDate || registration.occurrence_date === forDate);
+  const terms = String(search || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+  const attendees = forEvent
+    .filter(registration => {
+      const text = `${registration.first_name} ${registration.last_name} ${registration.email}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    })
+    .map(registration => toAttendee(event, registration, registration.occurrence_date))
+    .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+
+  const confirmed = forEvent.filter(registration => registration.status === 'confirmed');
+
+  return {
+    event,
+    date: forDate,
+    attendees,
+    stats: {
+      registered: confirmed.length,
+      checkedIn: forEvent.filter(registration => registration.checked_in_at).length,
+      waitlisted: forEvent.filter(registration => registration.status === 'waitlisted').length
+    }
+  };
+}
+
+module.exports = {
+  getCheckInUrl,
+  getTicket,
+  checkInByCode,
+  checkInRegistration,
+  undoCheckIn,
+  listAttendees
+};
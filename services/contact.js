@@ -0,0 +1,125 @@
+/**
+ * Contact form service
+ * Stores every submission, then forwards it to staff by email
+ */
+const storage = require('./storage');
+const mailService = require('./mail');
+const { createHttpError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/contact');
+
+const FOLDERS = ['inbox', 'unread', 'archived', 'all'];
+
+// Inbox flags and the timestamp column that records each one
+const STATUS_COLUMNS = {
+  read: 'read_at',
+  replied: 'replied_at',
+  archived: 'archived_at'
+};
+
+/**
+ * Store a contact form submission and email it to staff
+ * The message counts as received if either step succeeds, so a mail outage
+ * never loses a message and a database outage still reaches staff.
+ * @param {Object} contact - Contact form data
+ * @param {string} contact.name - Sender name
+ * @param {string} contact.email - Sender email
+ * @param {string} [contact.subject] - Subject
+ * @param {string} contact.message - Message body
+ * @returns {Promise<Object>} - { stored, delivered, id }
+ */
+async function submitContactMessage(contact) {
+  let stored = null;
+  let storeError = null;
+
+  try {
+    const result = await storage.addContactMessage(contact);
+    stored = result.data[0];
+  } catch (error) {
+    storeError = error;
+    log.error('Failed to store contact message', error);
+  }
+
+  let delivered = false;
+  let deliveryError = null;
+
+  try {
+    await mailService.sendContactEmail(contact);
+    delivered = true;
+  } catch (error) {
+    deliveryError = error;
+    log.error('Failed to email contact message to staff', error);
+  }
+
+  if (stored) {
+    try {
+      await storage.updateContactMessage(stored.id, delivered
+        ? { delivery_status: 'sent', delivered_at: new Date().toISOString(), delivery_error: null }
+        : { delivery_status: 'failed', delivery_error: deliveryError.message });
+    } catch (error) {
+      log.error('Failed to record contact message delivery status', error);
+    }
+  }
+
+  if (!stored && !delivered) {
+    throw storeError;
+  }
+
+  return { stored: Boolean(stored), delivered, id: stored ? stored.id : null };
+}
+
+/**
+ * List contact messages for the admin inbox
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.folder='inbox'] - 'inbox', 'unread', 'archived' or 'all'
+ * @param {string} [filters.search] - Search text
+ * @returns {Promise<Object>} - { data, unreadCount }
+ */
+async function listMessages({ folder = 'inbox', search } = {}) {
+  if (!FOLDERS.includes(folder)) {
+    throw createHttpError(400, `folder must be one of: ${FOLDERS.join(', ')}`);
+  }
+
+  const [result, unreadCount] = await Promise.all([
+    storage.listContactMessages({ folder, search: search ? String(search).trim() : undefined }),
+    storage.countUnreadContactMessages()
+  ]);
+
+  return { data: result.data, unreadCount };
+}
+
+/**
+ * Mark a contact message as read/unread, replied or archived
+ * @param {number} id - Contact message ID
+ * @param {Object} flags - Any of { read, replied, archived } as booleans
+ * @returns {Promise<Object>} - Updated message
+ */
+async function updateMessageStatus(id, flags) {
+  const changes = {};
+  const now = new Date().toISOString();
+
+  Object.keys(STATUS_COLUMNS).forEach(flag => {
+    if (typeof flags[flag] === 'boolean') {
+      changes[STATUS_COLUMNS[flag]] = flags[flag] ? now : null;
+    }
+  });
+
+  // Replying to a message implies it has been read
+  if (flags.replied === true && typeof flags.read !== 'boolean') {
+    changes.read_at = now;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw createHttpError(400, 'Provide at least one of read, replied or archived as true/false');
+  }
+
+  const result = await storage.updateContactMessage(id, changes);
+  return result.data[0];
+}
+
+module.exports = {
+  submitContactMessage,
+  listMessages,
+  updateMessageStatus
+};
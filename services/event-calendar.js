@@ -0,0 +1,169 @@
+/**
+ * Event calendar entries
+ * iCalendar files for events and Shabbat dates: a download for each
+ * registration or occurrence, and a feed of everything coming up that
+ * calendar apps can subscribe to
+ */
+const config = require('../config');
+const storage = require('./storage');
+const eventsService = require('./events');
+const calendar = require('./calendar');
+const { buildCalendar } = require('../utils/ical');
+const { createHttpError } = require('../utils/http-error');
+const { getShabbatWeek } = require('../utils/shabbat-week');
+const { getDefaultOrigin } = require('../utils/origin-utils');
+
+// How long an entry with a start time is shown as lasting
+const EVENT_DURATION_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Format a time of day where the calendar is
+ * @param {string} time - ISO time
+ * @returns {string} - e.g. "6:04 PM"
+ */
+function formatTime(time) {
+  return new Date(time).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: config.calendar.timeZone
+  });
+}
+
+/**
+ * Build the calendar entry for an event, or one date of a weekly event
+ * UIDs stay the same between downloads so calendar apps update entries in place
+ * @param {Object} event - Event row
+ * @param {Object} [options] - Options
+ * @param {string} [options.date] - Date of a weekly event (YYYY-MM-DD)
+ * @param {Object} [options.occurrence] - Occurrence of a weekly event
+ * @param {boolean} [options.cancelled=false] - Whether to mark the entry cancelled
+ * @returns {Object|null} - Entry for buildCalendar, or null if the event has no date yet
+ */
+function toEntry(event, { date, occurrence, cancelled = false } = {}) {
+  const origin = getDefaultOrigin();
+  const host = new URL(origin).hostname;
+  const entry = {
+    summary: event.title,
+    url: `${origin}${event.registration_path || '/'}`,
+    status: cancelled || (occurrence && occurrence.cancelled_at) ? 'CANCELLED' : 'CONFIRMED'
+  };
+
+  const day = occurrence ? occurrence.occurs_on : date;
+
+  if (day) {
+    const { candleLighting } = calendar.getShabbat(day);
+    const description = [
+      event.description,
+      occurrence && occurrence.host ? `Hosted by ${occurrence.host}` : null,
+      candleLighting ? `Candle lighting: ${formatTime(candleLighting)}` : null
+    ].filter(Boolean).join('\n');
+
+    Object.assign(entry, {
+      uid: `${event.slug}-${day}@${host}`,
+      description,
+      location: occurrence ? occurrence.location : null
+    });
+
+    // Without a start time the entry covers the whole Friday
+    if (occurrence && occurrence.starts_at) {
+      return { ...entry, start: occurrence.starts_at, end: new Date(new Date(occurrence.starts_at).getTime() + EVENT_DURATION_MS) };
+    }
+    return { ...entry, date: day };
+  }
+
+  if (!event.event_date) {
+    return null;
+  }
+
+  return {
+    ...entry,
+    uid: `${event.slug}@${host}`,
+    description: event.description,
+    start: event.event_date,
+    end: new Date(new Date(event.event_date).getTime() + EVENT_DURATION_MS)
+  };
+}
+
+/**
+ * Build an iCalendar document
+ * @param {string} name - Calendar name
+ * @param {Array} entries - Entries from toEntry
+ * @returns {string} - iCalendar text
+ */
+function toIcs(name, entries) {
+  return buildCalendar({
+    name,
+    prodId: `-//${config.organization.name}//Events//EN`,
+    events: entries
+  });
+}
+
+/**
+ * Calendar file for the event or Shabbat a registration is for
+ * @param {Object} link - { registrationId, eventId } from the registration link token
+ * @returns {Promise<Object>} - { filename, ics }
+ */
+async function getRegistrationIcs(link) {
+  const { event, registration, occurrence } = await eventsService.getLinkedRegistration(link);
+  const entry = toEntry(event, {
+    date: eventsService.getRegistrationDate(event, registration, occurrence),
+    occurrence,
+    cancelled: Boolean(registration.deleted_at)
+  });
+
+  if (!entry) {
+    throw createHttpError(404, `${event.title} does not have a date yet`);
+  }
+
+  return { filename: `${event.slug}.ics`, ics: toIcs(event.title, [entry]) };
+}
+
+/**
+ * Calendar file for one date of a weekly event
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Occurrence ID
+ * @returns {Promise<Object>} - { filename, ics }
+ */
+async function getOccurrenceIcs(slug, id) {
+  const event = await eventsService.getEvent(slug);
+  const result = await storage.getEventOccurrence(event.id, id);
+
+  if (!result.data) {
+    throw createHttpError(404, 'Occurrence not found');
+  }
+
+  return {
+    filename: `${event.slug}-${result.data.occurs_on}.ics`,
+    ics: toIcs(event.title, [toEntry(event, { occurrence: result.data })])
+  };
+}
+
+/**
+ * Feed of upcoming events and Shabbat dates, including cancelled dates so
+ * subscribed calendars drop them
+ * @param {Object} [options] - Options
+ * @param {string} [options.slug] - Only this event: its upcoming dates, or the event itself
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<string>} - iCalendar text
+ */
+async function getFeedIcs({ slug, now = new Date() } = {}) {
+  const events = slug ? [await eventsService.getEvent(slug)] : (await storage.listEvents()).data;
+  const entries = [];
+
+  for (const event of events) {
+    if (eventsService.isWeekly(event)) {
+      const occurrences = await storage.listEventOccurrences(event.id, { from: getShabbatWeek(now).friday });
+      occurrences.data.forEach(occurrence => entries.push(toEntry(event, { occurrence })));
+    } else if (event.event_date && new Date(event.event_date).getTime() + EVENT_DURATION_MS > now.getTime()) {
+      entries.push(toEntry(event));
+    }
+  }
+
+  return toIcs(slug ? events[0].title : `${config.organization.name} Events`, entries);
+}
+
+module.exports = {
+  getRegistrationIcs,
+  getOccurrenceIcs,
+  getFeedIcs
+};
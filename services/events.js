@@ -0,0 +1,1365 @@
+/**
+ * Event registration engine
+ * Shared registration logic for every event or program (Shabbat, Rosh Hashana, ...)
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const storage = require('./storage');
+const stripeService = require('./stripe');
+const notifications = require('./notifications');
+const audit = require('./audit');
+const peopleService = require('./people');
+const registrationLinks = require('./registration-links');
+const calendar = require('./calendar');
+const metrics = require('./metrics');
+const { createHttpError } = require('../utils/http-error');
+const { getShabbatWeek } = require('../utils/shabbat-week');
+const { capitalizeName } = require('../utils/name-utils');
+const { getDefaultOrigin } = require('../utils/origin-utils');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/events');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What an event's capacity covers: every registration, or each Shabbat week's.
+// Weekly events are scheduled as occurrences, one per Shabbat, that registrations attach to.
+const CAPACITY_PERIODS = ['event', 'week'];
+
+// Audit actor for registrations removed by the scheduled purge
+const PURGE_ACTOR = { id: null, username: 'system:purge' };
+
+// Columns an admin may set when creating or updating an event
+const EDITABLE_FIELDS = {
+  slug: 'string',
+  title: 'string',
+  description: 'string',
+  event_date: 'date',
+  capacity: 'integer',
+  capacity_period: 'period',
+  suggested_donation: 'amount',
+  registration_opens_at: 'date',
+  registration_closes_at: 'date',
+  registration_path: 'path',
+  confirmation_path: 'path'
+};
+
+// Columns an admin may set when scheduling an occurrence of a weekly event
+const OCCURRENCE_FIELDS = {
+  occurs_on: 'day',
+  starts_at: 'date',
+  location: 'string',
+  host: 'string',
+  capacity: 'integer',
+  registration_deadline: 'date'
+};
+
+/**
+ * Look up an event by slug, failing with a 404 if it does not exist
+ * @param {string} slug - Event slug
+ * @returns {Promise<Object>} - Event row
+ */
+async function getEvent(slug) {
+  const result = await storage.getEventBySlug(slug);
+
+  if (!result.data) {
+    throw createHttpError(404, `Event "${slug}" not found`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Work out whether an event is currently accepting registrations
+ * @param {Object} event - Event row
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} - { open, reason }
+ */
+function getRegistrationWindow(event, now = new Date()) {
+  if (event.registration_opens_at && now < new Date(event.registration_opens_at)) {
+    return { open: false, reason: 'Registration has not opened yet' };
+  }
+
+  if (event.registration_closes_at && now > new Date(event.registration_closes_at)) {
+    return { open: false, reason: 'Registration is closed' };
+  }
+
+  return { open: true, reason: null };
+}
+
+/**
+ * Whether an event is scheduled as weekly occurrences
+ * @param {Object} event - Event row
+ * @returns {boolean}
+ */
+function isWeekly(event) {
+  return event.capacity_period === 'week';
+}
+
+/**
+ * The registrations that share an event's capacity
+ * @param {Object} event - Event row
+ * @param {Object|null} occurrence - Occurrence of a weekly event
+ * @returns {Object} - { occurrenceId } for weekly events, or {} for the whole event
+ */
+function getCapacityPeriod(event, occurrence) {
+  return isWeekly(event) && occurrence ? { occurrenceId: occurrence.id } : {};
+}
+
+/**
+ * Seats available for an occurrence, which may override its event's capacity
+ * @param {Object} event - Event row
+ * @param {Object|null} occurrence - Occurrence of a weekly event
+ * @returns {number|null} - Capacity, or null for no limit
+ */
+function getCapacity(event, occurrence) {
+  return occurrence && occurrence.capacity != null ? occurrence.capacity : event.capacity;
+}
+
+/**
+ * What taking a seat is checked against, for the storage calls that give one out
+ * Registrations from before occurrences were scheduled have no seat to check
+ * @param {Object} event - Event row
+ * @param {Object|null} occurrence - Occurrence of a weekly event
+ * @returns {Object} - { capacity, occurrenceId }, with a null capacity for no limit
+ */
+function getSeatLimit(event, occurrence) {
+  if (isWeekly(event) && !occurrence) {
+    return { capacity: null };
+  }
+
+  return { capacity: getCapacity(event, occurrence), ...getCapacityPeriod(event, occurrence) };
+}
+
+/**
+ * When an occurrence is over: the end of its day in New York
+ * @param {Object} occurrence - Occurrence row
+ * @returns {Date}
+ */
+function getOccurrenceEnd(occurrence) {
+  return new Date(getShabbatWeek(`${occurrence.occurs_on}T12:00:00Z`).end);
+}
+
+/**
+ * Work out whether an occurrence is still taking registrations
+ * @param {Object} occurrence - Occurrence row
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object} - { open, reason }
+ */
+function getOccurrenceWindow(occurrence, now = new Date()) {
+  if (occurrence.cancelled_at) {
+    return { open: false, reason: 'This date has been cancelled' };
+  }
+
+  if (now >= getOccurrenceEnd(occurrence)) {
+    return { open: false, reason: 'This date has already passed' };
+  }
+
+  if (occurrence.registration_deadline && now > new Date(occurrence.registration_deadline)) {
+    return { open: false, reason: 'Registration for this date has closed' };
+  }
+
+  return { open: true, reason: null };
+}
+
+/**
+ * The next occurrence of a weekly event that is open for registration
+ * When nothing is scheduled for the current Shabbat week, it can be scheduled
+ * on the spot with the event's defaults so registration never stops.
+ * @param {Object} event - Event row
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.schedule=false] - Whether to schedule this week's occurrence if it is missing
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Object|null>} - Occurrence, or null if none is open
+ */
+async function getCurrentOccurrence(event, { schedule = false, now = new Date() } = {}) {
+  const thisWeek = getShabbatWeek(now).friday;
+  const upcoming = await storage.listEventOccurrences(event.id, { from: thisWeek, includeCancelled: false });
+  const open = upcoming.data.find(occurrence => getOccurrenceWindow(occurrence, now).open);
+
+  if (open || !schedule) {
+    return open || null;
+  }
+
+  const existing = await storage.getEventOccurrenceByDate(event.id, thisWeek);
+  if (existing.data) {
+    return null;
+  }
+
+  return scheduleShabbat(event, thisWeek);
+}
+
+/**
+ * Schedule a weekly event for a Shabbat with the event's defaults
+ * A Shabbat that falls on Yom Kippur is skipped, since there is no meal
+ * @param {Object} event - Event row
+ * @param {string} friday - Friday (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - Occurrence, or null if skipped
+ */
+async function scheduleShabbat(event, friday) {
+  if (calendar.isFastShabbat(friday)) {
+    log.info(`Not scheduling ${event.slug} for ${friday}: Shabbat is Yom Kippur`);
+    return null;
+  }
+
+  const created = await storage.createEventOccurrence({ event_id: event.id, occurs_on: friday });
+  log.info(`Scheduled ${event.slug} for ${friday}`);
+  return created.data[0];
+}
+
+/**
+ * Make sure every weekly event is scheduled for the coming weeks
+ * Dates that already have an occurrence, including cancelled ones, are left alone
+ * @param {Object} [options] - Options
+ * @param {number} [options.weeks=config.calendar.shabbatWeeksAhead] - Weeks to schedule, starting with this one
+ * @param {Date} [options.now=new Date()] - Current time
+ * @returns {Promise<Array>} - Newly scheduled occurrences, with the event slug
+ */
+async function scheduleUpcomingOccurrences({ weeks = config.calendar.shabbatWeeksAhead, now = new Date() } = {}) {
+  const events = await storage.listEvents();
+  const thisWeek = Date.parse(`${getShabbatWeek(now).friday}T00:00:00Z`);
+  const scheduled = [];
+
+  for (const event of events.data) {
+    if (!isWeekly(event) || !getRegistrationWindow(event, now).open) {
+      continue;
+    }
+
+    for (let week = 0; week < weeks; week++) {
+      const friday = new Date(thisWeek + week * 7 * DAY_MS).toISOString().split('T')[0];
+      const existing = await storage.getEventOccurrenceByDate(event.id, friday);
+
+      if (!existing.data) {
+        const occurrence = await scheduleShabbat(event, friday);
+        if (occurrence) {
+          scheduled.push({ ...occurrence, event_slug: event.slug });
+        }
+      }
+    }
+  }
+
+  return scheduled;
+}
+
+/**
+ * Look up one of an event's occurrences, failing with a 404 if it does not exist
+ * @param {Object} event - Event row
+ * @param {number|string} id - Occurrence ID
+ * @returns {Promise<Object>} - Occurrence row
+ */
+async function getOccurrence(event, id) {
+  const result = await storage.getEventOccurrence(event.id, id);
+
+  if (!result.data) {
+    throw createHttpError(404, 'Occurrence not found');
+  }
+
+  return result.data;
+}
+
+/**
+ * The occurrence a registration is for, if it has one
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @returns {Promise<Object|null>} - Occurrence row
+ */
+async function getRegistrationOccurrence(event, registration) {
+  if (!registration.occurrence_id) {
+    return null;
+  }
+
+  const result = await storage.getEventOccurrence(event.id, registration.occurrence_id);
+  return result.data;
+}
+
+/**
+ * The Shabbat a registration for a weekly event is for
+ * Registrations from before occurrences were scheduled fall back to the Shabbat week they were made in
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {Object|null} occurrence - Occurrence the registration is for
+ * @returns {string|null} - Date (YYYY-MM-DD), or null for events that are not weekly
+ */
+function getRegistrationDate(event, registration, occurrence) {
+  if (occurrence) {
+    return occurrence.occurs_on;
+  }
+
+  return isWeekly(event) ? getShabbatWeek(registration.created_at).friday : null;
+}
+
+/**
+ * The Hebrew year a registration counts towards, so yearly events can be grouped by it
+ * Registrations for a set date use that date; the rest count towards the
+ * coming High Holidays, so a signup in Elul is for the new year
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {string|null} date - Date of the occurrence it is for (YYYY-MM-DD)
+ * @returns {number} - Hebrew year
+ */
+function getRegistrationHebrewYear(event, registration, date) {
+  if (date) {
+    return calendar.getHebrewYear(date);
+  }
+
+  if (event.event_date) {
+    return calendar.getHebrewYear(new Date(event.event_date));
+  }
+
+  return calendar.getHighHolidayYear(new Date(registration.created_at));
+}
+
+/**
+ * Registration counts for an event, or one occurrence of it
+ * @param {Object} event - Event row
+ * @param {Object|null} occurrence - Occurrence of a weekly event
+ * @returns {Promise<Object>} - { capacity, registration_count, seats_remaining, waitlist_count }
+ */
+async function getAvailability(event, occurrence) {
+  const period = getCapacityPeriod(event, occurrence);
+  const capacity = getCapacity(event, occurrence);
+
+  // A weekly event with nothing scheduled has no registrations yet
+  if (isWeekly(event) && !occurrence) {
+    return { capacity, registration_count: 0, seats_remaining: capacity, waitlist_count: 0 };
+  }
+
+  const [registrationCount, waitlist] = await Promise.all([
+    storage.countEventRegistrations(event.id, period),
+    storage.listEventWaitlist(event.id, period)
+  ]);
+
+  return {
+    capacity,
+    registration_count: registrationCount,
+    seats_remaining: capacity == null ? null : Math.max(capacity - registrationCount, 0),
+    waitlist_count: waitlist.data.length
+  };
+}
+
+/**
+ * Add registration counts and availability to an event
+ * Weekly events report their next open occurrence. A full event still takes
+ * registrations, onto its waitlist.
+ * @param {Object} event - Event row
+ * @returns {Promise<Object>} - Event with registration_count, seats_remaining, waitlist_count, registration_open, hebrew_year and occurrence
+ */
+async function withAvailability(event) {
+  const occurrence = isWeekly(event) ? await getCurrentOccurrence(event) : null;
+  const { registration_count, seats_remaining, waitlist_count } = await getAvailability(event, occurrence);
+  const registrationWindow = getRegistrationWindow(event);
+
+  return {
+    ...event,
+    registration_count,
+    seats_remaining,
+    waitlist_count,
+    registration_open: registrationWindow.open,
+    hebrew_year: event.event_date ? calendar.getHebrewYear(new Date(event.event_date)) : null,
+    occurrence
+  };
+}
+
+/**
+ * Where a waitlisted registration is in line
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @returns {Promise<number|null>} - Position from 1, or null if it is not waitlisted
+ */
+async function getWaitlistPosition(event, registration) {
+  if (registration.status !== 'waitlisted' || (isWeekly(event) && !registration.occurrence_id)) {
+    return null;
+  }
+
+  const period = isWeekly(event) ? { occurrenceId: registration.occurrence_id } : {};
+  const waitlist = await storage.listEventWaitlist(event.id, period);
+  const index = waitlist.data.findIndex(waiting => String(waiting.id) === String(registration.id));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Page to send a registrant to once they have registered
+ * @param {Object} event - Event row
+ * @param {Object} [details] - What the page should show
+ * @param {number|null} [details.waitlistPosition] - Their place on the waitlist, if they are on it
+ * @param {string} [details.manageToken] - Token for their manage-registration link
+ * @returns {string|null} - Confirmation path with the details in its query string
+ */
+function getConfirmationPath(event, { waitlistPosition, manageToken } = {}) {
+  if (!event.confirmation_path) {
+    return event.confirmation_path;
+  }
+
+  const params = new URLSearchParams();
+
+  if (waitlistPosition) {
+    params.set('waitlist', waitlistPosition);
+  }
+
+  if (manageToken) {
+    params.set('registration', manageToken);
+  }
+
+  const query = params.toString();
+  const separator = event.confirmation_path.includes('?') ? '&' : '?';
+  return query ? `${event.confirmation_path}${separator}${query}` : event.confirmation_path;
+}
+
+/**
+ * Start the Stripe checkout for the donation a registrant pledged while on the waitlist
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration that was just promoted
+ * @param {string} manageToken - Token for the registrant's manage-registration link
+ * @returns {Promise<string|undefined>} - Checkout URL, if there is a donation to pay
+ */
+async function createPromotionCheckout(event, registration, manageToken) {
+  const amount = Number(registration.donation_amount) || 0;
+
+  if (amount <= 0) {
+    return undefined;
+  }
+
+  // Registrations waitlisted before checkout waited for a seat may already be paid for
+  if (registration.person_id) {
+    const payments = await storage.listPayments({ personId: registration.person_id, status: 'paid' });
+    if (payments.data.some(payment => payment.registration_id === registration.id)) {
+      return undefined;
+    }
+  }
+
+  try {
+    const session = await stripeService.createEventRegistrationSession(
+      event,
+      {
+        donationAmount: amount,
+        firstName: registration.first_name,
+        lastName: registration.last_name,
+        email: registration.email,
+        registrationId: registration.id,
+        manageToken
+      },
+      getDefaultOrigin()
+    );
+    return session.url;
+  } catch (error) {
+    // The seat is theirs either way; the email just goes out without a payment link
+    log.error(`Failed to start checkout for promoted ${event.slug} registration ${registration.id}`, error);
+    return undefined;
+  }
+}
+
+/**
+ * Promote people off the waitlist, first in line first, while there are open seats
+ * Each promoted registrant is emailed, with a link to pay the donation they pledged.
+ * Dates that are already over are left alone.
+ * @param {Object} event - Event row
+ * @param {Object|null} [occurrence=null] - Occurrence to fill, for weekly events
+ * @returns {Promise<Array>} - Promoted registrations
+ */
+async function fillOpenSeats(event, occurrence = null) {
+  // Registrations from before occurrences were scheduled have no seats to fill
+  if (isWeekly(event) && (!occurrence || occurrence.cancelled_at)) {
+    return [];
+  }
+
+  // Nobody should be emailed a seat for a date that has already gone by
+  const date = occurrence ? occurrence.occurs_on : event.event_date && calendar.getLocalDate(new Date(event.event_date));
+  if (date && date < calendar.getLocalDate()) {
+    return [];
+  }
+
+  const period = getCapacityPeriod(event, occurrence);
+  const capacity = getCapacity(event, occurrence);
+  const [registrationCount, waitlist] = await Promise.all([
+    storage.countEventRegistrations(event.id, period),
+    storage.listEventWaitlist(event.id, period)
+  ]);
+
+  let openSeats = capacity == null ? waitlist.data.length : capacity - registrationCount;
+  const promoted = [];
+
+  for (const registration of waitlist.data) {
+    if (openSeats <= 0) {
+      break;
+    }
+
+    // Another request may have promoted or deleted them, or taken the seat, in the meantime
+    const result = await storage.promoteEventRegistration(event.id, registration.id, getSeatLimit(event, occurrence));
+    if (result.data.length === 0) {
+      continue;
+    }
+
+    promoted.push(result.data[0]);
+    openSeats--;
+    const manageToken = registrationLinks.createToken(result.data[0]);
+    await notifications.notifyWaitlistPromotion(event, result.data[0], {
+      occurrence,
+      manageUrl: registrationLinks.getUrl(manageToken, getDefaultOrigin()),
+      paymentUrl: await createPromotionCheckout(event, result.data[0], manageToken)
+    });
+  }
+
+  if (promoted.length > 0) {
+    log.info(`Promoted ${promoted.length} ${event.slug} registrations off the waitlist`);
+  }
+
+  return promoted;
+}
+
+/**
+ * Give a registration its seat once its Stripe checkout is paid
+ * It joins the waitlist instead if the seats were taken while the registrant was paying
+ * @param {Object} event - Event row
+ * @param {number} id - Registration ID
+ * @returns {Promise<Object|null>} - Registration, or null if it no longer exists
+ */
+async function confirmPaidRegistration(event, id) {
+  const current = (await storage.getEventRegistration(event.id, id)).data;
+
+  if (!current || current.status !== 'pending') {
+    return current;
+  }
+
+  const occurrence = await getRegistrationOccurrence(event, current);
+  const result = await storage.confirmEventRegistration(event.id, id, getSeatLimit(event, occurrence));
+
+  // Already confirmed by another delivery of the same webhook, or deleted
+  if (result.data.length === 0) {
+    return (await storage.getEventRegistration(event.id, id)).data;
+  }
+
+  const registration = result.data[0];
+  if (registration.status === 'waitlisted') {
+    log.info('Paid registration waitlisted, its event filled up during checkout', {
+      eventSlug: event.slug,
+      registrationId: id
+    });
+  }
+
+  return registration;
+}
+
+/**
+ * Release the registration behind a Stripe checkout that expired unpaid
+ * @param {Object} event - Event row
+ * @param {number} id - Registration ID
+ * @returns {Promise<boolean>} - Whether a pending registration was removed
+ */
+async function releaseUnpaidRegistration(event, id) {
+  const current = (await storage.getEventRegistration(event.id, id)).data;
+
+  if (!current || current.status !== 'pending' || current.deleted_at) {
+    return false;
+  }
+
+  await storage.deleteEventRegistration(event.id, id);
+  log.info('Removed registration whose checkout expired unpaid', { eventSlug: event.slug, registrationId: id });
+  return true;
+}
+
+/**
+ * List all events with their availability
+ * @returns {Promise<Array>} - Events
+ */
+async function listEvents() {
+  const result = await storage.listEvents();
+  return Promise.all(result.data.map(withAvailability));
+}
+
+/**
+ * Register someone for an event, starting a Stripe checkout if they are donating
+ * and get a seat (waitlisted registrants pay if they are promoted)
+ * @param {string} slug - Event slug
+ * @param {Object} details - Registration details
+ * @param {string} details.firstName - Registrant first name
+ * @param {string} details.lastName - Registrant last name
+ * @param {string} details.email - Registrant email
+ * @param {number|string} [details.donationAmount] - Optional donation amount
+ * @param {string} [details.donationType] - Donation type passed through to Stripe metadata
+ * @param {number|string} [details.occurrenceId] - Occurrence of a weekly event (defaults to the next open one)
+ * @param {Object} options - Registration options
+ * @param {string} [options.origin] - Site origin for Stripe redirect URLs
+ * @param {boolean} [options.checkout=true] - Whether to start a Stripe checkout for donations
+ * Once the event (or the chosen Shabbat) is full, registrations join the waitlist
+ * @returns {Promise<Object>} - { event, occurrence, registration, session, waitlistPosition, manageToken }
+ */
+async function registerForEvent(slug, details, options = {}) {
+  const { firstName, lastName, email, donationType } = details;
+  const { origin, checkout = true } = options;
+
+  if (!firstName || !lastName || !email) {
+    throw createHttpError(400, 'Missing required fields for registration');
+  }
+
+  const event = await getEvent(slug);
+  const registrationWindow = getRegistrationWindow(event);
+
+  if (!registrationWindow.open) {
+    throw createHttpError(409, registrationWindow.reason);
+  }
+
+  let occurrence = null;
+
+  if (isWeekly(event)) {
+    occurrence = details.occurrenceId
+      ? await getOccurrence(event, details.occurrenceId)
+      : await getCurrentOccurrence(event, { schedule: true });
+
+    if (!occurrence) {
+      throw createHttpError(409, `No upcoming ${event.title} is open for registration`);
+    }
+
+    const occurrenceWindow = getOccurrenceWindow(occurrence);
+    if (!occurrenceWindow.open) {
+      throw createHttpError(409, occurrenceWindow.reason);
+    }
+  }
+
+  const amount = parseFloat(details.donationAmount) || 0;
+
+  const person = await peopleService.findOrCreatePerson({ email, firstName, lastName });
+
+  // Returning if this email has registered before, or someone with the same name
+  // has (people sometimes register with a different address)
+  const returning = await peopleService.hasRegistered(person) || await storage.nameExists(firstName, lastName);
+
+  const registration = await storage.addEventRegistration(event.id, {
+    firstName,
+    lastName,
+    email,
+    donationAmount: amount,
+    isNew: !returning,
+    personId: person.id,
+    // A registration with a donation holds no seat until the Stripe webhook confirms its payment
+    status: checkout && amount > 0 ? 'pending' : 'confirmed',
+    occurrenceId: occurrence ? occurrence.id : null,
+    // Printed in the registrant's QR ticket and scanned at the door
+    checkInCode: crypto.randomBytes(8).toString('hex'),
+    // Goes on the waitlist if the seats are taken by the time it is inserted
+    capacity: getCapacity(event, occurrence)
+  });
+  metrics.recordRegistration(event.slug, registration.data[0].status);
+
+  const waitlistPosition = await getWaitlistPosition(event, registration.data[0]);
+  const manageToken = registrationLinks.createToken(registration.data[0]);
+  const manageUrl = registrationLinks.getUrl(manageToken, origin || getDefaultOrigin());
+
+  if (waitlistPosition) {
+    log.info('Registration waitlisted', { eventSlug: event.slug, registrationId: registration.data[0].id, waitlistPosition });
+  }
+
+  let session = null;
+
+  // Waitlisted registrants are not charged yet; they get a checkout link if they are promoted
+  if (checkout && amount > 0 && !waitlistPosition) {
+    // Paid registrations are confirmed by the Stripe webhook once payment completes
+    try {
+      session = await stripeService.createEventRegistrationSession(
+        event,
+        {
+          donationAmount: amount,
+          donationType,
+          firstName,
+          lastName,
+          email,
+          registrationId: registration.data[0].id,
+          waitlistPosition,
+          manageToken
+        },
+        origin
+      );
+    } catch (error) {
+      // Nothing will ever pay for it
+      await storage.deleteEventRegistration(event.id, registration.data[0].id);
+      throw error;
+    }
+  } else {
+    await notifications.notifyRegistration(event, registration.data[0], { donationAmount: amount, manageUrl, occurrence });
+  }
+
+  return { event, occurrence, registration, session, waitlistPosition, manageToken };
+}
+
+/**
+ * Normalize admin input against a set of editable columns
+ * @param {Object} input - Request body
+ * @param {Object} fields - Column names mapped to their types
+ * @returns {Object} - Columns that were present in the input
+ */
+function normalizeFields(input, fields) {
+  const changes = {};
+
+  Object.keys(fields).forEach(field => {
+    if (!(field in input)) {
+      return;
+    }
+
+    const value = input[field];
+    const type = fields[field];
+
+    if (value === null || value === '') {
+      changes[field] = null;
+      return;
+    }
+
+    switch (type) {
+      case 'date': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          throw createHttpError(400, `${field} must be a valid date`);
+        }
+        changes[field] = date.toISOString();
+        break;
+      }
+      case 'day': {
+        const day = String(value).trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(`${day}T00:00:00Z`).getTime())) {
+          throw createHttpError(400, `${field} must be a date (YYYY-MM-DD)`);
+        }
+        changes[field] = day;
+        break;
+      }
+      case 'integer': {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+          throw createHttpError(400, `${field} must be a positive whole number`);
+        }
+        changes[field] = number;
+        break;
+      }
+      case 'amount': {
+        const number = Number(value);
+        if (!isFinite(number) || number < 0) {
+          throw createHttpError(400, `${field} must be zero or more`);
+        }
+        changes[field] = number;
+        break;
+      }
+      case 'period':
+        if (!CAPACITY_PERIODS.includes(value)) {
+          throw createHttpError(400, `${field} must be one of: ${CAPACITY_PERIODS.join(', ')}`);
+        }
+        changes[field] = value;
+        break;
+      case 'path':
+        if (typeof value !== 'string' || !value.startsWith('/')) {
+          throw createHttpError(400, `${field} must be a site path starting with /`);
+        }
+        changes[field] = value;
+        break;
+      default:
+        changes[field] = String(value).trim();
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Normalize admin input for creating or updating an event
+ * @param {Object} input - Request body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial=false] - Whether missing required fields are allowed (updates)
+ * @returns {Object} - Event columns
+ */
+function normalizeEventInput(input, { partial = false } = {}) {
+  const changes = normalizeFields(input, EDITABLE_FIELDS);
+
+  if (!partial && (!changes.slug || !changes.title)) {
+    throw createHttpError(400, 'slug and title are required');
+  }
+
+  if ('slug' in changes && !SLUG_PATTERN.test(changes.slug || '')) {
+    throw createHttpError(400, 'slug may only contain lowercase letters, numbers and dashes');
+  }
+
+  if ('title' in changes && !changes.title) {
+    throw createHttpError(400, 'title cannot be empty');
+  }
+
+  if (changes.suggested_donation === null) {
+    changes.suggested_donation = 0;
+  }
+
+  if (changes.capacity_period === null) {
+    changes.capacity_period = 'event';
+  }
+
+  return changes;
+}
+
+/**
+ * Create a new event
+ * @param {Object} input - Admin input
+ * @returns {Promise<Object>} - Created event
+ */
+async function createEvent(input) {
+  const eventData = normalizeEventInput(input);
+  const existing = await storage.getEventBySlug(eventData.slug);
+
+  if (existing.data) {
+    throw createHttpError(409, `An event with slug "${eventData.slug}" already exists`);
+  }
+
+  const result = await storage.createEvent(eventData);
+  return result.data[0];
+}
+
+/**
+ * Update an existing event
+ * @param {string} slug - Slug of the event to update
+ * @param {Object} input - Admin input
+ * @returns {Promise<Object>} - Updated event
+ */
+async function updateEvent(slug, input) {
+  const event = await getEvent(slug);
+  const changes = normalizeEventInput(input, { partial: true });
+
+  if (Object.keys(changes).length === 0) {
+    throw createHttpError(400, 'No event fields to update');
+  }
+
+  if (changes.slug && changes.slug !== event.slug) {
+    const existing = await storage.getEventBySlug(changes.slug);
+    if (existing.data) {
+      throw createHttpError(409, `An event with slug "${changes.slug}" already exists`);
+    }
+  }
+
+  const result = await storage.updateEvent(event.id, changes);
+  const updated = result.data[0];
+
+  // More seats (or none to limit) can let people in off the waitlist
+  if ('capacity' in changes || 'capacity_period' in changes) {
+    if (isWeekly(updated)) {
+      const upcoming = await storage.listEventOccurrences(updated.id, {
+        from: getShabbatWeek().friday,
+        includeCancelled: false
+      });
+      for (const occurrence of upcoming.data) {
+        await fillOpenSeats(updated, occurrence);
+      }
+    } else {
+      await fillOpenSeats(updated);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Normalize admin input for scheduling or updating an occurrence
+ * @param {Object} input - Request body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial=false] - Whether occurs_on may be missing (updates)
+ * @returns {Object} - Occurrence columns
+ */
+function normalizeOccurrenceInput(input, { partial = false } = {}) {
+  const changes = normalizeFields(input, OCCURRENCE_FIELDS);
+
+  if (partial) {
+    if ('occurs_on' in changes) {
+      throw createHttpError(400, 'An occurrence cannot be moved; cancel it and schedule a new one');
+    }
+  } else if (!changes.occurs_on) {
+    throw createHttpError(400, 'occurs_on is required');
+  } else if (new Date(`${changes.occurs_on}T00:00:00Z`).getUTCDay() !== 5) {
+    throw createHttpError(400, 'occurs_on must be a Friday');
+  }
+
+  return changes;
+}
+
+/**
+ * Get a weekly event, failing if the event is not scheduled by occurrence
+ * @param {string} slug - Event slug
+ * @returns {Promise<Object>} - Event row
+ */
+async function getWeeklyEvent(slug) {
+  const event = await getEvent(slug);
+
+  if (!isWeekly(event)) {
+    throw createHttpError(400, `${event.title} is not a weekly event; set its capacity_period to "week" to schedule dates`);
+  }
+
+  return event;
+}
+
+/**
+ * List a weekly event's occurrences with their registration counts
+ * @param {string} slug - Event slug
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.from] - Only occurrences on or after this date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { event, occurrences }
+ */
+async function listOccurrences(slug, { from } = {}) {
+  const event = await getWeeklyEvent(slug);
+  const filters = from ? normalizeFields({ from }, { from: 'day' }) : {};
+  const result = await storage.listEventOccurrences(event.id, filters);
+
+  const occurrences = await Promise.all(result.data.map(async occurrence => ({
+    ...occurrence,
+    ...await getAvailability(event, occurrence),
+    registration_open: getOccurrenceWindow(occurrence).open
+  })));
+
+  return { event, occurrences };
+}
+
+/**
+ * Upcoming occurrences of a weekly event that are open for registration
+ * @param {string} slug - Event slug
+ * @returns {Promise<Array>} - Occurrences with availability
+ */
+async function listOpenOccurrences(slug) {
+  const event = await getWeeklyEvent(slug);
+  const result = await storage.listEventOccurrences(event.id, {
+    from: getShabbatWeek().friday,
+    includeCancelled: false
+  });
+
+  const open = result.data.filter(occurrence => getOccurrenceWindow(occurrence).open);
+  return Promise.all(open.map(async occurrence => ({
+    ...occurrence,
+    ...await getAvailability(event, occurrence)
+  })));
+}
+
+/**
+ * Schedule an occurrence of a weekly event
+ * @param {string} slug - Event slug
+ * @param {Object} input - Admin input (occurs_on, starts_at, location, host, capacity, registration_deadline)
+ * @returns {Promise<Object>} - { event, occurrence }
+ */
+async function createOccurrence(slug, input) {
+  const event = await getWeeklyEvent(slug);
+  const occurrenceData = normalizeOccurrenceInput(input);
+  const existing = await storage.getEventOccurrenceByDate(event.id, occurrenceData.occurs_on);
+
+  if (existing.data) {
+    throw createHttpError(409, `${event.title} is already scheduled for ${occurrenceData.occurs_on}`);
+  }
+
+  const result = await storage.createEventOccurrence({ ...occurrenceData, event_id: event.id });
+  return { event, occurrence: result.data[0] };
+}
+
+/**
+ * Update an occurrence's details
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Occurrence ID
+ * @param {Object} input - Admin input
+ * @returns {Promise<Object>} - { event, before, occurrence, promoted }
+ */
+async function updateOccurrence(slug, id, input) {
+  const event = await getWeeklyEvent(slug);
+  const before = await getOccurrence(event, id);
+  const changes = normalizeOccurrenceInput(input, { partial: true });
+
+  if (Object.keys(changes).length === 0) {
+    throw createHttpError(400, 'No occurrence fields to update');
+  }
+
+  const result = await storage.updateEventOccurrence(event.id, before.id, changes);
+  const occurrence = result.data[0];
+
+  const promoted = 'capacity' in changes ? await fillOpenSeats(event, occurrence) : [];
+  return { event, before, occurrence, promoted };
+}
+
+/**
+ * Cancel an occurrence and email everyone registered or waitlisted for it
+ * Registrations are kept, so the cancelled date still shows who signed up
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Occurrence ID
+ * @returns {Promise<Object>} - { event, before, occurrence, notified }
+ */
+async function cancelOccurrence(slug, id) {
+  const event = await getWeeklyEvent(slug);
+  const before = await getOccurrence(event, id);
+
+  if (before.cancelled_at) {
+    throw createHttpError(409, `${event.title} on ${before.occurs_on} is already cancelled`);
+  }
+
+  const result = await storage.updateEventOccurrence(event.id, before.id, { cancelled_at: new Date().toISOString() });
+  const occurrence = result.data[0];
+
+  const registrations = await storage.getEventRegistrations(event.id);
+  const affected = registrations.data.filter(registration => String(registration.occurrence_id) === String(occurrence.id));
+
+  for (const registration of affected) {
+    await notifications.notifyOccurrenceCancelled(event, occurrence, registration);
+  }
+
+  log.info(`Cancelled ${event.slug} on ${occurrence.occurs_on}; notified ${affected.length} registrants`);
+  return { event, before, occurrence, notified: affected.length };
+}
+
+/**
+ * List an event's registrations, each with the date and Hebrew year it is for
+ * @param {string} slug - Event slug
+ * @returns {Promise<Object>} - { event, registrations, occurrences, currentDate }
+ */
+async function listRegistrations(slug) {
+  const event = await getEvent(slug);
+  const [registrations, occurrences] = await Promise.all([
+    storage.getEventRegistrations(event.id),
+    isWeekly(event) ? storage.listEventOccurrences(event.id) : { data: [] }
+  ]);
+
+  const occurrencesById = {};
+  occurrences.data.forEach(occurrence => {
+    occurrencesById[occurrence.id] = occurrence;
+  });
+
+  return {
+    event,
+    registrations: registrations.data.map(registration => {
+      const date = getRegistrationDate(event, registration, occurrencesById[registration.occurrence_id] || null);
+
+      return {
+        ...registration,
+        occurrence_date: date,
+        hebrew_year: getRegistrationHebrewYear(event, registration, date)
+      };
+    }),
+    occurrences: occurrences.data,
+    currentDate: isWeekly(event) ? getShabbatWeek().friday : null
+  };
+}
+
+/**
+ * Delete a registration, giving its seat to the next person on the waitlist
+ * Registrations are soft-deleted and can be restored until the retention window passes
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Registration ID
+ * @returns {Promise<Object>} - { event, registration, promoted }
+ */
+async function deleteRegistration(slug, id) {
+  const event = await getEvent(slug);
+  const result = await storage.deleteEventRegistration(event.id, id);
+  const registration = result.data[0];
+
+  const promoted = registration.status === 'confirmed'
+    ? await fillOpenSeats(event, await getRegistrationOccurrence(event, registration))
+    : [];
+
+  return { event, registration, promoted };
+}
+
+/**
+ * Whether a registrant can still change or cancel their registration: until the
+ * event is over, or for weekly events, until their Shabbat is over
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {Object|null} occurrence - Occurrence the registration is for
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean}
+ */
+function isChangeableByRegistrant(event, registration, occurrence, now = new Date()) {
+  if (registration.deleted_at || (occurrence && occurrence.cancelled_at)) {
+    return false;
+  }
+
+  if (occurrence) {
+    return now < getOccurrenceEnd(occurrence);
+  }
+
+  if (isWeekly(event)) {
+    return now < new Date(getShabbatWeek(registration.created_at).end);
+  }
+
+  return !event.event_date || now < new Date(event.event_date);
+}
+
+/**
+ * Look up the registration a link is for
+ * @param {Object} link - { registrationId, eventId } from the link token
+ * @returns {Promise<Object>} - { event, registration, occurrence }
+ */
+async function getLinkedRegistration({ registrationId, eventId }) {
+  const [registration, events] = await Promise.all([
+    storage.getEventRegistration(eventId, registrationId),
+    storage.listEvents()
+  ]);
+  const event = events.data.find(e => e.id === eventId);
+
+  // Purged registrations and deleted events look the same as a bad link
+  if (!registration.data || !event) {
+    throw createHttpError(404, 'Registration not found');
+  }
+
+  return { event, registration: registration.data, occurrence: await getRegistrationOccurrence(event, registration.data) };
+}
+
+/**
+ * Get a registration, and fail unless the registrant can still change it
+ * @param {Object} link - { registrationId, eventId } from the link token
+ * @returns {Promise<Object>} - { event, registration, occurrence }
+ */
+async function getChangeableRegistration(link) {
+  const { event, registration, occurrence } = await getLinkedRegistration(link);
+
+  if (registration.deleted_at) {
+    throw createHttpError(409, 'This registration has been cancelled');
+  }
+
+  if (occurrence && occurrence.cancelled_at) {
+    throw createHttpError(409, `${event.title} on this date has been cancelled`);
+  }
+
+  if (!isChangeableByRegistrant(event, registration, occurrence)) {
+    throw createHttpError(409, `${event.title} has already taken place, so this registration can no longer be changed`);
+  }
+
+  return { event, registration, occurrence };
+}
+
+/**
+ * What a registrant sees on their manage-registration page
+ * @param {Object} link - { registrationId, eventId } from the link token
+ * @returns {Promise<Object>} - Registration details, waitlist position, whether it can still be changed, whether it can be added to a calendar and whether it has a check-in ticket
+ */
+async function getRegistrationForRegistrant(link) {
+  const { event, registration, occurrence } = await getLinkedRegistration(link);
+
+  return {
+    event: {
+      slug: event.slug,
+      title: event.title,
+      eventDate: event.event_date
+    },
+    occurrence: isWeekly(event) ? {
+      date: getRegistrationDate(event, registration, occurrence),
+      startsAt: occurrence ? occurrence.starts_at : null,
+      location: occurrence ? occurrence.location : null,
+      host: occurrence ? occurrence.host : null,
+      cancelled: Boolean(occurrence && occurrence.cancelled_at)
+    } : null,
+    firstName: registration.first_name,
+    lastName: registration.last_name,
+    email: registration.email,
+    donationAmount: registration.donation_amount,
+    registeredAt: registration.created_at,
+    status: registration.deleted_at ? 'cancelled' : registration.status,
+    waitlistPosition: registration.deleted_at ? null : await getWaitlistPosition(event, registration),
+    changeable: isChangeableByRegistrant(event, registration, occurrence),
+    hasCalendarEntry: isWeekly(event) || Boolean(event.event_date),
+    hasTicket: Boolean(registration.check_in_code) && !registration.deleted_at,
+    checkedInAt: registration.checked_in_at || null
+  };
+}
+
+/**
+ * Let a registrant correct their name or email address
+ * @param {Object} link - { registrationId, eventId } from the link token
+ * @param {Object} input - Any of { firstName, lastName, email }
+ * @returns {Promise<Object>} - { event, before, registration }
+ */
+async function updateRegistrationForRegistrant(link, { firstName, lastName, email }) {
+  const { event, registration: before } = await getChangeableRegistration(link);
+  const changes = {};
+
+  if (firstName !== undefined) {
+    if (!String(firstName).trim()) {
+      throw createHttpError(400, 'First name cannot be empty');
+    }
+    changes.first_name = capitalizeName(String(firstName).trim());
+  }
+
+  if (lastName !== undefined) {
+    if (!String(lastName).trim()) {
+      throw createHttpError(400, 'Last name cannot be empty');
+    }
+    changes.last_name = capitalizeName(String(lastName).trim());
+  }
+
+  if (email !== undefined) {
+    const normalizedEmail = peopleService.normalizeEmail(email);
+    if (!normalizedEmail.includes('@')) {
+      throw createHttpError(400, 'A valid email address is required');
+    }
+    changes.email = normalizedEmail;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw createHttpError(400, 'Nothing to update');
+  }
+
+  if (changes.email && changes.email !== before.email) {
+    const person = await peopleService.findOrCreatePerson({
+      email: changes.email,
+      firstName: changes.first_name || before.first_name,
+      lastName: changes.last_name || before.last_name,
+      seenAt: before.created_at
+    });
+    changes.person_id = person.id;
+  }
+
+  const result = await storage.updateEventRegistration(event.id, before.id, changes);
+  return { event, before, registration: result.data[0] };
+}
+
+/**
+ * Let a registrant cancel, giving their seat to the next person on the waitlist
+ * The registration is soft-deleted with cancelled_at set, so admins can see and restore it
+ * @param {Object} link - { registrationId, eventId } from the link token
+ * @returns {Promise<Object>} - { event, registration, promoted }
+ */
+async function cancelRegistrationForRegistrant(link) {
+  const { event, registration: before, occurrence } = await getChangeableRegistration(link);
+  const result = await storage.deleteEventRegistration(event.id, before.id, { cancelled: true });
+  const registration = result.data[0];
+
+  log.info(`Registrant cancelled ${event.slug} registration ${registration.id}`);
+
+  const promoted = registration.status === 'confirmed'
+    ? await fillOpenSeats(event, occurrence)
+    : [];
+
+  return { event, registration, promoted };
+}
+
+/**
+ * Earliest deletion time that can still be restored
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date} - Registrations deleted before this are past the retention window
+ */
+function getRestoreCutoff(now = new Date()) {
+  return new Date(now.getTime() - config.registrations.deletedRetentionDays * DAY_MS);
+}
+
+/**
+ * List registrations deleted within the retention window, most recently deleted first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.slug] - Only registrations for this event
+ * @returns {Promise<Array>} - Deleted registrations with event_slug, event_title and restorable_until
+ */
+async function listDeletedRegistrations({ slug } = {}) {
+  const event = slug ? await getEvent(slug) : null;
+  const [deleted, events] = await Promise.all([
+    storage.listDeletedEventRegistrations({ eventId: event ? event.id : undefined }),
+    storage.listEvents()
+  ]);
+
+  const eventsById = {};
+  events.data.forEach(e => {
+    eventsById[e.id] = e;
+  });
+
+  const cutoff = getRestoreCutoff();
+  const retentionMs = config.registrations.deletedRetentionDays * DAY_MS;
+
+  return deleted.data
+    .filter(registration => new Date(registration.deleted_at) >= cutoff)
+    .map(registration => {
+      const registrationEvent = eventsById[registration.event_id] || {};
+      return {
+        ...registration,
+        event_slug: registrationEvent.slug || null,
+        event_title: registrationEvent.title || null,
+        restorable_until: new Date(new Date(registration.deleted_at).getTime() + retentionMs).toISOString()
+      };
+    });
+}
+
+/**
+ * Restore a deleted registration if it is still within the retention window
+ * A confirmed registration goes onto the back of the waitlist, and is told so, if the event has filled up since
+ * @param {string} slug - Event slug
+ * @param {number|string} id - Registration ID
+ * @returns {Promise<Object>} - { event, before, registration }
+ */
+async function restoreRegistration(slug, id) {
+  const event = await getEvent(slug);
+  const deleted = await storage.listDeletedEventRegistrations({ eventId: event.id });
+  const before = deleted.data.find(registration => String(registration.id) === String(id));
+
+  if (!before) {
+    throw createHttpError(404, 'Deleted registration not found');
+  }
+
+  if (new Date(before.deleted_at) < getRestoreCutoff()) {
+    throw createHttpError(410, `Registrations can only be restored within ${config.registrations.deletedRetentionDays} days of being deleted`);
+  }
+
+  // Its seat may have gone to someone off the waitlist while it was deleted
+  const occurrence = await getRegistrationOccurrence(event, before);
+  const result = await storage.restoreEventRegistration(event.id, id, getSeatLimit(event, occurrence));
+  const registration = result.data[0];
+
+  if (before.status === 'confirmed' && registration.status === 'waitlisted') {
+    log.info(`Restored ${event.slug} registration ${registration.id} onto the waitlist; its seat was taken`);
+    // Any donation was paid while it held its seat
+    await notifications.notifyRegistration(event, registration, {
+      donationAmount: Number(registration.donation_amount) || 0,
+      manageUrl: registrationLinks.getUrl(registrationLinks.createToken(registration), getDefaultOrigin()),
+      occurrence,
+      paid: true,
+      restored: true
+    });
+  }
+
+  return { event, before, registration };
+}
+
+/**
+ * Permanently remove registrations deleted longer ago than the retention window
+ * Each purged row is recorded in the audit log
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Array>} - Purged registrations
+ */
+async function purgeExpiredRegistrations(now = new Date()) {
+  const cutoff = getRestoreCutoff(now);
+  const result = await storage.purgeDeletedEventRegistrations(cutoff.toISOString());
+
+  for (const registration of result.data) {
+    await audit.recordAdminAction(PURGE_ACTOR, {
+      action: 'event_registration.purge',
+      entityType: 'event_registration',
+      entityId: registration.id,
+      before: registration
+    });
+  }
+
+  log.info(`Purged ${result.data.length} registrations deleted before ${cutoff.toISOString()}`);
+  return result.data;
+}
+
+module.exports = {
+  getEvent,
+  isWeekly,
+  getRegistrationWindow,
+  getCapacityPeriod,
+  getOccurrenceWindow,
+  getCurrentOccurrence,
+  getRegistrationDate,
+  scheduleUpcomingOccurrences,
+  withAvailability,
+  getWaitlistPosition,
+  getConfirmationPath,
+  fillOpenSeats,
+  confirmPaidRegistration,
+  releaseUnpaidRegistration,
+  listEvents,
+  registerForEvent,
+  createEvent,
+  updateEvent,
+  listOccurrences,
+  listOpenOccurrences,
+  createOccurrence,
+  updateOccurrence,
+  cancelOccurrence,
+  listRegistrations,
+  deleteRegistration,
+  getRegistrationForRegistrant,
+  updateRegistrationForRegistrant,
+  cancelRegistrationForRegistrant,
+  getLinkedRegistration,
+  listDeletedRegistrations,
+  restoreRegistration,
+  purgeExpiredRegistrations
+};
@@ -0,0 +1,335 @@
+/**
+ * Admin data exports
+ * Registrations, payments and contact messages as CSV or XLSX, filtered by
+ * date range, event and whether the person is new or returning
+ */
+const config = require('../config');
+const storage = require('./storage');
+const eventsService = require('./events');
+const calendar = require('./calendar');
+const { toCsvLine } = require('../utils/csv');
+const { buildWorkbook } = require('../utils/xlsx');
+const { createHttpError } = require('../utils/http-error');
+
+const FORMATS = ['csv', 'xlsx'];
+const STATUSES = ['new', 'returning'];
+
+// Upper bound on payments read for one export
+const PAYMENT_LIMIT = 100000;
+
+/**
+ * Wall-clock date and time where the organization is, so exports match the dashboard
+ * @param {string|null} value - ISO timestamp
+ * @returns {string|null} - "YYYY-MM-DD HH:MM"
+ */
+function toLocalDateTime(value) {
+  if (!value) {
+    return null;
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: config.calendar.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(value)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Whether a day falls within the requested range (inclusive)
+ * @param {string} day - Date (YYYY-MM-DD), or an ISO timestamp taken as its local date
+ * @param {Object} filters - { from, to } (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function inDateRange(day, { from, to }) {
+  const date = calendar.isDate(day) ? day : calendar.getLocalDate(new Date(day));
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+/**
+ * Mark each record new or returning: new if it is the first one from that person
+ * @param {Array} records - Rows with created_at
+ * @param {Function} getKey - Identifies the person a row is from
+ * @param {Function} [counts] - Whether a row counts towards someone having been here before
+ * @returns {Map} - Row to true if new
+ */
+function markFirstRecords(records, getKey, counts = () => true) {
+  const seen = new Set();
+  const firsts = new Map();
+
+  [...records]
+    .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id)
+    .forEach(record => {
+      const key = getKey(record);
+      firsts.set(record, !seen.has(key));
+      if (counts(record)) {
+        seen.add(key);
+      }
+    });
+
+  return firsts;
+}
+
+/**
+ * Event registrations, across events or for one
+ * The date range is matched against the date registered for (the Shabbat, or
+ * the event date), or the day of registration for events without a date
+ */
+const registrations = {
+  title: 'Registrations',
+  columns: [
+    { header: 'Event', type: 'string', width: 24 },
+    { header: 'Date', type: 'date', width: 12 },
+    { header: 'First Name', type: 'string' },
+    { header: 'Last Name', type: 'string' },
+    { header: 'Email', type: 'string', width: 28 },
+    { header: 'New', type: 'string', width: 8 },
+    { header: 'Status', type: 'string', width: 12 },
+    { header: 'Donation', type: 'currency', width: 12 },
+    { header: 'Registered At', type: 'dateTime', width: 18 },
+    { header: 'Checked In At', type: 'dateTime', width: 18 }
+  ],
+
+  async load(filters) {
+    const events = filters.event
+      ? [await eventsService.getEvent(filters.event)]
+      : (await storage.listEvents()).data;
+    const rows = [];
+
+    for (const event of events) {
+      const result = await eventsService.listRegistrations(event.slug);
+      const eventDate = event.event_date ? calendar.getLocalDate(new Date(event.event_date)) : null;
+
+      result.registrations
+        .filter(registration => inDateRange(registration.occurrence_date || eventDate || registration.created_at, filters))
+        .filter(registration => !filters.status || registration.new === (filters.status === 'new'))
+        .filter(registration => !filters.hebrewYear || registration.hebrew_year === filters.hebrewYear)
+        .forEach(registration => rows.push({
+          sortKey: registration.created_at,
+          values: [
+            event.title,
+            registration.occurrence_date || eventDate,
+            registration.first_name,
+            registration.last_name,
+            registration.email,
+            registration.new ? 'Yes' : 'No',
+            registration.status,
+            parseFloat(registration.donation_amount || 0),
+            toLocalDateTime(registration.created_at),
+            toLocalDateTime(registration.checked_in_at)
+          ]
+        }));
+    }
+
+    return rows;
+  }
+};
+
+/**
+ * Payments ledger: one-time donations, paid registrations and monthly gifts
+ * A donor is new until their first successful payment
+ */
+const donations = {
+  title: 'Donations',
+  columns: [
+    { header: 'Date', type: 'dateTime', width: 18 },
+    { header: 'Kind', type: 'string', width: 18 },
+    { header: 'Donation Type', type: 'string', width: 14 },
+    { header: 'Event', type: 'string', width: 24 },
+    { header: 'First Name', type: 'string' },
+    { header: 'Last Name', type: 'string' },
+    { header: 'Email', type: 'string', width: 28 },
+    { header: 'Amount', type: 'currency', width: 12 },
+    { header: 'Refunded', type: 'currency', width: 12 },
+    { header: 'Status', type: 'string', width: 18 },
+    { header: 'Donor', type: 'string', width: 10 }
+  ],
+
+  async load(filters) {
+    if (filters.hebrewYear) {
+      throw createHttpError(400, 'Only registrations can be filtered by Hebrew year');
+    }
+
+    const [payments, events] = await Promise.all([
+      storage.listPayments({ limit: PAYMENT_LIMIT }),
+      storage.listEvents()
+    ]);
+    const eventsById = new Map(events.data.map(event => [event.id, event]));
+    const event = filters.event ? await eventsService.getEvent(filters.event) : null;
+    const firsts = markFirstRecords(
+      payments.data,
+      payment => payment.person_id || String(payment.email || '').toLowerCase(),
+      payment => ['paid', 'partially_refunded', 'refunded'].includes(payment.status)
+    );
+
+    return payments.data
+      .filter(payment => inDateRange(payment.created_at, filters))
+      .filter(payment => !event || payment.event_id === event.id)
+      .filter(payment => !filters.status || firsts.get(payment) === (filters.status === 'new'))
+      .map(payment => ({
+        sortKey: payment.created_at,
+        values: [
+          toLocalDateTime(payment.created_at),
+          payment.kind,
+          payment.donation_type,
+          eventsById.has(payment.event_id) ? eventsById.get(payment.event_id).title : null,
+          payment.first_name,
+          payment.last_name,
+          payment.email,
+          parseFloat(payment.amount || 0),
+          parseFloat(payment.amount_refunded || 0),
+          payment.status,
+          firsts.get(payment) ? 'New' : 'Returning'
+        ]
+      }));
+  }
+};
+
+/**
+ * Contact form messages, archived or not
+ * A sender is new on their first message
+ */
+const contacts = {
+  title: 'Contact Messages',
+  columns: [
+    { header: 'Received', type: 'dateTime', width: 18 },
+    { header: 'Name', type: 'string', width: 22 },
+    { header: 'Email', type: 'string', width: 28 },
+    { header: 'Subject', type: 'string', width: 28 },
+    { header: 'Message', type: 'string', width: 60 },
+    { header: 'Sender', type: 'string', width: 10 },
+    { header: 'Read At', type: 'dateTime', width: 18 },
+    { header: 'Replied At', type: 'dateTime', width: 18 },
+    { header: 'Archived', type: 'string', width: 10 }
+  ],
+
+  async load(filters) {
+    if (filters.event || filters.hebrewYear) {
+      throw createHttpError(400, 'Contact messages can only be filtered by date and status');
+    }
+
+    const messages = await storage.listContactMessages({ folder: 'all' });
+    const firsts = markFirstRecords(messages.data, message => message.email.toLowerCase());
+
+    return messages.data
+      .filter(message => inDateRange(message.created_at, filters))
+      .filter(message => !filters.status || firsts.get(message) === (filters.status === 'new'))
+      .map(message => ({
+        sortKey: message.created_at,
+        values: [
+          toLocalDateTime(message.created_at),
+          message.name,
+          message.email,
+          message.subject,
+          message.message,
+          firsts.get(message) ? 'New' : 'Returning',
+          toLocalDateTime(message.read_at),
+          toLocalDateTime(message.replied_at),
+          message.archived_at ? 'Yes' : 'No'
+        ]
+      }));
+  }
+};
+
+const DATASETS = { registrations, donations, contacts };
+
+/**
+ * Check the export filters from a query string
+ * @param {Object} query - { format, from, to, event, status, hebrewYear }
+ * @returns {Object} - Normalized filters
+ */
+function normalizeFilters({ format = 'csv', from, to, event, status, hebrewYear } = {}) {
+  if (!FORMATS.includes(format)) {
+    throw createHttpError(400, `format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  if ((from && !calendar.isDate(from)) || (to && !calendar.isDate(to))) {
+    throw createHttpError(400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+
+  if (from && to && to < from) {
+    throw createHttpError(400, 'to must not be before from');
+  }
+
+  if (status && !STATUSES.includes(status)) {
+    throw createHttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  if (hebrewYear && !/^\d{4}$/.test(hebrewYear)) {
+    throw createHttpError(400, 'hebrewYear must be a year, e.g. 5786');
+  }
+
+  return {
+    format,
+    from: from || null,
+    to: to || null,
+    event: event || null,
+    status: status || null,
+    hebrewYear: hebrewYear ? Number(hebrewYear) : null
+  };
+}
+
+/**
+ * Build an export, oldest rows first
+ * @param {string} dataset - 'registrations', 'donations' or 'contacts'
+ * @param {Object} query - Filters (see normalizeFilters)
+ * @returns {Promise<Object>} - { filename, format, filters, title, columns, rows }
+ */
+async function getExport(dataset, query) {
+  const definition = DATASETS[dataset];
+
+  if (!definition) {
+    throw createHttpError(404, `Unknown export "${dataset}". Expected one of: ${Object.keys(DATASETS).join(', ')}`);
+  }
+
+  const filters = normalizeFilters(query);
+  const rows = (await definition.load(filters))
+    .sort((a, b) => a.sortKey.localeCompare(b.sortKey))
+    .map(row => row.values);
+
+  const name = [dataset, filters.event, filters.hebrewYear, filters.status, filters.from, filters.to].filter(Boolean).join('-');
+
+  return {
+    filename: `${name || dataset}.${filters.format}`,
+    format: filters.format,
+    filters,
+    title: definition.title,
+    columns: definition.columns,
+    rows
+  };
+}
+
+/**
+ * CSV lines for an export, header first, so they can be written out as they are produced
+ * @param {Object} result - Result of getExport
+ * @returns {Generator<string>} - CSV lines
+ */
+function* toCsvLines({ columns, rows }) {
+  yield toCsvLine(columns.map(column => column.header));
+  for (const row of rows) {
+    yield toCsvLine(row);
+  }
+}
+
+/**
+ * XLSX workbook for an export
+ * @param {Object} result - Result of getExport
+ * @returns {Buffer} - XLSX file
+ */
+function toXlsx({ title, columns, rows }) {
+  return buildWorkbook({ name: title, columns, rows });
+}
+
+module.exports = {
+  getExport,
+  toCsvLines,
+  toXlsx
+};
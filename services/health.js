@@ -0,0 +1,105 @@
+/**
+ * Health checks
+ * Liveness only says the process is answering; readiness also checks that the
+ * database can be queried and Stripe accepts the secret key. Settings are checked
+ * once, at startup, and the app does not start without the ones it requires.
+ */
+const config = require('../config');
+const storage = require('./storage');
+const stripeService = require('./stripe');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/health');
+
+/**
+ * Wait for a check, giving up once the readiness timeout has passed
+ * @param {Promise} promise - Check in progress
+ * @returns {Promise} - Its result
+ */
+async function withTimeout(promise) {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`No answer within ${config.monitoring.readinessTimeoutMs}ms`)),
+      config.monitoring.readinessTimeoutMs
+    );
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check that the database answers a query within the readiness timeout
+ * @returns {Promise<Object>} - { ok, backend, durationMs, error }
+ */
+async function checkStorage() {
+  const startedAt = Date.now();
+
+  try {
+    await withTimeout(storage.checkConnection());
+    return { ok: true, backend: storage.backendName, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    log.error('Storage readiness check failed', error);
+    // The details are in the log; the public response only says what failed
+    return {
+      ok: false,
+      backend: storage.backendName,
+      durationMs: Date.now() - startedAt,
+      error: 'Could not query the database'
+    };
+  }
+}
+
+/**
+ * Check that Stripe accepts the secret key within the readiness timeout
+ * Without a key (allowed outside production) there is nothing to check
+ * @returns {Promise<Object>} - { ok, configured, durationMs, error }
+ */
+async function checkStripe() {
+  if (!config.stripe.secretKey) {
+    return { ok: true, configured: false };
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    await withTimeout(stripeService.getClient().balance.retrieve());
+    return { ok: true, configured: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    log.error('Stripe readiness check failed', error);
+    return {
+      ok: false,
+      configured: true,
+      durationMs: Date.now() - startedAt,
+      error: 'Could not reach Stripe'
+    };
+  }
+}
+
+/**
+ * Run every readiness check
+ * @returns {Promise<Object>} - { ready, checks: { storage, stripe } }
+ */
+async function checkReadiness() {
+  const [storageCheck, stripeCheck] = await Promise.all([checkStorage(), checkStripe()]);
+  const checks = {
+    storage: storageCheck,
+    stripe: stripeCheck
+  };
+
+  return {
+    ready: Object.values(checks).every(check => check.ok),
+    checks
+  };
+}
+
+module.exports = {
+  checkStorage,
+  checkStripe,
+  checkReadiness
+};
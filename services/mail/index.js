@@ -0,0 +1,211 @@
+/**
+ * Mail service
+ * Sends email through the configured transport ('smtp' or 'outbox')
+ */
+const config = require('../../config');
+const templates = require('./templates');
+const calendar = require('../calendar');
+const { createSmtpTransport } = require('./smtp');
+const { createOutboxTransport } = require('./outbox');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('services/mail');
+
+const transportFactories = {
+  smtp: () => createSmtpTransport(config.mail.smtp),
+  outbox: () => createOutboxTransport({ outboxPath: config.mail.outboxPath })
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - Mail transport
+ */
+function getTransport() {
+  if (transport) {
+    return transport;
+  }
+
+  const factory = transportFactories[config.mail.transport];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${config.mail.transport}". Expected one of: ${Object.keys(transportFactories).join(', ')}`);
+  }
+
+  transport = factory();
+  return transport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string|Array<string>} message.to - Recipient(s)
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @param {string} [message.replyTo] - Reply-To address
+ * @returns {Promise<Object>} - Transport result ({ messageId, ... })
+ */
+async function sendMail(message) {
+  const mail = {
+    from: config.mail.from,
+    ...message
+  };
+
+  const result = await getTransport().send(mail);
+  log.info(`Mail sent via ${getTransport().name}`, { messageId: result.messageId });
+  return result;
+}
+
+/**
+ * Forward a contact form submission to staff
+ * @param {Object} contact - Contact form data (name, email, subject, message)
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendContactEmail(contact) {
+  if (config.mail.staffRecipients.length === 0) {
+    throw new Error('No staff recipients configured (CONTACT_EMAIL_TO)');
+  }
+
+  const rendered = templates.contactNotification(contact);
+
+  return sendMail({
+    to: config.mail.staffRecipients,
+    replyTo: contact.email,
+    ...rendered
+  });
+}
+
+/**
+ * Add the Shabbat candle-lighting time to an occurrence for its event details
+ * @param {Object} [occurrence] - Occurrence of a weekly event
+ * @returns {Object|undefined} - Occurrence with candle_lighting
+ */
+function withCandleLighting(occurrence) {
+  return occurrence && { ...occurrence, candle_lighting: calendar.getShabbat(occurrence.occurs_on).candleLighting };
+}
+
+/**
+ * Send a registration confirmation to the registrant
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {Object} [options] - Options
+ * @param {number} [options.donationAmount=0] - Donation made with the registration
+ * @param {string} [options.manageUrl] - Link to view, change or cancel the registration
+ * @param {Object} [options.occurrence] - Date of a weekly event the registration is for
+ * @param {boolean} [options.paid=false] - Whether the donation was already charged
+ * @param {boolean} [options.refunded=false] - Whether it was refunded because the seats went during checkout
+ * @param {boolean} [options.restored=false] - Whether a deleted registration was restored after its seat was taken
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendRegistrationConfirmation(event, registration, {
+  donationAmount = 0, manageUrl, occurrence, paid = false, refunded = false, restored = false
+} = {}) {
+  const rendered = templates.registrationConfirmation({
+    event,
+    registration,
+    donationAmount,
+    manageUrl,
+    paid,
+    refunded,
+    restored,
+    occurrence: withCandleLighting(occurrence),
+    organization: config.organization
+  });
+
+  return sendMail({ to: registration.email, ...rendered });
+}
+
+/**
+ * Tell someone on an event's waitlist that they now have a seat
+ * @param {Object} event - Event row
+ * @param {Object} registration - Promoted registration row
+ * @param {Object} [options] - Options
+ * @param {string} [options.manageUrl] - Link to view, change or cancel the registration
+ * @param {Object} [options.occurrence] - Date of a weekly event the registration is for
+ * @param {string} [options.paymentUrl] - Stripe checkout for the donation they pledged
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendWaitlistPromotion(event, registration, { manageUrl, occurrence, paymentUrl } = {}) {
+  const rendered = templates.waitlistPromotion({
+    event,
+    registration,
+    manageUrl,
+    paymentUrl,
+    occurrence: withCandleLighting(occurrence),
+    organization: config.organization
+  });
+
+  return sendMail({ to: registration.email, ...rendered });
+}
+
+/**
+ * Tell a registrant that the date they registered for has been cancelled
+ * @param {Object} event - Event row
+ * @param {Object} occurrence - Cancelled occurrence
+ * @param {Object} registration - Registration row
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendOccurrenceCancelled(event, occurrence, registration) {
+  const rendered = templates.occurrenceCancelled({
+    event,
+    occurrence,
+    registration,
+    organization: config.organization
+  });
+
+  return sendMail({ to: registration.email, ...rendered });
+}
+
+/**
+ * Send a tax-deductible donation receipt
+ * @param {Object} donation - Donation details
+ * @param {string} donation.email - Donor email
+ * @param {string} donation.firstName - Donor first name
+ * @param {string} donation.lastName - Donor last name
+ * @param {number} donation.amount - Amount in dollars
+ * @param {string|Date} [donation.date=new Date()] - Date received
+ * @param {string} [donation.description] - What the donation was for
+ * @param {string} [donation.reference] - Payment reference
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendDonationReceipt(donation) {
+  const rendered = templates.donationReceipt({
+    ...donation,
+    date: donation.date || new Date(),
+    organization: config.organization
+  });
+
+  return sendMail({ to: donation.email, ...rendered });
+}
+
+/**
+ * Send a donor the link to manage their monthly gifts
+ * @param {Object} details - Link details
+ * @param {string} details.email - Donor email
+ * @param {string} [details.firstName] - Donor first name
+ * @param {string} details.url - Sign-in link
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendManageGiftLink({ email, firstName, url }) {
+  const rendered = templates.manageGiftLink({
+    firstName,
+    url,
+    ttlHours: config.donorPortal.linkTtlHours,
+    organization: config.organization
+  });
+
+  return sendMail({ to: email, ...rendered });
+}
+
+module.exports = {
+  sendMail,
+  sendContactEmail,
+  sendRegistrationConfirmation,
+  sendWaitlistPromotion,
+  sendOccurrenceCancelled,
+  sendDonationReceipt,
+  sendManageGiftLink,
+  getTransport
+};
@@ -0,0 +1,45 @@
+/**
+ * Outbox mail transport for local development
+ * Writes each message to a JSON file instead of sending it
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('services/mail/outbox');
+
+/**
+ * Create a transport that saves messages to a directory
+ * @param {Object} options - Outbox settings
+ * @param {string} options.outboxPath - Directory to write messages to
+ * @returns {Object} - Mail transport
+ */
+function createOutboxTransport(options) {
+  return {
+    name: 'outbox',
+
+    /**
+     * Save a message to the outbox directory
+     * @param {Object} message - Message (from, to, replyTo, subject, text, html)
+     * @returns {Promise<Object>} - { messageId, path }
+     */
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(options.outboxPath, `${messageId}.json`);
+
+      await fs.promises.mkdir(options.outboxPath, { recursive: true });
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+      );
+
+      log.info('Mail saved to outbox', { filePath });
+      return { messageId, path: filePath };
+    }
+  };
+}
+
+module.exports = {
+  createOutboxTransport
+};
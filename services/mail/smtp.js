@@ -0,0 +1,45 @@
+/**
+ * SMTP mail transport
+ */
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a transport that delivers mail through an SMTP server
+ * @param {Object} options - SMTP settings
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Whether to use TLS from the start (port 465)
+ * @param {string} [options.user] - SMTP username
+ * @param {string} [options.pass] - SMTP password
+ * @returns {Object} - Mail transport
+ */
+function createSmtpTransport(options) {
+  if (!options.host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    /**
+     * Send a message
+     * @param {Object} message - Message (from, to, replyTo, subject, text, html)
+     * @returns {Promise<Object>} - { messageId }
+     */
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = {
+  createSmtpTransport
+};
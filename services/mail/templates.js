@@ -0,0 +1,425 @@
+/**
+ * Email templates
+ * Each template returns { subject, text, html }
+ */
+
+/**
+ * Escape a value for use inside HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Notification to staff about a contact form submission
+ * @param {Object} contact - Contact form data
+ * @param {string} contact.name - Sender name
+ * @param {string} contact.email - Sender email
+ * @param {string} [contact.subject] - Subject entered on the form
+ * @param {string} contact.message - Message body
+ * @returns {Object} - Rendered email
+ */
+function contactNotification({ name, email, subject, message }) {
+  const title = subject ? `Contact form: ${subject}` : `Contact form message from ${name}`;
+
+  const text = [
+    `New message from the Rejewvenate contact form.`,
+    '',
+    `Name: ${name}`,
+    `Email: ${email}`,
+    `Subject: ${subject || '(none)'}`,
+    '',
+    message
+  ].join('\n');
+
+  const html = `
+    <p>New message from the Rejewvenate contact form.</p>
+    <table>
+      <tr><td><strong>Name:</strong></td><td>${escapeHtml(name)}</td></tr>
+      <tr><td><strong>Email:</strong></td><td><a href="mailto:${escapeHtml(email)}">${escapeHtml(email)}</a></td></tr>
+      <tr><td><strong>Subject:</strong></td><td>${escapeHtml(subject || '(none)')}</td></tr>
+    </table>
+    <p style="white-space: pre-wrap;">${escapeHtml(message)}</p>
+  `;
+
+  return { subject: title, text, html };
+}
+
+/**
+ * Format a dollar amount
+ * @param {number|string} amount - Amount in dollars
+ * @returns {string} - e.g. "$36.00"
+ */
+function formatAmount(amount) {
+  return `$${(parseFloat(amount) || 0).toFixed(2)}`;
+}
+
+/**
+ * Format a date for emails, in New York time
+ * @param {string|Date} date - Date to format
+ * @param {boolean} [withTime=true] - Whether to include the time of day
+ * @returns {string} - Human readable date
+ */
+function formatDate(date, withTime = true) {
+  const options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/New_York' };
+
+  if (withTime) {
+    options.hour = 'numeric';
+    options.minute = '2-digit';
+  }
+
+  return new Date(date).toLocaleString('en-US', options);
+}
+
+/**
+ * Format a calendar date (YYYY-MM-DD) for emails
+ * @param {string} day - Date
+ * @returns {string} - e.g. "Friday, October 23, 2026"
+ */
+function formatDay(day) {
+  // Noon UTC is the same calendar day in New York
+  return formatDate(`${day}T12:00:00Z`, false);
+}
+
+/**
+ * Format a time of day for emails, in New York time
+ * @param {string|Date} date - Moment
+ * @returns {string} - e.g. "6:04 PM"
+ */
+function formatTime(date) {
+  return new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'America/New_York' });
+}
+
+/**
+ * When and where an event, or one date of a weekly event, takes place
+ * @param {Object} event - Event row
+ * @param {Object} [occurrence] - Occurrence of a weekly event, with its candle_lighting time if known
+ * @returns {Array} - [label, value] pairs
+ */
+function eventDetails(event, occurrence) {
+  const rows = [];
+
+  if (occurrence) {
+    rows.push(['When', occurrence.starts_at ? formatDate(occurrence.starts_at) : formatDay(occurrence.occurs_on)]);
+
+    if (occurrence.location) {
+      rows.push(['Where', occurrence.location]);
+    }
+
+    if (occurrence.host) {
+      rows.push(['Host', occurrence.host]);
+    }
+
+    if (occurrence.candle_lighting) {
+      rows.push(['Candle lighting', formatTime(occurrence.candle_lighting)]);
+    }
+  } else if (event.event_date) {
+    rows.push(['When', formatDate(event.event_date)]);
+  }
+
+  return rows;
+}
+
+// Sent to a registrant whose seat went while they were in checkout
+const REFUNDED_WHILE_FULL = "We've refunded your donation in full; it can take a few days to reach your card. " +
+  "If a seat opens up we'll send you a link to give it again.";
+
+/**
+ * Confirmation sent to someone who registered for an event, or joined its waitlist
+ * @param {Object} details - Confirmation details
+ * @param {Object} details.event - Event row
+ * @param {Object} details.registration - Registration row
+ * @param {number} [details.donationAmount=0] - Donation made with the registration
+ * @param {string} [details.manageUrl] - Link to view, change or cancel the registration
+ * @param {Object} [details.occurrence] - Date of a weekly event the registration is for
+ * @param {boolean} [details.paid=false] - Whether the donation was already charged
+ * @param {boolean} [details.refunded=false] - Whether it was refunded because the seats went during checkout
+ * @param {boolean} [details.restored=false] - Whether a deleted registration was restored after its seat was taken
+ * @param {Object} details.organization - Organization settings
+ * @returns {Object} - Rendered email
+ */
+function registrationConfirmation({
+  event, registration, donationAmount = 0, manageUrl, occurrence, paid = false, refunded = false, restored = false,
+  organization
+}) {
+  const details = eventDetails(event, occurrence);
+  const name = registration.first_name;
+  const waitlisted = registration.status === 'waitlisted';
+  let headline = `You're registered for ${event.title}. We can't wait to see you!`;
+  if (waitlisted && restored) {
+    headline = `Your registration for ${event.title} has been restored, but its seat was taken in the meantime, ` +
+      `so you're on the waitlist. We'll email you as soon as a seat opens up.`;
+  } else if (waitlisted) {
+    headline = paid
+      ? `${event.title} filled up while you were paying, so you're on the waitlist. We'll email you as soon as a seat opens up.`
+      : `${event.title} is full right now, so you're on the waitlist. We'll email you as soon as a seat opens up.`;
+  }
+  const lines = [`Hi ${name},`, '', headline, ''];
+
+  // Waitlisted registrants are only asked for their donation once they have a seat
+  const pledged = waitlisted && !paid && donationAmount > 0;
+  // Its receipt went out when it was first paid for
+  const thanked = donationAmount > 0 && !pledged && !refunded && !restored;
+  let donation = donationAmount > 0 ? formatAmount(donationAmount) : 'None';
+  if (refunded) {
+    donation += ' (refunded)';
+  }
+
+  details.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  lines.push(`Name: ${registration.first_name} ${registration.last_name}`);
+  lines.push(`Donation: ${donation}`);
+
+  if (pledged) {
+    lines.push('', `You haven't been charged. If a seat opens up we'll send you a link to complete your donation.`);
+  } else if (refunded) {
+    lines.push('', REFUNDED_WHILE_FULL);
+  } else if (thanked) {
+    lines.push('', 'Thank you for your generous donation. A separate receipt is on its way for your records.');
+  }
+
+  if (manageUrl) {
+    lines.push('', 'Need to change your details or cancel? Use this link:', manageUrl);
+  }
+
+  lines.push('', `See you soon,`, organization.name);
+
+  const html = `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(headline)}</p>
+    <table>
+      ${details.map(([label, value]) => `<tr><td><strong>${label}:</strong></td><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+      <tr><td><strong>Name:</strong></td><td>${escapeHtml(registration.first_name)} ${escapeHtml(registration.last_name)}</td></tr>
+      <tr><td><strong>Donation:</strong></td><td>${donation}</td></tr>
+    </table>
+    ${pledged ? `<p>You haven't been charged. If a seat opens up we'll send you a link to complete your donation.</p>` : ''}
+    ${refunded ? `<p>${REFUNDED_WHILE_FULL}</p>` : ''}
+    ${thanked ? '<p>Thank you for your generous donation. A separate receipt is on its way for your records.</p>' : ''}
+    ${manageUrl ? `<p>Need to change your details or cancel? <a href="${escapeHtml(manageUrl)}">Manage my registration</a></p>` : ''}
+    <p>See you soon,<br>${escapeHtml(organization.name)}</p>
+  `;
+
+  return {
+    subject: waitlisted ? `You're on the waitlist: ${event.title}` : `You're registered: ${event.title}`,
+    text: lines.join('\n'),
+    html
+  };
+}
+
+/**
+ * Tax-deductible donation receipt
+ * @param {Object} details - Receipt details
+ * @param {string} details.firstName - Donor first name
+ * @param {string} details.lastName - Donor last name
+ * @param {number} details.amount - Amount donated in dollars
+ * @param {string|Date} details.date - Date the donation was received
+ * @param {string} [details.description] - What the donation was for
+ * @param {string} [details.reference] - Payment reference (e.g. Stripe payment ID)
+ * @param {Object} details.organization - Organization settings
+ * @returns {Object} - Rendered email
+ */
+function donationReceipt({ firstName, lastName, amount, date, description, reference, organization }) {
+  const noGoodsOrServices = 'No goods or services were provided in exchange for this contribution.';
+  const taxLine = organization.taxId
+    ? `${organization.legalName} is a tax-exempt organization under Section 501(c)(3) of the Internal Revenue Code (EIN ${organization.taxId}). Your donation is tax-deductible to the extent allowed by law.`
+    : `${organization.legalName} is a tax-exempt organization under Section 501(c)(3) of the Internal Revenue Code. Your donation is tax-deductible to the extent allowed by law.`;
+
+  const rows = [
+    ['Donor', `${firstName} ${lastName}`],
+    ['Amount', formatAmount(amount)],
+    ['Date received', formatDate(date, false)]
+  ];
+
+  if (description) {
+    rows.push(['Description', description]);
+  }
+
+  if (reference) {
+    rows.push(['Reference', reference]);
+  }
+
+  const text = [
+    `Dear ${firstName},`,
+    '',
+    `Thank you for your donation to ${organization.name}. Please keep this receipt for your tax records.`,
+    '',
+    `Organization: ${organization.legalName}`,
+    ...(organization.address ? [`Address: ${organization.address}`] : []),
+    ...rows.map(([label, value]) => `${label}: ${value}`),
+    '',
+    noGoodsOrServices,
+    taxLine,
+    '',
+    'With gratitude,',
+    organization.name
+  ].join('\n');
+
+  const html = `
+    <p>Dear ${escapeHtml(firstName)},</p>
+    <p>Thank you for your donation to ${escapeHtml(organization.name)}. Please keep this receipt for your tax records.</p>
+    <table>
+      <tr><td><strong>Organization:</strong></td><td>${escapeHtml(organization.legalName)}</td></tr>
+      ${organization.address ? `<tr><td><strong>Address:</strong></td><td>${escapeHtml(organization.address)}</td></tr>` : ''}
+      ${rows.map(([label, value]) => `<tr><td><strong>${label}:</strong></td><td>${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>
+    <p><strong>${noGoodsOrServices}</strong></p>
+    <p>${escapeHtml(taxLine)}</p>
+    <p>With gratitude,<br>${escapeHtml(organization.name)}</p>
+  `;
+
+  return {
+    subject: `Your donation receipt from ${organization.name}`,
+    text,
+    html
+  };
+}
+
+/**
+ * Notice that a seat opened up for someone on an event's waitlist
+ * @param {Object} details - Notice details
+ * @param {Object} details.event - Event row
+ * @param {Object} details.registration - Registration row
+ * @param {string} [details.manageUrl] - Link to view, change or cancel the registration
+ * @param {Object} [details.occurrence] - Date of a weekly event the registration is for
+ * @param {string} [details.paymentUrl] - Stripe checkout for the donation they pledged
+ * @param {Object} details.organization - Organization settings
+ * @returns {Object} - Rendered email
+ */
+function waitlistPromotion({ event, registration, manageUrl, occurrence, paymentUrl, organization }) {
+  const name = registration.first_name;
+  const details = eventDetails(event, occurrence);
+  const lines = [
+    `Hi ${name},`,
+    '',
+    `Good news: a seat opened up and you're now registered for ${event.title}. We can't wait to see you!`,
+    ''
+  ];
+
+  if (details.length > 0) {
+    details.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push('');
+  }
+
+  if (paymentUrl) {
+    lines.push(`You pledged a donation of ${formatAmount(registration.donation_amount)} when you joined the waitlist. You can complete it here: ${paymentUrl}`, '');
+  }
+
+  lines.push(manageUrl
+    ? `If you can no longer make it, please cancel so we can offer the seat to someone else: ${manageUrl}`
+    : `If you can no longer make it, please let us know so we can offer the seat to someone else.`);
+  lines.push('', 'See you soon,', organization.name);
+
+  const html = `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Good news: a seat opened up and you're now registered for <strong>${escapeHtml(event.title)}</strong>. We can't wait to see you!</p>
+    ${details.map(([label, value]) => `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`).join('\n    ')}
+    ${paymentUrl
+      ? `<p>You pledged a donation of ${formatAmount(registration.donation_amount)} when you joined the waitlist. <a href="${escapeHtml(paymentUrl)}">Complete your donation</a></p>`
+      : ''}
+    ${manageUrl
+      ? `<p>If you can no longer make it, please <a href="${escapeHtml(manageUrl)}">cancel your registration</a> so we can offer the seat to someone else.</p>`
+      : '<p>If you can no longer make it, please let us know so we can offer the seat to someone else.</p>'}
+    <p>See you soon,<br>${escapeHtml(organization.name)}</p>
+  `;
+
+  return {
+    subject: `A seat opened up: ${event.title}`,
+    text: lines.join('\n'),
+    html
+  };
+}
+
+/**
+ * Notice that a date someone registered for has been cancelled
+ * @param {Object} details - Notice details
+ * @param {Object} details.event - Event row
+ * @param {Object} details.occurrence - Cancelled occurrence
+ * @param {Object} details.registration - Registration row
+ * @param {Object} details.organization - Organization settings
+ * @returns {Object} - Rendered email
+ */
+function occurrenceCancelled({ event, occurrence, registration, organization }) {
+  const name = registration.first_name;
+  const day = formatDay(occurrence.occurs_on);
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    `We're sorry: ${event.title} on ${day} has been cancelled. You don't need to do anything.`,
+    '',
+    'We hope to see you at the next one,',
+    organization.name
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>We're sorry: <strong>${escapeHtml(event.title)}</strong> on ${escapeHtml(day)} has been cancelled. You don't need to do anything.</p>
+    <p>We hope to see you at the next one,<br>${escapeHtml(organization.name)}</p>
+  `;
+
+  return {
+    subject: `Cancelled: ${event.title} on ${day}`,
+    text,
+    html
+  };
+}
+
+/**
+ * Link for a donor to manage their monthly gifts
+ * @param {Object} details - Link details
+ * @param {string} [details.firstName] - Donor first name
+ * @param {string} details.url - Sign-in link
+ * @param {number} details.ttlHours - Hours until the link expires
+ * @param {Object} details.organization - Organization settings
+ * @returns {Object} - Rendered email
+ */
+function manageGiftLink({ firstName, url, ttlHours, organization }) {
+  const greeting = firstName ? `Hi ${firstName},` : 'Hi,';
+  const expiry = `This link expires in ${ttlHours} hours. If you didn't ask for it, you can ignore this email.`;
+
+  const text = [
+    greeting,
+    '',
+    `Use this link to change, pause or cancel your monthly gift to ${organization.name}:`,
+    '',
+    url,
+    '',
+    expiry,
+    '',
+    'With gratitude,',
+    organization.name
+  ].join('\n');
+
+  const html = `
+    <p>${escapeHtml(greeting)}</p>
+    <p>Use this link to change, pause or cancel your monthly gift to ${escapeHtml(organization.name)}:</p>
+    <p><a href="${escapeHtml(url)}">Manage my monthly gift</a></p>
+    <p>${escapeHtml(expiry)}</p>
+    <p>With gratitude,<br>${escapeHtml(organization.name)}</p>
+  `;
+
+  return {
+    subject: `Manage your monthly gift to ${organization.name}`,
+    text,
+    html
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  formatAmount,
+  formatDate,
+  formatDay,
+  contactNotification,
+  registrationConfirmation,
+  waitlistPromotion,
+  occurrenceCancelled,
+  donationReceipt,
+  manageGiftLink
+};
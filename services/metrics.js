@@ -0,0 +1,229 @@
+/**
+ * Application metrics in the Prometheus text format
+ * Counts are kept in this process, so on serverless hosts each instance reports
+ * its own and they start from zero when it does; Prometheus' rate() and sum()
+ * handle both.
+ */
+
+// Upper bounds, in seconds, of the request duration histogram buckets
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set, e.g. {method="GET",status="200"}
+ * @param {Object} labels - Label names mapped to values
+ * @returns {string} - Formatted labels, or '' when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Pick a metric's labels out of the values given, in the declared order
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} values - Label values
+ * @returns {Object} - Labels
+ */
+function pickLabels(labelNames, values) {
+  const labels = {};
+  labelNames.forEach(name => {
+    labels[name] = values[name] == null ? '' : values[name];
+  });
+  return labels;
+}
+
+/**
+ * Define a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {Object} - { inc(labels) }
+ */
+function defineCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  metrics.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} counter`,
+    ...Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  ]);
+
+  return {
+    inc(values = {}) {
+      const labels = pickLabels(labelNames, values);
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += 1;
+      series.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Define a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Bucket upper bounds, ascending
+ * @returns {Object} - { observe(labels, value) }
+ */
+function defineHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+
+  metrics.push(() => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+    series.forEach(({ labels, counts, sum, count }) => {
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    });
+
+    return lines;
+  });
+
+  return {
+    observe(values, value) {
+      const labels = pickLabels(labelNames, values);
+      const key = JSON.stringify(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+      // Buckets are cumulative: a value counts toward every bound at or above it
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Define a gauge read when metrics are collected
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} read - Returns the current value
+ */
+function defineGauge(name, help, read) {
+  metrics.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    `${name} ${read()}`
+  ]);
+}
+
+const httpRequests = defineCounter(
+  'http_requests_total',
+  'HTTP requests handled, by route and status',
+  ['method', 'route', 'status']
+);
+const httpRequestDuration = defineHistogram(
+  'http_request_duration_seconds',
+  'Time taken to handle HTTP requests, by route',
+  ['method', 'route'],
+  DURATION_BUCKETS
+);
+const registrationsCreated = defineCounter(
+  'registrations_created_total',
+  'Event registrations created, by event and status',
+  ['event', 'status']
+);
+const checkoutSessionsCreated = defineCounter(
+  'checkout_sessions_created_total',
+  'Stripe checkout sessions created, by donation type',
+  ['type']
+);
+const webhookEvents = defineCounter(
+  'stripe_webhook_events_total',
+  'Stripe webhook events received, by event type and outcome',
+  ['type', 'outcome']
+);
+const adminLoginFailures = defineCounter(
+  'admin_login_failures_total',
+  'Failed admin logins, by reason',
+  ['reason']
+);
+
+defineGauge('process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+defineGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+
+/**
+ * Record a handled HTTP request
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Route pattern, e.g. '/events/:slug/register'
+ * @param {number} request.status - Response status code
+ * @param {number} request.durationSeconds - Time taken
+ */
+function recordHttpRequest({ method, route, status, durationSeconds }) {
+  httpRequests.inc({ method, route, status });
+  httpRequestDuration.observe({ method, route }, durationSeconds);
+}
+
+/**
+ * Record a new event registration
+ * @param {string} eventSlug - Event slug
+ * @param {string} status - 'confirmed', 'pending' (until its checkout is paid) or 'waitlisted'
+ */
+function recordRegistration(eventSlug, status) {
+  registrationsCreated.inc({ event: eventSlug, status });
+}
+
+/**
+ * Record a new Stripe checkout session
+ * @param {string} type - Donation type, e.g. 'one-time' or 'shabbat-registration'
+ */
+function recordCheckoutSession(type) {
+  checkoutSessionsCreated.inc({ type });
+}
+
+/**
+ * Record what became of a Stripe webhook event
+ * @param {string} type - Stripe event type, or 'unknown' when it could not be read
+ * @param {string} outcome - 'processed', 'ignored', 'failed', 'duplicate', 'in_progress' or 'invalid_signature'
+ */
+function recordWebhookEvent(type, outcome) {
+  webhookEvents.inc({ type, outcome });
+}
+
+/**
+ * Record a failed admin login
+ * @param {string} reason - 'invalid_credentials', 'account_disabled' or 'locked_out'
+ */
+function recordAdminLoginFailure(reason) {
+  adminLoginFailures.inc({ reason });
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} - Metrics text
+ */
+function render() {
+  return `${metrics.flatMap(collect => collect()).join('\n')}\n`;
+}
+
+module.exports = {
+  recordHttpRequest,
+  recordRegistration,
+  recordCheckoutSession,
+  recordWebhookEvent,
+  recordAdminLoginFailure,
+  render
+};
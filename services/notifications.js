@@ -0,0 +1,138 @@
+/**
+ * Registrant and donor notifications
+ * Email failures are logged and never propagate, so a mail outage cannot
+ * break a registration or a Stripe webhook.
+ */
+const mailService = require('./mail');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/notifications');
+
+// Receipt descriptions for standard donation types
+const DONATION_DESCRIPTIONS = {
+  'one-time': 'One-time donation',
+  recurring: 'Monthly donation',
+  sponsor: 'Student sponsorship'
+};
+
+/**
+ * Email a registration confirmation
+ * @param {Object} event - Event row
+ * @param {Object} registration - Registration row
+ * @param {Object} [options] - Options
+ * @param {number} [options.donationAmount=0] - Donation made with the registration
+ * @param {string} [options.manageUrl] - Link to view, change or cancel the registration
+ * @param {Object} [options.occurrence] - Date of a weekly event the registration is for
+ * @param {boolean} [options.paid=false] - Whether the donation was already charged
+ * @param {boolean} [options.refunded=false] - Whether it was refunded because the seats went during checkout
+ * @param {boolean} [options.restored=false] - Whether a deleted registration was restored after its seat was taken
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+async function notifyRegistration(event, registration, {
+  donationAmount = 0, manageUrl, occurrence, paid = false, refunded = false, restored = false
+} = {}) {
+  try {
+    await mailService.sendRegistrationConfirmation(event, registration, {
+      donationAmount, manageUrl, occurrence, paid, refunded, restored
+    });
+    return true;
+  } catch (error) {
+    log.error(`Failed to send ${event.slug} registration confirmation`, error);
+    return false;
+  }
+}
+
+/**
+ * Email someone promoted off an event's waitlist
+ * @param {Object} event - Event row
+ * @param {Object} registration - Promoted registration row
+ * @param {Object} [options] - Options
+ * @param {string} [options.manageUrl] - Link to view, change or cancel the registration
+ * @param {Object} [options.occurrence] - Date of a weekly event the registration is for
+ * @param {string} [options.paymentUrl] - Stripe checkout for the donation they pledged
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+async function notifyWaitlistPromotion(event, registration, { manageUrl, occurrence, paymentUrl } = {}) {
+  try {
+    await mailService.sendWaitlistPromotion(event, registration, { manageUrl, occurrence, paymentUrl });
+    return true;
+  } catch (error) {
+    log.error(`Failed to send ${event.slug} waitlist promotion`, error);
+    return false;
+  }
+}
+
+/**
+ * Email a registrant that the date they registered for has been cancelled
+ * @param {Object} event - Event row
+ * @param {Object} occurrence - Cancelled occurrence
+ * @param {Object} registration - Registration row
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+async function notifyOccurrenceCancelled(event, occurrence, registration) {
+  try {
+    await mailService.sendOccurrenceCancelled(event, occurrence, registration);
+    return true;
+  } catch (error) {
+    log.error(`Failed to send ${event.slug} cancellation notice`, error);
+    return false;
+  }
+}
+
+/**
+ * Send the emails for a completed payment from the payments ledger:
+ * a registration confirmation for event donations and a receipt for every payment
+ * @param {Object} payment - Payment row
+ * @param {Object} [options] - Options
+ * @param {Object} [options.event] - Event the payment was made with, if any
+ * @param {Object} [options.registration] - Registration the payment was made with, if known
+ * @param {string} [options.manageUrl] - Link to view, change or cancel that registration
+ * @param {Object} [options.occurrence] - Date of a weekly event that registration is for
+ * @param {boolean} [options.refunded=false] - Whether the payment was refunded because the
+ *   registration was waitlisted during checkout; no receipt is sent for it
+ * @returns {Promise<void>}
+ */
+async function notifyPaymentCompleted(payment, { event = null, registration = null, manageUrl, occurrence, refunded = false } = {}) {
+  if (!payment.email) {
+    log.info('Payment has no email address, skipping notifications', { paymentId: payment.id });
+    return;
+  }
+
+  const amount = Number(payment.amount) || 0;
+  let description = DONATION_DESCRIPTIONS[payment.donation_type] ||
+    (payment.kind === 'subscription' ? DONATION_DESCRIPTIONS.recurring : 'Donation');
+
+  if (event) {
+    description = `Donation with ${event.title} registration`;
+    await notifyRegistration(event, registration || {
+      first_name: payment.first_name,
+      last_name: payment.last_name,
+      email: payment.email
+    }, { donationAmount: amount, manageUrl, occurrence, paid: true, refunded });
+  }
+
+  if (amount <= 0 || refunded) {
+    return;
+  }
+
+  try {
+    await mailService.sendDonationReceipt({
+      email: payment.email,
+      firstName: payment.first_name || '',
+      lastName: payment.last_name || '',
+      amount,
+      date: payment.paid_at ? new Date(payment.paid_at) : new Date(),
+      description,
+      reference: payment.stripe_payment_intent_id || payment.stripe_invoice_id || payment.stripe_session_id
+    });
+  } catch (error) {
+    log.error('Failed to send donation receipt', error);
+  }
+}
+
+module.exports = {
+  notifyRegistration,
+  notifyWaitlistPromotion,
+  notifyOccurrenceCancelled,
+  notifyPaymentCompleted
+};
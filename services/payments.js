@@ -0,0 +1,476 @@
+/**
+ * Stripe payments ledger
+ * Keeps the payments table in sync with Stripe webhook events. Handlers are safe
+ * to run more than once for the same event: rows are matched by their Stripe ids,
+ * a payment never moves back to an earlier status, and emails go out once per
+ * paid payment, recorded in notified_at.
+ */
+const storage = require('./storage');
+const eventsService = require('./events');
+const stripeService = require('./stripe');
+const notifications = require('./notifications');
+const subscriptions = require('./subscriptions');
+const peopleService = require('./people');
+const registrationLinks = require('./registration-links');
+const { createHttpError } = require('../utils/http-error');
+const { fromCents, toIsoTime, stripeId, definedValues } = require('../utils/stripe-values');
+const { getDefaultOrigin } = require('../utils/origin-utils');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/payments');
+
+const STATUSES = ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'];
+const KINDS = ['donation', 'event_registration', 'subscription'];
+
+// How far along each status is; a late or retried event cannot move a payment backwards
+const STATUS_RANK = {
+  pending: 0,
+  failed: 0,
+  paid: 1,
+  partially_refunded: 2,
+  refunded: 3
+};
+
+/**
+ * Donor columns from checkout, payment intent or subscription metadata
+ * @param {Object} [metadata] - Stripe metadata
+ * @returns {Object} - Donor columns
+ */
+function donorFromMetadata(metadata = {}) {
+  return {
+    donation_type: metadata.donationType || undefined,
+    first_name: metadata.firstName || undefined,
+    last_name: metadata.lastName || undefined,
+    email: metadata.email || undefined
+  };
+}
+
+/**
+ * Whether a payment is paid but its confirmation and receipt have not gone out
+ * Checked against the stored row rather than the status change, so replaying a
+ * webhook that failed after the payment was marked paid still sends them
+ * @param {Object} payment - Payment row
+ * @returns {boolean}
+ */
+function needsNotification(payment) {
+  return payment.status === 'paid' && !payment.notified_at;
+}
+
+/**
+ * Record that a payment's confirmation and receipt went out
+ * @param {Object} payment - Payment row
+ * @returns {Promise<Object>} - Updated payment row
+ */
+async function markNotified(payment) {
+  const result = await storage.updatePayment(payment.id, { notified_at: new Date().toISOString() });
+  return result.data[0];
+}
+
+/**
+ * Link a payment to the person with its email address
+ * @param {Object} payment - Payment row
+ * @returns {Promise<Object>} - Payment row with person_id set
+ */
+async function linkPerson(payment) {
+  if (payment.person_id || !payment.email) {
+    return payment;
+  }
+
+  const person = await peopleService.findOrCreatePerson({
+    email: payment.email,
+    firstName: payment.first_name,
+    lastName: payment.last_name,
+    seenAt: payment.created_at
+  });
+
+  const result = await storage.updatePayment(payment.id, { person_id: person.id });
+  return result.data[0];
+}
+
+/**
+ * Create or update a payment, matched by any of its Stripe identifiers,
+ * and link it to the donor's person record
+ * @param {Object} keys - { sessionId, paymentIntentId, invoiceId }
+ * @param {Object} values - Columns to set
+ * @param {Object} [insertValues] - Columns only used when the payment is new
+ * @returns {Promise<Object>} - { previous, payment }
+ */
+async function upsertPayment(keys, values, insertValues = {}) {
+  const keyColumns = definedValues({
+    stripe_session_id: keys.sessionId,
+    stripe_payment_intent_id: keys.paymentIntentId,
+    stripe_invoice_id: keys.invoiceId
+  });
+
+  const existing = await storage.findPayment(keys);
+
+  if (!existing.data) {
+    const result = await storage.createPayment(definedValues({ ...insertValues, ...values, ...keyColumns }));
+    return { previous: null, payment: await linkPerson(result.data[0]) };
+  }
+
+  const previous = existing.data;
+  const changes = definedValues({ ...values, ...keyColumns });
+
+  if (changes.status && STATUS_RANK[changes.status] < STATUS_RANK[previous.status]) {
+    log.info(`Keeping payment ${previous.id} ${previous.status} instead of moving it back to ${changes.status}`);
+    delete changes.status;
+    delete changes.failure_reason;
+  }
+
+  const result = await storage.updatePayment(previous.id, changes);
+  return { previous, payment: await linkPerson(result.data[0]) };
+}
+
+/**
+ * checkout.session.completed: record the payment and send the confirmation and receipt
+ * @param {Object} session - Stripe checkout session
+ * @param {Object} stripeEvent - Stripe event
+ * @returns {Promise<Object>} - Payment row
+ */
+async function handleCheckoutSessionCompleted(session, stripeEvent) {
+  const metadata = session.metadata || {};
+  let event = null;
+
+  if (metadata.eventSlug) {
+    const result = await storage.getEventBySlug(metadata.eventSlug);
+    event = result.data;
+
+    if (!event) {
+      log.warn(`Checkout session ${session.id} is for unknown event "${metadata.eventSlug}"`);
+    }
+  }
+
+  let kind = 'donation';
+  if (event) {
+    kind = 'event_registration';
+  } else if (session.mode === 'subscription') {
+    kind = 'subscription';
+  }
+
+  const paid = session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
+  const donor = donorFromMetadata(metadata);
+
+  const { payment } = await upsertPayment(
+    {
+      sessionId: session.id,
+      paymentIntentId: stripeId(session.payment_intent),
+      invoiceId: stripeId(session.invoice)
+    },
+    {
+      ...donor,
+      email: donor.email || (session.customer_details && session.customer_details.email) || undefined,
+      kind,
+      event_id: event ? event.id : undefined,
+      registration_id: event && metadata.registrationId ? Number(metadata.registrationId) : undefined,
+      stripe_subscription_id: stripeId(session.subscription),
+      stripe_customer_id: stripeId(session.customer),
+      amount: fromCents(session.amount_total),
+      currency: session.currency || undefined,
+      status: paid ? 'paid' : 'pending',
+      paid_at: paid ? toIsoTime(stripeEvent.created) : undefined
+    }
+  );
+
+  // requestId is the request that created the session, so its logs can be found
+  log.info(`Checkout session ${session.id} recorded as ${kind} payment ${payment.id} (${payment.status})`, {
+    checkoutRequestId: metadata.requestId
+  });
+
+  if (payment.stripe_subscription_id) {
+    await subscriptions.recordCheckout({
+      subscriptionId: payment.stripe_subscription_id,
+      customerId: payment.stripe_customer_id,
+      amount: fromCents(session.amount_total),
+      currency: session.currency || undefined,
+      donor: payment
+    });
+  }
+
+  // Runs on every paid delivery, so a replay confirms a registration an earlier attempt did not;
+  // a registration that is no longer pending is left as it is
+  const registration = event && payment.status === 'paid' && payment.registration_id
+    ? await eventsService.confirmPaidRegistration(event, payment.registration_id)
+    : null;
+
+  if (needsNotification(payment)) {
+    const manageUrl = registration
+      ? registrationLinks.getUrl(registrationLinks.createToken(registration), getDefaultOrigin())
+      : undefined;
+    const occurrence = registration && registration.occurrence_id
+      ? (await storage.getEventOccurrence(event.id, registration.occurrence_id)).data
+      : null;
+
+    // The seats went while they were in checkout: the charge is refunded, and they are
+    // asked for the donation again if they are promoted off the waitlist
+    const refunded = Boolean(registration && registration.status === 'waitlisted' && payment.stripe_payment_intent_id);
+    if (refunded) {
+      await stripeService.refundPayment(payment.stripe_payment_intent_id, { registrationId: String(registration.id) });
+      log.info(`Refunded payment ${payment.id}: registration ${registration.id} was waitlisted during checkout`);
+    }
+
+    await notifications.notifyPaymentCompleted(payment, { event, registration, manageUrl, occurrence, refunded });
+    return markNotified(payment);
+  }
+
+  return payment;
+}
+
+/**
+ * checkout.session.expired: remove the registration a checkout was started for, if it was never paid
+ * @param {Object} session - Stripe checkout session
+ * @returns {Promise<null>} - Nothing is recorded in the ledger
+ */
+async function handleCheckoutSessionExpired(session) {
+  const metadata = session.metadata || {};
+
+  if (!metadata.eventSlug || !metadata.registrationId) {
+    return null;
+  }
+
+  const event = (await storage.getEventBySlug(metadata.eventSlug)).data;
+  if (event) {
+    await eventsService.releaseUnpaidRegistration(event, Number(metadata.registrationId));
+  }
+
+  return null;
+}
+
+/**
+ * charge.refunded: record a full or partial refund
+ * @param {Object} charge - Stripe charge
+ * @param {Object} stripeEvent - Stripe event
+ * @returns {Promise<Object|null>} - Payment row, or null if the charge cannot be matched
+ */
+async function handleChargeRefunded(charge, stripeEvent) {
+  const paymentIntentId = stripeId(charge.payment_intent);
+  const invoiceId = stripeId(charge.invoice);
+
+  if (!paymentIntentId && !invoiceId) {
+    log.info(`Ignoring refund for charge ${charge.id} with no payment intent or invoice`);
+    return null;
+  }
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount;
+  const billingDetails = charge.billing_details || {};
+  const donor = donorFromMetadata(charge.metadata);
+
+  const { payment } = await upsertPayment(
+    { paymentIntentId, invoiceId },
+    {
+      status: fullyRefunded ? 'refunded' : 'partially_refunded',
+      amount_refunded: fromCents(charge.amount_refunded),
+      refunded_at: toIsoTime(stripeEvent.created)
+    },
+    {
+      // Only used for payments made before the ledger existed
+      ...donor,
+      email: donor.email || billingDetails.email || undefined,
+      kind: invoiceId ? 'subscription' : 'donation',
+      amount: fromCents(charge.amount),
+      currency: charge.currency,
+      paid_at: toIsoTime(charge.created)
+    }
+  );
+
+  log.info(`Refund of $${fromCents(charge.amount_refunded).toFixed(2)} recorded on payment ${payment.id}`);
+  return payment;
+}
+
+/**
+ * Donor details for a subscription invoice, from the subscription metadata or
+ * the subscription's first recorded payment
+ * @param {Object} invoice - Stripe invoice
+ * @returns {Promise<Object>} - Donor columns
+ */
+async function invoiceDonor(invoice) {
+  const metadata = (invoice.subscription_details && invoice.subscription_details.metadata) ||
+    (invoice.lines && invoice.lines.data && invoice.lines.data[0] && invoice.lines.data[0].metadata) ||
+    {};
+  const donor = donorFromMetadata(metadata);
+
+  if (!donor.email || !donor.first_name) {
+    const first = await storage.findFirstSubscriptionPayment(stripeId(invoice.subscription));
+
+    if (first.data) {
+      donor.donation_type = donor.donation_type || first.data.donation_type || undefined;
+      donor.first_name = donor.first_name || first.data.first_name || undefined;
+      donor.last_name = donor.last_name || first.data.last_name || undefined;
+      donor.email = donor.email || first.data.email || undefined;
+    }
+  }
+
+  return {
+    ...donor,
+    donation_type: donor.donation_type || 'recurring',
+    email: donor.email || invoice.customer_email || undefined
+  };
+}
+
+/**
+ * invoice.paid: record a subscription payment and send a receipt for renewals
+ * @param {Object} invoice - Stripe invoice
+ * @param {Object} stripeEvent - Stripe event
+ * @returns {Promise<Object|null>} - Payment row, or null for invoices outside a subscription
+ */
+async function handleInvoicePaid(invoice, stripeEvent) {
+  const subscriptionId = stripeId(invoice.subscription);
+
+  if (!subscriptionId) {
+    log.info(`Ignoring paid invoice ${invoice.id} that is not for a subscription`);
+    return null;
+  }
+
+  const paidAt = invoice.status_transitions && invoice.status_transitions.paid_at;
+
+  const { payment } = await upsertPayment(
+    { invoiceId: invoice.id, paymentIntentId: stripeId(invoice.payment_intent) },
+    {
+      stripe_subscription_id: subscriptionId,
+      stripe_customer_id: stripeId(invoice.customer),
+      amount: fromCents(invoice.amount_paid),
+      currency: invoice.currency || undefined,
+      status: 'paid',
+      failure_reason: null,
+      paid_at: toIsoTime(paidAt || stripeEvent.created)
+    },
+    {
+      ...(await invoiceDonor(invoice)),
+      kind: 'subscription'
+    }
+  );
+
+  log.info(`Subscription invoice ${invoice.id} recorded as payment ${payment.id}`);
+
+  if (needsNotification(payment)) {
+    await notifications.notifyPaymentCompleted(payment);
+    return markNotified(payment);
+  }
+
+  return payment;
+}
+
+/**
+ * invoice.payment_failed: record a failed subscription payment
+ * @param {Object} invoice - Stripe invoice
+ * @returns {Promise<Object|null>} - Payment row, or null for invoices outside a subscription
+ */
+async function handleInvoicePaymentFailed(invoice) {
+  const subscriptionId = stripeId(invoice.subscription);
+
+  if (!subscriptionId) {
+    log.info(`Ignoring failed invoice ${invoice.id} that is not for a subscription`);
+    return null;
+  }
+
+  const nextAttempt = invoice.next_payment_attempt
+    ? `; Stripe will retry on ${toIsoTime(invoice.next_payment_attempt).slice(0, 10)}`
+    : '; no more retries scheduled';
+
+  const { payment } = await upsertPayment(
+    { invoiceId: invoice.id, paymentIntentId: stripeId(invoice.payment_intent) },
+    {
+      stripe_subscription_id: subscriptionId,
+      stripe_customer_id: stripeId(invoice.customer),
+      status: 'failed',
+      failure_reason: `Payment attempt ${invoice.attempt_count || 1} failed${nextAttempt}`
+    },
+    {
+      ...(await invoiceDonor(invoice)),
+      kind: 'subscription',
+      amount: fromCents(invoice.amount_due),
+      currency: invoice.currency
+    }
+  );
+
+  log.info(`Subscription invoice ${invoice.id} payment failed (payment ${payment.id})`);
+  return payment;
+}
+
+/**
+ * customer.subscription.created / customer.subscription.updated: keep the monthly
+ * donation's amount and status (active, past due, paused) in sync
+ * @param {Object} subscription - Stripe subscription
+ * @returns {Promise<null>}
+ */
+async function handleSubscriptionUpdated(subscription) {
+  const stored = await subscriptions.syncFromStripe(subscription, donorFromMetadata(subscription.metadata));
+
+  log.info(`Subscription ${subscription.id} is ${stored.status} at $${Number(stored.amount).toFixed(2)}/month`);
+  return null;
+}
+
+/**
+ * customer.subscription.deleted: mark the monthly donation and its payments as canceled
+ * @param {Object} subscription - Stripe subscription
+ * @param {Object} stripeEvent - Stripe event
+ * @returns {Promise<null>}
+ */
+async function handleSubscriptionDeleted(subscription, stripeEvent) {
+  const canceledAt = toIsoTime(subscription.canceled_at || subscription.ended_at || stripeEvent.created);
+  const result = await storage.updateSubscriptionPayments(subscription.id, { subscription_canceled_at: canceledAt });
+
+  await subscriptions.syncFromStripe(
+    { ...subscription, status: 'canceled', canceled_at: subscription.canceled_at || stripeEvent.created },
+    donorFromMetadata(subscription.metadata)
+  );
+
+  log.info(`Subscription ${subscription.id} canceled; updated ${result.data.length} payments`);
+  return null;
+}
+
+// Stripe event types the webhook acts on
+const HANDLERS = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'checkout.session.expired': handleCheckoutSessionExpired,
+  'charge.refunded': handleChargeRefunded,
+  'invoice.paid': handleInvoicePaid,
+  'invoice.payment_failed': handleInvoicePaymentFailed,
+  'customer.subscription.created': handleSubscriptionUpdated,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted
+};
+
+/**
+ * Apply a Stripe webhook event to the payments ledger
+ * @param {Object} stripeEvent - Verified Stripe event
+ * @returns {Promise<Object>} - { handled, payment }
+ */
+async function handleStripeEvent(stripeEvent) {
+  const handler = HANDLERS[stripeEvent.type];
+
+  if (!handler) {
+    log.info('Ignoring unhandled Stripe event type', { type: stripeEvent.type });
+    return { handled: false, payment: null };
+  }
+
+  const payment = await handler(stripeEvent.data.object, stripeEvent);
+  return { handled: true, payment };
+}
+
+/**
+ * List payments from the ledger, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Payment status
+ * @param {string} [filters.kind] - Payment kind
+ * @param {string} [filters.email] - Donor email
+ * @returns {Promise<Array>} - Payments
+ */
+async function listPayments({ status, kind, email } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw createHttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  if (kind && !KINDS.includes(kind)) {
+    throw createHttpError(400, `kind must be one of: ${KINDS.join(', ')}`);
+  }
+
+  const result = await storage.listPayments({ status, kind, email: email || undefined });
+  return result.data;
+}
+
+module.exports = {
+  HANDLED_EVENT_TYPES: Object.keys(HANDLERS),
+  handleStripeEvent,
+  listPayments
+};
@@ -0,0 +1,489 @@
+/**
+ * People
+ * One record per person, keyed by normalized email, that their event
+ * registrations and payments link to. Names are never used to link records
+ * automatically; similar names are only suggested as possible duplicates, which
+ * an admin can merge.
+ */
+const storage = require('./storage');
+const { createHttpError } = require('../utils/http-error');
+const {
+  capitalizeName,
+  normalizeNameForMatching,
+  transliterationKey,
+  editDistance
+} = require('../utils/name-utils');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/people');
+
+// Names at least this similar are suggested as possibly the same person
+const MATCH_THRESHOLD = 0.8;
+const MAX_MATCHES = 5;
+
+// The duplicate finder looks at this many people and stops once it has found this many pairs
+const MAX_DUPLICATE_SCAN = 5000;
+const MAX_DUPLICATES = 200;
+// Comparisons the duplicate finder makes before letting other requests run
+const COMPARISONS_PER_TURN = 2000;
+
+// Why two people might be the same, strongest first, with the score each implies
+const MATCH_REASONS = {
+  same_email: 1,
+  same_name: 1,
+  name_variant: 0.95
+};
+
+/**
+ * Email addresses are matched case-insensitively and without surrounding spaces
+ * @param {string} email - Email address as entered
+ * @returns {string} - Normalized email address
+ */
+function normalizeEmail(email) {
+  return String(email || '').toLowerCase().trim();
+}
+
+/**
+ * Reduce an email address to the mailbox it is delivered to, so addresses
+ * that only differ by a +tag, or by dots at Gmail, compare equal
+ * @param {string} email - Email address
+ * @returns {string} - Canonical email address
+ */
+function canonicalEmail(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf('@');
+
+  if (at <= 0) {
+    return normalized;
+  }
+
+  let mailbox = normalized.slice(0, at).split('+')[0];
+  let domain = normalized.slice(at + 1);
+
+  if (domain === 'googlemail.com') {
+    domain = 'gmail.com';
+  }
+
+  if (domain === 'gmail.com') {
+    mailbox = mailbox.replace(/\./g, '');
+  }
+
+  return `${mailbox}@${domain}`;
+}
+
+/**
+ * Find the person with an email address, creating them the first time they are seen
+ * Missing names are filled in from later records, and first_seen_at moves
+ * earlier if an older record turns up. An address that belonged to a merged
+ * person finds the person they were merged into.
+ * @param {Object} details - Person details
+ * @param {string} details.email - Email address
+ * @param {string} [details.firstName] - First name
+ * @param {string} [details.lastName] - Last name
+ * @param {string} [details.seenAt] - When the record was made (defaults to now)
+ * @returns {Promise<Object|null>} - Person row, or null if there is no email address
+ */
+async function findOrCreatePerson({ email, firstName, lastName, seenAt }) {
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!normalizedEmail) {
+    return null;
+  }
+
+  const first = firstName ? capitalizeName(firstName.trim()) : null;
+  const last = lastName ? capitalizeName(lastName.trim()) : null;
+  const seen = seenAt || new Date().toISOString();
+
+  const existing = await storage.findPersonByEmail(normalizedEmail);
+
+  if (!existing.data) {
+    try {
+      const result = await storage.createPerson({
+        email: normalizedEmail,
+        first_name: first,
+        last_name: last,
+        first_seen_at: seen
+      });
+      return result.data[0];
+    } catch (error) {
+      // Someone else added this address at the same time
+      const raced = await storage.findPersonByEmail(normalizedEmail);
+      if (raced.data) {
+        return raced.data;
+      }
+      throw error;
+    }
+  }
+
+  let person = existing.data;
+
+  if (person.merged_into_id) {
+    const merged = await storage.getPerson(person.merged_into_id);
+    person = merged.data || person;
+  }
+
+  const changes = {};
+
+  if (!person.first_name && first) {
+    changes.first_name = first;
+  }
+
+  if (!person.last_name && last) {
+    changes.last_name = last;
+  }
+
+  if (new Date(seen) < new Date(person.first_seen_at)) {
+    changes.first_seen_at = seen;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return person;
+  }
+
+  const result = await storage.updatePerson(person.id, changes);
+  return result.data[0];
+}
+
+/**
+ * Whether a person has registered for any event before
+ * @param {Object} person - Person row
+ * @returns {Promise<boolean>}
+ */
+async function hasRegistered(person) {
+  const result = await storage.listPersonRegistrations(person.id);
+  return result.data.length > 0;
+}
+
+/**
+ * Full name of a person row
+ * @param {Object} person - Person row
+ * @returns {string} - "First Last"
+ */
+function fullName(person) {
+  return `${person.first_name || ''} ${person.last_name || ''}`.trim();
+}
+
+/**
+ * Name and email forms used to compare a person with others
+ * @param {Object} person - Person row
+ * @returns {Object} - { person, email, name, key, lastInitial }
+ */
+function matchForms(person) {
+  const name = normalizeNameForMatching(fullName(person));
+
+  return {
+    person,
+    email: canonicalEmail(person.email),
+    name,
+    key: name ? transliterationKey(name) : '',
+    // First letter of the last name once transliterated, so "Kohen" and "Cohn" share it
+    lastInitial: transliterationKey(person.last_name || '').charAt(0)
+  };
+}
+
+/**
+ * Whether two people might be the same person, and why
+ * Reasons are 'same_email' (the same mailbox), 'same_name', 'name_variant'
+ * (e.g. "Avi Cohen" and "Avraham Kohen") and 'similar_name' (likely a typo)
+ * @param {Object} a - Forms from matchForms
+ * @param {Object} b - Forms from matchForms
+ * @returns {Object|null} - { similarity, reasons }, or null if they do not match
+ */
+function compareForms(a, b) {
+  const reasons = [];
+  let similarity = 0;
+
+  if (a.email && a.email === b.email) {
+    reasons.push('same_email');
+  }
+
+  // A name with no letters (only digits or punctuation) has nothing to compare
+  if (a.key && b.key) {
+    if (a.name === b.name) {
+      reasons.push('same_name');
+    } else if (a.key === b.key) {
+      reasons.push('name_variant');
+    } else {
+      // Keys whose lengths differ this much cannot reach the threshold, and the
+      // edit distance stops counting once they are too far apart
+      const longest = Math.max(a.key.length, b.key.length);
+      const maxEdits = Math.ceil(longest * (1 - MATCH_THRESHOLD));
+      if (Math.abs(a.key.length - b.key.length) <= maxEdits) {
+        similarity = 1 - editDistance(a.key, b.key, maxEdits) / longest;
+        if (similarity >= MATCH_THRESHOLD) {
+          reasons.push('similar_name');
+        }
+      }
+    }
+  }
+
+  if (reasons.length === 0) {
+    return null;
+  }
+
+  reasons.forEach(reason => {
+    similarity = Math.max(similarity, MATCH_REASONS[reason] || 0);
+  });
+
+  return { similarity: Math.round(similarity * 100) / 100, reasons };
+}
+
+/**
+ * People who might be the same as this person, most likely first
+ * @param {Object} person - Person row
+ * @param {Array} candidates - People to compare against
+ * @returns {Array} - [{ id, first_name, last_name, email, similarity, reasons }]
+ */
+function findPossibleMatches(person, candidates) {
+  const forms = matchForms(person);
+
+  return candidates
+    .filter(candidate => candidate.id !== person.id)
+    .map(candidate => ({ candidate, match: compareForms(forms, matchForms(candidate)) }))
+    .filter(({ match }) => match)
+    .map(({ candidate, match }) => ({
+      id: candidate.id,
+      first_name: candidate.first_name,
+      last_name: candidate.last_name,
+      email: candidate.email,
+      ...match
+    }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_MATCHES);
+}
+
+/**
+ * Of two possible duplicates, the one to keep: more registrations, then seen first
+ * @param {Object} a - Person summary
+ * @param {Object} b - Person summary
+ * @returns {Array} - [keep, merge]
+ */
+function orderForMerge(a, b) {
+  if (a.registration_count !== b.registration_count) {
+    return a.registration_count > b.registration_count ? [a, b] : [b, a];
+  }
+
+  return new Date(a.first_seen_at) <= new Date(b.first_seen_at) ? [a, b] : [b, a];
+}
+
+/**
+ * Group people whose forms share a value, leaving out people without one
+ * @param {Array} forms - Forms from matchForms
+ * @param {string} field - Form field to group by
+ * @returns {Array<Array>} - Groups of two or more
+ */
+function groupForms(forms, field) {
+  const groups = new Map();
+
+  forms.forEach(form => {
+    if (!form[field]) {
+      return;
+    }
+    if (!groups.has(form[field])) {
+      groups.set(form[field], []);
+    }
+    groups.get(form[field]).push(form);
+  });
+
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Find pairs of people who might be the same person
+ * Only people who share a mailbox, a transliterated name or the first letter of
+ * their last name are compared, strongest grouping first, and the search stops
+ * once MAX_DUPLICATES pairs are found. It yields every COMPARISONS_PER_TURN
+ * comparisons so a large people table does not hold up other requests.
+ * @returns {Promise<Array>} - [{ similarity, reasons, keep, merge }], most likely first
+ */
+async function findDuplicates() {
+  const result = await storage.listPeople({ limit: MAX_DUPLICATE_SCAN });
+  const forms = result.data.map(matchForms);
+  const fields = ['email', 'key', 'lastInitial'];
+  const pairs = [];
+  let comparisons = 0;
+
+  for (const [index, field] of fields.entries()) {
+    const earlier = fields.slice(0, index);
+
+    for (const group of groupForms(forms, field)) {
+      for (let i = 0; i < group.length && pairs.length < MAX_DUPLICATES; i++) {
+        for (let j = i + 1; j < group.length && pairs.length < MAX_DUPLICATES; j++) {
+          // Already compared as part of an earlier grouping
+          if (earlier.some(other => group[i][other] && group[i][other] === group[j][other])) {
+            continue;
+          }
+
+          const match = compareForms(group[i], group[j]);
+
+          if (match) {
+            const [keep, merge] = orderForMerge(group[i].person, group[j].person);
+            pairs.push({ ...match, keep, merge });
+          }
+
+          if (++comparisons % COMPARISONS_PER_TURN === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+          }
+        }
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * List people with their attendance and giving totals
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.search] - Name or email to search for
+ * @returns {Promise<Array>} - Person summaries
+ */
+async function listPeople({ search } = {}) {
+  const result = await storage.listPeople({ search: search || undefined });
+  return result.data;
+}
+
+/**
+ * Get a person (who has not been merged away) or fail with 404
+ * @param {number|string} id - Person ID
+ * @returns {Promise<Object>} - Person summary
+ */
+async function getPersonOrThrow(id) {
+  const personId = parseInt(id, 10);
+  const result = Number.isNaN(personId) ? { data: null } : await storage.getPerson(personId);
+
+  if (!result.data) {
+    throw createHttpError(404, 'Person not found');
+  }
+
+  return result.data;
+}
+
+/**
+ * Everything known about a person: totals, attendance, giving, monthly gifts
+ * and other people who might be the same person
+ * @param {number|string} id - Person ID
+ * @returns {Promise<Object>} - { person, registrations, payments, subscriptions, mergedPeople, possibleMatches }
+ */
+async function getProfile(id) {
+  const person = await getPersonOrThrow(id);
+  const merged = await storage.listMergedPeople(person.id);
+  const emails = [person.email, ...merged.data.map(mergedPerson => mergedPerson.email)];
+
+  const [registrations, payments, subscriptions, events, people] = await Promise.all([
+    storage.listPersonRegistrations(person.id),
+    storage.listPayments({ personId: person.id }),
+    Promise.all(emails.map(email => storage.listSubscriptions({ email }))),
+    storage.listEvents(),
+    storage.listPeople()
+  ]);
+
+  const eventsById = {};
+  events.data.forEach(event => {
+    eventsById[event.id] = event;
+  });
+
+  return {
+    person,
+    registrations: registrations.data.map(registration => {
+      const event = eventsById[registration.event_id] || {};
+      return {
+        ...registration,
+        event_slug: event.slug || null,
+        event_title: event.title || null,
+        event_date: event.event_date || null
+      };
+    }),
+    payments: payments.data,
+    subscriptions: subscriptions.flatMap(result => result.data),
+    mergedPeople: merged.data,
+    possibleMatches: findPossibleMatches(person, people.data)
+  };
+}
+
+/**
+ * Mark a person's earliest (not deleted) registration as their first attendance
+ * and every later one as returning
+ * @param {number} personId - Person ID
+ * @returns {Promise<Array>} - Registrations whose flag changed
+ */
+async function recomputeFirstAttendance(personId) {
+  const result = await storage.listPersonRegistrations(personId);
+  const first = result.data.reduce((earliest, registration) => {
+    if (!earliest) {
+      return registration;
+    }
+    const time = new Date(registration.created_at) - new Date(earliest.created_at);
+    return time < 0 || (time === 0 && registration.id < earliest.id) ? registration : earliest;
+  }, null);
+
+  const changed = await storage.setPersonFirstRegistration(personId, first ? first.id : null);
+  return changed.data;
+}
+
+/**
+ * Merge a duplicate person into another
+ * The duplicate's registrations and payments move over, missing names are filled
+ * in, the earliest first_seen_at is kept and first-attendance flags are recomputed.
+ * The duplicate's email address keeps finding the merged person.
+ * @param {number|string} targetId - Person who keeps the records
+ * @param {number|string} sourceId - Duplicate being merged away
+ * @returns {Promise<Object>} - { before: { target, source }, person, moved, flagsChanged }
+ */
+async function mergePeople(targetId, sourceId) {
+  if (sourceId === undefined || sourceId === null || sourceId === '') {
+    throw createHttpError(400, 'The duplicate person to merge is required');
+  }
+
+  const target = await getPersonOrThrow(targetId);
+  const source = await getPersonOrThrow(sourceId);
+
+  if (target.id === source.id) {
+    throw createHttpError(400, 'A person cannot be merged into themselves');
+  }
+
+  const changes = {};
+
+  if (!target.first_name && source.first_name) {
+    changes.first_name = source.first_name;
+  }
+
+  if (!target.last_name && source.last_name) {
+    changes.last_name = source.last_name;
+  }
+
+  if (new Date(source.first_seen_at) < new Date(target.first_seen_at)) {
+    changes.first_seen_at = source.first_seen_at;
+  }
+
+  const moved = await storage.mergePerson(source.id, target.id);
+
+  if (Object.keys(changes).length > 0) {
+    await storage.updatePerson(target.id, changes);
+  }
+
+  const flagsChanged = await recomputeFirstAttendance(target.id);
+  const after = await storage.getPerson(target.id);
+
+  log.info(`Merged person ${source.id} into ${target.id}: ${moved.data.registrations} registrations, ` +
+    `${moved.data.payments} payments, ${flagsChanged.length} first-attendance flags changed`);
+
+  return {
+    before: { target, source },
+    person: after.data,
+    moved: moved.data,
+    flagsChanged: flagsChanged.length
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  canonicalEmail,
+  findOrCreatePerson,
+  hasRegistered,
+  findPossibleMatches,
+  findDuplicates,
+  listPeople,
+  getProfile,
+  mergePeople
+};
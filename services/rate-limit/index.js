@@ -0,0 +1,125 @@
+/**
+ * Rate limiting
+ * Counts hits per key in fixed windows, in the configured store.
+ *
+ * A store implements:
+ *   get(key)                 - { count, resetAt } for the current window, or null
+ *   increment(key, windowMs) - Count a hit, starting a window if none is open; returns { count, resetAt }
+ *   reset(key)               - Forget the key
+ * All three return promises, so a shared store (Redis, a database table) can be
+ * added to storeFactories without changing callers.
+ *
+ * Login lockouts are counted in a store of their own that never evicts an open
+ * window, so a flood of requests from other keys cannot push a lockout out early.
+ */
+const config = require('../../config');
+const { createMemoryStore } = require('./memory');
+
+const storeFactories = {
+  memory: options => createMemoryStore(options)
+};
+
+// Options each store is created with
+const STORES = {
+  limits: {},
+  lockouts: { evict: false }
+};
+
+const stores = {};
+
+/**
+ * Get a configured store, creating it on first use
+ * @param {string} [kind='limits'] - 'limits', or 'lockouts' for counts that must last their whole window
+ * @returns {Object} - Rate limit store
+ */
+function getStore(kind = 'limits') {
+  if (stores[kind]) {
+    return stores[kind];
+  }
+
+  const factory = storeFactories[config.rateLimit.store];
+
+  if (!factory) {
+    throw new Error(`Unknown rate limit store "${config.rateLimit.store}". Expected one of: ${Object.keys(storeFactories).join(', ')}`);
+  }
+
+  stores[kind] = factory(STORES[kind]);
+  return stores[kind];
+}
+
+/**
+ * Describe a count against a rule
+ * @param {Object|null} entry - { count, resetAt } from the store
+ * @param {Object} rule - { limit, windowMinutes }
+ * @param {boolean} allowed - Whether the count is within the limit
+ * @returns {Object} - { allowed, count, remaining, retryAfterSeconds }
+ */
+function toResult(entry, rule, allowed) {
+  const count = entry ? entry.count : 0;
+
+  return {
+    allowed,
+    count,
+    remaining: Math.max(rule.limit - count, 0),
+    retryAfterSeconds: allowed ? 0 : Math.max(Math.ceil((entry.resetAt - Date.now()) / 1000), 1)
+  };
+}
+
+/**
+ * Count a hit and check it against a limit
+ * @param {string} name - What is being limited, e.g. 'contact:ip'
+ * @param {string} key - Who is being limited, e.g. an IP address
+ * @param {Object} rule - { limit, windowMinutes }
+ * @param {Object} [options] - Options
+ * @param {string} [options.store='limits'] - Store to count in (see getStore)
+ * @returns {Promise<Object>} - { allowed, count, remaining, retryAfterSeconds }
+ */
+async function hit(name, key, rule, { store = 'limits' } = {}) {
+  const entry = await getStore(store).increment(`${name}:${key}`, rule.windowMinutes * 60 * 1000);
+  return toResult(entry, rule, entry.count <= rule.limit);
+}
+
+/**
+ * Check whether a key has already used up its limit, without counting a hit
+ * @param {string} name - What is being limited
+ * @param {string} key - Who is being limited
+ * @param {Object} rule - { limit, windowMinutes }
+ * @param {Object} [options] - Options
+ * @param {string} [options.store='limits'] - Store the key is counted in (see getStore)
+ * @returns {Promise<Object>} - { allowed, count, remaining, retryAfterSeconds }
+ */
+async function peek(name, key, rule, { store = 'limits' } = {}) {
+  const entry = await getStore(store).get(`${name}:${key}`);
+  // Blocked once the limit is reached, since the next hit would pass it
+  return toResult(entry, rule, !entry || entry.count < rule.limit);
+}
+
+/**
+ * Clear a key's count
+ * @param {string} name - What is being limited
+ * @param {string} key - Who is being limited
+ * @param {Object} [options] - Options
+ * @param {string} [options.store='limits'] - Store the key is counted in (see getStore)
+ * @returns {Promise<void>}
+ */
+async function reset(name, key, { store = 'limits' } = {}) {
+  await getStore(store).reset(`${name}:${key}`);
+}
+
+/**
+ * Describe how long until a limit lifts, for messages
+ * @param {number} seconds - Seconds until the limit lifts
+ * @returns {string} - e.g. "1 minute", "15 minutes"
+ */
+function formatRetryAfter(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+module.exports = {
+  getStore,
+  hit,
+  peek,
+  reset,
+  formatRetryAfter
+};
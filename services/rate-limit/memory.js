@@ -0,0 +1,80 @@
+/**
+ * In-memory rate limit store
+ * Counts are per process, so on serverless hosts each instance keeps its own;
+ * use a shared store where limits must hold across instances
+ */
+
+// Entries kept before the oldest are dropped, so a flood of keys cannot exhaust memory
+const DEFAULT_MAX_KEYS = 10000;
+
+/**
+ * Create an in-memory store
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxKeys] - Most keys to keep at once
+ * @param {boolean} [options.evict=true] - Whether to drop the oldest open windows once there
+ *   are maxKeys. A store that does not evict only drops expired windows, and grows past
+ *   maxKeys while they are all open.
+ * @returns {Object} - Rate limit store
+ */
+function createMemoryStore({ maxKeys = DEFAULT_MAX_KEYS, evict = true } = {}) {
+  const entries = new Map();
+  let pruneAt = maxKeys;
+
+  /**
+   * Drop expired entries, then the oldest ones if there are still too many
+   * @param {number} now - Current time in milliseconds
+   */
+  function prune(now) {
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    });
+
+    if (!evict) {
+      // Scan again only once the store has doubled, so a full store is not scanned on every new key
+      pruneAt = Math.max(maxKeys, entries.size * 2);
+      return;
+    }
+
+    for (const key of entries.keys()) {
+      if (entries.size < maxKeys) {
+        break;
+      }
+      entries.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+    },
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        if (entries.size >= pruneAt) {
+          prune(now);
+        }
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { ...entry };
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
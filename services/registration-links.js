@@ -0,0 +1,87 @@
+/**
+ * Registration links
+ * Each registration gets a signed link that lets the registrant view, change or
+ * cancel it without an account. The link names one registration and nothing else.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { createSignedToken, verifySignedToken } = require('../utils/signed-token');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/registration-links');
+
+// Claim that tells a registration link apart from any other signed token
+const LINK_PURPOSE = 'registration';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+let linkSecret = null;
+
+/**
+ * Get the secret used to sign registration links
+ * @returns {Buffer} - Secret
+ */
+function getLinkSecret() {
+  if (linkSecret) {
+    return linkSecret;
+  }
+
+  if (config.registrations.linkSecret) {
+    linkSecret = Buffer.from(config.registrations.linkSecret);
+  } else {
+    // Links signed with a random secret only work on this instance until it restarts
+    log.warn('REGISTRATION_LINK_SECRET is not set; registration links will not survive a restart');
+    linkSecret = crypto.randomBytes(32);
+  }
+
+  return linkSecret;
+}
+
+/**
+ * Create the token for a registration's link
+ * @param {Object} registration - Registration row
+ * @returns {string} - Signed token
+ */
+function createToken(registration) {
+  const now = Math.floor(Date.now() / 1000);
+
+  return createSignedToken({
+    purpose: LINK_PURPOSE,
+    rid: registration.id,
+    eid: registration.event_id,
+    iat: now,
+    exp: now + config.registrations.linkTtlDays * DAY_SECONDS
+  }, getLinkSecret());
+}
+
+/**
+ * Build the full link for a registration token
+ * @param {string} token - Token from createToken
+ * @param {string} origin - Site origin
+ * @returns {string} - Link to the manage-registration page
+ */
+function getUrl(token, origin) {
+  const baseUrl = origin.endsWith('/') ? origin.slice(0, -1) : origin;
+  return `${baseUrl}/my-registration?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Validate a registration link token
+ * @param {string} token - Token from the link
+ * @returns {Object|null} - { registrationId, eventId } or null if invalid
+ */
+function verifyToken(token) {
+  const claims = verifySignedToken(token, getLinkSecret());
+
+  if (!claims || claims.purpose !== LINK_PURPOSE || !claims.rid || !claims.eid) {
+    return null;
+  }
+
+  return { registrationId: claims.rid, eventId: claims.eid };
+}
+
+module.exports = {
+  createToken,
+  getUrl,
+  verifyToken
+};
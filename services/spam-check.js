@@ -0,0 +1,139 @@
+/**
+ * Spam check for public forms, without a third-party CAPTCHA
+ * Forms carry a honeypot field people never see, and a proof-of-work: the
+ * browser finds a nonce that gives SHA-256(challenge + ':' + nonce) enough
+ * leading zero bits. That takes a person's browser about a second but makes
+ * scripted floods expensive. Each challenge can only be used once.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const rateLimiter = require('./rate-limit');
+const { createHttpError } = require('../utils/http-error');
+const { createSignedToken, verifySignedToken } = require('../utils/signed-token');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/spam-check');
+
+// Claim that tells a spam-check challenge apart from any other signed token
+const CHALLENGE_PURPOSE = 'spam-check';
+
+// Form field that is hidden from people, so anything in it was filled in by a bot
+const HONEYPOT_FIELD = 'website';
+
+const REJECTED_MESSAGE = 'We could not verify this submission. Please reload the page and try again.';
+
+let challengeSecret = null;
+
+/**
+ * Get the secret used to sign challenges
+ * @returns {Buffer} - Secret
+ */
+function getChallengeSecret() {
+  if (challengeSecret) {
+    return challengeSecret;
+  }
+
+  if (config.spamCheck.secret) {
+    challengeSecret = Buffer.from(config.spamCheck.secret);
+  } else {
+    // Challenges signed with a random secret can only be answered to this instance
+    log.warn('SPAM_CHECK_SECRET is not set; spam-check challenges only work on this instance until it restarts');
+    challengeSecret = crypto.randomBytes(32);
+  }
+
+  return challengeSecret;
+}
+
+/**
+ * Issue a proof-of-work challenge
+ * @returns {Object} - { challenge, difficulty, expiresAt }; challenge is null when proof-of-work is off
+ */
+function createChallenge() {
+  const { difficulty, challengeTtlMinutes } = config.spamCheck;
+  const expiresAt = new Date(Date.now() + challengeTtlMinutes * 60 * 1000);
+
+  if (!config.features.spamCheck || !difficulty) {
+    return { challenge: null, difficulty: 0, expiresAt: expiresAt.toISOString() };
+  }
+
+  const challenge = createSignedToken({
+    purpose: CHALLENGE_PURPOSE,
+    id: crypto.randomBytes(12).toString('hex'),
+    difficulty,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  }, getChallengeSecret());
+
+  return { challenge, difficulty, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Count the leading zero bits of a hash
+ * @param {Buffer} hash - Hash bytes
+ * @returns {number} - Leading zero bits
+ */
+function leadingZeroBits(hash) {
+  let bits = 0;
+
+  for (const byte of hash) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * Check a form submission's honeypot and proof-of-work
+ * @param {Object} body - Request body, with the honeypot field and spamCheck: { challenge, nonce }
+ * @returns {Promise<void>}
+ * @throws {Error} - 400 error if the submission looks automated
+ */
+async function verifySubmission(body = {}) {
+  if (!config.features.spamCheck) {
+    return;
+  }
+
+  if (body[HONEYPOT_FIELD]) {
+    log.info('Spam check failed: honeypot field was filled in');
+    throw createHttpError(400, REJECTED_MESSAGE);
+  }
+
+  if (!config.spamCheck.difficulty) {
+    return;
+  }
+
+  const { challenge, nonce } = body.spamCheck || {};
+  const claims = challenge ? verifySignedToken(challenge, getChallengeSecret()) : null;
+
+  if (!claims || claims.purpose !== CHALLENGE_PURPOSE || nonce == null || String(nonce).length > 32) {
+    log.info('Spam check failed: missing, expired or invalid challenge');
+    throw createHttpError(400, REJECTED_MESSAGE);
+  }
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+
+  if (leadingZeroBits(hash) < claims.difficulty) {
+    log.info('Spam check failed: proof-of-work does not meet the difficulty');
+    throw createHttpError(400, REJECTED_MESSAGE);
+  }
+
+  // Remember the challenge until it expires so it cannot be answered twice
+  const used = await rateLimiter.hit(CHALLENGE_PURPOSE, claims.id, {
+    limit: 1,
+    windowMinutes: config.spamCheck.challengeTtlMinutes
+  });
+
+  if (!used.allowed) {
+    log.info('Spam check failed: challenge was already used');
+    throw createHttpError(400, REJECTED_MESSAGE);
+  }
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  createChallenge,
+  verifySubmission
+};
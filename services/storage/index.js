@@ -0,0 +1,132 @@
+/**
+ * Storage layer
+ * Selects the configured backend and exposes its repository operations.
+ * Every backend must implement the operations listed in REPOSITORY_METHODS.
+ */
+const config = require('../../config');
+
+const backends = {
+  supabase: () => require('./supabase'),
+  sqlite: () => require('./sqlite')
+};
+
+/**
+ * Operations every storage backend must provide
+ */
+const REPOSITORY_METHODS = [
+  // Events
+  'listEvents',
+  'getEventBySlug',
+  'createEvent',
+  'updateEvent',
+
+  // Event occurrences
+  'listEventOccurrences',
+  'getEventOccurrence',
+  'getEventOccurrenceByDate',
+  'createEventOccurrence',
+  'updateEventOccurrence',
+
+  // Event registrations
+  'addEventRegistration',
+  'nameExists',
+  'getEventRegistrations',
+  'getEventRegistration',
+  'getEventRegistrationByCheckInCode',
+  'countEventRegistrations',
+  'listEventWaitlist',
+  'promoteEventRegistration',
+  'confirmEventRegistration',
+  'updateEventRegistration',
+  'deleteEventRegistration',
+  'restoreEventRegistration',
+  'listDeletedEventRegistrations',
+  'purgeDeletedEventRegistrations',
+
+  // Contact messages
+  'addContactMessage',
+  'getContactMessage',
+  'updateContactMessage',
+  'listContactMessages',
+  'countUnreadContactMessages',
+
+  // Admin users
+  'getAdminUserByUsername',
+  'listAdminUsers',
+  'createAdminUser',
+  'updateAdminUser',
+  'addAdminLoginEvent',
+  'listAdminLoginEvents',
+
+  // Audit log
+  'addAuditLogEntry',
+  'listAuditLog',
+
+  // Payments ledger
+  'findPayment',
+  'findFirstSubscriptionPayment',
+  'createPayment',
+  'updatePayment',
+  'updateSubscriptionPayments',
+  'listPayments',
+
+  // Stripe webhook events
+  'getStripeEvent',
+  'createStripeEvent',
+  'updateStripeEvent',
+  'listStripeEvents',
+
+  // Monthly donations
+  'getSubscription',
+  'createSubscription',
+  'updateSubscription',
+  'listSubscriptions',
+
+  // People
+  'findPersonByEmail',
+  'getPerson',
+  'createPerson',
+  'updatePerson',
+  'listPeople',
+  'listPersonRegistrations',
+  'mergePerson',
+  'listMergedPeople',
+  'setPersonFirstRegistration',
+
+  // Health
+  'checkConnection'
+];
+
+/**
+ * Load a storage backend and check that it implements the repository interface
+ * @param {string} name - Backend name ('supabase' or 'sqlite')
+ * @returns {Object} - Backend module
+ */
+function loadBackend(name) {
+  const loader = backends[name];
+
+  if (!loader) {
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const backend = loader();
+  const missing = REPOSITORY_METHODS.filter(method => typeof backend[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Storage backend "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return backend;
+}
+
+const backend = loadBackend(config.storage.backend);
+
+const storage = {};
+REPOSITORY_METHODS.forEach(method => {
+  storage[method] = (...args) => backend[method](...args);
+});
+
+storage.backendName = config.storage.backend;
+storage.backend = backend;
+
+module.exports = storage;
@@ -0,0 +1,33 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE "YP_Shabbos" (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at      TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  first_name      TEXT    NOT NULL,
+  last_name       TEXT    NOT NULL,
+  email           TEXT    NOT NULL,
+  donation_amount REAL    NOT NULL DEFAULT 0,
+  "new"           INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX "YP_Shabbos_name_idx" ON "YP_Shabbos" (first_name, last_name);
+
+CREATE TABLE "YP_RoshHashana" (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at      TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  first_name      TEXT    NOT NULL,
+  last_name       TEXT    NOT NULL,
+  email           TEXT    NOT NULL,
+  donation_amount REAL    NOT NULL DEFAULT 0,
+  "new"           INTEGER NOT NULL DEFAULT 1
+);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP TABLE "YP_RoshHashana";
+DROP INDEX "YP_Shabbos_name_idx";
+DROP TABLE "YP_Shabbos";
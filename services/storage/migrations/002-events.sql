@@ -0,0 +1,94 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE events (
+  id                     INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at             TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  slug                   TEXT    NOT NULL UNIQUE,
+  title                  TEXT    NOT NULL,
+  description            TEXT,
+  event_date             TEXT,
+  capacity               INTEGER,
+  suggested_donation     REAL    NOT NULL DEFAULT 0,
+  registration_opens_at  TEXT,
+  registration_closes_at TEXT,
+  registration_path      TEXT,
+  confirmation_path      TEXT
+);
+
+CREATE TABLE event_registrations (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at      TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  event_id        INTEGER NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+  first_name      TEXT    NOT NULL,
+  last_name       TEXT    NOT NULL,
+  email           TEXT    NOT NULL,
+  donation_amount REAL    NOT NULL DEFAULT 0,
+  "new"           INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX event_registrations_event_idx ON event_registrations (event_id, created_at);
+CREATE INDEX event_registrations_name_idx ON event_registrations (first_name, last_name);
+
+INSERT INTO events (slug, title, description, suggested_donation, registration_path, confirmation_path)
+VALUES
+  ('shabbat', 'Shabbat Dinner', 'Weekly Shabbat dinner for young professionals', 36, '/yp/shabbat/register', '/yp/shabbat/confirmation'),
+  ('rosh-hashana', 'Rosh Hashana', 'Rosh Hashana services and meals', 0, NULL, NULL);
+
+INSERT INTO event_registrations (event_id, created_at, first_name, last_name, email, donation_amount, "new")
+SELECT (SELECT id FROM events WHERE slug = 'shabbat'), created_at, first_name, last_name, email, donation_amount, "new"
+FROM "YP_Shabbos"
+ORDER BY id;
+
+INSERT INTO event_registrations (event_id, created_at, first_name, last_name, email, donation_amount, "new")
+SELECT (SELECT id FROM events WHERE slug = 'rosh-hashana'), created_at, first_name, last_name, email, donation_amount, "new"
+FROM "YP_RoshHashana"
+ORDER BY id;
+
+DROP TABLE "YP_RoshHashana";
+DROP INDEX "YP_Shabbos_name_idx";
+DROP TABLE "YP_Shabbos";
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+CREATE TABLE "YP_Shabbos" (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at      TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  first_name      TEXT    NOT NULL,
+  last_name       TEXT    NOT NULL,
+  email           TEXT    NOT NULL,
+  donation_amount REAL    NOT NULL DEFAULT 0,
+  "new"           INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX "YP_Shabbos_name_idx" ON "YP_Shabbos" (first_name, last_name);
+
+CREATE TABLE "YP_RoshHashana" (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at      TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  first_name      TEXT    NOT NULL,
+  last_name       TEXT    NOT NULL,
+  email           TEXT    NOT NULL,
+  donation_amount REAL    NOT NULL DEFAULT 0,
+  "new"           INTEGER NOT NULL DEFAULT 1
+);
+
+INSERT INTO "YP_Shabbos" (created_at, first_name, last_name, email, donation_amount, "new")
+SELECT r.created_at, r.first_name, r.last_name, r.email, r.donation_amount, r."new"
+FROM event_registrations r JOIN events e ON e.id = r.event_id
+WHERE e.slug = 'shabbat'
+ORDER BY r.id;
+
+INSERT INTO "YP_RoshHashana" (created_at, first_name, last_name, email, donation_amount, "new")
+SELECT r.created_at, r.first_name, r.last_name, r.email, r.donation_amount, r."new"
+FROM event_registrations r JOIN events e ON e.id = r.event_id
+WHERE e.slug = 'rosh-hashana'
+ORDER BY r.id;
+
+DROP INDEX event_registrations_name_idx;
+DROP INDEX event_registrations_event_idx;
+DROP TABLE event_registrations;
+DROP TABLE events;
@@ -0,0 +1,24 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE contact_messages (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at      TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  name            TEXT    NOT NULL,
+  email           TEXT    NOT NULL,
+  subject         TEXT,
+  message         TEXT    NOT NULL,
+  delivery_status TEXT    NOT NULL DEFAULT 'pending' CHECK (delivery_status IN ('pending', 'sent', 'failed')),
+  delivery_error  TEXT,
+  delivered_at    TEXT
+);
+
+CREATE INDEX contact_messages_created_idx ON contact_messages (created_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX contact_messages_created_idx;
+DROP TABLE contact_messages;
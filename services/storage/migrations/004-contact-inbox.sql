@@ -0,0 +1,18 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+ALTER TABLE contact_messages ADD COLUMN read_at TEXT;
+ALTER TABLE contact_messages ADD COLUMN replied_at TEXT;
+ALTER TABLE contact_messages ADD COLUMN archived_at TEXT;
+
+CREATE INDEX contact_messages_inbox_idx ON contact_messages (archived_at, read_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX contact_messages_inbox_idx;
+ALTER TABLE contact_messages DROP COLUMN archived_at;
+ALTER TABLE contact_messages DROP COLUMN replied_at;
+ALTER TABLE contact_messages DROP COLUMN read_at;
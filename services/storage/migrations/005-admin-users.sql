@@ -0,0 +1,34 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE admin_users (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at    TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  username      TEXT    NOT NULL UNIQUE,
+  password_hash TEXT    NOT NULL,
+  role          TEXT    NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor')),
+  disabled_at   TEXT,
+  last_login_at TEXT
+);
+
+CREATE TABLE admin_login_events (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at    TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  admin_user_id INTEGER REFERENCES admin_users (id) ON DELETE SET NULL,
+  username      TEXT    NOT NULL,
+  success       INTEGER NOT NULL,
+  reason        TEXT,
+  ip_address    TEXT,
+  user_agent    TEXT
+);
+
+CREATE INDEX admin_login_events_created_idx ON admin_login_events (created_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX admin_login_events_created_idx;
+DROP TABLE admin_login_events;
+DROP TABLE admin_users;
@@ -0,0 +1,27 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE admin_audit_log (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at     TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  admin_user_id  INTEGER REFERENCES admin_users (id) ON DELETE SET NULL,
+  admin_username TEXT    NOT NULL,
+  action         TEXT    NOT NULL,
+  entity_type    TEXT    NOT NULL,
+  entity_id      TEXT,
+  before         TEXT,
+  after          TEXT,
+  ip_address     TEXT
+);
+
+CREATE INDEX admin_audit_log_created_idx ON admin_audit_log (created_at);
+CREATE INDEX admin_audit_log_entity_idx ON admin_audit_log (entity_type, entity_id);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX admin_audit_log_entity_idx;
+DROP INDEX admin_audit_log_created_idx;
+DROP TABLE admin_audit_log;
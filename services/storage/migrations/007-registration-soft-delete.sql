@@ -0,0 +1,14 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+ALTER TABLE event_registrations ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX event_registrations_deleted_idx ON event_registrations (deleted_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX event_registrations_deleted_idx;
+ALTER TABLE event_registrations DROP COLUMN deleted_at;
@@ -0,0 +1,45 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE payments (
+  id                       INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at               TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at               TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  stripe_session_id        TEXT    UNIQUE,
+  stripe_payment_intent_id TEXT    UNIQUE,
+  stripe_invoice_id        TEXT    UNIQUE,
+  stripe_subscription_id   TEXT,
+  stripe_customer_id       TEXT,
+  kind                     TEXT    NOT NULL CHECK (kind IN ('donation', 'event_registration', 'subscription')),
+  donation_type            TEXT,
+  event_id                 INTEGER REFERENCES events (id) ON DELETE SET NULL,
+  registration_id          INTEGER REFERENCES event_registrations (id) ON DELETE SET NULL,
+  first_name               TEXT,
+  last_name                TEXT,
+  email                    TEXT,
+  amount                   REAL    NOT NULL DEFAULT 0,
+  amount_refunded          REAL    NOT NULL DEFAULT 0,
+  currency                 TEXT    NOT NULL DEFAULT 'usd',
+  status                   TEXT    NOT NULL CHECK (status IN ('pending', 'paid', 'failed', 'partially_refunded', 'refunded')),
+  failure_reason           TEXT,
+  paid_at                  TEXT,
+  refunded_at              TEXT,
+  subscription_canceled_at TEXT
+);
+
+CREATE INDEX payments_subscription_idx ON payments (stripe_subscription_id);
+CREATE INDEX payments_email_idx ON payments (email);
+
+-- Paid Rosh Hashana registrations now go through the event engine, so give
+-- Stripe somewhere to send people who cancel checkout
+UPDATE events SET registration_path = '/simple-donate'
+WHERE slug = 'rosh-hashana' AND registration_path IS NULL;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX payments_email_idx;
+DROP INDEX payments_subscription_idx;
+DROP TABLE payments;
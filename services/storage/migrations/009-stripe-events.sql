@@ -0,0 +1,25 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE stripe_events (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  received_at     TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  stripe_event_id TEXT    NOT NULL UNIQUE,
+  type            TEXT    NOT NULL,
+  payload         TEXT    NOT NULL,
+  status          TEXT    NOT NULL CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+  attempts        INTEGER NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  started_at      TEXT,
+  processed_at    TEXT
+);
+
+CREATE INDEX stripe_events_status_idx ON stripe_events (status, received_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX stripe_events_status_idx;
+DROP TABLE stripe_events;
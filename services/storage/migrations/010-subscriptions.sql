@@ -0,0 +1,47 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE subscriptions (
+  id                     INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at             TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at             TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  stripe_subscription_id TEXT    NOT NULL UNIQUE,
+  stripe_customer_id     TEXT,
+  first_name             TEXT,
+  last_name              TEXT,
+  email                  TEXT,
+  amount                 REAL    NOT NULL DEFAULT 0,
+  currency               TEXT    NOT NULL DEFAULT 'usd',
+  status                 TEXT    NOT NULL CHECK (status IN ('incomplete', 'active', 'past_due', 'paused', 'canceled')),
+  current_period_end     TEXT,
+  paused_at              TEXT,
+  canceled_at            TEXT
+);
+
+CREATE INDEX subscriptions_email_idx ON subscriptions (email);
+CREATE INDEX subscriptions_status_idx ON subscriptions (status);
+
+-- Backfill from the payments ledger, using each subscription's first payment
+INSERT INTO subscriptions (
+  created_at, stripe_subscription_id, stripe_customer_id, first_name, last_name,
+  email, amount, currency, status, canceled_at
+)
+SELECT created_at, stripe_subscription_id, stripe_customer_id, first_name, last_name,
+  email, amount, currency,
+  CASE WHEN subscription_canceled_at IS NULL THEN 'active' ELSE 'canceled' END,
+  subscription_canceled_at
+FROM payments
+WHERE id IN (
+  SELECT MIN(id) FROM payments
+  WHERE stripe_subscription_id IS NOT NULL
+  GROUP BY stripe_subscription_id
+);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX subscriptions_status_idx;
+DROP INDEX subscriptions_email_idx;
+DROP TABLE subscriptions;
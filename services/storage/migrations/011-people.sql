@@ -0,0 +1,68 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+CREATE TABLE people (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at    TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at    TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  email         TEXT    NOT NULL UNIQUE,
+  first_name    TEXT,
+  last_name     TEXT,
+  first_seen_at TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX people_name_idx ON people (last_name, first_name);
+
+-- No REFERENCES clause: SQLite cannot drop a column that is part of a foreign key
+ALTER TABLE event_registrations ADD COLUMN person_id INTEGER;
+ALTER TABLE payments ADD COLUMN person_id INTEGER;
+
+CREATE INDEX event_registrations_person_idx ON event_registrations (person_id);
+CREATE INDEX payments_person_idx ON payments (person_id);
+
+-- One person per normalized email, named after their earliest record
+INSERT INTO people (email, first_name, last_name, first_seen_at)
+SELECT email, first_name, last_name, created_at
+FROM (
+  SELECT lower(trim(email)) AS email, first_name, last_name, created_at,
+    ROW_NUMBER() OVER (PARTITION BY lower(trim(email)) ORDER BY created_at) AS position
+  FROM (
+    SELECT email, first_name, last_name, created_at FROM event_registrations
+    UNION ALL
+    SELECT email, first_name, last_name, created_at FROM payments
+  )
+  WHERE email IS NOT NULL AND trim(email) <> ''
+)
+WHERE position = 1;
+
+UPDATE event_registrations
+SET person_id = (SELECT id FROM people WHERE people.email = lower(trim(event_registrations.email)));
+
+UPDATE payments
+SET person_id = (SELECT id FROM people WHERE people.email = lower(trim(payments.email)))
+WHERE email IS NOT NULL;
+
+-- Attendance and giving totals for the people list and profiles
+CREATE VIEW people_summary AS
+SELECT
+  p.*,
+  (SELECT COUNT(*) FROM event_registrations r
+   WHERE r.person_id = p.id AND r.deleted_at IS NULL) AS registration_count,
+  (SELECT MAX(r.created_at) FROM event_registrations r
+   WHERE r.person_id = p.id AND r.deleted_at IS NULL) AS last_registered_at,
+  (SELECT COALESCE(SUM(pm.amount - pm.amount_refunded), 0) FROM payments pm
+   WHERE pm.person_id = p.id AND pm.status IN ('paid', 'partially_refunded', 'refunded')) AS lifetime_giving
+FROM people p;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP VIEW people_summary;
+DROP INDEX payments_person_idx;
+DROP INDEX event_registrations_person_idx;
+ALTER TABLE payments DROP COLUMN person_id;
+ALTER TABLE event_registrations DROP COLUMN person_id;
+DROP INDEX people_name_idx;
+DROP TABLE people;
@@ -0,0 +1,42 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- A merged person keeps their row so their email address still finds the person they became
+ALTER TABLE people ADD COLUMN merged_into_id INTEGER;
+
+CREATE INDEX people_merged_into_idx ON people (merged_into_id);
+
+DROP VIEW people_summary;
+
+CREATE VIEW people_summary AS
+SELECT
+  p.*,
+  (SELECT COUNT(*) FROM event_registrations r
+   WHERE r.person_id = p.id AND r.deleted_at IS NULL) AS registration_count,
+  (SELECT MAX(r.created_at) FROM event_registrations r
+   WHERE r.person_id = p.id AND r.deleted_at IS NULL) AS last_registered_at,
+  (SELECT COALESCE(SUM(pm.amount - pm.amount_refunded), 0) FROM payments pm
+   WHERE pm.person_id = p.id AND pm.status IN ('paid', 'partially_refunded', 'refunded')) AS lifetime_giving
+FROM people p
+WHERE p.merged_into_id IS NULL;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP VIEW people_summary;
+
+CREATE VIEW people_summary AS
+SELECT
+  p.*,
+  (SELECT COUNT(*) FROM event_registrations r
+   WHERE r.person_id = p.id AND r.deleted_at IS NULL) AS registration_count,
+  (SELECT MAX(r.created_at) FROM event_registrations r
+   WHERE r.person_id = p.id AND r.deleted_at IS NULL) AS last_registered_at,
+  (SELECT COALESCE(SUM(pm.amount - pm.amount_refunded), 0) FROM payments pm
+   WHERE pm.person_id = p.id AND pm.status IN ('paid', 'partially_refunded', 'refunded')) AS lifetime_giving
+FROM people p;
+
+DROP INDEX people_merged_into_idx;
+ALTER TABLE people DROP COLUMN merged_into_id;
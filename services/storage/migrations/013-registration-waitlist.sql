@@ -0,0 +1,24 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- 'event': capacity covers every registration; 'week': capacity is per Shabbat week
+ALTER TABLE events ADD COLUMN capacity_period TEXT NOT NULL DEFAULT 'event'
+  CHECK (capacity_period IN ('event', 'week'));
+
+UPDATE events SET capacity_period = 'week' WHERE slug = 'shabbat';
+
+ALTER TABLE event_registrations ADD COLUMN status TEXT NOT NULL DEFAULT 'confirmed'
+  CHECK (status IN ('confirmed', 'waitlisted'));
+ALTER TABLE event_registrations ADD COLUMN promoted_at TEXT;
+
+CREATE INDEX event_registrations_status_idx ON event_registrations (event_id, status, created_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX event_registrations_status_idx;
+ALTER TABLE event_registrations DROP COLUMN promoted_at;
+ALTER TABLE event_registrations DROP COLUMN status;
+ALTER TABLE events DROP COLUMN capacity_period;
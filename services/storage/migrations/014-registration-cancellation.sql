@@ -0,0 +1,12 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Set, along with deleted_at, when the registrant cancels from their own link
+ALTER TABLE event_registrations ADD COLUMN cancelled_at TEXT;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE event_registrations DROP COLUMN cancelled_at;
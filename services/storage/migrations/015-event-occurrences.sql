@@ -0,0 +1,32 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- One row per scheduled date of a weekly event, e.g. each Shabbat dinner
+CREATE TABLE event_occurrences (
+  id                    INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at            TEXT    NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  event_id              INTEGER NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+  occurs_on             TEXT    NOT NULL,
+  starts_at             TEXT,
+  location              TEXT,
+  host                  TEXT,
+  capacity              INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  registration_deadline TEXT,
+  cancelled_at          TEXT,
+  UNIQUE (event_id, occurs_on)
+);
+
+-- Older registrations keep a null occurrence and are grouped by Shabbat week in code
+-- No REFERENCES clause: SQLite cannot drop a column that is part of a foreign key
+ALTER TABLE event_registrations ADD COLUMN occurrence_id INTEGER;
+
+CREATE INDEX event_registrations_occurrence_idx ON event_registrations (occurrence_id, status, created_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX event_registrations_occurrence_idx;
+ALTER TABLE event_registrations DROP COLUMN occurrence_id;
+DROP TABLE event_occurrences;
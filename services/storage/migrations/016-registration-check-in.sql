@@ -0,0 +1,21 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- Each registration carries the code in its QR ticket; staff mark arrivals at the door
+ALTER TABLE event_registrations ADD COLUMN check_in_code TEXT;
+ALTER TABLE event_registrations ADD COLUMN checked_in_at TEXT;
+ALTER TABLE event_registrations ADD COLUMN checked_in_by TEXT;
+
+UPDATE event_registrations SET check_in_code = lower(hex(randomblob(8))) WHERE check_in_code IS NULL;
+
+CREATE UNIQUE INDEX event_registrations_check_in_code_idx ON event_registrations (check_in_code);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+DROP INDEX event_registrations_check_in_code_idx;
+ALTER TABLE event_registrations DROP COLUMN checked_in_by;
+ALTER TABLE event_registrations DROP COLUMN checked_in_at;
+ALTER TABLE event_registrations DROP COLUMN check_in_code;
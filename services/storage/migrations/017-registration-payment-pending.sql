@@ -0,0 +1,31 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- 'pending': waiting for its Stripe checkout to complete; it does not hold a seat.
+-- SQLite cannot change a CHECK in place, so the column is swapped for a new one.
+ALTER TABLE event_registrations ADD COLUMN new_status TEXT NOT NULL DEFAULT 'confirmed'
+  CHECK (new_status IN ('pending', 'confirmed', 'waitlisted'));
+UPDATE event_registrations SET new_status = status;
+
+DROP INDEX event_registrations_status_idx;
+DROP INDEX event_registrations_occurrence_idx;
+ALTER TABLE event_registrations DROP COLUMN status;
+ALTER TABLE event_registrations RENAME COLUMN new_status TO status;
+CREATE INDEX event_registrations_status_idx ON event_registrations (event_id, status, created_at);
+CREATE INDEX event_registrations_occurrence_idx ON event_registrations (occurrence_id, status, created_at);
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE event_registrations ADD COLUMN old_status TEXT NOT NULL DEFAULT 'confirmed'
+  CHECK (old_status IN ('confirmed', 'waitlisted'));
+UPDATE event_registrations SET old_status = CASE WHEN status = 'waitlisted' THEN 'waitlisted' ELSE 'confirmed' END;
+
+DROP INDEX event_registrations_status_idx;
+DROP INDEX event_registrations_occurrence_idx;
+ALTER TABLE event_registrations DROP COLUMN status;
+ALTER TABLE event_registrations RENAME COLUMN old_status TO status;
+CREATE INDEX event_registrations_status_idx ON event_registrations (event_id, status, created_at);
+CREATE INDEX event_registrations_occurrence_idx ON event_registrations (occurrence_id, status, created_at);
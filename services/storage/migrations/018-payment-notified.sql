@@ -0,0 +1,15 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- When the confirmation and receipt for a paid payment went out, so a replayed
+-- webhook sends them if the first attempt failed before they did
+ALTER TABLE payments ADD COLUMN notified_at TEXT;
+
+UPDATE payments SET notified_at = paid_at WHERE paid_at IS NOT NULL;
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE payments DROP COLUMN notified_at;
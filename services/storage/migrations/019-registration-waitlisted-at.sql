@@ -0,0 +1,15 @@
+--------------------------------------------------------------------------------
+-- Up
+--------------------------------------------------------------------------------
+
+-- When a registration joined the waitlist; the waitlist is served in this order,
+-- so one restored onto it goes to the back rather than back to its signup time
+ALTER TABLE event_registrations ADD COLUMN waitlisted_at TEXT;
+
+UPDATE event_registrations SET waitlisted_at = created_at WHERE status = 'waitlisted';
+
+--------------------------------------------------------------------------------
+-- Down
+--------------------------------------------------------------------------------
+
+ALTER TABLE event_registrations DROP COLUMN waitlisted_at;
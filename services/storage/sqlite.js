@@ -0,0 +1,1774 @@
+/**
+ * SQLite storage backend for local development and tests
+ */
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const config = require('../../config');
+const { capitalizeName } = require('../../utils/name-utils');
+const { createHttpError, isClientError } = require('../../utils/http-error');
+const { createLogger } = require('../../utils/logger');
+
+const log = createLogger('services/storage/sqlite');
+
+const MIGRATIONS_PATH = path.join(__dirname, 'migrations');
+
+let dbPromise = null;
+let handle = null;
+
+// The transaction holding the connection ({ done }), and statements from outside
+// it that are still running
+let transaction = null;
+let running = 0;
+let onIdle = null;
+
+/**
+ * Open the database and apply pending migrations, once per process
+ * @returns {Promise<Object>} - sqlite Database handle
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const filename = config.storage.sqlitePath;
+
+      if (filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+      }
+
+      const db = await open({ filename, driver: sqlite3.Database });
+      await db.run('PRAGMA foreign_keys = ON');
+      await db.migrate({ migrationsPath: MIGRATIONS_PATH });
+
+      log.info('SQLite database ready', { filename });
+      return db;
+    })();
+
+    // Allow a later call to retry if opening or migrating failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Wrap the database so statements wait while a transaction holds the connection
+ * Every request shares one connection, so a statement run between another
+ * request's BEGIN and COMMIT would become part of that transaction
+ * @param {Object} db - sqlite Database handle
+ * @returns {Object} - Handle with all, get, run and exec
+ */
+function gate(db) {
+  const wrap = method => async (...args) => {
+    while (transaction) {
+      await transaction.done;
+    }
+
+    running++;
+    try {
+      return await db[method](...args);
+    } finally {
+      running--;
+      if (running === 0 && onIdle) {
+        onIdle();
+      }
+    }
+  };
+
+  return { all: wrap('all'), get: wrap('get'), run: wrap('run'), exec: wrap('exec') };
+}
+
+/**
+ * Get the database, once it is open and migrated
+ * @returns {Promise<Object>} - Handle whose statements wait for any transaction in progress
+ */
+async function getDb() {
+  const db = await openDb();
+  handle = handle || gate(db);
+  return handle;
+}
+
+/**
+ * Run statements in a transaction that nothing else runs inside
+ * Statements already running finish first, and later ones wait until it commits
+ * or rolls back; transactions run one at a time
+ * @param {Function} work - async (db) => result, given the database to run its statements on
+ * @returns {Promise<*>} - What work returned
+ */
+async function withTransaction(work) {
+  const db = await openDb();
+
+  while (transaction) {
+    await transaction.done;
+  }
+
+  let finish;
+  transaction = { done: new Promise(resolve => { finish = resolve; }) };
+
+  try {
+    if (running > 0) {
+      await new Promise(resolve => { onIdle = resolve; });
+      onIdle = null;
+    }
+
+    await db.exec('BEGIN');
+
+    try {
+      const result = await work(db);
+      await db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      throw error;
+    }
+  } finally {
+    transaction = null;
+    finish();
+  }
+}
+
+/**
+ * Convert a registration row to the shape returned by Supabase
+ * @param {Object} row - Raw SQLite row
+ * @returns {Object} - Registration with boolean flags
+ */
+function toRegistration(row) {
+  return { ...row, new: Boolean(row.new) };
+}
+
+/**
+ * Convert an admin login event row to the shape returned by Supabase
+ * @param {Object} row - Raw SQLite row
+ * @returns {Object} - Login event with boolean flags
+ */
+function toLoginEvent(row) {
+  return { ...row, success: Boolean(row.success) };
+}
+
+/**
+ * Convert an audit log row to the shape returned by Supabase
+ * @param {Object} row - Raw SQLite row
+ * @returns {Object} - Audit entry with parsed snapshots
+ */
+function toAuditEntry(row) {
+  return {
+    ...row,
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null
+  };
+}
+
+/**
+ * Convert a Stripe event row to the shape returned by Supabase
+ * @param {Object} row - Raw SQLite row
+ * @returns {Object} - Stored event with parsed payload
+ */
+function toStripeEvent(row) {
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+/**
+ * Build an INSERT statement from a column/value object
+ * @param {string} table - Table name
+ * @param {Object} values - Column values
+ * @returns {Array} - SQL string followed by its parameters
+ */
+function buildInsert(table, values) {
+  const columns = Object.keys(values);
+  const sql = `INSERT INTO "${table}" (${columns.map(c => `"${c}"`).join(', ')})
+     VALUES (${columns.map(() => '?').join(', ')})
+     RETURNING *`;
+  return [sql, ...columns.map(c => values[c])];
+}
+
+/**
+ * Build an UPDATE ... WHERE id = ? statement from a column/value object
+ * @param {string} table - Table name
+ * @param {number} id - Row ID
+ * @param {Object} changes - Column values
+ * @returns {Array} - SQL string followed by its parameters
+ */
+function buildUpdate(table, id, changes) {
+  const columns = Object.keys(changes);
+  const sql = `UPDATE "${table}" SET ${columns.map(c => `"${c}" = ?`).join(', ')}
+     WHERE id = ?
+     RETURNING *`;
+  return [sql, ...columns.map(c => changes[c]), id];
+}
+
+/**
+ * Get all events, soonest first
+ * @returns {Promise<Object>} - Events
+ */
+async function listEvents() {
+  try {
+    const db = await getDb();
+    const rows = await db.all('SELECT * FROM events ORDER BY event_date IS NOT NULL, event_date, id');
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching events', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single event by its slug
+ * @param {string} slug - Event slug (e.g. 'shabbat')
+ * @returns {Promise<Object>} - Event, or null data if it does not exist
+ */
+async function getEventBySlug(slug) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM events WHERE slug = ?', slug);
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching event', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new event
+ * @param {Object} eventData - Event columns (slug, title, event_date, capacity, ...)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createEvent(eventData) {
+  try {
+    log.info('Creating event', { slug: eventData.slug });
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('events', eventData));
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error creating event', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing event
+ * @param {number} id - Event ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateEvent(id, changes) {
+  try {
+    log.info('Updating event', { eventId: id });
+    const db = await getDb();
+    const rows = await db.all(...buildUpdate('events', id, changes));
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Event not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating event', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List an event's occurrences in date order
+ * @param {number} eventId - Event ID
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Occurrences
+ */
+async function listEventOccurrences(eventId, { from, to, includeCancelled = true } = {}) {
+  try {
+    const conditions = ['event_id = ?'];
+    const params = [eventId];
+
+    if (from) {
+      conditions.push('occurs_on >= ?');
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push('occurs_on <= ?');
+      params.push(to);
+    }
+
+    if (!includeCancelled) {
+      conditions.push('cancelled_at IS NULL');
+    }
+
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM event_occurrences WHERE ${conditions.join(' AND ')} ORDER BY occurs_on`,
+      ...params
+    );
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching event occurrences', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of an event's occurrences
+ * @param {number} eventId - Event ID
+ * @param {number} id - Occurrence ID
+ * @returns {Promise<Object>} - Occurrence, or null data if none
+ */
+async function getEventOccurrence(eventId, id) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM event_occurrences WHERE event_id = ? AND id = ?', eventId, id);
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching event occurrence', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an event's occurrence on a date
+ * @param {number} eventId - Event ID
+ * @param {string} occursOn - Date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Occurrence, or null data if none
+ */
+async function getEventOccurrenceByDate(eventId, occursOn) {
+  try {
+    const db = await getDb();
+    const row = await db.get(
+      'SELECT * FROM event_occurrences WHERE event_id = ? AND occurs_on = ?',
+      eventId,
+      occursOn
+    );
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching event occurrence', error);
+    throw error;
+  }
+}
+
+/**
+ * Schedule an occurrence of an event
+ * @param {Object} occurrenceData - Occurrence columns (event_id, occurs_on, location, ...)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createEventOccurrence(occurrenceData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('event_occurrences', occurrenceData));
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error creating event occurrence', error);
+    throw error;
+  }
+}
+
+/**
+ * Update one of an event's occurrences
+ * @param {number} eventId - Event ID
+ * @param {number} id - Occurrence ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateEventOccurrence(eventId, id, changes) {
+  try {
+    const columns = Object.keys(changes);
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE event_occurrences SET ${columns.map(column => `"${column}" = ?`).join(', ')}
+       WHERE event_id = ? AND id = ?
+       RETURNING *`,
+      ...columns.map(column => changes[column]),
+      eventId,
+      id
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Occurrence not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating event occurrence', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add a new registration for an event
+ * @param {number} eventId - Event ID
+ * @param {Object} registrationData - Registration data (see supabase backend)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addEventRegistration(eventId, registrationData) {
+  const {
+    firstName, lastName, email, donationAmount = 0, isNew = true, personId = null, status = 'confirmed', occurrenceId = null,
+    checkInCode = null, capacity = null
+  } = registrationData;
+
+  try {
+    log.info('Adding event registration', { eventId, status });
+
+    const values = {
+      event_id: eventId,
+      first_name: capitalizeName(firstName.trim()),
+      last_name: capitalizeName(lastName.trim()),
+      email: email.toLowerCase().trim(),
+      donation_amount: parseFloat(donationAmount),
+      new: isNew ? 1 : 0,
+      person_id: personId,
+      occurrence_id: occurrenceId,
+      check_in_code: checkInCode
+    };
+    const columns = Object.keys(values);
+    const full = seatsFullCondition(eventId, { capacity, occurrenceId });
+    const db = await getDb();
+    // The seat count is part of the insert, so two registrations cannot both take the last seat
+    const rows = await db.all(
+      `INSERT INTO event_registrations (${columns.map(c => `"${c}"`).join(', ')}, status, waitlisted_at)
+       VALUES (${columns.map(() => '?').join(', ')},
+         CASE WHEN ${full.sql} THEN 'waitlisted' ELSE ? END,
+         CASE WHEN ${full.sql} OR ? = 'waitlisted' THEN ? END)
+       RETURNING *`,
+      ...columns.map(c => values[c]),
+      ...full.params,
+      status,
+      ...full.params,
+      status,
+      new Date().toISOString()
+    );
+
+    log.info('Added event registration', { eventId, registrationId: rows[0].id, status: rows[0].status });
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error adding event registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if a person with the same first and last name has registered for any event
+ * @param {string} firstName - First name to check
+ * @param {string} lastName - Last name to check
+ * @returns {Promise<boolean>} - Whether name combination exists
+ */
+async function nameExists(firstName, lastName) {
+  try {
+    const db = await getDb();
+    const row = await db.get(
+      'SELECT id FROM event_registrations WHERE first_name = ? AND last_name = ? LIMIT 1',
+      capitalizeName(firstName.trim()),
+      capitalizeName(lastName.trim())
+    );
+
+    return Boolean(row);
+  } catch (error) {
+    log.error('Error checking name existence', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all registrations for an event (for admin purposes)
+ * @param {number} eventId - Event ID
+ * @param {Object} [options] - Options (see supabase backend)
+ * @returns {Promise<Object>} - Registrations, newest first
+ */
+async function getEventRegistrations(eventId, { includeDeleted = false } = {}) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM event_registrations
+       WHERE event_id = ? ${includeDeleted ? '' : 'AND deleted_at IS NULL'}
+       ORDER BY created_at DESC, id DESC`,
+      eventId
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error fetching registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one registration for an event, deleted or not
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @returns {Promise<Object>} - Registration, or null data if none
+ */
+async function getEventRegistration(eventId, id) {
+  try {
+    const db = await getDb();
+    const row = await db.get(
+      'SELECT * FROM event_registrations WHERE event_id = ? AND id = ?',
+      eventId,
+      id
+    );
+    return { success: true, data: row ? toRegistration(row) : null };
+  } catch (error) {
+    log.error('Error fetching registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a registration by the code in its QR ticket, deleted or not
+ * @param {string} code - Check-in code
+ * @returns {Promise<Object>} - Registration, or null data if none
+ */
+async function getEventRegistrationByCheckInCode(code) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM event_registrations WHERE check_in_code = ?', code);
+    return { success: true, data: row ? toRegistration(row) : null };
+  } catch (error) {
+    log.error('Error fetching registration by check-in code', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the condition limiting registrations to one occurrence
+ * @param {Object} [filters] - { occurrenceId } (see supabase backend)
+ * @returns {Object} - { sql, params }
+ */
+function occurrenceFilter({ occurrenceId } = {}) {
+  if (occurrenceId == null) {
+    return { sql: '', params: [] };
+  }
+
+  return { sql: 'AND occurrence_id = ?', params: [occurrenceId] };
+}
+
+/**
+ * Build the condition that is true once every seat a registration counts against is taken
+ * Used inside the statement that takes the seat, so the count cannot change in between
+ * @param {number} eventId - Event ID
+ * @param {Object} [limit] - { capacity, occurrenceId } (see supabase backend)
+ * @returns {Object} - { sql, params }
+ */
+function seatsFullCondition(eventId, { capacity = null, occurrenceId } = {}) {
+  const filter = occurrenceFilter({ occurrenceId });
+  return {
+    sql: `? IS NOT NULL AND (
+      SELECT COUNT(*) FROM event_registrations
+      WHERE event_id = ? AND status = 'confirmed' AND deleted_at IS NULL ${filter.sql}
+    ) >= ?`,
+    params: [capacity, eventId, ...filter.params, capacity]
+  };
+}
+
+/**
+ * Count the confirmed (not deleted or waitlisted) registrations for an event
+ * @param {number} eventId - Event ID
+ * @param {Object} [filters] - Only registrations for one occurrence (see supabase backend)
+ * @returns {Promise<number>} - Number of registrations
+ */
+async function countEventRegistrations(eventId, filters) {
+  try {
+    const filter = occurrenceFilter(filters);
+    const db = await getDb();
+    const row = await db.get(
+      `SELECT COUNT(*) AS count FROM event_registrations
+       WHERE event_id = ? AND status = 'confirmed' AND deleted_at IS NULL ${filter.sql}`,
+      eventId,
+      ...filter.params
+    );
+    return row.count;
+  } catch (error) {
+    log.error('Error counting registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * List an event's waitlist in order, first in line first
+ * @param {number} eventId - Event ID
+ * @param {Object} [filters] - Only registrations for one occurrence (see supabase backend)
+ * @returns {Promise<Object>} - Waitlisted registrations
+ */
+async function listEventWaitlist(eventId, filters) {
+  try {
+    const filter = occurrenceFilter(filters);
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM event_registrations
+       WHERE event_id = ? AND status = 'waitlisted' AND deleted_at IS NULL ${filter.sql}
+       ORDER BY waitlisted_at, id`,
+      eventId,
+      ...filter.params
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error fetching waitlist', error);
+    throw error;
+  }
+}
+
+/**
+ * Give a waitlisted registration a seat (see supabase backend)
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @param {Object} [limit] - { capacity, occurrenceId } its seat counts against (see supabase backend)
+ * @returns {Promise<Object>} - Promoted registration, or no rows if it was not waitlisted or the event is full
+ */
+async function promoteEventRegistration(eventId, id, limit) {
+  try {
+    const full = seatsFullCondition(eventId, limit);
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE event_registrations SET status = 'confirmed', promoted_at = ?
+       WHERE event_id = ? AND id = ? AND status = 'waitlisted' AND deleted_at IS NULL
+         AND NOT (${full.sql})
+       RETURNING *`,
+      new Date().toISOString(),
+      eventId,
+      id,
+      ...full.params
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error promoting registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Give a pending registration its seat once it is paid for (see supabase backend)
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @param {Object} [limit] - { capacity, occurrenceId } its seat counts against (see supabase backend)
+ * @returns {Promise<Object>} - Confirmed or waitlisted registration, or no rows if it was not pending
+ */
+async function confirmEventRegistration(eventId, id, limit) {
+  try {
+    const full = seatsFullCondition(eventId, limit);
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE event_registrations
+       SET status = CASE WHEN ${full.sql} THEN 'waitlisted' ELSE 'confirmed' END,
+         waitlisted_at = CASE WHEN ${full.sql} THEN ? ELSE waitlisted_at END
+       WHERE event_id = ? AND id = ? AND status = 'pending' AND deleted_at IS NULL
+       RETURNING *`,
+      ...full.params,
+      ...full.params,
+      new Date().toISOString(),
+      eventId,
+      id
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error confirming registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Soft-delete a specific event registration
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID to delete
+ * @param {Object} [options] - Options (see supabase backend)
+ * @returns {Promise<Object>} - Deletion result
+ */
+async function deleteEventRegistration(eventId, id, { cancelled = false } = {}) {
+  try {
+    log.info('Deleting event registration', { eventId, registrationId: id });
+
+    const now = new Date().toISOString();
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE event_registrations SET deleted_at = ?, cancelled_at = ?
+       WHERE event_id = ? AND id = ? AND deleted_at IS NULL
+       RETURNING *`,
+      now,
+      cancelled ? now : null,
+      eventId,
+      id
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Registration not found or already deleted');
+    }
+
+    log.info('Deleted event registration', { eventId, registrationId: id });
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error deleting event registration', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a (not deleted) registration
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @param {Object} changes - Columns to update (see supabase backend)
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateEventRegistration(eventId, id, changes) {
+  try {
+    const columns = Object.keys(changes);
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE event_registrations SET ${columns.map(column => `"${column}" = ?`).join(', ')}
+       WHERE event_id = ? AND id = ? AND deleted_at IS NULL
+       RETURNING *`,
+      ...columns.map(column => changes[column]),
+      eventId,
+      id
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Registration not found');
+    }
+
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating event registration', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restore a soft-deleted event registration (see supabase backend)
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID to restore
+ * @param {Object} [limit] - { capacity, occurrenceId } its seat counts against (see supabase backend)
+ * @returns {Promise<Object>} - Restore result
+ */
+async function restoreEventRegistration(eventId, id, limit) {
+  try {
+    const full = seatsFullCondition(eventId, limit);
+    const db = await getDb();
+    // One statement, so the seat count cannot change between checking and restoring.
+    // Anything restored onto the waitlist joins it at the back.
+    const rows = await db.all(
+      `UPDATE event_registrations SET deleted_at = NULL, cancelled_at = NULL,
+         status = CASE WHEN status = 'confirmed' AND ${full.sql} THEN 'waitlisted' ELSE status END,
+         waitlisted_at = CASE
+           WHEN status = 'waitlisted' OR (status = 'confirmed' AND ${full.sql}) THEN ?
+           ELSE waitlisted_at
+         END
+       WHERE event_id = ? AND id = ? AND deleted_at IS NOT NULL
+       RETURNING *`,
+      ...full.params,
+      ...full.params,
+      new Date().toISOString(),
+      eventId,
+      id
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Deleted registration not found');
+    }
+
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error restoring event registration', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List soft-deleted registrations, most recently deleted first
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Deleted registrations
+ */
+async function listDeletedEventRegistrations({ eventId } = {}) {
+  try {
+    const db = await getDb();
+    const rows = eventId != null
+      ? await db.all(
+        'SELECT * FROM event_registrations WHERE deleted_at IS NOT NULL AND event_id = ? ORDER BY deleted_at DESC',
+        eventId
+      )
+      : await db.all('SELECT * FROM event_registrations WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC');
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error fetching deleted registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently remove registrations that were soft-deleted before a cutoff
+ * @param {string} deletedBefore - ISO timestamp; rows deleted earlier are purged
+ * @returns {Promise<Object>} - Purged registrations
+ */
+async function purgeDeletedEventRegistrations(deletedBefore) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(
+      'DELETE FROM event_registrations WHERE deleted_at < ? RETURNING *',
+      deletedBefore
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error purging deleted registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a contact form submission
+ * @param {Object} contactData - Contact form data (see supabase backend)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addContactMessage(contactData) {
+  const { name, email, subject, message } = contactData;
+
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('contact_messages', {
+      name: name.trim(),
+      email: email.toLowerCase().trim(),
+      subject: subject ? subject.trim() : null,
+      message
+    }));
+
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error adding contact message', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single contact message
+ * @param {number} id - Contact message ID
+ * @returns {Promise<Object>} - Contact message, or null data if none
+ */
+async function getContactMessage(id) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM contact_messages WHERE id = ?', id);
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching contact message', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a stored contact message (e.g. its delivery status)
+ * @param {number} id - Contact message ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateContactMessage(id, changes) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildUpdate('contact_messages', id, changes));
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Contact message not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating contact message', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List contact messages, newest first
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Contact messages
+ */
+async function listContactMessages({ folder = 'inbox', search } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (folder === 'inbox' || folder === 'unread') {
+      conditions.push('archived_at IS NULL');
+    }
+
+    if (folder === 'unread') {
+      conditions.push('read_at IS NULL');
+    }
+
+    if (folder === 'archived') {
+      conditions.push('archived_at IS NOT NULL');
+    }
+
+    if (search) {
+      const pattern = `%${search.trim()}%`;
+      conditions.push('(name LIKE ? OR email LIKE ? OR subject LIKE ? OR message LIKE ?)');
+      params.push(pattern, pattern, pattern, pattern);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM contact_messages ${where} ORDER BY created_at DESC, id DESC`,
+      ...params
+    );
+
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching contact messages', error);
+    throw error;
+  }
+}
+
+/**
+ * Count unread contact messages that have not been archived
+ * @returns {Promise<number>} - Number of unread messages
+ */
+async function countUnreadContactMessages() {
+  try {
+    const db = await getDb();
+    const row = await db.get(
+      'SELECT COUNT(*) AS count FROM contact_messages WHERE archived_at IS NULL AND read_at IS NULL'
+    );
+    return row.count;
+  } catch (error) {
+    log.error('Error counting unread contact messages', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an admin user by username
+ * @param {string} username - Username (case-insensitive)
+ * @returns {Promise<Object>} - Admin user, or null data if none
+ */
+async function getAdminUserByUsername(username) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM admin_users WHERE username = ?', username.toLowerCase().trim());
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching admin user', error);
+    throw error;
+  }
+}
+
+/**
+ * List admin users
+ * @returns {Promise<Object>} - Admin users (without password hashes)
+ */
+async function listAdminUsers() {
+  try {
+    const db = await getDb();
+    const rows = await db.all(
+      'SELECT id, created_at, username, role, disabled_at, last_login_at FROM admin_users ORDER BY username'
+    );
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching admin users', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an admin user
+ * @param {Object} userData - Columns (username, password_hash, role)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createAdminUser(userData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('admin_users', {
+      ...userData,
+      username: userData.username.toLowerCase().trim()
+    }));
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error creating admin user', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an admin user
+ * @param {number} id - Admin user ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateAdminUser(id, changes) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildUpdate('admin_users', id, changes));
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Admin user not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating admin user', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record an admin login attempt
+ * @param {Object} loginData - Columns (admin_user_id, username, success, reason, ip_address, user_agent)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addAdminLoginEvent(loginData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('admin_login_events', {
+      ...loginData,
+      success: loginData.success ? 1 : 0
+    }));
+    return { success: true, data: rows.map(toLoginEvent) };
+  } catch (error) {
+    log.error('Error recording admin login', error);
+    throw error;
+  }
+}
+
+/**
+ * List recent admin login attempts, newest first
+ * @param {number} [limit=100] - Maximum number of rows
+ * @returns {Promise<Object>} - Login events
+ */
+async function listAdminLoginEvents(limit = 100) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(
+      'SELECT * FROM admin_login_events ORDER BY created_at DESC, id DESC LIMIT ?',
+      limit
+    );
+    return { success: true, data: rows.map(toLoginEvent) };
+  } catch (error) {
+    log.error('Error fetching admin logins', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a payment by any of its Stripe identifiers
+ * @param {Object} keys - Stripe identifiers (see supabase backend)
+ * @returns {Promise<Object>} - Payment, or null data if none matches
+ */
+async function findPayment({ sessionId, paymentIntentId, invoiceId }) {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (sessionId) {
+      conditions.push('stripe_session_id = ?');
+      params.push(sessionId);
+    }
+
+    if (paymentIntentId) {
+      conditions.push('stripe_payment_intent_id = ?');
+      params.push(paymentIntentId);
+    }
+
+    if (invoiceId) {
+      conditions.push('stripe_invoice_id = ?');
+      params.push(invoiceId);
+    }
+
+    if (conditions.length === 0) {
+      return { success: true, data: null };
+    }
+
+    const db = await getDb();
+    const row = await db.get(
+      `SELECT * FROM payments WHERE ${conditions.join(' OR ')} ORDER BY id LIMIT 1`,
+      ...params
+    );
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error finding payment', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the earliest payment for a Stripe subscription
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Payment, or null data if none
+ */
+async function findFirstSubscriptionPayment(subscriptionId) {
+  try {
+    const db = await getDb();
+    const row = await db.get(
+      'SELECT * FROM payments WHERE stripe_subscription_id = ? ORDER BY created_at, id LIMIT 1',
+      subscriptionId
+    );
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error finding subscription payment', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a new payment
+ * @param {Object} paymentData - Payment columns
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createPayment(paymentData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('payments', paymentData));
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error recording payment', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a payment
+ * @param {number} id - Payment ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updatePayment(id, changes) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildUpdate('payments', id, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    }));
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Payment not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating payment', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update every payment belonging to a Stripe subscription
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Updated payments
+ */
+async function updateSubscriptionPayments(subscriptionId, changes) {
+  try {
+    const values = { ...changes, updated_at: new Date().toISOString() };
+    const columns = Object.keys(values);
+
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE payments SET ${columns.map(c => `"${c}" = ?`).join(', ')}
+       WHERE stripe_subscription_id = ?
+       RETURNING *`,
+      ...columns.map(c => values[c]),
+      subscriptionId
+    );
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error updating subscription payments', error);
+    throw error;
+  }
+}
+
+/**
+ * List payments, newest first
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Payments
+ */
+async function listPayments({ status, kind, email, personId, limit = 500 } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (personId) {
+      conditions.push('person_id = ?');
+      params.push(personId);
+    }
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+
+    if (email) {
+      conditions.push('email = ? COLLATE NOCASE');
+      params.push(email.trim());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM payments ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      ...params,
+      limit
+    );
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching payments', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a stored Stripe webhook event
+ * @param {string} stripeEventId - Stripe event ID (evt_...)
+ * @returns {Promise<Object>} - Stored event, or null data if none
+ */
+async function getStripeEvent(stripeEventId) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM stripe_events WHERE stripe_event_id = ?', stripeEventId);
+    return { success: true, data: row ? toStripeEvent(row) : null };
+  } catch (error) {
+    log.error('Error fetching Stripe event', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a received Stripe webhook event
+ * @param {Object} eventData - Columns (see supabase backend)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createStripeEvent(eventData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('stripe_events', {
+      ...eventData,
+      payload: JSON.stringify(eventData.payload)
+    }));
+    return { success: true, data: rows.map(toStripeEvent) };
+  } catch (error) {
+    log.error('Error storing Stripe event', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a stored Stripe webhook event
+ * @param {string} stripeEventId - Stripe event ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateStripeEvent(stripeEventId, changes) {
+  try {
+    const columns = Object.keys(changes);
+
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE stripe_events SET ${columns.map(c => `"${c}" = ?`).join(', ')}
+       WHERE stripe_event_id = ?
+       RETURNING *`,
+      ...columns.map(c => changes[c]),
+      stripeEventId
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Stripe event not found');
+    }
+
+    return { success: true, data: rows.map(toStripeEvent) };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating Stripe event', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List stored Stripe webhook events, newest first
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Stored events
+ */
+async function listStripeEvents({ status, limit = 200 } = {}) {
+  try {
+    const db = await getDb();
+    const rows = status
+      ? await db.all(
+        'SELECT * FROM stripe_events WHERE status = ? ORDER BY received_at DESC, id DESC LIMIT ?',
+        status,
+        limit
+      )
+      : await db.all('SELECT * FROM stripe_events ORDER BY received_at DESC, id DESC LIMIT ?', limit);
+    return { success: true, data: rows.map(toStripeEvent) };
+  } catch (error) {
+    log.error('Error fetching Stripe events', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a monthly donation by its Stripe subscription ID
+ * @param {string} subscriptionId - Stripe subscription ID (sub_...)
+ * @returns {Promise<Object>} - Subscription, or null data if none
+ */
+async function getSubscription(subscriptionId) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM subscriptions WHERE stripe_subscription_id = ?', subscriptionId);
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching subscription', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a new monthly donation
+ * @param {Object} subscriptionData - Columns (see supabase backend)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createSubscription(subscriptionData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('subscriptions', subscriptionData));
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error recording subscription', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a monthly donation
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateSubscription(subscriptionId, changes) {
+  try {
+    const values = { ...changes, updated_at: new Date().toISOString() };
+    const columns = Object.keys(values);
+
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE subscriptions SET ${columns.map(c => `"${c}" = ?`).join(', ')}
+       WHERE stripe_subscription_id = ?
+       RETURNING *`,
+      ...columns.map(c => values[c]),
+      subscriptionId
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Subscription not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating subscription', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List monthly donations, newest first
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Subscriptions
+ */
+async function listSubscriptions({ status, email } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (email) {
+      conditions.push('email = ? COLLATE NOCASE');
+      params.push(email.trim());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM subscriptions ${where} ORDER BY created_at DESC, id DESC`,
+      ...params
+    );
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching subscriptions', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a person by normalized email address
+ * @param {string} email - Normalized email address
+ * @returns {Promise<Object>} - Person, or null data if none
+ */
+async function findPersonByEmail(email) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM people WHERE email = ?', email);
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error finding person', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a person with their attendance and giving totals
+ * @param {number} id - Person ID
+ * @returns {Promise<Object>} - Person summary, or null data if none
+ */
+async function getPerson(id) {
+  try {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM people_summary WHERE id = ?', id);
+    return { success: true, data: row || null };
+  } catch (error) {
+    log.error('Error fetching person', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a new person
+ * @param {Object} personData - Columns (see supabase backend)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createPerson(personData) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('people', personData));
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error adding person', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a person
+ * @param {number} id - Person ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updatePerson(id, changes) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildUpdate('people', id, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    }));
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Person not found');
+    }
+
+    return { success: true, data: rows };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating person', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List people with their attendance and giving totals, by name
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Person summaries
+ */
+async function listPeople({ search, limit = 1000 } = {}) {
+  try {
+    const params = [];
+    let where = '';
+
+    if (search) {
+      const pattern = `%${search.trim()}%`;
+      where = `WHERE first_name LIKE ? OR last_name LIKE ? OR email LIKE ?
+        OR (first_name || ' ' || last_name) LIKE ?`;
+      params.push(pattern, pattern, pattern, pattern);
+    }
+
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM people_summary ${where}
+       ORDER BY last_name IS NULL, last_name COLLATE NOCASE, first_name COLLATE NOCASE, id
+       LIMIT ?`,
+      ...params,
+      limit
+    );
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching people', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a person's (not deleted) registrations, newest first
+ * @param {number} personId - Person ID
+ * @returns {Promise<Object>} - Registrations
+ */
+async function listPersonRegistrations(personId) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM event_registrations
+       WHERE person_id = ? AND deleted_at IS NULL
+       ORDER BY created_at DESC, id DESC`,
+      personId
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error fetching person registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge one person into another (see supabase backend)
+ * @param {number} sourceId - Person being merged away
+ * @param {number} targetId - Person who keeps the records
+ * @returns {Promise<Object>} - { registrations, payments } counts moved
+ */
+async function mergePerson(sourceId, targetId) {
+  try {
+    const moved = await withTransaction(async db => {
+      const registrations = await db.run(
+        'UPDATE event_registrations SET person_id = ? WHERE person_id = ?',
+        targetId,
+        sourceId
+      );
+      const payments = await db.run(
+        'UPDATE payments SET person_id = ? WHERE person_id = ?',
+        targetId,
+        sourceId
+      );
+      const now = new Date().toISOString();
+      await db.run(
+        'UPDATE people SET merged_into_id = ?, updated_at = ? WHERE merged_into_id = ?',
+        targetId,
+        now,
+        sourceId
+      );
+      const merged = await db.run(
+        'UPDATE people SET merged_into_id = ?, updated_at = ? WHERE id = ? AND merged_into_id IS NULL',
+        targetId,
+        now,
+        sourceId
+      );
+
+      if (merged.changes === 0) {
+        throw createHttpError(404, 'Person not found or already merged');
+      }
+
+      return { registrations: registrations.changes, payments: payments.changes };
+    });
+
+    return { success: true, data: moved };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error merging people', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the people who were merged into a person
+ * @param {number} personId - Person ID
+ * @returns {Promise<Object>} - Merged person rows
+ */
+async function listMergedPeople(personId) {
+  try {
+    const db = await getDb();
+    const rows = await db.all('SELECT * FROM people WHERE merged_into_id = ? ORDER BY id', personId);
+    return { success: true, data: rows };
+  } catch (error) {
+    log.error('Error fetching merged people', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark one of a person's registrations as their first attendance and the rest as returning
+ * @param {number} personId - Person ID
+ * @param {number|null} registrationId - First registration, or null to mark none
+ * @returns {Promise<Object>} - Registrations whose flag changed
+ */
+async function setPersonFirstRegistration(personId, registrationId) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(
+      `UPDATE event_registrations SET new = (id IS ?)
+       WHERE person_id = ? AND new <> (id IS ?)
+       RETURNING *`,
+      registrationId,
+      personId,
+      registrationId
+    );
+    return { success: true, data: rows.map(toRegistration) };
+  } catch (error) {
+    log.error('Error updating first registration flags', error);
+    throw error;
+  }
+}
+
+/**
+ * Record an admin action in the audit log
+ * @param {Object} entry - Columns (see supabase backend)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addAuditLogEntry(entry) {
+  try {
+    const db = await getDb();
+    const rows = await db.all(...buildInsert('admin_audit_log', {
+      ...entry,
+      entity_id: entry.entity_id == null ? null : String(entry.entity_id),
+      before: entry.before == null ? null : JSON.stringify(entry.before),
+      after: entry.after == null ? null : JSON.stringify(entry.after)
+    }));
+    return { success: true, data: rows.map(toAuditEntry) };
+  } catch (error) {
+    log.error('Error recording audit log entry', error);
+    throw error;
+  }
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} [filters] - Filters (see supabase backend)
+ * @returns {Promise<Object>} - Audit log entries
+ */
+async function listAuditLog({ entityType, entityId, adminUsername, limit = 200 } = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (entityType) {
+      conditions.push('entity_type = ?');
+      params.push(entityType);
+    }
+
+    if (entityId != null) {
+      conditions.push('entity_id = ?');
+      params.push(String(entityId));
+    }
+
+    if (adminUsername) {
+      conditions.push('admin_username = ?');
+      params.push(adminUsername);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const db = await getDb();
+    const rows = await db.all(
+      `SELECT * FROM admin_audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      ...params,
+      limit
+    );
+    return { success: true, data: rows.map(toAuditEntry) };
+  } catch (error) {
+    log.error('Error fetching audit log', error);
+    throw error;
+  }
+}
+
+/**
+ * Check that the database can be opened and queried
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkConnection() {
+  try {
+    const db = await getDb();
+    await db.get('SELECT 1');
+    return { success: true };
+  } catch (error) {
+    log.error('Error checking database connection', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  listEvents,
+  getEventBySlug,
+  createEvent,
+  updateEvent,
+  listEventOccurrences,
+  getEventOccurrence,
+  getEventOccurrenceByDate,
+  createEventOccurrence,
+  updateEventOccurrence,
+  addEventRegistration,
+  nameExists,
+  getEventRegistrations,
+  getEventRegistration,
+  getEventRegistrationByCheckInCode,
+  countEventRegistrations,
+  listEventWaitlist,
+  promoteEventRegistration,
+  confirmEventRegistration,
+  updateEventRegistration,
+  deleteEventRegistration,
+  restoreEventRegistration,
+  listDeletedEventRegistrations,
+  purgeDeletedEventRegistrations,
+  addContactMessage,
+  getContactMessage,
+  updateContactMessage,
+  listContactMessages,
+  countUnreadContactMessages,
+  getAdminUserByUsername,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  addAdminLoginEvent,
+  listAdminLoginEvents,
+  addAuditLogEntry,
+  listAuditLog,
+  findPayment,
+  findFirstSubscriptionPayment,
+  createPayment,
+  updatePayment,
+  updateSubscriptionPayments,
+  listPayments,
+  getStripeEvent,
+  createStripeEvent,
+  updateStripeEvent,
+  listStripeEvents,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  listSubscriptions,
+  findPersonByEmail,
+  getPerson,
+  createPerson,
+  updatePerson,
+  listPeople,
+  listPersonRegistrations,
+  mergePerson,
+  listMergedPeople,
+  setPersonFirstRegistration,
+  checkConnection,
+  getDb
+};
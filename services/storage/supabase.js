@@ -0,0 +1,1974 @@
+/**
+ * Supabase storage backend
+ */
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../../config');
+const { capitalizeName } = require('../../utils/name-utils');
+const { createHttpError, isClientError } = require('../../utils/http-error');
+const { createLogger } = require('../../utils/logger');
+const { getRequestId } = require('../../utils/request-context');
+
+const log = createLogger('services/storage/supabase');
+
+let supabase = null;
+
+/**
+ * Get the Supabase client, creating it on first use
+ * @returns {Object} - Supabase client
+ */
+function getClient() {
+  if (supabase) {
+    return supabase;
+  }
+
+  if (!config.supabase.serviceRoleKey) {
+    log.error('Missing SUPABASE_SERVICE_ROLE environment variable');
+    throw new Error('Supabase service role key is required');
+  }
+
+  supabase = createClient(config.supabase.url, config.supabase.serviceRoleKey, {
+    global: { fetch: fetchWithRequestId }
+  });
+  return supabase;
+}
+
+/**
+ * fetch that tags Supabase calls with the ID of the request they are made for,
+ * so they can be found in the Supabase API logs
+ * @param {string|Request} input - URL or request
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+function fetchWithRequestId(input, init = {}) {
+  const requestId = getRequestId();
+
+  if (!requestId) {
+    return fetch(input, init);
+  }
+
+  const headers = new Headers(init.headers);
+  headers.set('X-Request-Id', requestId);
+  return fetch(input, { ...init, headers });
+}
+
+/**
+ * Get all events, soonest first
+ * @returns {Promise<Object>} - Events
+ */
+async function listEvents() {
+  try {
+    const { data, error } = await getClient()
+      .from('events')
+      .select('*')
+      .order('event_date', { ascending: true, nullsFirst: true });
+
+    if (error) {
+      log.error('Error fetching events', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching events', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single event by its slug
+ * @param {string} slug - Event slug (e.g. 'shabbat')
+ * @returns {Promise<Object>} - Event, or null data if it does not exist
+ */
+async function getEventBySlug(slug) {
+  try {
+    const { data, error } = await getClient()
+      .from('events')
+      .select('*')
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Error fetching event', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching event', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new event
+ * @param {Object} eventData - Event columns (slug, title, event_date, capacity, ...)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createEvent(eventData) {
+  try {
+    log.info('Creating event', { slug: eventData.slug });
+
+    const { data, error } = await getClient()
+      .from('events')
+      .insert([eventData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error creating event', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing event
+ * @param {number} id - Event ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateEvent(id, changes) {
+  try {
+    log.info('Updating event', { eventId: id });
+
+    const { data, error } = await getClient()
+      .from('events')
+      .update(changes)
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Event not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating event', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List an event's occurrences in date order
+ * @param {number} eventId - Event ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.from] - Only occurrences on or after this date (YYYY-MM-DD)
+ * @param {string} [filters.to] - Only occurrences on or before this date (YYYY-MM-DD)
+ * @param {boolean} [filters.includeCancelled=true] - Whether to include cancelled occurrences
+ * @returns {Promise<Object>} - Occurrences
+ */
+async function listEventOccurrences(eventId, { from, to, includeCancelled = true } = {}) {
+  try {
+    let query = getClient()
+      .from('event_occurrences')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('occurs_on', { ascending: true });
+
+    if (from) {
+      query = query.gte('occurs_on', from);
+    }
+
+    if (to) {
+      query = query.lte('occurs_on', to);
+    }
+
+    if (!includeCancelled) {
+      query = query.is('cancelled_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching event occurrences', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of an event's occurrences
+ * @param {number} eventId - Event ID
+ * @param {number} id - Occurrence ID
+ * @returns {Promise<Object>} - Occurrence, or null data if none
+ */
+async function getEventOccurrence(eventId, id) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_occurrences')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching event occurrence', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an event's occurrence on a date
+ * @param {number} eventId - Event ID
+ * @param {string} occursOn - Date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Occurrence, or null data if none
+ */
+async function getEventOccurrenceByDate(eventId, occursOn) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_occurrences')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('occurs_on', occursOn)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching event occurrence', error);
+    throw error;
+  }
+}
+
+/**
+ * Schedule an occurrence of an event
+ * @param {Object} occurrenceData - Occurrence columns (event_id, occurs_on, location, ...)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createEventOccurrence(occurrenceData) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_occurrences')
+      .insert([occurrenceData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error creating event occurrence', error);
+    throw error;
+  }
+}
+
+/**
+ * Update one of an event's occurrences
+ * @param {number} eventId - Event ID
+ * @param {number} id - Occurrence ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateEventOccurrence(eventId, id, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_occurrences')
+      .update(changes)
+      .eq('event_id', eventId)
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Occurrence not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating event occurrence', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add a new registration for an event
+ * @param {number} eventId - Event ID
+ * @param {Object} registrationData - Registration data
+ * @param {string} registrationData.firstName - Registrant first name
+ * @param {string} registrationData.lastName - Registrant last name
+ * @param {string} registrationData.email - Registrant email
+ * @param {number} [registrationData.donationAmount=0] - Donation amount
+ * @param {boolean} [registrationData.isNew=true] - Whether this is a new registration
+ * @param {number} [registrationData.personId] - Person the registration belongs to
+ * @param {string} [registrationData.status='confirmed'] - 'confirmed', or 'pending' until its checkout is paid
+ * @param {number} [registrationData.occurrenceId] - Occurrence of a weekly event the registration is for
+ * @param {string} [registrationData.checkInCode] - Code in the registrant's QR ticket
+ * @param {number|null} [registrationData.capacity] - Seats its event (or occurrence) has; once they
+ *   are taken the registration goes on the waitlist instead. Counted and inserted in one database
+ *   function, so two registrations cannot both take the last seat.
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addEventRegistration(eventId, registrationData) {
+  const {
+    firstName, lastName, email, donationAmount = 0, isNew = true, personId = null, status = 'confirmed', occurrenceId = null,
+    checkInCode = null, capacity = null
+  } = registrationData;
+
+  try {
+    log.info('Adding event registration', { eventId, status });
+
+    const { data, error } = await getClient().rpc('add_event_registration', {
+      p_event_id: eventId,
+      p_first_name: capitalizeName(firstName.trim()),
+      p_last_name: capitalizeName(lastName.trim()),
+      p_email: email.toLowerCase().trim(),
+      p_donation_amount: parseFloat(donationAmount),
+      p_new: isNew,
+      p_person_id: personId,
+      p_status: status,
+      p_occurrence_id: occurrenceId,
+      p_check_in_code: checkInCode,
+      p_capacity: capacity
+    });
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    log.info('Added event registration', { eventId, registrationId: data[0].id, status: data[0].status });
+    return { success: true, data };
+
+  } catch (error) {
+    log.error('Error adding event registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if a person with the same first and last name has registered for any event
+ * @param {string} firstName - First name to check
+ * @param {string} lastName - Last name to check
+ * @returns {Promise<boolean>} - Whether name combination exists
+ */
+async function nameExists(firstName, lastName) {
+  try {
+    // Capitalize names for consistent comparison
+    const capitalizedFirstName = capitalizeName(firstName.trim());
+    const capitalizedLastName = capitalizeName(lastName.trim());
+
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .select('id')
+      .eq('first_name', capitalizedFirstName)
+      .eq('last_name', capitalizedLastName)
+      .limit(1);
+
+    if (error) {
+      log.error('Error checking name existence', error);
+      throw error;
+    }
+
+    return data && data.length > 0;
+  } catch (error) {
+    log.error('Error checking name existence', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all registrations for an event (for admin purposes)
+ * @param {number} eventId - Event ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeDeleted=false] - Whether to include soft-deleted registrations
+ * @returns {Promise<Object>} - Registrations, newest first
+ */
+async function getEventRegistrations(eventId, { includeDeleted = false } = {}) {
+  try {
+    let query = getClient()
+      .from('event_registrations')
+      .select('*')
+      .eq('event_id', eventId)
+      .order('created_at', { ascending: false });
+
+    if (!includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching registrations', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one registration for an event, deleted or not
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @returns {Promise<Object>} - Registration, or null data if none
+ */
+async function getEventRegistration(eventId, id) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a registration by the code in its QR ticket, deleted or not
+ * @param {string} code - Check-in code
+ * @returns {Promise<Object>} - Registration, or null data if none
+ */
+async function getEventRegistrationByCheckInCode(code) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .select('*')
+      .eq('check_in_code', code)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching registration by check-in code', error);
+    throw error;
+  }
+}
+
+/**
+ * Count the confirmed (not deleted or waitlisted) registrations for an event
+ * @param {number} eventId - Event ID
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.occurrenceId] - Only registrations for this occurrence
+ * @returns {Promise<number>} - Number of registrations
+ */
+async function countEventRegistrations(eventId, { occurrenceId } = {}) {
+  try {
+    let query = getClient()
+      .from('event_registrations')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('status', 'confirmed')
+      .is('deleted_at', null);
+
+    if (occurrenceId != null) {
+      query = query.eq('occurrence_id', occurrenceId);
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      log.error('Error counting registrations', error);
+      throw error;
+    }
+
+    return count || 0;
+  } catch (error) {
+    log.error('Error counting registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * List an event's waitlist in order, first in line first
+ * @param {number} eventId - Event ID
+ * @param {Object} [filters] - Only registrations for one occurrence (see countEventRegistrations)
+ * @returns {Promise<Object>} - Waitlisted registrations
+ */
+async function listEventWaitlist(eventId, { occurrenceId } = {}) {
+  try {
+    let query = getClient()
+      .from('event_registrations')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('status', 'waitlisted')
+      .is('deleted_at', null)
+      .order('waitlisted_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (occurrenceId != null) {
+      query = query.eq('occurrence_id', occurrenceId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching waitlist', error);
+    throw error;
+  }
+}
+
+/**
+ * Give a waitlisted registration a seat
+ * Does nothing if it was already promoted or deleted, or the seats are taken, so two
+ * promotions (or a promotion and a registration) cannot race for the last seat
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @param {Object} [limit] - What its seat counts against
+ * @param {number|null} [limit.capacity] - Seats available, or null for no limit
+ * @param {number} [limit.occurrenceId] - Only count registrations for this occurrence
+ * @returns {Promise<Object>} - Promoted registration, or no rows if it was not waitlisted or the event is full
+ */
+async function promoteEventRegistration(eventId, id, { capacity = null, occurrenceId } = {}) {
+  try {
+    const { data, error } = await getClient().rpc('promote_event_registration', {
+      p_event_id: eventId,
+      p_id: id,
+      p_capacity: capacity,
+      p_occurrence_id: occurrenceId == null ? null : occurrenceId
+    });
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    log.error('Error promoting registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Give a pending registration its seat once it is paid for
+ * It goes on the waitlist instead if the seats were taken while the registrant was
+ * paying. Does nothing if it is no longer pending, so a repeated webhook is harmless.
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @param {Object} [limit] - What its seat counts against
+ * @param {number|null} [limit.capacity] - Seats available, or null for no limit
+ * @param {number} [limit.occurrenceId] - Only count registrations for this occurrence
+ * @returns {Promise<Object>} - Confirmed or waitlisted registration, or no rows if it was not pending
+ */
+async function confirmEventRegistration(eventId, id, { capacity = null, occurrenceId } = {}) {
+  try {
+    const { data, error } = await getClient().rpc('confirm_event_registration', {
+      p_event_id: eventId,
+      p_id: id,
+      p_capacity: capacity,
+      p_occurrence_id: occurrenceId == null ? null : occurrenceId
+    });
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    log.error('Error confirming registration', error);
+    throw error;
+  }
+}
+
+/**
+ * Soft-delete a specific event registration
+ * The row is kept with a deleted_at timestamp until purgeDeletedEventRegistrations removes it
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID to delete
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.cancelled=false] - Whether the registrant cancelled it themselves
+ * @returns {Promise<Object>} - Deletion result
+ */
+async function deleteEventRegistration(eventId, id, { cancelled = false } = {}) {
+  try {
+    log.info('Deleting event registration', { eventId, registrationId: id });
+
+    const now = new Date().toISOString();
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .update({ deleted_at: now, cancelled_at: cancelled ? now : null })
+      .eq('event_id', eventId)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      log.error('Supabase error during deletion', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Registration not found or already deleted');
+    }
+
+    log.info('Deleted event registration', { eventId, registrationId: id });
+    return { success: true, data };
+
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error deleting event registration', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a (not deleted) registration
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID
+ * @param {Object} changes - Columns to update (first_name, last_name, email, person_id, checked_in_at, checked_in_by)
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateEventRegistration(eventId, id, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .update(changes)
+      .eq('event_id', eventId)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Registration not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating event registration', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restore a soft-deleted event registration
+ * A confirmed registration whose seat has since been given away comes back on the
+ * waitlist. The seat count and the restore run in one database function, so they
+ * cannot race a registration or promotion.
+ * @param {number} eventId - Event the registration belongs to
+ * @param {number} id - Registration ID to restore
+ * @param {Object} [limit] - What its seat counts against
+ * @param {number|null} [limit.capacity] - Seats available, or null for no limit
+ * @param {number} [limit.occurrenceId] - Only count registrations for this occurrence
+ * @returns {Promise<Object>} - Restore result
+ */
+async function restoreEventRegistration(eventId, id, { capacity = null, occurrenceId } = {}) {
+  try {
+    const { data, error } = await getClient().rpc('restore_event_registration', {
+      p_event_id: eventId,
+      p_id: id,
+      p_capacity: capacity,
+      p_occurrence_id: occurrenceId == null ? null : occurrenceId
+    });
+
+    if (error) {
+      log.error('Supabase error during restore', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Deleted registration not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error restoring event registration', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List soft-deleted registrations, most recently deleted first
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.eventId] - Only registrations for this event
+ * @returns {Promise<Object>} - Deleted registrations
+ */
+async function listDeletedEventRegistrations({ eventId } = {}) {
+  try {
+    let query = getClient()
+      .from('event_registrations')
+      .select('*')
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+
+    if (eventId != null) {
+      query = query.eq('event_id', eventId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching deleted registrations', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching deleted registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently remove registrations that were soft-deleted before a cutoff
+ * @param {string} deletedBefore - ISO timestamp; rows deleted earlier are purged
+ * @returns {Promise<Object>} - Purged registrations
+ */
+async function purgeDeletedEventRegistrations(deletedBefore) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .delete()
+      .lt('deleted_at', deletedBefore)
+      .select();
+
+    if (error) {
+      log.error('Supabase error during purge', error);
+      throw error;
+    }
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    log.error('Error purging deleted registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a contact form submission
+ * @param {Object} contactData - Contact form data
+ * @param {string} contactData.name - Sender name
+ * @param {string} contactData.email - Sender email
+ * @param {string} [contactData.subject] - Subject
+ * @param {string} contactData.message - Message body
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addContactMessage(contactData) {
+  const { name, email, subject, message } = contactData;
+
+  try {
+    const { data, error } = await getClient()
+      .from('contact_messages')
+      .insert([{
+        name: name.trim(),
+        email: email.toLowerCase().trim(),
+        subject: subject ? subject.trim() : null,
+        message
+      }])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error adding contact message', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single contact message
+ * @param {number} id - Contact message ID
+ * @returns {Promise<Object>} - Contact message, or null data if none
+ */
+async function getContactMessage(id) {
+  try {
+    const { data, error } = await getClient()
+      .from('contact_messages')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching contact message', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a stored contact message (e.g. its delivery status)
+ * @param {number} id - Contact message ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateContactMessage(id, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('contact_messages')
+      .update(changes)
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Contact message not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating contact message', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List contact messages, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.folder='inbox'] - 'inbox', 'unread', 'archived' or 'all'
+ * @param {string} [filters.search] - Text to match against name, email, subject and message
+ * @returns {Promise<Object>} - Contact messages
+ */
+async function listContactMessages({ folder = 'inbox', search } = {}) {
+  try {
+    let query = getClient()
+      .from('contact_messages')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (folder === 'inbox' || folder === 'unread') {
+      query = query.is('archived_at', null);
+    }
+
+    if (folder === 'unread') {
+      query = query.is('read_at', null);
+    }
+
+    if (folder === 'archived') {
+      query = query.not('archived_at', 'is', null);
+    }
+
+    if (search) {
+      // Characters with meaning in PostgREST filter strings are dropped
+      const pattern = `%${search.replace(/[%_,()"\\]/g, ' ').trim()}%`;
+      query = query.or(['name', 'email', 'subject', 'message']
+        .map(column => `${column}.ilike."${pattern}"`)
+        .join(','));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching contact messages', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching contact messages', error);
+    throw error;
+  }
+}
+
+/**
+ * Count unread contact messages that have not been archived
+ * @returns {Promise<number>} - Number of unread messages
+ */
+async function countUnreadContactMessages() {
+  try {
+    const { count, error } = await getClient()
+      .from('contact_messages')
+      .select('id', { count: 'exact', head: true })
+      .is('archived_at', null)
+      .is('read_at', null);
+
+    if (error) {
+      log.error('Error counting unread contact messages', error);
+      throw error;
+    }
+
+    return count || 0;
+  } catch (error) {
+    log.error('Error counting unread contact messages', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an admin user by username
+ * @param {string} username - Username (case-insensitive)
+ * @returns {Promise<Object>} - Admin user, or null data if none
+ */
+async function getAdminUserByUsername(username) {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_users')
+      .select('*')
+      .eq('username', username.toLowerCase().trim())
+      .maybeSingle();
+
+    if (error) {
+      log.error('Error fetching admin user', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching admin user', error);
+    throw error;
+  }
+}
+
+/**
+ * List admin users
+ * @returns {Promise<Object>} - Admin users (without password hashes)
+ */
+async function listAdminUsers() {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_users')
+      .select('id, created_at, username, role, disabled_at, last_login_at')
+      .order('username', { ascending: true });
+
+    if (error) {
+      log.error('Error fetching admin users', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching admin users', error);
+    throw error;
+  }
+}
+
+/**
+ * Create an admin user
+ * @param {Object} userData - Columns (username, password_hash, role)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createAdminUser(userData) {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_users')
+      .insert([{ ...userData, username: userData.username.toLowerCase().trim() }])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error creating admin user', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an admin user
+ * @param {number} id - Admin user ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateAdminUser(id, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_users')
+      .update(changes)
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Admin user not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating admin user', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record an admin login attempt
+ * @param {Object} loginData - Columns (admin_user_id, username, success, reason, ip_address, user_agent)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addAdminLoginEvent(loginData) {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_login_events')
+      .insert([loginData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error recording admin login', error);
+    throw error;
+  }
+}
+
+/**
+ * List recent admin login attempts, newest first
+ * @param {number} [limit=100] - Maximum number of rows
+ * @returns {Promise<Object>} - Login events
+ */
+async function listAdminLoginEvents(limit = 100) {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_login_events')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      log.error('Error fetching admin logins', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching admin logins', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a payment by any of its Stripe identifiers
+ * @param {Object} keys - Stripe identifiers (any may be omitted)
+ * @param {string} [keys.sessionId] - Checkout session ID
+ * @param {string} [keys.paymentIntentId] - Payment intent ID
+ * @param {string} [keys.invoiceId] - Invoice ID
+ * @returns {Promise<Object>} - Payment, or null data if none matches
+ */
+async function findPayment({ sessionId, paymentIntentId, invoiceId }) {
+  try {
+    const filters = [];
+
+    if (sessionId) filters.push(`stripe_session_id.eq.${sessionId}`);
+    if (paymentIntentId) filters.push(`stripe_payment_intent_id.eq.${paymentIntentId}`);
+    if (invoiceId) filters.push(`stripe_invoice_id.eq.${invoiceId}`);
+
+    if (filters.length === 0) {
+      return { success: true, data: null };
+    }
+
+    const { data, error } = await getClient()
+      .from('payments')
+      .select('*')
+      .or(filters.join(','))
+      .order('id', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data: data[0] || null };
+  } catch (error) {
+    log.error('Error finding payment', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the earliest payment for a Stripe subscription
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Payment, or null data if none
+ */
+async function findFirstSubscriptionPayment(subscriptionId) {
+  try {
+    const { data, error } = await getClient()
+      .from('payments')
+      .select('*')
+      .eq('stripe_subscription_id', subscriptionId)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data: data[0] || null };
+  } catch (error) {
+    log.error('Error finding subscription payment', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a new payment
+ * @param {Object} paymentData - Payment columns
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createPayment(paymentData) {
+  try {
+    const { data, error } = await getClient()
+      .from('payments')
+      .insert([paymentData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error recording payment', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a payment
+ * @param {number} id - Payment ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updatePayment(id, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('payments')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Payment not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating payment', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update every payment belonging to a Stripe subscription
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Updated payments
+ */
+async function updateSubscriptionPayments(subscriptionId, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('payments')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('stripe_subscription_id', subscriptionId)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    log.error('Error updating subscription payments', error);
+    throw error;
+  }
+}
+
+/**
+ * List payments, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only payments with this status
+ * @param {string} [filters.kind] - Only 'donation', 'event_registration' or 'subscription' payments
+ * @param {string} [filters.email] - Only payments from this email address
+ * @param {number} [filters.personId] - Only payments linked to this person
+ * @param {number} [filters.limit=500] - Maximum number of rows
+ * @returns {Promise<Object>} - Payments
+ */
+async function listPayments({ status, kind, email, personId, limit = 500 } = {}) {
+  try {
+    let query = getClient()
+      .from('payments')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (kind) {
+      query = query.eq('kind', kind);
+    }
+
+    if (personId) {
+      query = query.eq('person_id', personId);
+    }
+
+    if (email) {
+      // Case-insensitive exact match; escape LIKE wildcards that are valid in addresses
+      query = query.ilike('email', email.trim().replace(/[%_\\]/g, '\\$&'));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching payments', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching payments', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a stored Stripe webhook event
+ * @param {string} stripeEventId - Stripe event ID (evt_...)
+ * @returns {Promise<Object>} - Stored event, or null data if none
+ */
+async function getStripeEvent(stripeEventId) {
+  try {
+    const { data, error } = await getClient()
+      .from('stripe_events')
+      .select('*')
+      .eq('stripe_event_id', stripeEventId)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching Stripe event', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a received Stripe webhook event
+ * Fails with a unique violation if the event is already stored
+ * @param {Object} eventData - Columns (stripe_event_id, type, payload, status, attempts, started_at)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createStripeEvent(eventData) {
+  try {
+    const { data, error } = await getClient()
+      .from('stripe_events')
+      .insert([eventData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error storing Stripe event', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a stored Stripe webhook event
+ * @param {string} stripeEventId - Stripe event ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateStripeEvent(stripeEventId, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('stripe_events')
+      .update(changes)
+      .eq('stripe_event_id', stripeEventId)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Stripe event not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating Stripe event', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List stored Stripe webhook events, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only events with this status
+ * @param {number} [filters.limit=200] - Maximum number of rows
+ * @returns {Promise<Object>} - Stored events
+ */
+async function listStripeEvents({ status, limit = 200 } = {}) {
+  try {
+    let query = getClient()
+      .from('stripe_events')
+      .select('*')
+      .order('received_at', { ascending: false })
+      .limit(limit);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching Stripe events', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching Stripe events', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a monthly donation by its Stripe subscription ID
+ * @param {string} subscriptionId - Stripe subscription ID (sub_...)
+ * @returns {Promise<Object>} - Subscription, or null data if none
+ */
+async function getSubscription(subscriptionId) {
+  try {
+    const { data, error } = await getClient()
+      .from('subscriptions')
+      .select('*')
+      .eq('stripe_subscription_id', subscriptionId)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching subscription', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a new monthly donation
+ * @param {Object} subscriptionData - Columns (stripe_subscription_id, stripe_customer_id, names, email, amount, currency, status, ...)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createSubscription(subscriptionData) {
+  try {
+    const { data, error } = await getClient()
+      .from('subscriptions')
+      .insert([subscriptionData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error recording subscription', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a monthly donation
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updateSubscription(subscriptionId, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('subscriptions')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('stripe_subscription_id', subscriptionId)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Subscription not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating subscription', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List monthly donations, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only subscriptions with this status
+ * @param {string} [filters.email] - Only subscriptions for this email address
+ * @returns {Promise<Object>} - Subscriptions
+ */
+async function listSubscriptions({ status, email } = {}) {
+  try {
+    let query = getClient()
+      .from('subscriptions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (email) {
+      // Case-insensitive exact match; escape LIKE wildcards that are valid in addresses
+      query = query.ilike('email', email.trim().replace(/[%_\\]/g, '\\$&'));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching subscriptions', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching subscriptions', error);
+    throw error;
+  }
+}
+
+/**
+ * Find a person by normalized email address
+ * @param {string} email - Normalized email address
+ * @returns {Promise<Object>} - Person, or null data if none
+ */
+async function findPersonByEmail(email) {
+  try {
+    const { data, error } = await getClient()
+      .from('people')
+      .select('*')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error finding person', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a person with their attendance and giving totals
+ * @param {number} id - Person ID
+ * @returns {Promise<Object>} - Person summary, or null data if none
+ */
+async function getPerson(id) {
+  try {
+    const { data, error } = await getClient()
+      .from('people_summary')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching person', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a new person
+ * @param {Object} personData - Columns (email, first_name, last_name, first_seen_at)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function createPerson(personData) {
+  try {
+    const { data, error } = await getClient()
+      .from('people')
+      .insert([personData])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error adding person', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a person
+ * @param {number} id - Person ID
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object>} - Update result
+ */
+async function updatePerson(id, changes) {
+  try {
+    const { data, error } = await getClient()
+      .from('people')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    if (!data || data.length === 0) {
+      throw createHttpError(404, 'Person not found');
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error updating person', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List people with their attendance and giving totals, by name
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.search] - Text to match against first name, last name and email
+ * @param {number} [filters.limit=1000] - Maximum number of rows
+ * @returns {Promise<Object>} - Person summaries
+ */
+async function listPeople({ search, limit = 1000 } = {}) {
+  try {
+    let query = getClient()
+      .from('people_summary')
+      .select('*')
+      .order('last_name', { ascending: true })
+      .order('first_name', { ascending: true })
+      .limit(limit);
+
+    if (search) {
+      // Characters with meaning in PostgREST filter strings are dropped
+      const pattern = `%${search.replace(/[%_,()"\\]/g, ' ').trim()}%`;
+      query = query.or(['first_name', 'last_name', 'email']
+        .map(column => `${column}.ilike."${pattern}"`)
+        .join(','));
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching people', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching people', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a person's (not deleted) registrations, newest first
+ * @param {number} personId - Person ID
+ * @returns {Promise<Object>} - Registrations
+ */
+async function listPersonRegistrations(personId) {
+  try {
+    const { data, error } = await getClient()
+      .from('event_registrations')
+      .select('*')
+      .eq('person_id', personId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching person registrations', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge one person into another
+ * Their registrations and payments move to the target, and the source row is
+ * kept with merged_into_id set so their email address still finds the target.
+ * It runs as the merge_person database function, so it all happens or none of it does.
+ * @param {number} sourceId - Person being merged away
+ * @param {number} targetId - Person who keeps the records
+ * @returns {Promise<Object>} - { registrations, payments } counts moved
+ */
+async function mergePerson(sourceId, targetId) {
+  try {
+    const { data, error } = await getClient().rpc('merge_person', {
+      p_source_id: sourceId,
+      p_target_id: targetId
+    });
+
+    if (error) {
+      // Raised by merge_person when the source is missing or already merged
+      if (error.code === 'P0002') {
+        throw createHttpError(404, 'Person not found or already merged');
+      }
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data: { registrations: data.registrations, payments: data.payments } };
+  } catch (error) {
+    if (!isClientError(error)) {
+      log.error('Error merging people', error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * List the people who were merged into a person
+ * @param {number} personId - Person ID
+ * @returns {Promise<Object>} - Merged person rows
+ */
+async function listMergedPeople(personId) {
+  try {
+    const { data, error } = await getClient()
+      .from('people')
+      .select('*')
+      .eq('merged_into_id', personId)
+      .order('id', { ascending: true });
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching merged people', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark one of a person's registrations as their first attendance and the rest as returning
+ * @param {number} personId - Person ID
+ * @param {number|null} registrationId - First registration, or null to mark none
+ * @returns {Promise<Object>} - Registrations whose flag changed
+ */
+async function setPersonFirstRegistration(personId, registrationId) {
+  try {
+    const client = getClient();
+
+    let returning = client
+      .from('event_registrations')
+      .update({ new: false })
+      .eq('person_id', personId)
+      .eq('new', true);
+
+    if (registrationId !== null) {
+      returning = returning.neq('id', registrationId);
+    }
+
+    const { data, error } = await returning.select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    const changed = data || [];
+
+    if (registrationId !== null) {
+      const first = await client
+        .from('event_registrations')
+        .update({ new: true })
+        .eq('person_id', personId)
+        .eq('id', registrationId)
+        .eq('new', false)
+        .select();
+
+      if (first.error) {
+        log.error('Supabase error', first.error);
+        throw first.error;
+      }
+
+      changed.push(...first.data);
+    }
+
+    return { success: true, data: changed };
+  } catch (error) {
+    log.error('Error updating first registration flags', error);
+    throw error;
+  }
+}
+
+/**
+ * Record an admin action in the audit log
+ * @param {Object} entry - Columns (admin_user_id, admin_username, action, entity_type, entity_id, before, after, ip_address)
+ * @returns {Promise<Object>} - Database insertion result
+ */
+async function addAuditLogEntry(entry) {
+  try {
+    const { data, error } = await getClient()
+      .from('admin_audit_log')
+      .insert([entry])
+      .select();
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error recording audit log entry', error);
+    throw error;
+  }
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.entityType] - Only entries for this entity type (e.g. 'event_registration')
+ * @param {string|number} [filters.entityId] - Only entries for this entity ID
+ * @param {string} [filters.adminUsername] - Only entries by this admin
+ * @param {number} [filters.limit=200] - Maximum number of rows
+ * @returns {Promise<Object>} - Audit log entries
+ */
+async function listAuditLog({ entityType, entityId, adminUsername, limit = 200 } = {}) {
+  try {
+    let query = getClient()
+      .from('admin_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (entityType) {
+      query = query.eq('entity_type', entityType);
+    }
+
+    if (entityId != null) {
+      query = query.eq('entity_id', String(entityId));
+    }
+
+    if (adminUsername) {
+      query = query.eq('admin_username', adminUsername);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      log.error('Error fetching audit log', error);
+      throw error;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    log.error('Error fetching audit log', error);
+    throw error;
+  }
+}
+
+/**
+ * Check that Supabase can be reached and queried with the service role key
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkConnection() {
+  try {
+    const { error } = await getClient()
+      .from('events')
+      .select('id', { head: true })
+      .limit(1);
+
+    if (error) {
+      log.error('Supabase error', error);
+      throw error;
+    }
+
+    return { success: true };
+  } catch (error) {
+    log.error('Error checking database connection', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  listEvents,
+  getEventBySlug,
+  createEvent,
+  updateEvent,
+  listEventOccurrences,
+  getEventOccurrence,
+  getEventOccurrenceByDate,
+  createEventOccurrence,
+  updateEventOccurrence,
+  addEventRegistration,
+  nameExists,
+  getEventRegistrations,
+  getEventRegistration,
+  getEventRegistrationByCheckInCode,
+  countEventRegistrations,
+  listEventWaitlist,
+  promoteEventRegistration,
+  confirmEventRegistration,
+  updateEventRegistration,
+  deleteEventRegistration,
+  restoreEventRegistration,
+  listDeletedEventRegistrations,
+  purgeDeletedEventRegistrations,
+  addContactMessage,
+  getContactMessage,
+  updateContactMessage,
+  listContactMessages,
+  countUnreadContactMessages,
+  getAdminUserByUsername,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  addAdminLoginEvent,
+  listAdminLoginEvents,
+  addAuditLogEntry,
+  listAuditLog,
+  findPayment,
+  findFirstSubscriptionPayment,
+  createPayment,
+  updatePayment,
+  updateSubscriptionPayments,
+  listPayments,
+  getStripeEvent,
+  createStripeEvent,
+  updateStripeEvent,
+  listStripeEvents,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  listSubscriptions,
+  findPersonByEmail,
+  getPerson,
+  createPerson,
+  updatePerson,
+  listPeople,
+  listPersonRegistrations,
+  mergePerson,
+  listMergedPeople,
+  setPersonFirstRegistration,
+  checkConnection,
+  getClient
+};
@@ -3,9 +3,122 @@
  */
 const stripe = require('stripe');
 const config = require('../config');
+const { createHttpError } = require('../utils/http-error');
+const metrics = require('./metrics');
+const { DONATION_LIMITS } = require('../utils/validation');
+const { createLogger } = require('../utils/logger');
+const { getRequestId } = require('../utils/request-context');
 
-// Initialize Stripe client
-const stripeClient = stripe(config.stripe.secretKey);
+const log = createLogger('services/stripe');
+
+let stripeClient = null;
+
+/**
+ * Get the Stripe client, creating it on first use
+ * @returns {Object} - Stripe client
+ * @throws {Error} - 503 error if STRIPE_SECRET_KEY is not set (allowed in development)
+ */
+function getClient() {
+  if (stripeClient) {
+    return stripeClient;
+  }
+
+  if (!config.stripe.secretKey) {
+    throw createHttpError(503, 'Online payments are not configured');
+  }
+
+  stripeClient = stripe(config.stripe.secretKey);
+
+  // Stripe's own request IDs are what its dashboard and support search by
+  stripeClient.on('response', response => {
+    log.debug('Stripe API call', {
+      method: response.method,
+      path: response.path,
+      status: response.status,
+      stripeRequestId: response.request_id,
+      durationMs: response.elapsed
+    });
+  });
+
+  return stripeClient;
+}
+
+// All monthly donations share one product with one price per amount
+const RECURRING_PRODUCT_ID = 'monthly-donation';
+
+// Recurring prices already looked up, by amount in cents
+const recurringPrices = new Map();
+
+const DONATION_TYPES = ['one-time', 'recurring', 'sponsor'];
+
+/**
+ * Convert a donation amount to cents, refusing amounts outside the donation limits
+ * Routes validate amounts first; this keeps a bad amount from ever reaching Stripe
+ * @param {number|string} amount - Amount in dollars
+ * @returns {number} - Amount in cents
+ */
+function toCents(amount) {
+  const cents = Math.round(Number(amount) * 100);
+
+  if (!Number.isSafeInteger(cents) || cents < DONATION_LIMITS.min * 100 || cents > DONATION_LIMITS.max * 100) {
+    throw createHttpError(400, `Donation amount must be between $${DONATION_LIMITS.min} and $${DONATION_LIMITS.max}`);
+  }
+
+  return cents;
+}
+
+/**
+ * Get the shared monthly donation product, creating it the first time
+ * @returns {Promise<Object>} - Stripe product
+ */
+async function getRecurringProduct() {
+  try {
+    return await getClient().products.retrieve(RECURRING_PRODUCT_ID);
+  } catch (error) {
+    if (error.code !== 'resource_missing') {
+      throw error;
+    }
+  }
+
+  return getClient().products.create({
+    id: RECURRING_PRODUCT_ID,
+    name: 'Monthly Donation',
+    description: 'Thank you for your monthly support of Rejewvenate'
+  });
+}
+
+/**
+ * Get the monthly price for an amount, creating it the first time that amount is given
+ * Prices are found again by their lookup key, so restarts do not create duplicates
+ * @param {number} amountInCents - Monthly amount in cents
+ * @returns {Promise<Object>} - Stripe price
+ */
+async function getRecurringPrice(amountInCents) {
+  if (recurringPrices.has(amountInCents)) {
+    return recurringPrices.get(amountInCents);
+  }
+
+  const lookupKey = `${RECURRING_PRODUCT_ID}-${amountInCents}`;
+  const existing = await getClient().prices.list({ lookup_keys: [lookupKey], active: true, limit: 1 });
+  let price = existing.data[0];
+
+  if (!price) {
+    const product = await getRecurringProduct();
+    price = await getClient().prices.create({
+      product: product.id,
+      unit_amount: amountInCents,
+      currency: 'usd',
+      recurring: {
+        interval: 'month'
+      },
+      lookup_key: lookupKey
+    });
+    log.info('Created monthly donation price', { priceId: price.id, amountInCents });
+  }
+
+  recurringPrices.set(amountInCents, price);
+  return price;
+}
 
 /**
  * Create a standard donation checkout session
@@ -22,17 +135,15 @@ async function createDonationCheckoutSession(donationDetails, origin) {
   const { donationAmount, donationType, firstName, lastName, email } = donationDetails;
   
   // Convert amount to cents for Stripe
-  const amountInCents = Math.round(donationAmount * 100);
+  const amountInCents = toCents(donationAmount);
   
   // Ensure origin doesn't end with a slash
   const baseUrl = origin.endsWith('/') ? origin.slice(0, -1) : origin;
   
-  // Log the URLs for debugging
   const successUrl = `${baseUrl}/donation-success.html?donation=true&type=${donationType}`;
   const cancelUrl = `${baseUrl}/donate.html`;
   
-  console.log('Stripe success URL:', successUrl);
-  console.log('Stripe cancel URL:', cancelUrl);
+  log.debug('Donation checkout redirects', { successUrl, cancelUrl });
   
   // Create appropriate product name based on donation type
   let productName = 'One-time Donation';
@@ -54,7 +165,9 @@ async function createDonationCheckoutSession(donationDetails, origin) {
       firstName,
       lastName,
       email,
-      donationAmount
+      donationAmount,
+      // Ties the payment's webhook back to the request that started it
+      requestId: getRequestId()
     },
     success_url: successUrl,
     cancel_url: cancelUrl
@@ -62,21 +175,8 @@ async function createDonationCheckoutSession(donationDetails, origin) {
   
   // Handle one-time vs recurring donations differently
   if (donationType === 'recurring') {
-    // First, create or retrieve a product for recurring donations
-    const product = await stripeClient.products.create({
-      name: productName,
-      description: description,
-    });
-    
-    // Create a price object for this product
-    const price = await stripeClient.prices.create({
-      product: product.id,
-      unit_amount: amountInCents,
-      currency: 'usd',
-      recurring: {
-        interval: 'month'
-      },
-    });
+    // Reuse the price for this amount so every monthly gift is on the same product
+    const price = await getRecurringPrice(amountInCents);
     
     // Add the line items for subscription
     sessionParams.line_items = [{
@@ -84,6 +184,11 @@ async function createDonationCheckoutSession(donationDetails, origin) {
       quantity: 1,
     }];
     
+    // Copy the donor details onto the subscription so renewal invoices can be attributed
+    sessionParams.subscription_data = {
+      metadata: sessionParams.metadata
+    };
+    
     // Set the mode to subscription
     sessionParams.mode = 'subscription';
   } else {
@@ -100,12 +205,18 @@ async function createDonationCheckoutSession(donationDetails, origin) {
       quantity: 1,
     }];
     
+    // Copy the donor details onto the payment so refunds can be attributed
+    sessionParams.payment_intent_data = {
+      metadata: sessionParams.metadata
+    };
+    
     // Set the mode to payment
     sessionParams.mode = 'payment';
   }
   
   // Create a Stripe Checkout Session
-  const session = await stripeClient.checkout.sessions.create(sessionParams);
+  const session = await getClient().checkout.sessions.create(sessionParams);
+  metrics.recordCheckoutSession(sessionParams.metadata.donationType);
   
   return {
     success: true,
@@ -115,44 +226,60 @@ async function createDonationCheckoutSession(donationDetails, origin) {
 }
 
 /**
- * Create a Shabbat registration checkout session
- * @param {Object} registrationDetails - Registration details  
+ * Create a checkout session for the donation attached to an event registration
+ * @param {Object} event - Event row from storage
+ * @param {Object} registrationDetails - Registration details
  * @param {number} registrationDetails.donationAmount - Donation amount
- * @param {string} registrationDetails.donationType - Should be 'shabbat-registration'
+ * @param {string} registrationDetails.donationType - Donation type (e.g. 'shabbat-registration')
  * @param {string} registrationDetails.firstName - Registrant first name
  * @param {string} registrationDetails.lastName - Registrant last name
  * @param {string} registrationDetails.email - Registrant email
+ * @param {number} registrationDetails.registrationId - ID of the registration the donation is for
+ * @param {number} [registrationDetails.waitlistPosition] - Place on the waitlist, if the event is full
+ * @param {string} [registrationDetails.manageToken] - Token for the registrant's manage-registration link
  * @param {string} origin - Request origin for success/cancel URLs
  * @returns {Promise<Object>} - Stripe checkout session
  */
-async function createShabbatRegistrationSession(registrationDetails, origin) {
-  const { donationAmount, donationType, firstName, lastName, email } = registrationDetails;
+async function createEventRegistrationSession(event, registrationDetails, origin) {
+  const { donationAmount, donationType, firstName, lastName, email, registrationId, waitlistPosition, manageToken } = registrationDetails;
   
   // Convert amount to cents for Stripe
-  const amountInCents = Math.round(donationAmount * 100);
+  const amountInCents = toCents(donationAmount);
   
   // Ensure origin doesn't end with a slash
   const baseUrl = origin.endsWith('/') ? origin.slice(0, -1) : origin;
   
-  // For Shabbat registrations, redirect to confirmation page with donation info
-  const successUrl = `${baseUrl}/yp/shabbat/confirmation?donation=true&amount=${donationAmount}`;
-  const cancelUrl = `${baseUrl}/yp/shabbat/register.html`;
+  // Redirect to the event's confirmation page with donation info
+  const confirmationPath = event.confirmation_path || '/donation-success.html';
+  const successUrl = `${baseUrl}${confirmationPath}?donation=true&amount=${donationAmount}` +
+    (waitlistPosition ? `&waitlist=${waitlistPosition}` : '') +
+    (manageToken ? `&registration=${encodeURIComponent(manageToken)}` : '');
+  const cancelUrl = `${baseUrl}${event.registration_path || '/'}`;
+  
+  // The success URL is left out since it can carry the registrant's manage link token
+  log.debug('Registration checkout redirects', { eventSlug: event.slug, confirmationPath, cancelUrl });
   
-  console.log('Shabbat registration success URL:', successUrl);
-  console.log('Shabbat registration cancel URL:', cancelUrl);
+  const productName = `${event.title} Registration Donation`;
+  const description = `Thank you for your donation with ${event.title} registration`;
   
-  const productName = 'Shabbat Registration Donation';
-  const description = 'Thank you for your donation with Shabbat registration';
+  // The webhook routes payments by eventSlug and registrationId
+  const metadata = {
+    donationType: donationType || `${event.slug}-registration`,
+    eventSlug: event.slug,
+    registrationId,
+    firstName,
+    lastName,
+    email,
+    donationAmount,
+    requestId: getRequestId()
+  };
   
   // Create session parameters for one-time payment
   const sessionParams = {
     payment_method_types: ['card'],
-    metadata: {
-      donationType,
-      firstName,
-      lastName,
-      email,
-      donationAmount
+    metadata,
+    payment_intent_data: {
+      metadata
     },
     success_url: successUrl,
     cancel_url: cancelUrl,
@@ -171,7 +298,8 @@ async function createShabbatRegistrationSession(registrationDetails, origin) {
   };
   
   // Create a Stripe Checkout Session
-  const session = await stripeClient.checkout.sessions.create(sessionParams);
+  const session = await getClient().checkout.sessions.create(sessionParams);
+  metrics.recordCheckoutSession(sessionParams.metadata.donationType);
   
   return {
     success: true,
@@ -180,6 +308,77 @@ async function createShabbatRegistrationSession(registrationDetails, origin) {
   };
 }
 
+/**
+ * Change the monthly amount of a subscription, starting with the next invoice
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {number} amount - New monthly amount in dollars
+ * @returns {Promise<Object>} - Updated Stripe subscription
+ */
+async function updateSubscriptionAmount(subscriptionId, amount) {
+  const subscription = await getClient().subscriptions.retrieve(subscriptionId);
+  const price = await getRecurringPrice(toCents(amount));
+
+  return getClient().subscriptions.update(subscriptionId, {
+    items: [{ id: subscription.items.data[0].id, price: price.id }],
+    proration_behavior: 'none'
+  });
+}
+
+/**
+ * Stop collecting payments on a subscription until it is resumed
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Updated Stripe subscription
+ */
+async function pauseSubscription(subscriptionId) {
+  return getClient().subscriptions.update(subscriptionId, {
+    pause_collection: { behavior: 'void' }
+  });
+}
+
+/**
+ * Resume collecting payments on a paused subscription
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Updated Stripe subscription
+ */
+async function resumeSubscription(subscriptionId) {
+  // An empty string clears pause_collection
+  return getClient().subscriptions.update(subscriptionId, {
+    pause_collection: ''
+  });
+}
+
+/**
+ * Cancel a subscription immediately
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Canceled Stripe subscription
+ */
+async function cancelSubscription(subscriptionId) {
+  return getClient().subscriptions.cancel(subscriptionId);
+}
+
+/**
+ * Refund a payment in full
+ * Safe to call again for the same payment: Stripe returns the first refund, and a
+ * payment that is already refunded is left alone
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @param {Object} [metadata] - Metadata to attach to the refund
+ * @returns {Promise<Object|null>} - Stripe refund, or null if the payment was already refunded
+ */
+async function refundPayment(paymentIntentId, metadata = {}) {
+  try {
+    return await getClient().refunds.create(
+      { payment_intent: paymentIntentId, metadata },
+      { idempotencyKey: `refund-${paymentIntentId}` }
+    );
+  } catch (error) {
+    if (error.code === 'charge_already_refunded') {
+      log.info('Payment was already refunded', { paymentIntentId });
+      return null;
+    }
+    throw error;
+  }
+}
+
 /**
  * Verify and construct Stripe webhook event
  * @param {string} payload - Request body as string
@@ -189,7 +388,7 @@ async function createShabbatRegistrationSession(registrationDetails, origin) {
 function constructWebhookEvent(payload, signature) {
   // If webhook secret is configured, verify the signature
   if (config.stripe.webhookSecret) {
-    return stripeClient.webhooks.constructEvent(
+    return getClient().webhooks.constructEvent(
       payload, 
       signature, 
       config.stripe.webhookSecret
@@ -201,8 +400,14 @@ function constructWebhookEvent(payload, signature) {
 }
 
 module.exports = {
+  DONATION_TYPES,
   createDonationCheckoutSession,
-  createShabbatRegistrationSession,
+  createEventRegistrationSession,
+  updateSubscriptionAmount,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  refundPayment,
   constructWebhookEvent,
-  stripe: stripeClient
+  getClient
 }; 
\ No newline at end of file
@@ -0,0 +1,387 @@
+/**
+ * Monthly donations
+ * Keeps the subscriptions table in sync with Stripe, and lets admins and donors
+ * change, pause or cancel a gift. Donors sign in with an emailed link that is
+ * only good for the subscriptions under their own email address.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const storage = require('./storage');
+const stripeService = require('./stripe');
+const mailService = require('./mail');
+const { createHttpError } = require('../utils/http-error');
+const { DONATION_LIMITS } = require('../utils/validation');
+const { createSignedToken, verifySignedToken } = require('../utils/signed-token');
+const { fromCents, toIsoTime, stripeId, definedValues } = require('../utils/stripe-values');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/subscriptions');
+
+const STATUSES = ['incomplete', 'active', 'past_due', 'paused', 'canceled'];
+
+// Stripe subscription statuses, mapped to ours
+const STRIPE_STATUSES = {
+  incomplete: 'incomplete',
+  trialing: 'active',
+  active: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  paused: 'paused',
+  canceled: 'canceled',
+  incomplete_expired: 'canceled'
+};
+
+// Claim that tells a manage-gift link apart from any other signed token
+const LINK_PURPOSE = 'manage-gift';
+
+let linkSecret = null;
+
+/**
+ * Get the secret used to sign manage-gift links
+ * @returns {Buffer} - Secret
+ */
+function getLinkSecret() {
+  if (linkSecret) {
+    return linkSecret;
+  }
+
+  if (config.donorPortal.linkSecret) {
+    linkSecret = Buffer.from(config.donorPortal.linkSecret);
+  } else {
+    // Links signed with a random secret only work on this instance until it restarts
+    log.warn('DONOR_LINK_SECRET is not set; manage-gift links will not survive a restart');
+    linkSecret = crypto.randomBytes(32);
+  }
+
+  return linkSecret;
+}
+
+/**
+ * Email addresses are matched case-insensitively
+ * @param {string} email - Email address as typed
+ * @returns {string} - Normalized email address
+ */
+function normalizeEmail(email) {
+  return String(email || '').toLowerCase().trim();
+}
+
+/**
+ * Donor columns kept on a subscription
+ * @param {Object} donor - Payment row or donor columns
+ * @returns {Object} - { first_name, last_name, email } without missing values
+ */
+function donorColumns(donor) {
+  return definedValues({
+    first_name: donor.first_name || undefined,
+    last_name: donor.last_name || undefined,
+    email: donor.email || undefined
+  });
+}
+
+/**
+ * Columns describing the current state of a Stripe subscription
+ * @param {Object} subscription - Stripe subscription
+ * @returns {Object} - Subscription columns
+ */
+function columnsFromStripe(subscription) {
+  const item = subscription.items && subscription.items.data && subscription.items.data[0];
+  const price = item && item.price;
+
+  let status = STRIPE_STATUSES[subscription.status] || 'incomplete';
+  if (status !== 'canceled' && subscription.pause_collection) {
+    status = 'paused';
+  }
+
+  return definedValues({
+    stripe_customer_id: stripeId(subscription.customer),
+    amount: price ? fromCents(price.unit_amount * (item.quantity || 1)) : undefined,
+    currency: price ? price.currency : undefined,
+    status,
+    current_period_end: subscription.current_period_end ? toIsoTime(subscription.current_period_end) : undefined,
+    canceled_at: status === 'canceled'
+      ? toIsoTime(subscription.canceled_at || subscription.ended_at || Math.floor(Date.now() / 1000))
+      : undefined
+  });
+}
+
+/**
+ * Create or update the local copy of a Stripe subscription
+ * A canceled subscription stays canceled even if an older event arrives late
+ * @param {Object} subscription - Stripe subscription
+ * @param {Object} [donor] - Donor columns used when the subscription is new
+ * @returns {Promise<Object>} - Subscription row
+ */
+async function syncFromStripe(subscription, donor = {}) {
+  const existing = await storage.getSubscription(subscription.id);
+  const values = columnsFromStripe(subscription);
+
+  if (!existing.data) {
+    const result = await storage.createSubscription(definedValues({
+      ...donorColumns(donor),
+      ...values,
+      stripe_subscription_id: subscription.id,
+      created_at: subscription.created ? toIsoTime(subscription.created) : undefined,
+      paused_at: values.status === 'paused' ? new Date().toISOString() : undefined
+    }));
+    return result.data[0];
+  }
+
+  const previous = existing.data;
+
+  if (previous.status === 'canceled') {
+    delete values.status;
+    delete values.canceled_at;
+  } else if (values.status === 'paused') {
+    values.paused_at = previous.paused_at || new Date().toISOString();
+  } else {
+    values.paused_at = null;
+  }
+
+  const result = await storage.updateSubscription(subscription.id, values);
+  return result.data[0];
+}
+
+/**
+ * Record a monthly donation when its checkout completes
+ * Stripe's subscription events fill in the rest, whichever arrives first
+ * @param {Object} details - Checkout details
+ * @param {string} details.subscriptionId - Stripe subscription ID
+ * @param {string} [details.customerId] - Stripe customer ID
+ * @param {number} details.amount - Monthly amount in dollars
+ * @param {string} [details.currency] - Currency
+ * @param {Object} details.donor - Donor columns (first_name, last_name, email)
+ * @returns {Promise<Object>} - Subscription row
+ */
+async function recordCheckout({ subscriptionId, customerId, amount, currency, donor }) {
+  const existing = await storage.getSubscription(subscriptionId);
+
+  if (existing.data) {
+    const result = await storage.updateSubscription(subscriptionId, donorColumns(donor));
+    return result.data[0];
+  }
+
+  const result = await storage.createSubscription(definedValues({
+    ...donorColumns(donor),
+    stripe_subscription_id: subscriptionId,
+    stripe_customer_id: customerId,
+    amount,
+    currency,
+    status: 'active'
+  }));
+
+  log.info(`Recorded monthly donation ${subscriptionId} of $${amount.toFixed(2)}`);
+  return result.data[0];
+}
+
+/**
+ * Get a subscription or fail with 404
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Subscription row
+ */
+async function getSubscriptionOrThrow(subscriptionId) {
+  const result = await storage.getSubscription(subscriptionId);
+
+  if (!result.data) {
+    throw createHttpError(404, 'Monthly donation not found');
+  }
+
+  return result.data;
+}
+
+/**
+ * Pause a monthly donation; no payments are taken until it is resumed
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - { before, subscription }
+ */
+async function pause(subscriptionId) {
+  const before = await getSubscriptionOrThrow(subscriptionId);
+
+  if (before.status !== 'active' && before.status !== 'past_due') {
+    throw createHttpError(409, `Only active monthly donations can be paused; this one is ${before.status}`);
+  }
+
+  const subscription = await syncFromStripe(await stripeService.pauseSubscription(subscriptionId));
+  return { before, subscription };
+}
+
+/**
+ * Resume a paused monthly donation
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - { before, subscription }
+ */
+async function resume(subscriptionId) {
+  const before = await getSubscriptionOrThrow(subscriptionId);
+
+  if (before.status !== 'paused') {
+    throw createHttpError(409, `Only paused monthly donations can be resumed; this one is ${before.status}`);
+  }
+
+  const subscription = await syncFromStripe(await stripeService.resumeSubscription(subscriptionId));
+  return { before, subscription };
+}
+
+/**
+ * Cancel a monthly donation for good
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - { before, subscription }
+ */
+async function cancel(subscriptionId) {
+  const before = await getSubscriptionOrThrow(subscriptionId);
+
+  if (before.status === 'canceled') {
+    throw createHttpError(409, 'This monthly donation is already canceled');
+  }
+
+  const subscription = await syncFromStripe(await stripeService.cancelSubscription(subscriptionId));
+  return { before, subscription };
+}
+
+/**
+ * Change the amount of a monthly donation from the next payment on
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {number|string} amount - New monthly amount in dollars
+ * @returns {Promise<Object>} - { before, subscription }
+ */
+async function changeAmount(subscriptionId, amount) {
+  const newAmount = Math.round(parseFloat(amount) * 100) / 100;
+
+  if (!Number.isFinite(newAmount) || newAmount < DONATION_LIMITS.min || newAmount > DONATION_LIMITS.max) {
+    throw createHttpError(400, `Amount must be between $${DONATION_LIMITS.min} and $${DONATION_LIMITS.max}`);
+  }
+
+  const before = await getSubscriptionOrThrow(subscriptionId);
+
+  if (before.status === 'canceled') {
+    throw createHttpError(409, 'This monthly donation is canceled');
+  }
+
+  const updated = await stripeService.updateSubscriptionAmount(subscriptionId, newAmount);
+  const subscription = await syncFromStripe(updated);
+  return { before, subscription };
+}
+
+/**
+ * List monthly donations with a summary of active giving
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - Only subscriptions with this status
+ * @returns {Promise<Object>} - { subscriptions, summary: { activeCount, mrr } }
+ */
+async function listWithSummary({ status } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw createHttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const result = await storage.listSubscriptions();
+  const active = result.data.filter(subscription => subscription.status === 'active');
+  const mrr = active.reduce((total, subscription) => total + Number(subscription.amount), 0);
+
+  return {
+    subscriptions: status ? result.data.filter(subscription => subscription.status === status) : result.data,
+    summary: {
+      activeCount: active.length,
+      mrr: Math.round(mrr * 100) / 100
+    }
+  };
+}
+
+/**
+ * Email a donor a link to manage their monthly gifts
+ * Nothing is sent if the address has no monthly donations, but callers should
+ * respond the same way either way so addresses cannot be probed
+ * @param {string} email - Donor email
+ * @param {string} origin - Site origin for the link
+ * @returns {Promise<boolean>} - Whether a link was sent
+ */
+async function sendManageLink(email, origin) {
+  const normalizedEmail = normalizeEmail(email);
+
+  if (!normalizedEmail || !normalizedEmail.includes('@')) {
+    throw createHttpError(400, 'A valid email address is required');
+  }
+
+  const result = await storage.listSubscriptions({ email: normalizedEmail });
+  const current = result.data.filter(subscription => subscription.status !== 'canceled');
+
+  if (current.length === 0) {
+    log.info('Manage-gift link requested for an address with no monthly donations');
+    return false;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const token = createSignedToken({
+    purpose: LINK_PURPOSE,
+    email: normalizedEmail,
+    iat: now,
+    exp: now + Math.round(config.donorPortal.linkTtlHours * 60 * 60)
+  }, getLinkSecret());
+
+  const baseUrl = origin.endsWith('/') ? origin.slice(0, -1) : origin;
+
+  await mailService.sendManageGiftLink({
+    email: normalizedEmail,
+    firstName: current[0].first_name,
+    url: `${baseUrl}/manage-gift?token=${encodeURIComponent(token)}`
+  });
+
+  return true;
+}
+
+/**
+ * Validate a manage-gift link token
+ * @param {string} token - Token from the emailed link
+ * @returns {Object|null} - { email, expiresAt } or null if invalid
+ */
+function verifyManageToken(token) {
+  const claims = verifySignedToken(token, getLinkSecret());
+
+  if (!claims || claims.purpose !== LINK_PURPOSE || !claims.email) {
+    return null;
+  }
+
+  return {
+    email: claims.email,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * List a donor's monthly donations
+ * @param {string} email - Donor email from their link
+ * @returns {Promise<Array>} - Subscriptions
+ */
+async function listForDonor(email) {
+  const result = await storage.listSubscriptions({ email: normalizeEmail(email) });
+  return result.data;
+}
+
+/**
+ * Check that a subscription belongs to a donor before they change it
+ * @param {string} email - Donor email from their link
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @returns {Promise<Object>} - Subscription row
+ */
+async function getForDonor(email, subscriptionId) {
+  const result = await storage.getSubscription(subscriptionId);
+
+  // Someone else's subscription looks the same as a missing one
+  if (!result.data || normalizeEmail(result.data.email) !== normalizeEmail(email)) {
+    throw createHttpError(404, 'Monthly donation not found');
+  }
+
+  return result.data;
+}
+
+module.exports = {
+  STATUSES,
+  syncFromStripe,
+  recordCheckout,
+  pause,
+  resume,
+  cancel,
+  changeAmount,
+  listWithSummary,
+  sendManageLink,
+  verifyManageToken,
+  listForDonor,
+  getForDonor
+};
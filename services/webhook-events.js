@@ -0,0 +1,164 @@
+/**
+ * Stripe webhook event store
+ * Every verified event is stored by its Stripe event id before it is processed,
+ * so Stripe's retries are skipped once an event has been handled, and failed
+ * events keep their payload and error so an admin can replay them.
+ */
+const storage = require('./storage');
+const paymentsService = require('./payments');
+const metrics = require('./metrics');
+const { createHttpError } = require('../utils/http-error');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('services/webhook-events');
+
+const STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+// An event still "processing" after this long is assumed to have crashed part way
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Whether another request is still working on an event
+ * @param {Object} stored - Stored event row
+ * @returns {boolean}
+ */
+function isInProgress(stored) {
+  return stored.status === 'processing' &&
+    Date.now() - new Date(stored.started_at).getTime() < STALE_PROCESSING_MS;
+}
+
+/**
+ * Run a stored event through the payments handlers and record the outcome
+ * @param {Object} stripeEvent - Stripe event payload
+ * @returns {Promise<Object>} - Updated stored event
+ * @throws {Error} - The handler's error, after marking the event failed
+ */
+async function processEvent(stripeEvent) {
+  try {
+    const { handled } = await paymentsService.handleStripeEvent(stripeEvent);
+    metrics.recordWebhookEvent(stripeEvent.type, handled ? 'processed' : 'ignored');
+    const result = await storage.updateStripeEvent(stripeEvent.id, {
+      status: handled ? 'processed' : 'ignored',
+      last_error: null,
+      processed_at: new Date().toISOString()
+    });
+    return result.data[0];
+  } catch (error) {
+    metrics.recordWebhookEvent(stripeEvent.type, 'failed');
+    try {
+      await storage.updateStripeEvent(stripeEvent.id, {
+        status: 'failed',
+        last_error: error.message || String(error)
+      });
+    } catch (updateError) {
+      log.error(`Failed to record failure of Stripe event ${stripeEvent.id}`, updateError);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Mark a stored event as being processed again
+ * @param {Object} stored - Stored event row
+ * @returns {Promise<void>}
+ */
+async function startAttempt(stored) {
+  await storage.updateStripeEvent(stored.stripe_event_id, {
+    status: 'processing',
+    attempts: stored.attempts + 1,
+    started_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Store and process a verified event from the Stripe webhook
+ * Events already processed are skipped; failed events are retried
+ * @param {Object} stripeEvent - Verified Stripe event
+ * @returns {Promise<Object>} - { duplicate, stored }
+ */
+async function receiveEvent(stripeEvent) {
+  const existing = await storage.getStripeEvent(stripeEvent.id);
+
+  if (existing.data) {
+    const stored = existing.data;
+
+    if (stored.status === 'processed' || stored.status === 'ignored') {
+      log.info(`Skipping Stripe event ${stripeEvent.id}; already ${stored.status}`);
+      metrics.recordWebhookEvent(stripeEvent.type, 'duplicate');
+      return { duplicate: true, stored };
+    }
+
+    if (isInProgress(stored)) {
+      throw createHttpError(409, 'Event is already being processed');
+    }
+
+    await startAttempt(stored);
+  } else {
+    try {
+      await storage.createStripeEvent({
+        stripe_event_id: stripeEvent.id,
+        type: stripeEvent.type,
+        payload: stripeEvent,
+        status: 'processing',
+        attempts: 1,
+        started_at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Two deliveries of the same event arrived together and the other one stored it first
+      const raced = await storage.getStripeEvent(stripeEvent.id);
+      if (raced.data) {
+        throw createHttpError(409, 'Event is already being processed');
+      }
+      throw error;
+    }
+  }
+
+  const stored = await processEvent(stripeEvent);
+  return { duplicate: false, stored };
+}
+
+/**
+ * Process a failed event again from its stored payload
+ * @param {string} stripeEventId - Stripe event ID (evt_...)
+ * @returns {Promise<Object>} - { before, stored }
+ */
+async function replayEvent(stripeEventId) {
+  const existing = await storage.getStripeEvent(stripeEventId);
+
+  if (!existing.data) {
+    throw createHttpError(404, `Stripe event "${stripeEventId}" not found`);
+  }
+
+  const before = existing.data;
+
+  if (before.status !== 'failed' && !(before.status === 'processing' && !isInProgress(before))) {
+    throw createHttpError(409, `Only failed events can be replayed; this event is ${before.status}`);
+  }
+
+  log.info(`Replaying Stripe event ${stripeEventId} (${before.type}), attempt ${before.attempts + 1}`);
+
+  await startAttempt(before);
+  const stored = await processEvent(before.payload);
+  return { before, stored };
+}
+
+/**
+ * List stored events, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - 'processing', 'processed', 'ignored' or 'failed'
+ * @returns {Promise<Array>} - Stored events
+ */
+async function listEvents({ status } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw createHttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const result = await storage.listStripeEvents({ status: status || undefined });
+  return result.data;
+}
+
+module.exports = {
+  receiveEvent,
+  replayEvent,
+  listEvents
+};
@@ -0,0 +1,24 @@
+-- Baseline schema for the tables that existed before migrations were tracked.
+-- Safe to run against the production project: every statement is idempotent.
+
+create table if not exists "YP_Shabbos" (
+  id              bigint generated by default as identity primary key,
+  created_at      timestamptz not null default now(),
+  first_name      text        not null,
+  last_name       text        not null,
+  email           text        not null,
+  donation_amount numeric     not null default 0,
+  "new"           boolean     not null default true
+);
+
+create index if not exists "YP_Shabbos_name_idx" on "YP_Shabbos" (first_name, last_name);
+
+create table if not exists "YP_RoshHashana" (
+  id              bigint generated by default as identity primary key,
+  created_at      timestamptz not null default now(),
+  first_name      text        not null,
+  last_name       text        not null,
+  email           text        not null,
+  donation_amount numeric     not null default 0,
+  "new"           boolean     not null default true
+);
@@ -0,0 +1,49 @@
+-- Generic event model. Shabbat and Rosh Hashana become rows in "events" and
+-- their registrations are copied into "event_registrations".
+-- The legacy "YP_Shabbos" and "YP_RoshHashana" tables are left in place so the
+-- copy can be verified; drop them in a later migration.
+
+create table if not exists events (
+  id                     bigint generated by default as identity primary key,
+  created_at             timestamptz not null default now(),
+  slug                   text        not null unique,
+  title                  text        not null,
+  description            text,
+  event_date             timestamptz,
+  capacity               integer,
+  suggested_donation     numeric     not null default 0,
+  registration_opens_at  timestamptz,
+  registration_closes_at timestamptz,
+  registration_path      text,
+  confirmation_path      text
+);
+
+create table if not exists event_registrations (
+  id              bigint generated by default as identity primary key,
+  created_at      timestamptz not null default now(),
+  event_id        bigint      not null references events (id) on delete cascade,
+  first_name      text        not null,
+  last_name       text        not null,
+  email           text        not null,
+  donation_amount numeric     not null default 0,
+  "new"           boolean     not null default true
+);
+
+create index if not exists event_registrations_event_idx on event_registrations (event_id, created_at);
+create index if not exists event_registrations_name_idx on event_registrations (first_name, last_name);
+
+insert into events (slug, title, description, suggested_donation, registration_path, confirmation_path)
+values
+  ('shabbat', 'Shabbat Dinner', 'Weekly Shabbat dinner for young professionals', 36, '/yp/shabbat/register', '/yp/shabbat/confirmation'),
+  ('rosh-hashana', 'Rosh Hashana', 'Rosh Hashana services and meals', 0, null, null)
+on conflict (slug) do nothing;
+
+insert into event_registrations (event_id, created_at, first_name, last_name, email, donation_amount, "new")
+select (select id from events where slug = 'shabbat'), created_at, first_name, last_name, email, donation_amount, "new"
+from "YP_Shabbos"
+order by id;
+
+insert into event_registrations (event_id, created_at, first_name, last_name, email, donation_amount, "new")
+select (select id from events where slug = 'rosh-hashana'), created_at, first_name, last_name, email, donation_amount, "new"
+from "YP_RoshHashana"
+order by id;
@@ -0,0 +1,16 @@
+-- Contact form submissions, stored before they are emailed to staff so a
+-- failed delivery never loses a message.
+
+create table if not exists contact_messages (
+  id              bigint generated by default as identity primary key,
+  created_at      timestamptz not null default now(),
+  name            text        not null,
+  email           text        not null,
+  subject         text,
+  message         text        not null,
+  delivery_status text        not null default 'pending' check (delivery_status in ('pending', 'sent', 'failed')),
+  delivery_error  text,
+  delivered_at    timestamptz
+);
+
+create index if not exists contact_messages_created_idx on contact_messages (created_at);
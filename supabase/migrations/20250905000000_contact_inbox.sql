@@ -0,0 +1,7 @@
+-- Inbox state for contact messages, managed from the admin dashboard.
+
+alter table contact_messages add column if not exists read_at timestamptz;
+alter table contact_messages add column if not exists replied_at timestamptz;
+alter table contact_messages add column if not exists archived_at timestamptz;
+
+create index if not exists contact_messages_inbox_idx on contact_messages (archived_at, read_at);
@@ -0,0 +1,25 @@
+-- Named admin accounts with hashed passwords and roles, plus a log of every
+-- login attempt.
+
+create table if not exists admin_users (
+  id            bigint generated by default as identity primary key,
+  created_at    timestamptz not null default now(),
+  username      text        not null unique,
+  password_hash text        not null,
+  role          text        not null default 'viewer' check (role in ('viewer', 'editor')),
+  disabled_at   timestamptz,
+  last_login_at timestamptz
+);
+
+create table if not exists admin_login_events (
+  id            bigint generated by default as identity primary key,
+  created_at    timestamptz not null default now(),
+  admin_user_id bigint      references admin_users (id) on delete set null,
+  username      text        not null,
+  success       boolean     not null,
+  reason        text,
+  ip_address    text,
+  user_agent    text
+);
+
+create index if not exists admin_login_events_created_idx on admin_login_events (created_at);
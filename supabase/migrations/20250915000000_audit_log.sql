@@ -0,0 +1,18 @@
+-- Audit trail of admin mutations: who did what to which row, with snapshots of
+-- the row before and after the change.
+
+create table if not exists admin_audit_log (
+  id             bigint generated by default as identity primary key,
+  created_at     timestamptz not null default now(),
+  admin_user_id  bigint      references admin_users (id) on delete set null,
+  admin_username text        not null,
+  action         text        not null,
+  entity_type    text        not null,
+  entity_id      text,
+  before         jsonb,
+  after          jsonb,
+  ip_address     text
+);
+
+create index if not exists admin_audit_log_created_idx on admin_audit_log (created_at);
+create index if not exists admin_audit_log_entity_idx on admin_audit_log (entity_type, entity_id);
@@ -0,0 +1,6 @@
+-- Registrations deleted from the admin dashboard are kept with a deleted_at
+-- timestamp so they can be restored, then purged after the retention window.
+
+alter table event_registrations add column if not exists deleted_at timestamptz;
+
+create index if not exists event_registrations_deleted_idx on event_registrations (deleted_at);
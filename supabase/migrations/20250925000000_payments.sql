@@ -0,0 +1,37 @@
+-- Ledger of Stripe payments, kept in sync by the /stripe-webhook handler.
+-- Each row is one checkout payment or subscription invoice, keyed by its
+-- Stripe checkout session, payment intent and/or invoice id.
+
+create table if not exists payments (
+  id                       bigint generated by default as identity primary key,
+  created_at               timestamptz not null default now(),
+  updated_at               timestamptz not null default now(),
+  stripe_session_id        text unique,
+  stripe_payment_intent_id text unique,
+  stripe_invoice_id        text unique,
+  stripe_subscription_id   text,
+  stripe_customer_id       text,
+  kind                     text        not null check (kind in ('donation', 'event_registration', 'subscription')),
+  donation_type            text,
+  event_id                 bigint      references events (id) on delete set null,
+  registration_id          bigint      references event_registrations (id) on delete set null,
+  first_name               text,
+  last_name                text,
+  email                    text,
+  amount                   numeric     not null default 0,
+  amount_refunded          numeric     not null default 0,
+  currency                 text        not null default 'usd',
+  status                   text        not null check (status in ('pending', 'paid', 'failed', 'partially_refunded', 'refunded')),
+  failure_reason           text,
+  paid_at                  timestamptz,
+  refunded_at              timestamptz,
+  subscription_canceled_at timestamptz
+);
+
+create index if not exists payments_subscription_idx on payments (stripe_subscription_id);
+create index if not exists payments_email_idx on payments (email);
+
+-- Paid Rosh Hashana registrations now go through the event engine, so give
+-- Stripe somewhere to send people who cancel checkout
+update events set registration_path = '/simple-donate'
+where slug = 'rosh-hashana' and registration_path is null;
@@ -0,0 +1,18 @@
+-- Every Stripe webhook event received, keyed by Stripe event id, so retries
+-- are skipped once processed and failed events can be replayed from the
+-- admin API.
+
+create table if not exists stripe_events (
+  id              bigint generated by default as identity primary key,
+  received_at     timestamptz not null default now(),
+  stripe_event_id text        not null unique,
+  type            text        not null,
+  payload         jsonb       not null,
+  status          text        not null check (status in ('processing', 'processed', 'ignored', 'failed')),
+  attempts        integer     not null default 0,
+  last_error      text,
+  started_at      timestamptz,
+  processed_at    timestamptz
+);
+
+create index if not exists stripe_events_status_idx on stripe_events (status, received_at);
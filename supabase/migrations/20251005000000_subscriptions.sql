@@ -0,0 +1,37 @@
+-- Monthly donations, kept in sync with Stripe subscriptions by the webhook
+-- and changed by admins or donors through the "manage my monthly gift" flow.
+
+create table if not exists subscriptions (
+  id                     bigint generated by default as identity primary key,
+  created_at             timestamptz not null default now(),
+  updated_at             timestamptz not null default now(),
+  stripe_subscription_id text        not null unique,
+  stripe_customer_id     text,
+  first_name             text,
+  last_name              text,
+  email                  text,
+  amount                 numeric     not null default 0,
+  currency               text        not null default 'usd',
+  status                 text        not null check (status in ('incomplete', 'active', 'past_due', 'paused', 'canceled')),
+  current_period_end     timestamptz,
+  paused_at              timestamptz,
+  canceled_at            timestamptz
+);
+
+create index if not exists subscriptions_email_idx on subscriptions (email);
+create index if not exists subscriptions_status_idx on subscriptions (status);
+
+-- Backfill from the payments ledger, using each subscription's first payment
+insert into subscriptions (
+  created_at, stripe_subscription_id, stripe_customer_id, first_name, last_name,
+  email, amount, currency, status, canceled_at
+)
+select distinct on (stripe_subscription_id)
+  created_at, stripe_subscription_id, stripe_customer_id, first_name, last_name,
+  email, amount, currency,
+  case when subscription_canceled_at is null then 'active' else 'canceled' end,
+  subscription_canceled_at
+from payments
+where stripe_subscription_id is not null
+order by stripe_subscription_id, id
+on conflict (stripe_subscription_id) do nothing;
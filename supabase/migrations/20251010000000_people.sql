@@ -0,0 +1,55 @@
+-- One record per person, keyed by normalized email, linking their event
+-- registrations and payments, with attendance and giving totals in a view.
+
+create table if not exists people (
+  id            bigint generated by default as identity primary key,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  email         text        not null unique,
+  first_name    text,
+  last_name     text,
+  first_seen_at timestamptz not null default now()
+);
+
+create index if not exists people_name_idx on people (last_name, first_name);
+
+alter table event_registrations add column if not exists person_id bigint references people (id) on delete set null;
+alter table payments add column if not exists person_id bigint references people (id) on delete set null;
+
+create index if not exists event_registrations_person_idx on event_registrations (person_id);
+create index if not exists payments_person_idx on payments (person_id);
+
+-- One person per normalized email, named after their earliest record
+insert into people (email, first_name, last_name, first_seen_at)
+select distinct on (lower(trim(email)))
+  lower(trim(email)), first_name, last_name, created_at
+from (
+  select email, first_name, last_name, created_at from event_registrations
+  union all
+  select email, first_name, last_name, created_at from payments
+) records
+where email is not null and trim(email) <> ''
+order by lower(trim(email)), created_at
+on conflict (email) do nothing;
+
+update event_registrations r
+set person_id = p.id
+from people p
+where p.email = lower(trim(r.email)) and r.person_id is null;
+
+update payments pm
+set person_id = p.id
+from people p
+where p.email = lower(trim(pm.email)) and pm.person_id is null;
+
+-- Attendance and giving totals for the people list and profiles
+create or replace view people_summary as
+select
+  p.*,
+  (select count(*) from event_registrations r
+   where r.person_id = p.id and r.deleted_at is null) as registration_count,
+  (select max(r.created_at) from event_registrations r
+   where r.person_id = p.id and r.deleted_at is null) as last_registered_at,
+  (select coalesce(sum(pm.amount - pm.amount_refunded), 0) from payments pm
+   where pm.person_id = p.id and pm.status in ('paid', 'partially_refunded', 'refunded')) as lifetime_giving
+from people p;
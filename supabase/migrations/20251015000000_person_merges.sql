@@ -0,0 +1,21 @@
+-- Duplicate people can be merged. The merged person keeps their row, pointing
+-- at the person they became, so their email address still finds them.
+
+alter table people add column if not exists merged_into_id bigint references people (id) on delete set null;
+
+create index if not exists people_merged_into_idx on people (merged_into_id);
+
+-- Recreated rather than replaced: p.* now has an extra column
+drop view if exists people_summary;
+
+create view people_summary as
+select
+  p.*,
+  (select count(*) from event_registrations r
+   where r.person_id = p.id and r.deleted_at is null) as registration_count,
+  (select max(r.created_at) from event_registrations r
+   where r.person_id = p.id and r.deleted_at is null) as last_registered_at,
+  (select coalesce(sum(pm.amount - pm.amount_refunded), 0) from payments pm
+   where pm.person_id = p.id and pm.status in ('paid', 'partially_refunded', 'refunded')) as lifetime_giving
+from people p
+where p.merged_into_id is null;
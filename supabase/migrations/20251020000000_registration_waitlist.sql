@@ -0,0 +1,13 @@
+-- Registrations past an event's capacity join a waitlist and are promoted in
+-- order as seats free up. Shabbat dinners have a capacity per Shabbat week.
+
+alter table events add column if not exists capacity_period text not null default 'event'
+  check (capacity_period in ('event', 'week'));
+
+update events set capacity_period = 'week' where slug = 'shabbat';
+
+alter table event_registrations add column if not exists status text not null default 'confirmed'
+  check (status in ('confirmed', 'waitlisted'));
+alter table event_registrations add column if not exists promoted_at timestamptz;
+
+create index if not exists event_registrations_status_idx on event_registrations (event_id, status, created_at);
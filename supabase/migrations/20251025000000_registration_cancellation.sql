@@ -0,0 +1,4 @@
+-- Registrants can cancel from their own link. A cancellation is a soft delete
+-- with cancelled_at set too, so admins can tell it apart from their own deletions.
+
+alter table event_registrations add column if not exists cancelled_at timestamptz;
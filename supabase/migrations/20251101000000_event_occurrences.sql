@@ -0,0 +1,21 @@
+-- Weekly events are scheduled as occurrences (each Shabbat dinner, with its own
+-- location, host, capacity and deadline) and registrations attach to one.
+-- Older registrations keep a null occurrence and are grouped by Shabbat week in code.
+
+create table if not exists event_occurrences (
+  id                    bigint generated by default as identity primary key,
+  created_at            timestamptz not null default now(),
+  event_id              bigint      not null references events (id) on delete cascade,
+  occurs_on             date        not null,
+  starts_at             timestamptz,
+  location              text,
+  host                  text,
+  capacity              integer check (capacity is null or capacity > 0),
+  registration_deadline timestamptz,
+  cancelled_at          timestamptz,
+  unique (event_id, occurs_on)
+);
+
+alter table event_registrations add column if not exists occurrence_id bigint references event_occurrences (id) on delete set null;
+
+create index if not exists event_registrations_occurrence_idx on event_registrations (occurrence_id, status, created_at);
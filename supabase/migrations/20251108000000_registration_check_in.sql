@@ -0,0 +1,10 @@
+-- Each registration carries the code in its QR ticket; staff mark arrivals at the door.
+-- Existing registrations get a code so their tickets work too.
+
+alter table event_registrations add column if not exists check_in_code text;
+alter table event_registrations add column if not exists checked_in_at timestamptz;
+alter table event_registrations add column if not exists checked_in_by text;
+
+update event_registrations set check_in_code = left(replace(gen_random_uuid()::text, '-', ''), 16) where check_in_code is null;
+
+create unique index if not exists event_registrations_check_in_code_idx on event_registrations (check_in_code);
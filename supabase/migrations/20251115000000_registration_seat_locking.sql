@@ -0,0 +1,47 @@
+-- Anything that gives a registration a seat locks its event's row first, so two
+-- requests cannot both take the last seat. Seats are counted per event, or per
+-- occurrence for weekly events.
+
+create or replace function count_event_seats_taken(p_event_id bigint, p_occurrence_id bigint default null)
+returns bigint
+language sql
+stable
+as $$
+  select count(*) from event_registrations
+  where event_id = p_event_id
+    and status = 'confirmed'
+    and deleted_at is null
+    and (p_occurrence_id is null or occurrence_id = p_occurrence_id);
+$$;
+
+-- Restore a soft-deleted registration. A confirmed registration whose seat has
+-- been given away in the meantime comes back on the waitlist.
+create or replace function restore_event_registration(
+  p_event_id bigint,
+  p_id bigint,
+  p_capacity integer default null,
+  p_occurrence_id bigint default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  return query
+  update event_registrations r
+  set deleted_at = null,
+      cancelled_at = null,
+      status = case
+        when r.status = 'confirmed'
+          and p_capacity is not null
+          and count_event_seats_taken(p_event_id, p_occurrence_id) >= p_capacity
+        then 'waitlisted'
+        else r.status
+      end
+  where r.event_id = p_event_id
+    and r.id = p_id
+    and r.deleted_at is not null
+  returning r.*;
+end;
+$$;
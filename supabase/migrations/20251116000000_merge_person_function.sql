@@ -0,0 +1,32 @@
+-- Merging two people runs as one function, and so in one transaction: a merge
+-- that fails part-way leaves nothing moved, rather than records split between them.
+
+create or replace function merge_person(p_source_id bigint, p_target_id bigint)
+returns json
+language plpgsql
+as $$
+declare
+  v_registrations integer;
+  v_payments integer;
+begin
+  -- Marking the source first also locks it against a second merge of the same person
+  update people set merged_into_id = p_target_id, updated_at = now()
+  where id = p_source_id and merged_into_id is null;
+
+  if not found then
+    raise exception 'Person not found or already merged' using errcode = 'P0002';
+  end if;
+
+  update event_registrations set person_id = p_target_id where person_id = p_source_id;
+  get diagnostics v_registrations = row_count;
+
+  update payments set person_id = p_target_id where person_id = p_source_id;
+  get diagnostics v_payments = row_count;
+
+  -- People merged into the source earlier now point straight at the target
+  update people set merged_into_id = p_target_id, updated_at = now()
+  where merged_into_id = p_source_id;
+
+  return json_build_object('registrations', v_registrations, 'payments', v_payments);
+end;
+$$;
@@ -0,0 +1,68 @@
+-- Registering and promoting off the waitlist take their seat the same way a
+-- restore does: lock the event's row, then count and write in one function.
+
+-- Add a registration. It gets p_status, or goes on the waitlist once the seats
+-- it counts against are taken.
+create or replace function add_event_registration(
+  p_event_id bigint,
+  p_first_name text,
+  p_last_name text,
+  p_email text,
+  p_donation_amount numeric,
+  p_new boolean,
+  p_person_id bigint,
+  p_status text,
+  p_occurrence_id bigint default null,
+  p_check_in_code text default null,
+  p_capacity integer default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  return query
+  insert into event_registrations as r (
+    event_id, first_name, last_name, email, donation_amount, "new", person_id, status, occurrence_id, check_in_code
+  )
+  values (
+    p_event_id, p_first_name, p_last_name, p_email, p_donation_amount, p_new, p_person_id,
+    case
+      when p_capacity is not null
+        and count_event_seats_taken(p_event_id, p_occurrence_id) >= p_capacity
+      then 'waitlisted'
+      else p_status
+    end,
+    p_occurrence_id, p_check_in_code
+  )
+  returning r.*;
+end;
+$$;
+
+-- Give a waitlisted registration a seat, if there is still one open. Returns no
+-- rows if it was already promoted or deleted, or the seats are taken.
+create or replace function promote_event_registration(
+  p_event_id bigint,
+  p_id bigint,
+  p_capacity integer default null,
+  p_occurrence_id bigint default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  return query
+  update event_registrations r
+  set status = 'confirmed',
+      promoted_at = now()
+  where r.event_id = p_event_id
+    and r.id = p_id
+    and r.status = 'waitlisted'
+    and r.deleted_at is null
+    and (p_capacity is null or count_event_seats_taken(p_event_id, p_occurrence_id) < p_capacity)
+  returning r.*;
+end;
+$$;
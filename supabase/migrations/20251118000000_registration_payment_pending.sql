@@ -0,0 +1,35 @@
+-- A registration with a donation is 'pending' until its Stripe checkout
+-- completes. Pending registrations do not hold a seat; the webhook confirms
+-- them, or puts them on the waitlist if the seats were taken in the meantime.
+
+alter table event_registrations drop constraint if exists event_registrations_status_check;
+alter table event_registrations add constraint event_registrations_status_check
+  check (status in ('pending', 'confirmed', 'waitlisted'));
+
+create or replace function confirm_event_registration(
+  p_event_id bigint,
+  p_id bigint,
+  p_capacity integer default null,
+  p_occurrence_id bigint default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  return query
+  update event_registrations r
+  set status = case
+        when p_capacity is not null
+          and count_event_seats_taken(p_event_id, p_occurrence_id) >= p_capacity
+        then 'waitlisted'
+        else 'confirmed'
+      end
+  where r.event_id = p_event_id
+    and r.id = p_id
+    and r.status = 'pending'
+    and r.deleted_at is null
+  returning r.*;
+end;
+$$;
@@ -0,0 +1,7 @@
+-- When the confirmation and receipt for a paid payment went out, so a replayed
+-- webhook sends them if the first attempt failed before they did. Payments
+-- already paid were notified when they were paid.
+
+alter table payments add column if not exists notified_at timestamptz;
+
+update payments set notified_at = paid_at where paid_at is not null and notified_at is null;
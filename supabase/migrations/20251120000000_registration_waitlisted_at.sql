@@ -0,0 +1,109 @@
+-- When a registration joined the waitlist. The waitlist is served in this
+-- order, so a registration restored onto it goes to the back rather than back
+-- to its signup time. Every function that can waitlist a registration sets it.
+
+alter table event_registrations add column if not exists waitlisted_at timestamptz;
+
+update event_registrations set waitlisted_at = created_at
+where status = 'waitlisted' and waitlisted_at is null;
+
+create or replace function add_event_registration(
+  p_event_id bigint,
+  p_first_name text,
+  p_last_name text,
+  p_email text,
+  p_donation_amount numeric,
+  p_new boolean,
+  p_person_id bigint,
+  p_status text,
+  p_occurrence_id bigint default null,
+  p_check_in_code text default null,
+  p_capacity integer default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+declare
+  v_status text;
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  v_status := case
+    when p_capacity is not null
+      and count_event_seats_taken(p_event_id, p_occurrence_id) >= p_capacity
+    then 'waitlisted'
+    else p_status
+  end;
+
+  return query
+  insert into event_registrations as r (
+    event_id, first_name, last_name, email, donation_amount, "new", person_id, status, occurrence_id, check_in_code,
+    waitlisted_at
+  )
+  values (
+    p_event_id, p_first_name, p_last_name, p_email, p_donation_amount, p_new, p_person_id, v_status,
+    p_occurrence_id, p_check_in_code, case when v_status = 'waitlisted' then now() end
+  )
+  returning r.*;
+end;
+$$;
+
+create or replace function restore_event_registration(
+  p_event_id bigint,
+  p_id bigint,
+  p_capacity integer default null,
+  p_occurrence_id bigint default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+declare
+  v_full boolean;
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  v_full := p_capacity is not null and count_event_seats_taken(p_event_id, p_occurrence_id) >= p_capacity;
+
+  return query
+  update event_registrations r
+  set deleted_at = null,
+      cancelled_at = null,
+      status = case when r.status = 'confirmed' and v_full then 'waitlisted' else r.status end,
+      waitlisted_at = case
+        when r.status = 'waitlisted' or (r.status = 'confirmed' and v_full) then now()
+        else r.waitlisted_at
+      end
+  where r.event_id = p_event_id
+    and r.id = p_id
+    and r.deleted_at is not null
+  returning r.*;
+end;
+$$;
+
+create or replace function confirm_event_registration(
+  p_event_id bigint,
+  p_id bigint,
+  p_capacity integer default null,
+  p_occurrence_id bigint default null
+)
+returns setof event_registrations
+language plpgsql
+as $$
+declare
+  v_full boolean;
+begin
+  perform 1 from events where id = p_event_id for update;
+
+  v_full := p_capacity is not null and count_event_seats_taken(p_event_id, p_occurrence_id) >= p_capacity;
+
+  return query
+  update event_registrations r
+  set status = case when v_full then 'waitlisted' else 'confirmed' end,
+      waitlisted_at = case when v_full then now() else r.waitlisted_at end
+  where r.event_id = p_event_id
+    and r.id = p_id
+    and r.status = 'pending'
+    and r.deleted_at is null
+  returning r.*;
+end;
+$$;
@@ -0,0 +1,33 @@
+/**
+ * CRC-32 (the IEEE polynomial used by PNG and ZIP)
+ */
+
+let table = null;
+
+/**
+ * Checksum of some bytes
+ * @param {Buffer} buffer - Bytes
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+  if (!table) {
+    table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c;
+    }
+  }
+
+  let crc = -1;
+  for (const byte of buffer) {
+    crc = table[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+module.exports = {
+  crc32
+};
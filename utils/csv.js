@@ -0,0 +1,38 @@
+/**
+ * CSV output (RFC 4180)
+ */
+
+/**
+ * Format one value as a CSV field
+ * Fields with commas, quotes or line breaks are quoted, and text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe
+ * @param {*} value - Value (null and undefined become empty fields)
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  if (value == null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a row of values as a CSV line
+ * @param {Array} values - Values
+ * @returns {string} - CSV line ending in CRLF
+ */
+function toCsvLine(values) {
+  return values.map(toCsvField).join(',') + '\r\n';
+}
+
+module.exports = {
+  toCsvField,
+  toCsvLine
+};
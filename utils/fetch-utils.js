@@ -1,6 +1,9 @@
 /**
  * Utility functions for fetch operations
  */
+const { createLogger } = require('./logger');
+
+const log = createLogger('utils/fetch-utils');
 
 /**
  * Fetch with retry capability for robustness
@@ -18,7 +21,7 @@ async function fetchWithRetry(url, options, retries = 3, backoff = 300) {
     if (retries <= 0) {
       throw err;
     }
-    console.log(`Retrying fetch to ${url} after ${backoff}ms... (${retries} retries left)`);
+    log.warn(`Retrying fetch after ${backoff}ms (${retries} retries left)`, { url: String(url).split('?')[0] }, err);
     await new Promise(resolve => setTimeout(resolve, backoff));
     return fetchWithRetry(url, options, retries - 1, backoff * 2);
   }
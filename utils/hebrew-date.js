@@ -0,0 +1,278 @@
+/**
+ * Hebrew dates
+ * Converts between Gregorian and Hebrew dates with the fixed arithmetic of the
+ * Hebrew calendar (molad and postponement rules), so no lookup tables or
+ * network calls are needed. Days are counted as "fixed" day numbers, where day 1
+ * is January 1 of year 1 (Gregorian), which keeps every conversion integer maths.
+ *
+ * Months are numbered from Nisan as in the Torah: Nisan = 1 ... Adar = 12, and
+ * Adar II = 13 in leap years. The year starts on 1 Tishrei (month 7).
+ */
+
+const NISAN = 1;
+const IYAR = 2;
+const SIVAN = 3;
+const TAMUZ = 4;
+const AV = 5;
+const ELUL = 6;
+const TISHREI = 7;
+const CHESHVAN = 8;
+const KISLEV = 9;
+const TEVET = 10;
+const SHVAT = 11;
+const ADAR = 12;
+const ADAR_II = 13;
+
+const MONTH_NAMES = [
+  null, 'Nisan', 'Iyar', 'Sivan', 'Tamuz', 'Av', 'Elul',
+  'Tishrei', 'Cheshvan', 'Kislev', 'Tevet', 'Shvat', 'Adar', 'Adar II'
+];
+
+// Fixed day number of 1 Tishrei, year 1
+const HEBREW_EPOCH = -1373427;
+
+// Fixed day number of 1970-01-01
+const UNIX_EPOCH = 719163;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fixed day number of a Gregorian date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} - Fixed day number
+ */
+function fixedFromGregorian(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const utcDay = new Date(0);
+  utcDay.setUTCFullYear(year, month - 1, day);
+  return Math.floor(utcDay.getTime() / DAY_MS) + UNIX_EPOCH;
+}
+
+/**
+ * Gregorian date of a fixed day number
+ * @param {number} fixed - Fixed day number
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function gregorianFromFixed(fixed) {
+  return new Date((fixed - UNIX_EPOCH) * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Whether a Hebrew year has a second Adar
+ * @param {number} year - Hebrew year
+ * @returns {boolean} - Whether it is a leap year
+ */
+function isLeapYear(year) {
+  return (7 * year + 1) % 19 < 7;
+}
+
+/**
+ * Days from the epoch to the molad of Tishrei, moved off Sunday, Wednesday and Friday
+ * @param {number} year - Hebrew year
+ * @returns {number} - Days elapsed
+ */
+function elapsedDays(year) {
+  const monthsElapsed = Math.floor((235 * year - 234) / 19);
+  const partsElapsed = 12084 + 13753 * monthsElapsed;
+  const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+  return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+/**
+ * Extra delay keeping the years either side of this one a valid length
+ * @param {number} year - Hebrew year
+ * @returns {number} - 0, 1 or 2 days
+ */
+function yearLengthCorrection(year) {
+  const previous = elapsedDays(year - 1);
+  const current = elapsedDays(year);
+  const next = elapsedDays(year + 1);
+
+  if (next - current === 356) {
+    return 2;
+  }
+  return current - previous === 382 ? 1 : 0;
+}
+
+/**
+ * Fixed day number of Rosh Hashana
+ * @param {number} year - Hebrew year
+ * @returns {number} - Fixed day number of 1 Tishrei
+ */
+function newYear(year) {
+  return HEBREW_EPOCH + elapsedDays(year) + yearLengthCorrection(year);
+}
+
+/**
+ * Number of days in a Hebrew year (353-355, or 383-385 in leap years)
+ * @param {number} year - Hebrew year
+ * @returns {number} - Days
+ */
+function daysInYear(year) {
+  return newYear(year + 1) - newYear(year);
+}
+
+/**
+ * Number of days in a Hebrew month
+ * @param {number} month - Month (Nisan = 1)
+ * @param {number} year - Hebrew year
+ * @returns {number} - 29 or 30
+ */
+function daysInMonth(month, year) {
+  const length = daysInYear(year);
+
+  if ([IYAR, TAMUZ, ELUL, TEVET, ADAR_II].includes(month)
+    || (month === ADAR && !isLeapYear(year))
+    || (month === CHESHVAN && length % 10 !== 5)
+    || (month === KISLEV && length % 10 === 3)) {
+    return 29;
+  }
+  return 30;
+}
+
+/**
+ * The last month of a Hebrew year
+ * @param {number} year - Hebrew year
+ * @returns {number} - Adar, or Adar II in leap years
+ */
+function lastMonth(year) {
+  return isLeapYear(year) ? ADAR_II : ADAR;
+}
+
+/**
+ * Fixed day number of a Hebrew date
+ * @param {number} year - Hebrew year
+ * @param {number} month - Month (Nisan = 1)
+ * @param {number} day - Day of the month
+ * @returns {number} - Fixed day number
+ */
+function fixedFromHebrew(year, month, day) {
+  let fixed = newYear(year) + day - 1;
+
+  if (month < TISHREI) {
+    for (let m = TISHREI; m <= lastMonth(year); m++) {
+      fixed += daysInMonth(m, year);
+    }
+    for (let m = NISAN; m < month; m++) {
+      fixed += daysInMonth(m, year);
+    }
+  } else {
+    for (let m = TISHREI; m < month; m++) {
+      fixed += daysInMonth(m, year);
+    }
+  }
+
+  return fixed;
+}
+
+/**
+ * Hebrew date of a fixed day number
+ * @param {number} fixed - Fixed day number
+ * @returns {Object} - { year, month, day }
+ */
+function hebrewFromFixed(fixed) {
+  let year = Math.floor((fixed - HEBREW_EPOCH) / (35975351 / 98496));
+  while (newYear(year + 1) <= fixed) {
+    year++;
+  }
+
+  let month = fixed < fixedFromHebrew(year, NISAN, 1) ? TISHREI : NISAN;
+  while (fixed > fixedFromHebrew(year, month, daysInMonth(month, year))) {
+    month++;
+  }
+
+  return { year, month, day: fixed - fixedFromHebrew(year, month, 1) + 1 };
+}
+
+/**
+ * Name of a Hebrew month; Adar is "Adar I" in leap years
+ * @param {number} month - Month (Nisan = 1)
+ * @param {number} year - Hebrew year
+ * @returns {string} - Month name
+ */
+function getMonthName(month, year) {
+  if (month === ADAR && isLeapYear(year)) {
+    return 'Adar I';
+  }
+  return MONTH_NAMES[month];
+}
+
+/**
+ * Convert a Gregorian date to a Hebrew date
+ * The Hebrew day starts at nightfall; this gives the date during daylight hours
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} - { year, month, day, monthName, formatted }
+ */
+function toHebrew(date) {
+  const { year, month, day } = hebrewFromFixed(fixedFromGregorian(date));
+  const monthName = getMonthName(month, year);
+
+  return { year, month, day, monthName, formatted: `${day} ${monthName} ${year}` };
+}
+
+/**
+ * Convert a Hebrew date to a Gregorian date
+ * @param {number} year - Hebrew year
+ * @param {number} month - Month (Nisan = 1)
+ * @param {number} day - Day of the month
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function toGregorian(year, month, day) {
+  return gregorianFromFixed(fixedFromHebrew(year, month, day));
+}
+
+/**
+ * Look up a month by name, accepting common spellings ("Cheshvan", "Heshvan", "Adar 2")
+ * @param {string} name - Month name
+ * @returns {number|null} - Month (Nisan = 1), or null if unknown
+ */
+function parseMonth(name) {
+  const key = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const aliases = {
+    nisan: NISAN, nissan: NISAN, iyar: IYAR, iyyar: IYAR, sivan: SIVAN,
+    tamuz: TAMUZ, tammuz: TAMUZ, av: AV, menachemav: AV, elul: ELUL,
+    tishrei: TISHREI, tishri: TISHREI, cheshvan: CHESHVAN, heshvan: CHESHVAN,
+    marcheshvan: CHESHVAN, kislev: KISLEV, tevet: TEVET, teves: TEVET,
+    shvat: SHVAT, shevat: SHVAT, adar: ADAR, adari: ADAR, adar1: ADAR,
+    adarii: ADAR_II, adar2: ADAR_II
+  };
+  return aliases[key] || null;
+}
+
+/**
+ * Day of the week of a fixed day number
+ * @param {number} fixed - Fixed day number
+ * @returns {number} - 0 (Sunday) to 6 (Saturday)
+ */
+function dayOfWeek(fixed) {
+  return ((fixed % 7) + 7) % 7;
+}
+
+module.exports = {
+  NISAN,
+  IYAR,
+  SIVAN,
+  TAMUZ,
+  AV,
+  ELUL,
+  TISHREI,
+  CHESHVAN,
+  KISLEV,
+  TEVET,
+  SHVAT,
+  ADAR,
+  ADAR_II,
+  isLeapYear,
+  daysInYear,
+  daysInMonth,
+  lastMonth,
+  fixedFromGregorian,
+  gregorianFromFixed,
+  fixedFromHebrew,
+  hebrewFromFixed,
+  getMonthName,
+  toHebrew,
+  toGregorian,
+  parseMonth,
+  dayOfWeek
+};
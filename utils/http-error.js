@@ -0,0 +1,81 @@
+/**
+ * Utility for errors that carry an HTTP status code
+ */
+
+/**
+ * Create an error that route handlers can turn into a response
+ * @param {number} statusCode - HTTP status code to respond with
+ * @param {string} message - Message safe to show to the client
+ * @returns {Error} - Error with a statusCode property
+ */
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Create a 400 error for invalid input
+ * @param {Array} errors - Each invalid field: { field, message }
+ * @returns {Error} - Error with statusCode 400 and an errors property
+ */
+function createValidationError(errors) {
+  const error = createHttpError(400, errors.map(({ message }) => message).join('; '));
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Create a 429 error for a client that has hit a rate limit
+ * @param {string} message - Message safe to show to the client
+ * @param {number} retryAfterSeconds - Seconds until the client may try again
+ * @returns {Error} - Error with statusCode 429 and a retryAfter property
+ */
+function createTooManyRequestsError(message, retryAfterSeconds) {
+  const error = createHttpError(429, message);
+  error.retryAfter = retryAfterSeconds;
+  return error;
+}
+
+/**
+ * Whether an error is the client's, such as a lookup of something that does not exist
+ * These are expected in normal use and are not failures of the server
+ * @param {Error} error - Error that was thrown
+ * @returns {boolean} - Whether it carries a status code below 500
+ */
+function isClientError(error) {
+  return Boolean(error && error.statusCode && error.statusCode < 500);
+}
+
+/**
+ * Send an error response, using the error's status code when it has one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error that was thrown
+ * @param {string} fallbackMessage - Message prefix for unexpected errors
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error.retryAfter) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+  }
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      errors: error.errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage + ': ' + error.message
+  });
+}
+
+module.exports = {
+  createHttpError,
+  createValidationError,
+  createTooManyRequestsError,
+  isClientError,
+  sendError
+};
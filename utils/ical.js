@@ -0,0 +1,124 @@
+/**
+ * iCalendar (RFC 5545) output
+ * Just enough of the format for read-only feeds that calendar apps subscribe to
+ */
+
+/**
+ * Escape a text value
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a moment as a UTC date-time
+ * @param {Date|string} value - Moment
+ * @returns {string} - YYYYMMDDTHHMMSSZ
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a calendar date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} - YYYYMMDD
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * The day after a calendar date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().split('T')[0];
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - Calendar
+ * @param {string} calendar.name - Calendar name shown by subscribing apps
+ * @param {string} calendar.prodId - Product identifier
+ * @param {Array} calendar.events - Events: { uid, summary, date (all-day) or start/end, description, location, url, status }
+ * @returns {string} - iCalendar text
+ */
+function buildCalendar({ name, prodId, events }) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+
+    if (event.date) {
+      // All-day entries should not block out time in anyone's calendar
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+        `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`,
+        'TRANSP:TRANSPARENT'
+      );
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`, `DTEND:${formatDateTime(event.end || event.start)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    if (event.status) {
+      lines.push(`STATUS:${event.status}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar
+};
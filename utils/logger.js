@@ -0,0 +1,221 @@
+/**
+ * Structured logging
+ * One line per entry, as JSON or (for local development) readable text, tagged
+ * with the module and the ID of the request being handled. Personal details are
+ * redacted before anything is written: fields such as email, names and message
+ * bodies are replaced, and email addresses are masked wherever they appear.
+ *
+ * Usage:
+ *   const log = createLogger('services/events');
+ *   log.info('Registration added', { eventSlug, registrationId });
+ *   log.error('Error adding registration', error, { eventSlug });
+ *   log.failure('Error deleting registration', error); // warn for a 4xx, error otherwise
+ */
+const config = require('../config');
+const { getRequestId } = require('./request-context');
+const { isClientError } = require('./http-error');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that hold personal details or secrets, compared lowercased without _ or -
+const REDACTED_FIELDS = new Set([
+  'email', 'emails', 'firstname', 'lastname', 'name', 'fullname', 'phone', 'address',
+  'message', 'subject', 'body', 'text', 'html', 'replyto', 'to',
+  'password', 'passwordhash', 'token', 'managetoken', 'registrationtoken', 'authorization', 'cookie', 'secret'
+]);
+
+const REDACTED = '[redacted]';
+const EMAIL_PATTERN = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/gi;
+
+// How deep objects are followed before being cut off
+const MAX_DEPTH = 5;
+
+/**
+ * Mask email addresses in text
+ * @param {string} text - Text
+ * @returns {string} - Text with addresses replaced
+ */
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, '[email]');
+}
+
+/**
+ * Whether a field holds personal details or secrets
+ * @param {string} key - Field name
+ * @returns {boolean}
+ */
+function isRedactedField(key) {
+  return REDACTED_FIELDS.has(key.toLowerCase().replace(/[_-]/g, ''));
+}
+
+/**
+ * Turn an error into plain fields
+ * @param {Error|Object} error - Error, or an error-like object from a client library
+ * @returns {Object} - { name, message, code, statusCode, details, stack }
+ */
+function serializeError(error) {
+  const fields = {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    statusCode: error.statusCode,
+    details: error.details,
+    stack: error.stack
+  };
+
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+}
+
+/**
+ * Whether a value should be logged as an error
+ * @param {*} value - Value passed to a log method
+ * @returns {boolean}
+ */
+function isError(value) {
+  // Supabase reports errors as objects with a message and a code
+  return value instanceof Error || Boolean(value && typeof value.message === 'string' && 'code' in value);
+}
+
+/**
+ * Copy a value with personal details removed
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current depth
+ * @returns {*} - Safe copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return maskEmails(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  if (isError(value)) {
+    // Error text is kept (minus addresses) since it is what explains the failure
+    const fields = serializeError(value);
+    Object.keys(fields).forEach(key => {
+      fields[key] = redact(fields[key], depth + 1);
+    });
+    return fields;
+  }
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = isRedactedField(key) && value[key] != null ? REDACTED : redact(value[key], depth + 1);
+  });
+  return result;
+}
+
+/**
+ * Collect the extra arguments of a log call into fields
+ * @param {Array} args - Errors and field objects, in any order
+ * @returns {Object} - Fields
+ */
+function toFields(args) {
+  const fields = {};
+
+  args.forEach(arg => {
+    if (arg === undefined) {
+      return;
+    }
+    if (isError(arg)) {
+      fields.error = arg;
+    } else if (arg !== null && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else {
+      fields.detail = arg;
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Format an entry as readable text for a terminal
+ * @param {Object} entry - Log entry
+ * @returns {string} - Line of text
+ */
+function formatPretty({ time, level, module, requestId, msg, ...fields }) {
+  const { error, ...rest } = fields;
+  const details = Object.keys(rest).map(key => `${key}=${JSON.stringify(rest[key])}`).join(' ');
+  const line = [
+    time,
+    level.toUpperCase().padEnd(5),
+    module ? `[${module}]` : null,
+    msg,
+    details || null,
+    requestId ? `(request ${requestId})` : null
+  ].filter(Boolean).join(' ');
+
+  return error ? `${line}\n${error.stack || `${error.name || 'Error'}: ${error.message}`}` : line;
+}
+
+/**
+ * Write a log entry
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ * @param {string} module - Module the entry is from
+ * @param {string} msg - What happened
+ * @param {Array} args - Errors and fields
+ */
+function write(level, module, msg, args) {
+  if (LEVELS[level] < (LEVELS[config.logging.level] || LEVELS.info)) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    module,
+    requestId: getRequestId(),
+    msg,
+    ...toFields(args)
+  });
+
+  const line = config.logging.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name, e.g. 'services/events'
+ * @returns {Object} - { debug, info, warn, error, failure }, each (message, ...errorsAndFields)
+ */
+function createLogger(module) {
+  const logger = {};
+
+  Object.keys(LEVELS).forEach(level => {
+    logger[level] = (msg, ...args) => write(level, module, msg, args);
+  });
+
+  // For a caught error about to be sent back to the client: a 4xx is the client's
+  // mistake, so it is noted without a stack; anything else is logged as an error
+  logger.failure = (msg, error, ...args) => {
+    if (isClientError(error)) {
+      write('warn', module, msg, [{ statusCode: error.statusCode, reason: error.message }, ...args]);
+    } else {
+      write('error', module, msg, [error, ...args]);
+    }
+  };
+
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+  redact
+};
@@ -0,0 +1,147 @@
+/**
+ * Utility functions for handling people's names
+ */
+
+/**
+ * Properly capitalize a name (title case)
+ * @param {string} name - Name to capitalize
+ * @returns {string} - Properly capitalized name
+ */
+function capitalizeName(name) {
+  return name
+    .toLowerCase()
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Reduce a name to lowercase letters and single spaces for comparison
+ * Accents and vowel points are dropped, so "José" and "jose " compare equal;
+ * letters of every script are kept, so Hebrew and Cyrillic names still have a key
+ * @param {string} name - Name to normalize
+ * @returns {string} - Normalized name, empty if it has no letters
+ */
+function normalizeNameForMatching(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Hebrew names and their English forms, nicknames and common spellings,
+// each mapped to one canonical form
+const NAME_VARIANTS = {};
+[
+  ['avraham', 'avi', 'abraham', 'avrohom', 'avrum', 'avremi'],
+  ['yitzchak', 'yitzhak', 'itzik', 'isaac', 'yitzy'],
+  ['yaakov', 'yakov', 'jacob', 'yanky', 'yankel', 'jake'],
+  ['moshe', 'moses', 'moishe', 'moishy'],
+  ['aharon', 'aaron', 'aron'],
+  ['david', 'dovid', 'dave', 'dudi'],
+  ['shlomo', 'solomon', 'shloime'],
+  ['shmuel', 'samuel', 'sam', 'shmuli'],
+  ['yosef', 'joseph', 'yossi', 'joe', 'yoseph'],
+  ['binyamin', 'benjamin', 'ben', 'benny', 'binyomin'],
+  ['yehuda', 'yehudah', 'judah', 'yudi'],
+  ['menachem', 'mendel', 'mendy', 'mendi'],
+  ['eliyahu', 'eli', 'elijah', 'eliyohu'],
+  ['yonatan', 'jonathan', 'yoni', 'jon', 'yehonatan'],
+  ['michael', 'michoel', 'mike', 'michel'],
+  ['daniel', 'dani', 'danny', 'dan'],
+  ['natan', 'nathan', 'nate', 'nosson'],
+  ['aryeh', 'ari', 'arie', 'arye'],
+  ['chaim', 'haim', 'hyman', 'chayim'],
+  ['rivka', 'rivkah', 'rebecca', 'rivky', 'becky', 'rebekah'],
+  ['chana', 'chanah', 'hannah', 'hanna', 'channah', 'chani'],
+  ['sara', 'sarah', 'suri', 'sori'],
+  ['rachel', 'rochel', 'rochie'],
+  ['leah', 'lea', 'leeba'],
+  ['devorah', 'devora', 'deborah', 'debbie', 'dvora'],
+  ['esther', 'estie', 'esti'],
+  ['miriam', 'mimi', 'miri'],
+  ['cohen', 'kohen', 'kohn', 'cohn', 'kahn', 'kagan', 'cohan']
+].forEach(group => {
+  group.forEach(variant => {
+    NAME_VARIANTS[variant] = group[0];
+  });
+});
+
+/**
+ * Reduce a name to a key that is the same for common transliterations of it
+ * ("Yitzchak Cohen", "Isaac Kohen" and "yitzhak cohen" share a key)
+ * @param {string} name - Full name
+ * @returns {string} - Transliteration key
+ */
+function transliterationKey(name) {
+  return normalizeNameForMatching(name)
+    .split(' ')
+    .filter(Boolean)
+    .map(word => (NAME_VARIANTS[word] || word)
+      .replace(/[ck]h/g, 'h')
+      .replace(/tz/g, 'ts')
+      .replace(/ph/g, 'f')
+      .replace(/[kq]/g, 'c')
+      .replace(/w/g, 'v')
+      .replace(/y/g, 'i')
+      .replace(/(.)\1+/g, '$1')
+      .replace(/(.)h$/, '$1'))
+    .join(' ');
+}
+
+/**
+ * Number of single-character edits needed to turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [max=Infinity] - Stop early once the distance is known to be more than this
+ * @returns {number} - Levenshtein distance, or max + 1 if it is more than max
+ */
+function editDistance(a, b, max = Infinity) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    // Every later row is at least this row's smallest value
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * How alike two full names are, from 0 (nothing alike) to 1 (the same once normalized)
+ * @param {string} a - First full name
+ * @param {string} b - Second full name
+ * @returns {number} - Similarity score
+ */
+function nameSimilarity(a, b) {
+  const first = normalizeNameForMatching(a);
+  const second = normalizeNameForMatching(b);
+
+  if (!first || !second) {
+    return 0;
+  }
+
+  const longest = Math.max(first.length, second.length);
+  return 1 - editDistance(first, second) / longest;
+}
+
+module.exports = {
+  capitalizeName,
+  normalizeNameForMatching,
+  transliterationKey,
+  editDistance,
+  nameSimilarity
+};
@@ -0,0 +1,39 @@
+/**
+ * Utility functions for building absolute URLs back to the site
+ */
+const config = require('../config');
+
+/**
+ * Work out the origin to use for redirect URLs (e.g. Stripe success/cancel)
+ * @param {Object} req - Express request object
+ * @returns {string} - Origin including protocol, without trailing slash
+ */
+function getSiteOrigin(req) {
+  // Deployed sites always use their configured address (the custom domain, not the Vercel URL)
+  if (config.site.url) {
+    return config.site.url;
+  }
+
+  let origin = req.headers.origin || req.headers.host;
+
+  // If origin doesn't already include the protocol, add it
+  if (origin && !origin.startsWith('http')) {
+    origin = `${req.protocol}://${origin}`;
+  }
+
+  return origin || getDefaultOrigin();
+}
+
+/**
+ * Origin for links built without a request to work it out from
+ * (e.g. emails sent from a Stripe webhook)
+ * @returns {string} - Origin including protocol, without trailing slash
+ */
+function getDefaultOrigin() {
+  return config.site.url || `http://localhost:${config.port}`;
+}
+
+module.exports = {
+  getSiteOrigin,
+  getDefaultOrigin
+};
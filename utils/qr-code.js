@@ -0,0 +1,593 @@
+/**
+ * QR codes (ISO/IEC 18004)
+ * Byte-mode encoding with automatic version and mask selection, drawn as SVG
+ * or PNG so tickets do not depend on an outside image service
+ */
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+
+// Error correction levels: table index and the two bits stored in the format information
+const ERROR_CORRECTION = {
+  L: { index: 0, formatBits: 1 },
+  M: { index: 1, formatBits: 0 },
+  Q: { index: 2, formatBits: 3 },
+  H: { index: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block, by level then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level then version (index 0 unused)
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Whether a mask flips the module at column x, row y
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Whether bit i of a number is set
+ * @param {number} value - Number
+ * @param {number} i - Bit index, 0 being the least significant
+ * @returns {boolean} - Whether the bit is set
+ */
+function getBit(value, i) {
+  return ((value >>> i) & 1) !== 0;
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Byte
+ * @param {number} y - Byte
+ * @returns {number} - Product
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial, highest coefficient (always 1) dropped
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} - Coefficients
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+
+  return result;
+}
+
+/**
+ * Error correction codewords for a block of data
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator from reedSolomonDivisor
+ * @returns {Array<number>} - Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Modules available for data and error correction in a version
+ * @param {number} version - Version (1-40)
+ * @returns {number} - Module count
+ */
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Data codewords a version holds at an error correction level
+ * @param {number} version - Version (1-40)
+ * @param {Object} level - Entry of ERROR_CORRECTION
+ * @returns {number} - Codeword count
+ */
+function getDataCodewords(version, level) {
+  return Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level.index][version] * ECC_BLOCKS[level.index][version];
+}
+
+/**
+ * Centre positions of the alignment patterns, on both axes
+ * @param {number} version - Version (1-40)
+ * @returns {Array<number>} - Positions
+ */
+function getAlignmentPositions(version) {
+  if (version === 1) {
+    return [];
+  }
+
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+
+  for (let position = version * 4 + 10; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+
+  return result;
+}
+
+/**
+ * Encode text into data codewords, choosing the smallest version that fits
+ * @param {Buffer} bytes - Text as UTF-8
+ * @param {Object} level - Entry of ERROR_CORRECTION
+ * @returns {Object} - { version, codewords }
+ */
+function encodeData(bytes, level) {
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= getDataCodewords(version, level) * 8) {
+      break;
+    }
+  }
+
+  if (version > 40) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push(getBit(value, i) ? 1 : 0);
+    }
+  };
+
+  // Byte mode indicator, character count, then the bytes themselves
+  append(0x4, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  // Terminator, padding to a whole byte, then alternating pad bytes
+  const capacity = getDataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  }
+
+  return { version, codewords };
+}
+
+/**
+ * Split data into blocks, add error correction and interleave the result
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - Version (1-40)
+ * @param {Object} level - Entry of ERROR_CORRECTION
+ * @returns {Array<number>} - Final codeword sequence
+ */
+function addErrorCorrection(data, version, level) {
+  const blockCount = ECC_BLOCKS[level.index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  // Long blocks hold one more data codeword; short ones get a placeholder to line up
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) {
+      block.push(0);
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Module grid being drawn, tracking which modules belong to function patterns
+ */
+class Grid {
+  /**
+   * @param {number} version - Version (1-40)
+   */
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  /**
+   * Set a function-pattern module
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark - Whether the module is dark
+   */
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  /**
+   * Draw finder, alignment and timing patterns, and reserve the format and version areas
+   */
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+            this.setFunction(x + dx, y + dy, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = getAlignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // The corners with finder patterns have no alignment pattern
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    this.drawFormatBits(null, 0);
+    this.drawVersion();
+  }
+
+  /**
+   * Draw both copies of the format information
+   * @param {Object|null} level - Entry of ERROR_CORRECTION, or null to reserve the area
+   * @param {number} mask - Mask number (0-7)
+   */
+  drawFormatBits(level, mask) {
+    const { size } = this;
+    let bits = 0;
+
+    if (level) {
+      const data = (level.formatBits << 3) | mask;
+      let remainder = data;
+      for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+      }
+      bits = ((data << 10) | remainder) ^ 0x5412;
+    }
+
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, getBit(bits, i));
+    }
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, getBit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, size - 15 + i, getBit(bits, i));
+    }
+    this.setFunction(8, size - 8, true);
+  }
+
+  /**
+   * Draw both copies of the version information (version 7 and up)
+   */
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, getBit(bits, i));
+      this.setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  /**
+   * Place codewords in the zigzag order, two columns at a time from the bottom right
+   * @param {Array<number>} codewords - Final codeword sequence
+   */
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      // The vertical timing pattern is skipped over
+      if (right === 6) {
+        right = 5;
+      }
+      for (let step = 0; step < size; step++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - step : step;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Flip the data modules a mask selects; applying it twice undoes it
+   * @param {number} mask - Mask number (0-7)
+   */
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  /**
+   * Penalty score of the current modules; the mask with the lowest score is used
+   * @returns {number} - Penalty
+   */
+  getPenalty() {
+    const { size, modules } = this;
+    const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+    let penalty = 0;
+    let dark = 0;
+
+    const scoreLine = get => {
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && get(i) === get(i - 1)) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) {
+          penalty += runLength - 2;
+        }
+        runLength = 1;
+      }
+
+      for (let i = 0; i + 11 <= size; i++) {
+        finderLike.forEach(pattern => {
+          if (pattern.every((value, k) => get(i + k) === Boolean(value))) {
+            penalty += 40;
+          }
+        });
+      }
+    };
+
+    for (let i = 0; i < size; i++) {
+      scoreLine(x => modules[i][x]);
+      scoreLine(y => modules[y][i]);
+    }
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          dark++;
+        }
+        if (x + 1 < size && y + 1 < size &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+  }
+}
+
+/**
+ * Create a QR code for some text
+ * @param {string} text - Text to encode, usually a URL
+ * @param {Object} [options] - Options
+ * @param {string} [options.errorCorrection='M'] - Error correction level (L, M, Q or H)
+ * @returns {Object} - { size, modules }, modules being rows of booleans (true is dark)
+ */
+function createQrCode(text, { errorCorrection = 'M' } = {}) {
+  const level = ERROR_CORRECTION[errorCorrection];
+
+  if (!level) {
+    throw new Error(`Unknown error correction level "${errorCorrection}"`);
+  }
+
+  const { version, codewords } = encodeData(Buffer.from(String(text), 'utf8'), level);
+  const grid = new Grid(version);
+  grid.drawFunctionPatterns();
+  grid.drawCodewords(addErrorCorrection(codewords, version, level));
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    grid.applyMask(mask);
+    grid.drawFormatBits(level, mask);
+    const penalty = grid.getPenalty();
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    grid.applyMask(mask);
+  }
+
+  grid.applyMask(bestMask);
+  grid.drawFormatBits(level, bestMask);
+
+  return { size: grid.size, modules: grid.modules };
+}
+
+/**
+ * Draw a QR code as SVG, one unit per module
+ * @param {Object} qr - QR code from createQrCode
+ * @param {Object} [options] - Options
+ * @param {number} [options.margin=4] - Quiet zone in modules
+ * @returns {string} - SVG document
+ */
+function toSvg(qr, { margin = 4 } = {}) {
+  const dimension = qr.size + margin * 2;
+  const path = [];
+
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - Length, type, data and checksum
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Draw a QR code as a black and white PNG
+ * @param {Object} qr - QR code from createQrCode
+ * @param {Object} [options] - Options
+ * @param {number} [options.scale=8] - Pixels per module
+ * @param {number} [options.margin=4] - Quiet zone in modules
+ * @returns {Buffer} - PNG image
+ */
+function toPng(qr, { scale = 8, margin = 4 } = {}) {
+  const dimension = (qr.size + margin * 2) * scale;
+
+  // 8-bit grayscale, each row prefixed with filter type 0 (none)
+  const pixels = Buffer.alloc((dimension + 1) * dimension, 0xff);
+  for (let py = 0; py < dimension; py++) {
+    pixels[py * (dimension + 1)] = 0;
+    const y = Math.floor(py / scale) - margin;
+    for (let px = 0; px < dimension; px++) {
+      const x = Math.floor(px / scale) - margin;
+      if (y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x]) {
+        pixels[py * (dimension + 1) + 1 + px] = 0;
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(dimension, 0);
+  header.writeUInt32BE(dimension, 4);
+  header[8] = 8;
+  header[9] = 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  createQrCode,
+  toSvg,
+  toPng
+};
@@ -0,0 +1,32 @@
+/**
+ * Per-request context, available anywhere down the call chain of a request
+ * Carries the request ID so logs, Stripe calls and Supabase calls made while
+ * handling one request can be tied together
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} context - Context, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * ID of the request being handled, if any
+ * @returns {string|undefined} - Request ID
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return context ? context.requestId : undefined;
+}
+
+module.exports = {
+  runWithContext,
+  getRequestId
+};
@@ -0,0 +1,83 @@
+/**
+ * Shabbat weeks
+ * A Shabbat week runs from Saturday to Friday in New York time and is named by
+ * its Friday, so a Sunday signup and a Friday signup both count towards the
+ * coming Shabbat (the same buckets the admin dashboard shows).
+ */
+
+const TIME_ZONE = 'America/New_York';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dateFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Wall-clock parts of a moment in New York
+ * @param {Date} date - Moment
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function zonedParts(date) {
+  const parts = {};
+  dateFormat.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * How far New York time is ahead of UTC at a moment (negative: behind)
+ * @param {Date} date - Moment
+ * @returns {number} - Offset in milliseconds
+ */
+function zoneOffset(date) {
+  const { year, month, day, hour, minute, second } = zonedParts(date);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The moment a New York calendar day starts
+ * @param {number} utcDay - Date.UTC of the calendar day
+ * @returns {Date} - Midnight in New York
+ */
+function zonedMidnight(utcDay) {
+  const guess = new Date(utcDay - zoneOffset(new Date(utcDay)));
+  // Check again at the guessed moment in case a clock change falls in between
+  return new Date(utcDay - zoneOffset(guess));
+}
+
+/**
+ * The Shabbat week a moment falls in
+ * @param {Date|string} [date=new Date()] - Moment
+ * @returns {Object} - { friday: 'YYYY-MM-DD', start, end } with ISO start (inclusive) and end (exclusive)
+ */
+function getShabbatWeek(date = new Date()) {
+  const { year, month, day } = zonedParts(new Date(date));
+  const today = Date.UTC(year, month - 1, day);
+  const dayOfWeek = new Date(today).getUTCDay();
+
+  // Saturday belongs to the next week; Sunday to Friday to this one
+  const daysToFriday = dayOfWeek === 6 ? 6 : 5 - dayOfWeek;
+  const friday = today + daysToFriday * DAY_MS;
+
+  return {
+    friday: new Date(friday).toISOString().split('T')[0],
+    start: zonedMidnight(friday - 6 * DAY_MS).toISOString(),
+    end: zonedMidnight(friday + DAY_MS).toISOString()
+  };
+}
+
+module.exports = {
+  getShabbatWeek
+};
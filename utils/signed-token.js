@@ -0,0 +1,86 @@
+/**
+ * Compact HMAC-signed tokens
+ * Format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256 of the first part)
+ */
+const crypto = require('crypto');
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} - base64url string
+ */
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Decode a base64url string
+ * @param {string} value - base64url string
+ * @returns {Buffer} - Decoded bytes
+ */
+function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload - base64url payload
+ * @param {Buffer|string} secret - Signing secret
+ * @returns {string} - base64url HMAC-SHA256 signature
+ */
+function sign(payload, secret) {
+  return toBase64Url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+/**
+ * Create a signed token
+ * @param {Object} claims - Token claims; must include exp (Unix seconds)
+ * @param {Buffer|string} secret - Signing secret
+ * @returns {string} - Token
+ */
+function createSignedToken(claims, secret) {
+  const payload = toBase64Url(JSON.stringify(claims));
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a token's signature and expiry
+ * @param {string} token - Token from createSignedToken
+ * @param {Buffer|string} secret - Signing secret
+ * @returns {Object|null} - Claims, or null if the token is invalid or expired
+ */
+function verifySignedToken(token, secret) {
+  const [payload, signature] = String(token).split('.');
+
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(fromBase64Url(payload).toString());
+  } catch (error) {
+    return null;
+  }
+
+  if (!claims || !claims.exp || claims.exp * 1000 < Date.now()) {
+    return null;
+  }
+
+  return claims;
+}
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken
+};
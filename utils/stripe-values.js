@@ -0,0 +1,56 @@
+/**
+ * Helpers for reading values out of Stripe objects
+ */
+
+/**
+ * Convert a Stripe amount in cents to dollars
+ * @param {number} cents - Amount in cents
+ * @returns {number} - Amount in dollars
+ */
+function fromCents(cents) {
+  return (cents || 0) / 100;
+}
+
+/**
+ * Convert a Stripe timestamp to an ISO string
+ * @param {number} seconds - Unix timestamp in seconds
+ * @returns {string} - ISO timestamp
+ */
+function toIsoTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Get the ID of a Stripe reference that may or may not be expanded
+ * @param {string|Object|null} value - Stripe ID or expanded object
+ * @returns {string|undefined} - Stripe ID
+ */
+function stripeId(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  return typeof value === 'object' ? value.id : value;
+}
+
+/**
+ * Drop undefined values so they do not overwrite stored columns
+ * @param {Object} values - Column values
+ * @returns {Object} - Column values without undefined entries
+ */
+function definedValues(values) {
+  const result = {};
+  Object.keys(values).forEach(key => {
+    if (values[key] !== undefined) {
+      result[key] = values[key];
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  fromCents,
+  toIsoTime,
+  stripeId,
+  definedValues
+};
@@ -0,0 +1,105 @@
+/**
+ * Sunset and nightfall
+ * The standard almanac sunrise/sunset algorithm, accurate to a minute or two
+ * at the latitudes we care about, which is what published candle-lighting
+ * tables work to anyway.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sun's centre 50 arcminutes below the horizon: refraction plus its radius
+const SUNSET_ZENITH = 90 + 50 / 60;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Wrap a value into [0, range)
+ * @param {number} value - Value
+ * @param {number} range - Range
+ * @returns {number} - Wrapped value
+ */
+function wrap(value, range) {
+  return ((value % range) + range) % range;
+}
+
+/**
+ * The moment the setting sun reaches a zenith angle
+ * @param {string} date - Local calendar date (YYYY-MM-DD)
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east (negative for west)
+ * @param {number} zenith - Zenith angle in degrees
+ * @returns {Date|null} - Moment, or null if the sun does not get that low that day
+ */
+function sunsetAtZenith(date, latitude, longitude, zenith) {
+  const utcDay = Date.parse(`${date}T00:00:00Z`);
+  const dayOfYear = Math.round((utcDay - Date.UTC(new Date(utcDay).getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
+  const longitudeHours = longitude / 15;
+
+  // Approximate time of the event, then the sun's position at that time
+  const t = dayOfYear + (18 - longitudeHours) / 24;
+  const meanAnomaly = 0.9856 * t - 3.289;
+  const trueLongitude = wrap(
+    meanAnomaly + 1.916 * Math.sin(toRadians(meanAnomaly)) + 0.020 * Math.sin(toRadians(2 * meanAnomaly)) + 282.634,
+    360
+  );
+
+  let rightAscension = wrap(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude)))), 360);
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (Math.cos(toRadians(zenith)) - sinDeclination * Math.sin(toRadians(latitude)))
+    / (cosDeclination * Math.cos(toRadians(latitude)));
+
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return null;
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle)) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+  const universalTime = wrap(localMeanTime - longitudeHours, 24);
+
+  // West of Greenwich the evening falls on the next UTC day: keep it after local noon
+  const solarNoon = utcDay + (12 - longitudeHours) * HOUR_MS;
+  let moment = utcDay + universalTime * HOUR_MS;
+  while (moment < solarNoon) {
+    moment += DAY_MS;
+  }
+  while (moment > solarNoon + DAY_MS) {
+    moment -= DAY_MS;
+  }
+
+  return new Date(Math.round(moment / 60000) * 60000);
+}
+
+/**
+ * Sunset on a date
+ * @param {string} date - Local calendar date (YYYY-MM-DD)
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east (negative for west)
+ * @returns {Date|null} - Sunset, or null if the sun does not set
+ */
+function getSunset(date, latitude, longitude) {
+  return sunsetAtZenith(date, latitude, longitude, SUNSET_ZENITH);
+}
+
+/**
+ * The moment the sun is a number of degrees below the horizon after sunset
+ * (nightfall is usually taken as 8.5°, when three small stars are visible)
+ * @param {string} date - Local calendar date (YYYY-MM-DD)
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east (negative for west)
+ * @param {number} degrees - Degrees below the horizon
+ * @returns {Date|null} - Moment, or null if the sun does not get that low
+ */
+function getDusk(date, latitude, longitude, degrees) {
+  return sunsetAtZenith(date, latitude, longitude, 90 + degrees);
+}
+
+module.exports = {
+  getSunset,
+  getDusk
+};
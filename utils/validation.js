@@ -0,0 +1,190 @@
+/**
+ * Declarative validation for request bodies
+ * A schema maps each field to a rule; validate() checks and normalizes the
+ * input against it, reporting every bad field at once
+ *
+ * Rules:
+ *   { type: 'name' }                         - A person's name: letters, spaces, ' - . and ,
+ *   { type: 'email' }                        - Email address, lowercased
+ *   { type: 'text', maxLength, multiline }   - Free text; single-line text has its whitespace collapsed
+ *   { type: 'amount', min, max, allowZero }  - Dollar amount, rounded to cents
+ *   { type: 'id' }                           - Positive whole number
+ *   { type: 'enum', values }                 - One of a list of strings
+ *   { type: 'boolean' }                      - true or false (also as the strings "true" and "false")
+ * Any rule can also have a label used in messages, and either required: true
+ * or notBlank: true (may be left out, but not sent empty).
+ */
+const { createValidationError } = require('./http-error');
+
+// Bounds for donations, including donations made when registering
+const DONATION_LIMITS = {
+  min: 1,
+  max: 100000
+};
+
+// The registrant or donor on public forms
+const PERSON_FIELDS = {
+  firstName: { type: 'name', required: true, label: 'First name' },
+  lastName: { type: 'name', required: true, label: 'Last name' },
+  email: { type: 'email', required: true, label: 'Email' }
+};
+
+const MAX_NAME_LENGTH = 50;
+// RFC 5321 limits
+const MAX_EMAIL_LENGTH = 254;
+const MAX_EMAIL_LOCAL_LENGTH = 64;
+
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M}' .,\-’]*$/u;
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/;
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+/**
+ * Tidy a string: Unicode-normalized, without control characters, trimmed
+ * @param {*} value - Input value
+ * @param {boolean} multiline - Whether to keep line breaks and tabs
+ * @returns {string} - Normalized text
+ */
+function normalizeText(value, multiline) {
+  const text = String(value).normalize('NFC').replace(/\r\n?/g, '\n');
+
+  if (multiline) {
+    return text.replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '').trim();
+  }
+
+  return text.replace(/[\x00-\x1f\x7f]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format a dollar amount for messages
+ * @param {number} amount - Amount in dollars
+ * @returns {string} - e.g. "$100,000"
+ */
+function formatDollars(amount) {
+  return `$${amount.toLocaleString('en-US')}`;
+}
+
+/**
+ * Check one value that is present
+ * @param {*} value - Input value (not empty)
+ * @param {Object} rule - Field rule
+ * @param {string} label - Field name used in messages
+ * @returns {Object} - { value } when valid, { message } when not
+ */
+function checkValue(value, rule, label) {
+  if (typeof value === 'object') {
+    return { message: `${label} must be a single value` };
+  }
+
+  switch (rule.type) {
+    case 'name': {
+      const name = normalizeText(value, false);
+      const maxLength = rule.maxLength || MAX_NAME_LENGTH;
+      if (name.length > maxLength) {
+        return { message: `${label} must be at most ${maxLength} characters` };
+      }
+      if (!NAME_PATTERN.test(name)) {
+        return { message: `${label} may only contain letters, spaces, apostrophes, hyphens and periods` };
+      }
+      return { value: name };
+    }
+
+    case 'email': {
+      const email = normalizeText(value, false).toLowerCase();
+      if (email.length > MAX_EMAIL_LENGTH || email.indexOf('@') > MAX_EMAIL_LOCAL_LENGTH || !EMAIL_PATTERN.test(email)) {
+        return { message: `${label} must be a valid email address` };
+      }
+      return { value: email };
+    }
+
+    case 'text': {
+      const text = normalizeText(value, rule.multiline);
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { message: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      return { value: text };
+    }
+
+    case 'amount': {
+      const text = String(value).trim().replace(/^\$/, '').replace(/,/g, '');
+      if (typeof value === 'number' ? !Number.isFinite(value) || value < 0 : !AMOUNT_PATTERN.test(text)) {
+        return { message: `${label} must be an amount in dollars` };
+      }
+      const amount = Math.round(Number(text) * 100) / 100;
+      if (amount === 0 && rule.allowZero) {
+        return { value: 0 };
+      }
+      if ((rule.min != null && amount < rule.min) || (rule.max != null && amount > rule.max)) {
+        return { message: `${label} must be between ${formatDollars(rule.min)} and ${formatDollars(rule.max)}` };
+      }
+      return { value: amount };
+    }
+
+    case 'id': {
+      const text = String(value).trim();
+      if (!/^\d+$/.test(text) || Number(text) < 1 || !Number.isSafeInteger(Number(text))) {
+        return { message: `${label} must be a positive whole number` };
+      }
+      return { value: Number(text) };
+    }
+
+    case 'enum': {
+      const text = String(value).trim();
+      if (!rule.values.includes(text)) {
+        return { message: `${label} must be one of: ${rule.values.join(', ')}` };
+      }
+      return { value: text };
+    }
+
+    case 'boolean': {
+      const text = String(value).trim();
+      if (text !== 'true' && text !== 'false') {
+        return { message: `${label} must be true or false` };
+      }
+      return { value: text === 'true' };
+    }
+
+    default:
+      throw new Error(`Unknown validation rule type "${rule.type}"`);
+  }
+}
+
+/**
+ * Check and normalize input against a schema
+ * Fields not in the schema are dropped, and empty optional fields are left out
+ * @param {Object} schema - Field name to rule
+ * @param {Object} input - Input, e.g. a request body
+ * @returns {Object} - Normalized values
+ * @throws {Error} - 400 error listing each invalid field in its errors property
+ */
+function validate(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  const errors = [];
+
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    const label = rule.label || field;
+    const raw = source[field];
+    const checked = raw == null || String(raw).trim() === '' ? null : checkValue(raw, rule, label);
+
+    if (checked && checked.message) {
+      errors.push({ field, message: checked.message });
+    } else if (checked && checked.value !== '') {
+      values[field] = checked.value;
+    } else if (rule.required || (rule.notBlank && raw != null)) {
+      errors.push({ field, message: `${label} is required` });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw createValidationError(errors);
+  }
+
+  return values;
+}
+
+module.exports = {
+  DONATION_LIMITS,
+  PERSON_FIELDS,
+  validate
+};
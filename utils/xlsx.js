@@ -0,0 +1,177 @@
+/**
+ * XLSX (Office Open XML spreadsheet) output
+ * A single worksheet with a bold, frozen header row; just enough of the format
+ * for exports that open in Excel, Numbers and Google Sheets
+ */
+const { createZip } = require('./zip');
+
+const MAIN_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Indexes into cellXfs in styles.xml
+const STYLES = {
+  header: 1,
+  dateTime: 2,
+  currency: 3,
+  date: 4
+};
+
+const STYLES_XML = `${XML_HEADER}<styleSheet xmlns="${MAIN_NAMESPACE}">` +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="5">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+/**
+ * Escape text for XML, dropping control characters XML cannot hold
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters for a zero-based column index
+ * @param {number} index - Column index
+ * @returns {string} - e.g. "A", "Z", "AA"
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+/**
+ * Excel serial day number of a wall-clock date and time
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DD HH:MM[:SS]"
+ * @returns {number|null} - Serial (days since 1899-12-30), or null if unparseable
+ */
+function toSerial(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part && Number(part));
+  return Date.UTC(year, month - 1, day, hour, minute, second) / 86400000 + 25569;
+}
+
+/**
+ * Build one cell
+ * @param {*} value - Cell value
+ * @param {string} type - Column type: 'string', 'number', 'currency', 'date' (YYYY-MM-DD) or 'dateTime' (YYYY-MM-DD HH:MM)
+ * @param {string} ref - Cell reference, e.g. "B2"
+ * @returns {string} - Cell XML, or empty for empty cells
+ */
+function buildCell(value, type, ref) {
+  if (value == null || value === '') {
+    return '';
+  }
+
+  if (type === 'number' || type === 'currency') {
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      const style = type === 'currency' ? ` s="${STYLES.currency}"` : '';
+      return `<c r="${ref}"${style}><v>${number}</v></c>`;
+    }
+  }
+
+  if (type === 'date' || type === 'dateTime') {
+    const serial = toSerial(String(value));
+    if (serial != null) {
+      return `<c r="${ref}" s="${STYLES[type]}"><v>${serial}</v></c>`;
+    }
+  }
+
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Build a workbook with one sheet
+ * @param {Object} sheet - Sheet
+ * @param {string} sheet.name - Sheet name
+ * @param {Array} sheet.columns - Columns: { header, type, width }
+ * @param {Array<Array>} sheet.rows - Rows of values, in column order
+ * @returns {Buffer} - XLSX file
+ */
+function buildWorkbook({ name, columns, rows }) {
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const sheetName = escapeXml(String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+
+  const headerCells = columns
+    .map((column, i) => `<c r="${columnName(i)}1" t="inlineStr" s="${STYLES.header}"><is><t>${escapeXml(column.header)}</t></is></c>`)
+    .join('');
+
+  const dataRows = rows.map((row, r) => {
+    const cells = columns.map((column, i) => buildCell(row[i], column.type, `${columnName(i)}${r + 2}`)).join('');
+    return `<row r="${r + 2}">${cells}</row>`;
+  }).join('');
+
+  const widths = columns
+    .map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.width || 16}" customWidth="1"/>`)
+    .join('');
+
+  const sheetXml = `${XML_HEADER}<worksheet xmlns="${MAIN_NAMESPACE}">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths}</cols>` +
+    `<sheetData><row r="1">${headerCells}</row>${dataRows}</sheetData>` +
+    '</worksheet>';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${XML_HEADER}<workbook xmlns="${MAIN_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">` +
+        `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${RELATIONSHIP_NAMESPACE}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml },
+    { name: 'xl/styles.xml', data: STYLES_XML }
+  ]);
+}
+
+module.exports = {
+  buildWorkbook
+};